@@ -6,14 +6,21 @@
  * COMPONENT HIERARCHY:
  * --------------------
  * App
- * └── HistoryProvider    ← Analytics & recovery data
- *     └── TaskProvider   ← Task CRUD & state
- *         └── AppContent ← Main app with hooks
- *             └── Dashboard
+ * └── AuthProvider           ← Logged-in user & token
+ *     └── AuthGate           ← Login screen until authenticated
+ *         └── SettingsProvider           ← User preferences
+ *             └── HistoryProvider        ← Analytics & recovery data
+ *                 └── ProjectProvider    ← Projects (lists)
+ *                     └── TaskProvider   ← Task CRUD & state
+ *                         └── AppContent ← Main app with hooks
+ *                             └── Dashboard | Review (#review)
  * 
  * WHY THIS ORDER?
  * ---------------
- * - HistoryProvider is outermost so TaskProvider can access it
+ * - AuthProvider is outermost: every API call needs the token
+ * - Data providers are keyed by user id, so logging out (or in as someone
+ *   else) unmounts them and drops all cached state
+ * - HistoryProvider wraps TaskProvider so TaskProvider can access it
  * - This allows tasks to record to history on completion
  * - Inner components can access both contexts
  * 
@@ -23,12 +30,22 @@
  * This avoids "prop drilling" (passing props through many levels).
  */
 
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { TaskProvider, useTaskContext } from "./context/TaskContext";
 import { HistoryProvider, useHistory } from "./context/HistoryContext";
+import { AuthProvider, useAuth } from "./context/AuthContext";
+import { SettingsProvider } from "./context/SettingsContext";
+import { ProjectProvider } from "./context/ProjectContext";
 import { useAutoCheck } from "./hooks/useAutoCheck";
+import { useWeeklyReviews } from "./hooks/useWeeklyReviews";
+import { useDailyNotifications } from "./hooks/useDailyNotifications";
 import { requestNotificationPermission } from "./utils/notification";
+import { subscribeToPush, scheduleBackgroundReminders } from "./utils/push";
 import Dashboard from "./pages/Dashboard";
+import Login from "./pages/Login";
+import Review from "./pages/Review";
+
+const REVIEW_HASH = "#review";
 
 /**
  * AppContent - Inner component that uses hooks
@@ -42,8 +59,20 @@ import Dashboard from "./pages/Dashboard";
  * WRONG:    useContext → Provider (context not available yet)
  */
 function AppContent() {
-  const { tasks } = useTaskContext();
+  const { tasks, spawnNextOccurrence, markNotified, markRemindersSent } = useTaskContext();
   const { recordMissed, getRecoveryDebt } = useHistory();
+  const weeklyReviews = useWeeklyReviews();
+
+  /**
+   * Two pages, picked by the URL hash so the review notification (and the
+   * back button) can switch between them
+   */
+  const [page, setPage] = useState(() => window.location.hash);
+  useEffect(() => {
+    const onHashChange = () => setPage(window.location.hash);
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
   /**
    * Request notification permission on mount
@@ -56,9 +85,25 @@ function AppContent() {
   useEffect(() => {
     requestNotificationPermission().then(permission => {
       console.log(`[Notifications] Permission: ${permission}`);
+
+      // With permission, also get reminders while the app is closed
+      if (permission === "granted") {
+        subscribeToPush()
+          .then(subscribed => subscribed && console.log("[Push] Subscribed"))
+          .catch(error => console.warn("[Push] Subscription failed:", error.message));
+      }
     });
   }, []);
 
+  /**
+   * Keep the service worker's on-device reminder schedule up to date
+   */
+  useEffect(() => {
+    scheduleBackgroundReminders(tasks).catch(error => {
+      console.warn("[Push] Could not schedule background reminders:", error.message);
+    });
+  }, [tasks]);
+
   /**
    * Log recovery debt on mount (for debugging)
    */
@@ -74,14 +119,57 @@ function AppContent() {
    * 
    * When a task becomes overdue:
    * 1. Notification is shown (in the hook)
-   * 2. recordMissed() updates history
+   * 2. markNotified() persists it, so a reload doesn't count it again
+   * 3. recordMissed() updates history
+   * 4. Recurring tasks get their next occurrence
+   * 
+   * When a reminder offset passes, the sent offsets are persisted too.
    */
-  useAutoCheck(tasks, (overdueTask) => {
-    recordMissed();
-    console.log(`[History] Recorded missed task: "${overdueTask.title}"`);
+  useAutoCheck(tasks, {
+    onOverdue: (overdueTask) => {
+      markNotified(overdueTask.id);
+      recordMissed(overdueTask);
+      console.log(`[History] Recorded missed task: "${overdueTask.title}"`);
+
+      if (overdueTask.recurrence) {
+        spawnNextOccurrence(overdueTask.id);
+      }
+    },
+    onReminder: (task, offsets) => markRemindersSent(task.id, offsets),
   });
 
-  return <Dashboard />;
+  /**
+   * Morning plan and end-of-day summary, once a day across tabs
+   */
+  useDailyNotifications();
+
+  if (page === REVIEW_HASH) {
+    return <Review {...weeklyReviews} onBack={() => { window.location.hash = ""; }} />;
+  }
+  return <Dashboard onOpenReview={() => { window.location.hash = REVIEW_HASH; }} />;
+}
+
+/**
+ * AuthGate - Login screen until there is a user, then the data providers
+ */
+function AuthGate() {
+  const { user } = useAuth();
+
+  if (!user) {
+    return <Login />;
+  }
+
+  return (
+    <SettingsProvider key={user.id}>
+      <HistoryProvider>
+        <ProjectProvider>
+          <TaskProvider>
+            <AppContent />
+          </TaskProvider>
+        </ProjectProvider>
+      </HistoryProvider>
+    </SettingsProvider>
+  );
 }
 
 /**
@@ -89,11 +177,9 @@ function AppContent() {
  */
 function App() {
   return (
-    <HistoryProvider>
-      <TaskProvider>
-        <AppContent />
-      </TaskProvider>
-    </HistoryProvider>
+    <AuthProvider>
+      <AuthGate />
+    </AuthProvider>
   );
 }
 
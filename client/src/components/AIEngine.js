@@ -1,28 +1,119 @@
+import { streamRequest, requestBreakdown, ApiError } from "../utils/api";
+import { toLocalInputValue } from "../utils/dateUtils";
+
+// Days of history sent along with a warning request
+export const COACH_HISTORY_DAYS = 7;
+
 export function checkOverdue(task) {
   const now = new Date();
   const deadline = new Date(task.deadline);
   return !task.completed && deadline < now;
 }
 
-export async function generateWarning(task) {
+/**
+ * What the coach gets to know about a missed task
+ *
+ * The server builds the prompt from this (server/ai/prompts.js) and
+ * caches the answer per task and context; only counts leave the device,
+ * no other task titles.
+ *
+ * @param {object} task
+ * @param {object} options
+ *   - recent: getRecentStats() days, oldest first
+ *   - streak: getStreak() result
+ *   - settings: { coachPersona, coachTone }
+ *   - now: Date
+ */
+export function buildCoachContext(task, { recent = [], streak = null, settings = {}, now = new Date() } = {}) {
+  const overdueMs = now - new Date(task.deadline);
+
+  return {
+    taskId: task.id,
+    taskTitle: task.title,
+    deadline: task.deadline,
+    priority: task.priority || null,
+    overdueMinutes: overdueMs > 0 ? Math.floor(overdueMs / 60000) : 0,
+    rescheduleCount: task.rescheduleCount || 0,
+    recent: recent.slice(-COACH_HISTORY_DAYS).map(({ date, completed, missed, rescheduled }) => ({
+      date, completed, missed, rescheduled,
+    })),
+    streak: { current: streak?.current || 0, best: streak?.best || 0 },
+    persona: settings.coachPersona,
+    tone: settings.coachTone,
+  };
+}
+
+/**
+ * Ask the coach about a missed task, streaming the answer
+ * @param {object} context - From buildCoachContext
+ * @param {object} options
+ *   - onDelta(textSoFar): called as the answer arrives
+ *   - signal: AbortSignal, e.g. when the card unmounts
+ * @returns {Promise<{ message, offline }>} - offline: the server didn't
+ *   answer in full, so the message is a local stand-in (or a partial one)
+ */
+export async function generateWarning(context, { onDelta, signal } = {}) {
+  let text = "";
+
   try {
-    const response = await fetch("http://localhost:5000/ai-warning", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
+    let message = null;
+    await streamRequest("/ai-warning", {
+      body: context,
+      signal,
+      onEvent: (event, data) => {
+        if (event === "delta") {
+          text += data.text;
+          onDelta?.(text);
+        } else if (event === "done") {
+          message = data.message;
+        } else if (event === "error") {
+          throw new Error(data.error);
+        }
       },
-      body: JSON.stringify({ taskTitle: task.title })
     });
 
-    const data = await response.json();
-    return data.message;
+    if (!message) throw new Error("The stream ended without an answer");
+    return { message, offline: false };
   } catch (error) {
+    if (signal?.aborted) throw error;
+    // Keep what already arrived rather than swapping it for another message
+    if (text) return { message: text, offline: true };
+
     // Fallback messages if API fails
+    const title = context.taskTitle;
     const messages = [
-      `You missed "${task.title}". Discipline is built through action.`,
-      `Late again? "${task.title}" deserved priority.`,
-      `No excuses. "${task.title}" was scheduled for a reason.`
+      `You missed "${title}". Discipline is built through action.`,
+      `Late again? "${title}" deserved priority.`,
+      `No excuses. "${title}" was scheduled for a reason.`
     ];
-    return messages[Math.floor(Math.random() * messages.length)];
+    return { message: messages[Math.floor(Math.random() * messages.length)], offline: true };
+  }
+}
+
+/**
+ * Ask the server to split a task into scheduled steps
+ *
+ * Deadlines are wall-clock strings like the task's own; startFrom tells
+ * the server what "now" is in the user's zone.
+ *
+ * @param {object} task
+ * @param {object} options - { maxSteps, now }
+ * @returns {Promise<Array<{ title, deadline }>>}
+ * @throws {Error} - With a message fit to show the user
+ */
+export async function proposeBreakdown(task, { maxSteps, now = new Date() } = {}) {
+  try {
+    const { steps } = await requestBreakdown({
+      taskId: task.id,
+      title: task.title,
+      deadline: task.deadline,
+      startFrom: toLocalInputValue(now),
+      priority: task.priority || null,
+      maxSteps,
+    });
+    return steps;
+  } catch (error) {
+    if (error instanceof ApiError) throw new Error(error.message);
+    throw new Error("Couldn't reach the server - try again when you're online");
   }
 }
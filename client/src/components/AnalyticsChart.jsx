@@ -1,11 +1,13 @@
 import { useContext } from "react";
 import { TaskContext } from "../context/TaskContext";
+import { filterTasks, DEFAULT_FILTER } from "../utils/projects";
 import {
   LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer
 } from "recharts";
 
-export default function AnalyticsChart() {
-  const { tasks } = useContext(TaskContext);
+export default function AnalyticsChart({ filter = DEFAULT_FILTER }) {
+  const { tasks: allTasks } = useContext(TaskContext);
+  const tasks = filterTasks(allTasks, filter);
 
   const data = tasks.map(task => ({
     name: new Date(task.deadline).toLocaleDateString(),
@@ -0,0 +1,107 @@
+import { useState, useEffect } from "react";
+import { proposeBreakdown } from "./AIEngine";
+import { toLocalInputValue } from "../utils/dateUtils";
+
+/**
+ * "Break down": the server's proposed steps for a task, editable
+ *
+ * Nothing is created until "Add": the user can rename, reschedule, untick
+ * or add steps first. Every step must stay due before the task itself.
+ */
+export default function BreakdownPanel({ task, onAccept, onClose }) {
+  const [steps, setSteps] = useState(null);
+  const [error, setError] = useState("");
+
+  // A new deadline invalidates the proposal (its steps were planned
+  // before the old one), so ask again rather than check against a
+  // deadline the steps weren't made for
+  useEffect(() => {
+    let cancelled = false;
+    setSteps(null);
+    setError("");
+    proposeBreakdown(task)
+      .then(proposal => {
+        if (cancelled) return;
+        setSteps(proposal.map((step, index) => ({ ...step, key: index, accepted: true })));
+      })
+      .catch(err => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id, task.deadline]);
+
+  const updateStep = (key, changes) => {
+    setSteps(prev => prev.map(step => (step.key === key ? { ...step, ...changes } : step)));
+  };
+
+  const addStep = () => {
+    setSteps(prev => [
+      ...prev,
+      { key: Math.max(-1, ...prev.map(s => s.key)) + 1, title: "", deadline: task.deadline, accepted: true },
+    ]);
+  };
+
+  const accepted = (steps || []).filter(step => step.accepted);
+  const invalid = accepted.filter(step => !step.title.trim() || !step.deadline || step.deadline >= task.deadline);
+
+  if (error) {
+    return (
+      <div className="breakdown-panel">
+        <p className="data-hint">{error}</p>
+        <button onClick={onClose}>Close</button>
+      </div>
+    );
+  }
+
+  if (!steps) {
+    return <div className="breakdown-panel"><p className="data-hint">Planning steps...</p></div>;
+  }
+
+  return (
+    <div className="breakdown-panel">
+      <p>Proposed steps for "{task.title}"</p>
+
+      <ul>
+        {steps.map(step => (
+          <li key={step.key} className={step.accepted ? "" : "skipped"}>
+            <input
+              type="checkbox"
+              checked={step.accepted}
+              onChange={(e) => updateStep(step.key, { accepted: e.target.checked })}
+              aria-label="Add this step"
+            />
+            <input
+              className="breakdown-title"
+              value={step.title}
+              onChange={(e) => updateStep(step.key, { title: e.target.value })}
+              aria-label="Step title"
+            />
+            <input
+              type="datetime-local"
+              value={step.deadline}
+              min={toLocalInputValue(new Date())}
+              max={task.deadline}
+              onChange={(e) => updateStep(step.key, { deadline: e.target.value })}
+              aria-label="Step deadline"
+            />
+          </li>
+        ))}
+      </ul>
+
+      {invalid.length > 0 && (
+        <p className="data-hint">Every step needs a title and a deadline before the task's own.</p>
+      )}
+
+      <div className="data-actions">
+        <button
+          onClick={() => onAccept(accepted.map(({ title, deadline }) => ({ title: title.trim(), deadline })))}
+          disabled={accepted.length === 0 || invalid.length > 0}
+        >
+          Add {accepted.length} {accepted.length === 1 ? "task" : "tasks"}
+        </button>
+        <button onClick={addStep}>Add step</button>
+        <button onClick={onClose}>Cancel</button>
+      </div>
+    </div>
+  );
+}
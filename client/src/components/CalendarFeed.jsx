@@ -0,0 +1,61 @@
+import { useState, useEffect } from "react";
+import {
+  API_BASE_URL,
+  fetchCalendarFeed,
+  regenerateCalendarFeed,
+  disableCalendarFeed,
+} from "../utils/api";
+
+/**
+ * Calendar subscription link (served by the server's /calendar route)
+ *
+ * The link is the password - anyone who has it can read the tasks, so
+ * "New link" exists to shut off a URL that got out.
+ */
+export default function CalendarFeed() {
+  const [path, setPath] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchCalendarFeed()
+      .then(feed => setPath(feed.path))
+      .catch(() => setError("Calendar link unavailable offline"));
+  }, []);
+
+  const run = async (request) => {
+    setError("");
+    try {
+      setPath((await request()).path);
+    } catch (err) {
+      console.error("[Calendar] Request failed:", err);
+      setError("Could not reach the server");
+    }
+  };
+
+  const regenerate = () => {
+    if (path && !window.confirm("Make a new link? Calendars using the current one stop updating.")) return;
+    run(regenerateCalendarFeed);
+  };
+
+  const url = path && `${API_BASE_URL}${path}`;
+
+  return (
+    <div className="calendar-feed">
+      <p>Subscribe in a calendar app (updates on its own)</p>
+
+      {url && (
+        <>
+          <input className="calendar-feed-url" readOnly value={url} onFocus={(e) => e.target.select()} />
+          <a href={url.replace(/^https?:/, "webcal:")}>Open in calendar app</a>
+        </>
+      )}
+
+      <div className="data-actions">
+        <button onClick={regenerate}>{path ? "New link" : "Create link"}</button>
+        {path && <button onClick={() => run(disableCalendarFeed)}>Turn off</button>}
+      </div>
+
+      {error && <p className="data-hint">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { describeRecurrence } from "../utils/recurrence";
+import { formatOffset } from "../utils/dateUtils";
+import { PRIORITY_LABELS } from "../utils/priority";
+import { useProjects } from "../context/ProjectContext";
+
+/**
+ * Render a logged value the way the card shows it
+ */
+function formatValue(field, value, getProject) {
+  if (field === "projectId") return getProject(value)?.name || "No project";
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "deadline") return new Date(value).toLocaleString();
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "priority") return PRIORITY_LABELS[value] || value;
+  if (typeof value === "boolean") return value ? "on" : "off";
+  if (field === "reminders") return value.map(m => formatOffset(m)).join(", ") || "none";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Collapsible per-task change log (newest first)
+ */
+export default function ChangeLog({ entries = [] }) {
+  const { getProject } = useProjects();
+
+  if (entries.length === 0) return null;
+
+  return (
+    <details className="change-log">
+      <summary>✎ {entries.length} change{entries.length > 1 ? "s" : ""}</summary>
+      <ul>
+        {[...entries].reverse().map((entry, index) => (
+          <li key={`${entry.at}-${entry.field}-${index}`}>
+            <time>{new Date(entry.at).toLocaleString()}</time>{" "}
+            <strong>{entry.field}</strong>:{" "}
+            {formatValue(entry.field, entry.from, getProject)} → {formatValue(entry.field, entry.to, getProject)}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
@@ -0,0 +1,173 @@
+import { useState } from "react";
+import { useTaskContext } from "../context/TaskContext";
+import { useHistory } from "../context/HistoryContext";
+import { useProjects } from "../context/ProjectContext";
+import { getTodayKey } from "../utils/dateUtils";
+import { createBackup, parseImportFile, planImport, CONFLICT_RESOLUTIONS } from "../utils/backup";
+import { tasksToCsv } from "../utils/csv";
+import { tasksToIcs } from "../utils/ical";
+import CalendarFeed from "./CalendarFeed";
+
+const FIELD_LABELS = {
+  title: "title",
+  deadline: "deadline",
+  priority: "priority",
+  completed: "status",
+  tags: "tags",
+  reminders: "reminders",
+  recurrence: "repeat",
+  subtasks: "subtasks",
+  projectId: "project",
+};
+
+/**
+ * Save a string as a file (no server round trip)
+ */
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export / import
+ *
+ * Import is two steps: picking a file only shows a preview (what's new,
+ * what's already here, what conflicts); nothing changes until "Import".
+ * The import itself can be undone like any other action.
+ */
+export default function DataPanel() {
+  const { tasks, importTasks } = useTaskContext();
+  const { history, importHistory } = useHistory();
+  const { projects } = useProjects();
+
+  const [preview, setPreview] = useState(null);
+  const [resolution, setResolution] = useState("keep");
+  const [withHistory, setWithHistory] = useState(true);
+  const [message, setMessage] = useState("");
+
+  const stamp = getTodayKey();
+
+  const exportJson = () => {
+    const backup = createBackup(tasks, history);
+    download(`task-reminder-${stamp}.json`, JSON.stringify(backup, null, 2), "application/json");
+  };
+  const exportCsv = () => download(`task-reminder-${stamp}.csv`, tasksToCsv(tasks), "text/csv");
+  const exportIcs = (component) =>
+    download(`task-reminder-${stamp}.ics`, tasksToIcs(tasks, { component }), "text/calendar");
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setMessage("");
+    try {
+      const parsed = parseImportFile(await file.text(), file.name);
+      setPreview({ ...parsed, filename: file.name, plan: planImport(tasks, parsed.tasks) });
+    } catch (error) {
+      setPreview(null);
+      setMessage(error.name === "ImportError" ? error.message : `Could not read ${file.name}`);
+      console.error("[Import] Failed:", error);
+    }
+  };
+
+  const confirmImport = () => {
+    const { added, replaced } = importTasks(preview.plan, {
+      resolution,
+      projectIds: projects.map(p => p.id),
+    });
+    if (preview.history && withHistory) importHistory(preview.history);
+
+    setMessage(`Imported ${added} new and updated ${replaced} existing tasks.`);
+    setPreview(null);
+  };
+
+  const count = (status) => preview.plan.filter(item => item.status === status).length;
+  const conflicts = preview ? preview.plan.filter(item => item.status === "conflict") : [];
+
+  return (
+    <details className="data-panel">
+      <summary>💾 Export / import</summary>
+
+      <div className="data-actions">
+        <button onClick={exportJson}>Backup (.json)</button>
+        <button onClick={exportCsv} disabled={tasks.length === 0}>Spreadsheet (.csv)</button>
+        <button onClick={() => exportIcs("VTODO")} disabled={tasks.length === 0}>Tasks (.ics)</button>
+        <button onClick={() => exportIcs("VEVENT")} disabled={tasks.length === 0}>Calendar events (.ics)</button>
+      </div>
+
+      <CalendarFeed />
+
+      <label className="data-import">
+        Import from file
+        <input type="file" accept=".json,.csv,.ics,application/json,text/csv,text/calendar" onChange={handleFile} />
+      </label>
+
+      {message && <p className="data-hint" role="status">{message}</p>}
+
+      {preview && (
+        <div className="import-preview">
+          <p>
+            <strong>{preview.filename}</strong>: {count("new")} new, {count("identical")} already here,{" "}
+            {conflicts.length} conflicting
+            {preview.skipped.length > 0 && `, ${preview.skipped.length} skipped`}
+          </p>
+
+          {conflicts.length > 0 && (
+            <>
+              <ul>
+                {conflicts.map(item => (
+                  <li key={item.match.id}>
+                    <span className="data-title">{item.match.title}</span>
+                    <span className="data-hint">
+                      differs in {item.differences.map(field => FIELD_LABELS[field]).join(", ")}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <label>
+                Conflicts:{" "}
+                <select value={resolution} onChange={(e) => setResolution(e.target.value)}>
+                  {Object.entries(CONFLICT_RESOLUTIONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+
+          {preview.skipped.length > 0 && (
+            <ul className="data-hint">
+              {preview.skipped.map(({ row, title, reason }) => (
+                <li key={row}>
+                  Skipped {typeof row === "number" ? `#${row}` : row}
+                  {title && ` "${title}"`}: {reason}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {preview.history && (
+            <label>
+              <input
+                type="checkbox"
+                checked={withHistory}
+                onChange={(e) => setWithHistory(e.target.checked)}
+              />
+              Also merge history ({Object.keys(preview.history).length} days)
+            </label>
+          )}
+
+          <div className="data-actions">
+            <button onClick={confirmImport}>Import</button>
+            <button onClick={() => setPreview(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,42 @@
+import { useContext } from "react";
+import { TaskContext } from "../context/TaskContext";
+import { wouldCreateCycle } from "../utils/dependencies";
+
+/**
+ * Choose which open tasks a task waits for
+ *
+ * Tasks that would close a loop (they already wait for this one) are
+ * shown disabled instead of hidden, so it's clear why they can't be picked.
+ */
+export default function DependencyPicker({ taskId, value, onChange }) {
+  const { tasks } = useContext(TaskContext);
+  // Without this task's current links, like sanitizeDependencies()
+  const graph = tasks.map(t => (t.id === taskId ? { ...t, dependsOn: [] } : t));
+  const candidates = tasks.filter(t => t.id !== taskId && (!t.completed || value.includes(t.id)));
+
+  if (candidates.length === 0) return null;
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter(d => d !== id) : [...value, id]);
+  };
+
+  return (
+    <fieldset className="dependency-picker">
+      <legend>Waits for</legend>
+      {candidates.map(t => {
+        const cycle = !value.includes(t.id) && wouldCreateCycle(graph, taskId, t.id);
+        return (
+          <label key={t.id} className={cycle ? "disabled" : ""} title={cycle ? `"${t.title}" already waits for this task` : ""}>
+            <input
+              type="checkbox"
+              checked={value.includes(t.id)}
+              disabled={cycle}
+              onChange={() => toggle(t.id)}
+            />
+            {t.title}
+          </label>
+        );
+      })}
+    </fieldset>
+  );
+}
@@ -0,0 +1,19 @@
+import { PRIORITIES, PRIORITY_LABELS } from "../utils/priority";
+
+/**
+ * Priority dropdown shared by the add and edit forms
+ */
+export default function PrioritySelect({ value, onChange }) {
+  return (
+    <select
+      className="priority-select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label="Priority"
+    >
+      {PRIORITIES.map(p => (
+        <option key={p} value={p}>{PRIORITY_LABELS[p]} priority</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { useProjects } from "../context/ProjectContext";
+import { PROJECT_COLORS } from "../utils/projects";
+
+/**
+ * One editable project row - the name is saved on blur / Enter
+ */
+function ProjectRow({ project, updateProject, archiveProject }) {
+  const [name, setName] = useState(project.name);
+
+  const saveName = () => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== project.name) {
+      updateProject(project.id, { name: trimmed });
+    } else {
+      setName(project.name);
+    }
+  };
+
+  return (
+    <li className={project.archived ? "archived" : ""}>
+      <input
+        type="color"
+        value={project.color}
+        onChange={(e) => updateProject(project.id, { color: e.target.value })}
+        aria-label={`Color of ${project.name}`}
+      />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={saveName}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        aria-label="Project name"
+      />
+      <button onClick={() => archiveProject(project.id, !project.archived)}>
+        {project.archived ? "Restore" : "Archive"}
+      </button>
+    </li>
+  );
+}
+
+/**
+ * Create, rename, recolor and archive projects
+ */
+export default function ProjectManager() {
+  const { projects, addProject, updateProject, archiveProject } = useProjects();
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(PROJECT_COLORS[0]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    addProject(name, color);
+    setName("");
+    setColor(PROJECT_COLORS[(projects.length + 1) % PROJECT_COLORS.length]);
+  };
+
+  return (
+    <details className="project-manager">
+      <summary>📁 Projects ({projects.filter(p => !p.archived).length})</summary>
+
+      <ul>
+        {projects.map(project => (
+          <ProjectRow
+            key={project.id}
+            project={project}
+            updateProject={updateProject}
+            archiveProject={archiveProject}
+          />
+        ))}
+      </ul>
+
+      <form onSubmit={handleSubmit}>
+        <input
+          type="color"
+          value={color}
+          onChange={(e) => setColor(e.target.value)}
+          aria-label="New project color"
+        />
+        <input
+          placeholder="New project"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit">Add project</button>
+      </form>
+    </details>
+  );
+}
@@ -0,0 +1,26 @@
+import { useProjects } from "../context/ProjectContext";
+
+/**
+ * Project dropdown shared by the add and edit forms
+ *
+ * Archived projects are hidden unless the task already belongs to one.
+ */
+export default function ProjectSelect({ value, onChange }) {
+  const { activeProjects, getProject } = useProjects();
+  const current = getProject(value);
+  const options = current?.archived ? [...activeProjects, current] : activeProjects;
+
+  return (
+    <select
+      className="project-select"
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+      aria-label="Project"
+    >
+      <option value="">No project</option>
+      {options.map(p => (
+        <option key={p.id} value={p.id}>{p.name}</option>
+      ))}
+    </select>
+  );
+}
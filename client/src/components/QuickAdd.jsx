@@ -0,0 +1,58 @@
+import { useState, useContext, useMemo } from "react";
+import { TaskContext } from "../context/TaskContext";
+import { useSettings } from "../context/SettingsContext";
+import { parseQuickAdd } from "../utils/quickAdd";
+import { describeRecurrence } from "../utils/recurrence";
+import { DEFAULT_PRIORITY, PRIORITY_LABELS } from "../utils/priority";
+
+/**
+ * One-line task entry: "Submit report tomorrow 5pm #work !high every friday"
+ *
+ * Parsing happens on every keystroke (utils/quickAdd.js, no server), and
+ * the preview shows exactly what Enter will save.
+ */
+export default function QuickAdd() {
+  const { addTask } = useContext(TaskContext);
+  const { settings } = useSettings();
+  const [text, setText] = useState("");
+
+  const parsed = useMemo(() => parseQuickAdd(text), [text]);
+  const canAdd = Boolean(parsed.title && parsed.deadline);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const task = parseQuickAdd(text);
+    if (!task.title || !task.deadline) return;
+
+    addTask({
+      ...task,
+      priority: task.priority || DEFAULT_PRIORITY,
+      reminders: settings.defaultReminders,
+    });
+    setText("");
+  };
+
+  return (
+    <form className="quick-add" onSubmit={handleSubmit}>
+      <input
+        placeholder='Quick add: "Submit report tomorrow 5pm #work !high every friday"'
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        aria-label="Quick add"
+      />
+      <button type="submit" disabled={!canAdd}>Add</button>
+
+      {text.trim() && (
+        <div className="quick-add-preview" aria-live="polite">
+          <span><strong>{parsed.title || "(no title)"}</strong></span>
+          <span>
+            📅 {parsed.deadline ? new Date(parsed.deadline).toLocaleString() : "add a date or time"}
+          </span>
+          {parsed.priority && <span>❗ {PRIORITY_LABELS[parsed.priority]}</span>}
+          {parsed.tags.map(tag => <span key={tag}>#{tag}</span>)}
+          {parsed.recurrence && <span>🔁 {describeRecurrence(parsed.recurrence)}</span>}
+        </div>
+      )}
+    </form>
+  );
+}
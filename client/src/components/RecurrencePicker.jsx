@@ -0,0 +1,99 @@
+import { WEEKDAY_LABELS } from "../utils/recurrence";
+
+const PRESETS = [
+  { value: "none", label: "Does not repeat" },
+  { value: "daily", label: "Daily" },
+  { value: "weekdays", label: "Every weekday" },
+  { value: "weekly", label: "Weekly on..." },
+  { value: "monthly", label: "Monthly" },
+  { value: "interval", label: "Every N days" },
+];
+
+/**
+ * Controlled repeat-rule editor
+ *
+ * Edits a recurrence DRAFT (preset + raw inputs), not the final rule.
+ * The parent turns it into a rule with createRecurrenceRule() on submit,
+ * so the rule is anchored to whatever deadline is chosen last.
+ */
+export default function RecurrencePicker({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const days = value.byWeekday.includes(day)
+      ? value.byWeekday.filter(d => d !== day)
+      : [...value.byWeekday, day];
+    update({ byWeekday: days });
+  };
+
+  return (
+    <div className="recurrence-picker">
+      <select
+        value={value.preset}
+        onChange={(e) => update({ preset: e.target.value })}
+      >
+        {PRESETS.map(p => (
+          <option key={p.value} value={p.value}>{p.label}</option>
+        ))}
+      </select>
+
+      {value.preset === "interval" && (
+        <label>
+          every
+          <input
+            type="number"
+            min="1"
+            value={value.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+          />
+          days
+        </label>
+      )}
+
+      {value.preset === "weekly" && (
+        <div className="weekday-toggles">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <label key={label}>
+              <input
+                type="checkbox"
+                checked={value.byWeekday.includes(day)}
+                onChange={() => toggleWeekday(day)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {value.preset !== "none" && (
+        <div className="recurrence-end">
+          <select
+            value={value.endType}
+            onChange={(e) => update({ endType: e.target.value })}
+          >
+            <option value="never">Forever</option>
+            <option value="until">Until date</option>
+            <option value="count">Number of times</option>
+          </select>
+
+          {value.endType === "until" && (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+            />
+          )}
+
+          {value.endType === "count" && (
+            <input
+              type="number"
+              min="1"
+              value={value.count}
+              onChange={(e) => update({ count: e.target.value })}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
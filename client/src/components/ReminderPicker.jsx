@@ -0,0 +1,45 @@
+import { formatOffset } from "../utils/dateUtils";
+
+// Common offsets in minutes
+const OFFSET_OPTIONS = [5, 10, 15, 30, 60, 120, 24 * 60, 2 * 24 * 60, 7 * 24 * 60];
+
+/**
+ * Controlled list of reminder offsets (minutes before the deadline)
+ */
+export default function ReminderPicker({ value = [], onChange }) {
+  const available = OFFSET_OPTIONS.filter(minutes => !value.includes(minutes));
+
+  const add = (minutes) => {
+    onChange([...value, minutes].sort((a, b) => b - a));
+  };
+
+  const remove = (minutes) => {
+    onChange(value.filter(m => m !== minutes));
+  };
+
+  return (
+    <div className="reminder-picker">
+      <span className="reminder-label">🔔</span>
+      {value.map(minutes => (
+        <span key={minutes} className="chip">
+          {formatOffset(minutes)} before
+          <button type="button" onClick={() => remove(minutes)} aria-label="Remove reminder">
+            ×
+          </button>
+        </span>
+      ))}
+
+      {available.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && add(Number(e.target.value))}
+        >
+          <option value="">+ Reminder</option>
+          {available.map(minutes => (
+            <option key={minutes} value={minutes}>{formatOffset(minutes)} before</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useSettings } from "../context/SettingsContext";
+import ReminderPicker from "./ReminderPicker";
+import { TRASH_RETENTION_OPTIONS } from "../utils/trash";
+
+// Match COACH_PERSONAS / COACH_TONES in server/ai/prompts.js
+const COACH_PERSONAS = [
+  ["coach", "Discipline coach"],
+  ["mentor", "Mentor"],
+  ["friend", "Friend"],
+];
+const COACH_TONES = [
+  ["supportive", "Supportive"],
+  ["neutral", "Neutral"],
+  ["strict", "Strict"],
+];
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Older browsers can't list zones - they just get the device default
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function"
+  ? Intl.supportedValuesOf("timeZone")
+  : [];
+
+export default function SettingsPanel() {
+  const { settings, updateSettings } = useSettings();
+
+  return (
+    <details className="settings-panel">
+      <summary>⚙️ Settings</summary>
+
+      <div className="setting">
+        <label>Default reminders for new tasks</label>
+        <ReminderPicker
+          value={settings.defaultReminders}
+          onChange={(defaultReminders) => updateSettings({ defaultReminders })}
+        />
+      </div>
+
+      <div className="setting">
+        <label htmlFor="score-mode">Discipline score</label>
+        <select
+          id="score-mode"
+          value={settings.scoreMode}
+          onChange={(e) => updateSettings({ scoreMode: e.target.value })}
+        >
+          <option value="simple">Simple (every task counts the same)</option>
+          <option value="weighted">Weighted by priority</option>
+        </select>
+      </div>
+
+      <div className="setting">
+        <label htmlFor="daily-goal">Daily goal (tasks completed to keep the streak)</label>
+        <input
+          id="daily-goal"
+          type="number"
+          min="1"
+          max="50"
+          value={settings.dailyGoal}
+          onChange={(e) => {
+            const dailyGoal = Math.max(1, Math.floor(Number(e.target.value)) || 1);
+            updateSettings({ dailyGoal });
+          }}
+        />
+      </div>
+
+      <div className="setting">
+        <label htmlFor="trash-retention">Keep deleted tasks in the trash for</label>
+        <select
+          id="trash-retention"
+          value={settings.trashRetentionDays}
+          onChange={(e) => updateSettings({ trashRetentionDays: Number(e.target.value) })}
+        >
+          {TRASH_RETENTION_OPTIONS.map(days => (
+            <option key={days} value={days}>{days} days</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting">
+        <label htmlFor="coach-persona">Missed-task coach</label>
+        <select
+          id="coach-persona"
+          value={settings.coachPersona}
+          onChange={(e) => updateSettings({ coachPersona: e.target.value })}
+        >
+          {COACH_PERSONAS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting">
+        <label htmlFor="coach-tone">Coaching tone</label>
+        <select
+          id="coach-tone"
+          value={settings.coachTone}
+          onChange={(e) => updateSettings({ coachTone: e.target.value })}
+        >
+          {COACH_TONES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting">
+        <label htmlFor="morning-plan-time">Today's plan notification at (empty = off)</label>
+        <input
+          id="morning-plan-time"
+          type="time"
+          value={settings.morningPlanTime || ""}
+          onChange={(e) => updateSettings({ morningPlanTime: e.target.value || null })}
+        />
+      </div>
+
+      <div className="setting">
+        <label htmlFor="daily-summary-time">End-of-day summary at (empty = off)</label>
+        <input
+          id="daily-summary-time"
+          type="time"
+          value={settings.dailySummaryTime || ""}
+          onChange={(e) => updateSettings({ dailySummaryTime: e.target.value || null })}
+        />
+      </div>
+
+      <div className="setting">
+        <label htmlFor="weekly-review-day">Weekly review</label>
+        <select
+          id="weekly-review-day"
+          value={settings.weeklyReviewDay ?? ""}
+          onChange={(e) => updateSettings({ weeklyReviewDay: e.target.value === "" ? null : Number(e.target.value) })}
+        >
+          <option value="">Only when I ask</option>
+          {WEEKDAYS.map((day, index) => (
+            <option key={day} value={index}>Every {day}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting">
+        <label htmlFor="time-zone">Day starts at midnight in</label>
+        <select
+          id="time-zone"
+          value={settings.timeZone || ""}
+          onChange={(e) => updateSettings({ timeZone: e.target.value || null })}
+        >
+          <option value="">This device's timezone</option>
+          {TIME_ZONES.map(zone => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, " ")}</option>
+          ))}
+        </select>
+      </div>
+    </details>
+  );
+}
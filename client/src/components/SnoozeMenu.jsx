@@ -0,0 +1,49 @@
+import { useState } from "react";
+import { SNOOZE_OPTIONS, getSnoozeDeadline, toLocalInputValue } from "../utils/dateUtils";
+
+/**
+ * Snooze presets + "reschedule to" a custom time for an overdue task
+ */
+export default function SnoozeMenu({ task, onReschedule }) {
+  const [custom, setCustom] = useState(false);
+  const [deadline, setDeadline] = useState("");
+
+  if (custom) {
+    return (
+      <div className="snooze-menu">
+        <input
+          type="datetime-local"
+          value={deadline}
+          min={toLocalInputValue(new Date())}
+          onChange={(e) => setDeadline(e.target.value)}
+        />
+        <button
+          disabled={!deadline}
+          onClick={() => {
+            onReschedule(task.id, deadline);
+            setCustom(false);
+            setDeadline("");
+          }}
+        >
+          Reschedule
+        </button>
+        <button onClick={() => setCustom(false)}>Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="snooze-menu">
+      <span>💤 Snooze:</span>
+      {SNOOZE_OPTIONS.map(option => (
+        <button
+          key={option.value}
+          onClick={() => onReschedule(task.id, getSnoozeDeadline(option.value))}
+        >
+          {option.label}
+        </button>
+      ))}
+      <button onClick={() => setCustom(true)}>Reschedule to…</button>
+    </div>
+  );
+}
@@ -1,24 +1,71 @@
 import { useContext } from "react";
 import { TaskContext } from "../context/TaskContext";
 import { useHistory } from "../context/HistoryContext";
+import { useSettings } from "../context/SettingsContext";
+import { useProjects } from "../context/ProjectContext";
+import { isOverdue, formatDateKey } from "../utils/dateUtils";
+import { computeCompletionScore } from "../utils/priority";
+import { filterTasks, isProjectFilter, DEFAULT_FILTER, NO_PROJECT } from "../utils/projects";
+
+export default function StatsPanel({ filter = DEFAULT_FILTER }) {
+  const { tasks, disciplineScore, pendingCount, overdueCount } = useContext(TaskContext);
+  const { getRecoveryDebt, getTodayStats, getOverallCompletionRate, getStreak } = useHistory();
+  const { settings } = useSettings();
+  const { getProject } = useProjects();
+
+  // Narrowed view: task numbers follow the filter, history numbers follow
+  // the project (history is counted per project, not per tag)
+  const filtered = isProjectFilter(filter) || filter.tag;
+  const scopedTasks = filtered ? filterTasks(tasks, filter) : tasks;
+  const historyProjectId = isProjectFilter(filter) && filter.projectId !== NO_PROJECT
+    ? filter.projectId
+    : null;
+  const project = getProject(historyProjectId);
+
+  const score = filtered ? computeCompletionScore(scopedTasks, settings.scoreMode) : disciplineScore;
+  const pending = filtered
+    ? scopedTasks.filter(t => !t.completed && !isOverdue(t.deadline)).length
+    : pendingCount;
+  const overdue = filtered
+    ? scopedTasks.filter(t => !t.completed && isOverdue(t.deadline)).length
+    : overdueCount;
 
-export default function StatsPanel() {
-  const { disciplineScore, streak, pendingCount, overdueCount } = useContext(TaskContext);
-  const { getRecoveryDebt, getTodayStats, getOverallCompletionRate } = useHistory();
-  
   const recoveryDebt = getRecoveryDebt();
-  const todayStats = getTodayStats();
-  const overallRate = getOverallCompletionRate();
+  const todayStats = getTodayStats(historyProjectId);
+  const overallRate = getOverallCompletionRate(historyProjectId);
+  // Always across all projects - the daily goal is for the whole day
+  const streak = getStreak();
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
 
   return (
     <div className="stats">
-      <h2>Completion Score: {disciplineScore}%</h2>
-      <h3>🔥 Streak: {streak}</h3>
+      {filtered && (
+        <p className="stats-scope">
+          Showing {project ? project.name : filter.projectId === NO_PROJECT ? "tasks without a project" : "all projects"}
+          {filter.tag && ` · #${filter.tag}`}
+        </p>
+      )}
+      <h2>Completion Score: {score}%</h2>
+      <h3>🔥 Streak: {plural(streak.current, "day")}</h3>
+      <p className="streak-goal">
+        Goal: {plural(settings.dailyGoal, "task")} a day · 🏆 Best: {plural(streak.best, "day")}
+      </p>
+      {streak.broken && (
+        <p className="streak-broken">
+          💔 Your {plural(streak.broken.length, "day")} streak ended on {formatDateKey(streak.broken.on)}
+        </p>
+      )}
       
       <div className="stats-details">
-        <p>📋 Pending: {pendingCount}</p>
-        <p>⚠️ Overdue: {overdueCount}</p>
+        <p>📋 Pending: {pending}</p>
+        <p>⚠️ Overdue: {overdue}</p>
         <p>✅ Today: {todayStats.completed} completed</p>
+        {todayStats.subtasks > 0 && (
+          <p>☑️ Today: {todayStats.subtasks} subtasks checked</p>
+        )}
+        {todayStats.rescheduled > 0 && (
+          <p>↻ Today: {todayStats.rescheduled} rescheduled</p>
+        )}
         <p>📊 Overall: {overallRate}%</p>
         
         {recoveryDebt > 0 && (
@@ -0,0 +1,78 @@
+import { useState } from "react";
+
+/**
+ * Checklist inside a task card, with a progress bar
+ *
+ * Subtasks keep their order; ↑/↓ move them. Checking the last open one
+ * completes the parent when task.autoComplete is on.
+ */
+export default function SubtaskList({ task, onToggle, onAdd, onRemove, onMove, onAutoCompleteChange }) {
+  const [title, setTitle] = useState("");
+  const subtasks = task.subtasks || [];
+  const doneCount = subtasks.filter(s => s.done).length;
+  const progress = subtasks.length > 0 ? Math.round((doneCount / subtasks.length) * 100) : 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    onAdd(title);
+    setTitle("");
+  };
+
+  return (
+    <div className="subtasks">
+      {subtasks.length > 0 && (
+        <>
+          <div className="subtask-progress" title={`${doneCount} of ${subtasks.length} done`}>
+            <div className="subtask-progress-bar" style={{ width: `${progress}%` }} />
+          </div>
+          <p className="subtask-count">{doneCount}/{subtasks.length} subtasks</p>
+
+          <ul>
+            {subtasks.map((subtask, index) => (
+              <li key={subtask.id} className={subtask.done ? "done" : ""}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={subtask.done}
+                    onChange={() => onToggle(subtask.id)}
+                    disabled={task.completed}
+                  />
+                  {subtask.title}
+                </label>
+                {!task.completed && (
+                  <span className="subtask-actions">
+                    <button type="button" onClick={() => onMove(subtask.id, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+                    <button type="button" onClick={() => onMove(subtask.id, 1)} disabled={index === subtasks.length - 1} aria-label="Move down">↓</button>
+                    <button type="button" onClick={() => onRemove(subtask.id)} aria-label="Remove subtask">×</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {!task.completed && (
+        <form className="subtask-add" onSubmit={handleSubmit}>
+          <input
+            placeholder="Add subtask"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+          <button type="submit">+</button>
+          {subtasks.length > 0 && (
+            <label className="subtask-auto">
+              <input
+                type="checkbox"
+                checked={Boolean(task.autoComplete)}
+                onChange={(e) => onAutoCompleteChange(e.target.checked)}
+              />
+              Complete when all done
+            </label>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from "react";
+import { createRecurrenceDraft, ruleFromDraft } from "../utils/recurrence";
+import { DEFAULT_PRIORITY } from "../utils/priority";
+import { parseTags } from "../utils/projects";
+import RecurrencePicker from "./RecurrencePicker";
+import ReminderPicker from "./ReminderPicker";
+import PrioritySelect from "./PrioritySelect";
+import ProjectSelect from "./ProjectSelect";
+import DependencyPicker from "./DependencyPicker";
+
+/**
+ * Inline editor shown in place of a task card's details
+ */
+export default function TaskEditForm({ task, onSave, onCancel }) {
+  const [title, setTitle] = useState(task.title);
+  const [deadline, setDeadline] = useState(task.deadline);
+  const [priority, setPriority] = useState(task.priority || DEFAULT_PRIORITY);
+  const [projectId, setProjectId] = useState(task.projectId ?? null);
+  const [tags, setTags] = useState((task.tags || []).join(", "));
+  const [autoComplete, setAutoComplete] = useState(Boolean(task.autoComplete));
+  const [dependsOn, setDependsOn] = useState(task.dependsOn || []);
+  const [repeat, setRepeat] = useState(() => createRecurrenceDraft(task.recurrence));
+  const [reminders, setReminders] = useState(task.reminders || []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim() || !deadline) return;
+
+    // Keep the series anchor unless the deadline moved - otherwise an
+    // unrelated edit would show up as a recurrence change
+    const anchor = deadline === task.deadline
+      ? task.recurrence?.start || deadline
+      : deadline;
+
+    onSave({
+      title: title.trim(),
+      deadline,
+      priority,
+      projectId,
+      tags: parseTags(tags),
+      autoComplete,
+      dependsOn,
+      recurrence: ruleFromDraft(repeat, anchor),
+      reminders,
+    });
+  };
+
+  return (
+    <form className="task-edit-form" onSubmit={handleSubmit}>
+      <input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        aria-label="Title"
+      />
+      <input
+        type="datetime-local"
+        value={deadline}
+        onChange={(e) => setDeadline(e.target.value)}
+        aria-label="Deadline"
+      />
+      <PrioritySelect value={priority} onChange={setPriority} />
+      <ProjectSelect value={projectId} onChange={setProjectId} />
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags"
+        aria-label="Tags"
+      />
+      <label className="subtask-auto">
+        <input
+          type="checkbox"
+          checked={autoComplete}
+          onChange={(e) => setAutoComplete(e.target.checked)}
+        />
+        Complete when all subtasks are done
+      </label>
+      <DependencyPicker taskId={task.id} value={dependsOn} onChange={setDependsOn} />
+      <RecurrencePicker value={repeat} onChange={setRepeat} />
+      <ReminderPicker value={reminders} onChange={setReminders} />
+
+      <div className="form-actions">
+        <button type="submit" className="btn-complete">Save</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
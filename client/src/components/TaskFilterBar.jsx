@@ -0,0 +1,44 @@
+import { useProjects } from "../context/ProjectContext";
+import { ALL_PROJECTS, NO_PROJECT } from "../utils/projects";
+
+/**
+ * Project + tag filter for the task list, stats and chart
+ */
+export default function TaskFilterBar({ filter, onChange, tags }) {
+  const { activeProjects, projects } = useProjects();
+  const archived = projects.filter(p => p.archived);
+
+  return (
+    <div className="task-filter-bar">
+      <select
+        value={filter.projectId}
+        onChange={(e) => onChange({ ...filter, projectId: e.target.value })}
+        aria-label="Filter by project"
+      >
+        <option value={ALL_PROJECTS}>All projects</option>
+        <option value={NO_PROJECT}>No project</option>
+        {activeProjects.map(p => (
+          <option key={p.id} value={String(p.id)}>{p.name}</option>
+        ))}
+        {archived.length > 0 && (
+          <optgroup label="Archived">
+            {archived.map(p => (
+              <option key={p.id} value={String(p.id)}>{p.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      <select
+        value={filter.tag}
+        onChange={(e) => onChange({ ...filter, tag: e.target.value })}
+        aria-label="Filter by tag"
+      >
+        <option value="">All tags</option>
+        {tags.map(tag => (
+          <option key={tag} value={tag}>#{tag}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
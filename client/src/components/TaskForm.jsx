@@ -1,19 +1,48 @@
 import { useState, useContext } from "react";
 import { TaskContext } from "../context/TaskContext";
+import { useSettings } from "../context/SettingsContext";
+import { createRecurrenceDraft, ruleFromDraft } from "../utils/recurrence";
+import { DEFAULT_PRIORITY } from "../utils/priority";
+import { parseTags } from "../utils/projects";
+import RecurrencePicker from "./RecurrencePicker";
+import ReminderPicker from "./ReminderPicker";
+import PrioritySelect from "./PrioritySelect";
+import ProjectSelect from "./ProjectSelect";
 
 export default function TaskForm() {
   const { addTask } = useContext(TaskContext);
+  const { settings } = useSettings();
 
   const [title, setTitle] = useState("");
   const [deadline, setDeadline] = useState("");
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [projectId, setProjectId] = useState(null);
+  const [tags, setTags] = useState("");
+  const [checklist, setChecklist] = useState("");
+  const [repeat, setRepeat] = useState(() => createRecurrenceDraft());
+  const [reminders, setReminders] = useState(settings.defaultReminders);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!title || !deadline) return;
 
-    addTask({ title, deadline });
+    addTask({
+      title,
+      deadline,
+      priority,
+      projectId,
+      tags: parseTags(tags),
+      subtasks: checklist.split("\n").map(line => line.trim()).filter(Boolean),
+      reminders,
+      recurrence: ruleFromDraft(repeat, deadline),
+    });
     setTitle("");
     setDeadline("");
+    setPriority(DEFAULT_PRIORITY);
+    setTags("");
+    setChecklist("");
+    setRepeat(createRecurrenceDraft());
+    setReminders(settings.defaultReminders);
   };
 
   return (
@@ -28,6 +57,21 @@ export default function TaskForm() {
         value={deadline}
         onChange={(e) => setDeadline(e.target.value)}
       />
+      <PrioritySelect value={priority} onChange={setPriority} />
+      <ProjectSelect value={projectId} onChange={setProjectId} />
+      <input
+        placeholder="Tags (e.g. work, errands)"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <textarea
+        placeholder="Checklist (one subtask per line, optional)"
+        rows={2}
+        value={checklist}
+        onChange={(e) => setChecklist(e.target.value)}
+      />
+      <RecurrencePicker value={repeat} onChange={setRepeat} />
+      <ReminderPicker value={reminders} onChange={setReminders} />
       <button type="submit">Add Task</button>
     </form>
   );
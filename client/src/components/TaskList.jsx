@@ -1,39 +1,188 @@
-import { useContext, useState, useEffect } from "react";
+import { useContext, useState, useEffect, useMemo } from "react";
 import { TaskContext } from "../context/TaskContext";
-import { checkOverdue, generateWarning } from "./AIEngine";
+import { useProjects } from "../context/ProjectContext";
+import { useHistory } from "../context/HistoryContext";
+import { useSettings } from "../context/SettingsContext";
+import { checkOverdue, generateWarning, buildCoachContext, COACH_HISTORY_DAYS } from "./AIEngine";
+import { describeRecurrence } from "../utils/recurrence";
+import { formatOffset } from "../utils/dateUtils";
+import { compareByPriorityAndUrgency, DEFAULT_PRIORITY, PRIORITY_LABELS } from "../utils/priority";
+import { filterTasks, DEFAULT_FILTER } from "../utils/projects";
+import { getBlockers, getDeadlineConflicts } from "../utils/dependencies";
+import SnoozeMenu from "./SnoozeMenu";
+import TaskEditForm from "./TaskEditForm";
+import ChangeLog from "./ChangeLog";
+import SubtaskList from "./SubtaskList";
+import BreakdownPanel from "./BreakdownPanel";
 
-function TaskCard({ task, completeTask, deleteTask }) {
+function TaskCard({ task, project, blockers, conflicts, actions, focused, onTagClick }) {
+  const { completeTask, reopenTask, deleteTask, rescheduleTask, updateTask } = actions;
+  const [editing, setEditing] = useState(false);
+  const [breakingDown, setBreakingDown] = useState(false);
   const [warning, setWarning] = useState("");
   const [loading, setLoading] = useState(false);
   const overdue = checkOverdue(task);
+  const priority = task.priority || DEFAULT_PRIORITY;
 
+  const { getRecentStats, getStreak } = useHistory();
+  const { settings } = useSettings();
+
+  // Written for this deadline already (see saveWarning in TaskContext)
+  const storedWarning = task.aiWarning?.deadline === task.deadline ? task.aiWarning.message : null;
+
+  // One warning per missed deadline, shown as it streams in. Keyed on the
+  // deadline rather than the whole task, so ticking a subtask doesn't ask
+  // again - and a reschedule that is still overdue does.
   useEffect(() => {
-    if (overdue && !warning) {
-      setLoading(true);
-      generateWarning(task).then((msg) => {
-        setWarning(msg);
-        setLoading(false);
-      });
-    }
-  }, [overdue, task, warning]);
+    if (!overdue || storedWarning) return;
+
+    const controller = new AbortController();
+    const context = buildCoachContext(task, {
+      recent: getRecentStats(COACH_HISTORY_DAYS),
+      streak: getStreak(),
+      settings,
+    });
+    const show = (text) => {
+      setWarning(text);
+      setLoading(false);
+    };
+
+    setWarning("");
+    setLoading(true);
+    generateWarning(context, { onDelta: show, signal: controller.signal })
+      .then(({ message, offline }) => {
+        show(message);
+        // Offline stand-ins aren't kept, so the server gets asked next time
+        if (!offline) actions.saveWarning(task.id, message);
+      })
+      .catch(() => {}); // Aborted: the card unmounted or the deadline moved
+
+    return () => controller.abort();
+  }, [overdue, task.id, task.deadline, storedWarning]);
+
+  if (editing) {
+    return (
+      <div id={`task-${task.id}`} className="task-card editing">
+        <TaskEditForm
+          task={task}
+          onSave={(changes) => {
+            updateTask(task.id, changes);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      </div>
+    );
+  }
 
   return (
-    <div className="task-card">
-      <h3>{task.title}</h3>
+    <div id={`task-${task.id}`} className={`task-card${focused ? " focused" : ""}${blockers.length > 0 ? " is-blocked" : ""}`}>
+      <h3>
+        <span className={`priority-badge priority-${priority}`}>{PRIORITY_LABELS[priority]}</span>
+        {task.title}
+      </h3>
+      {(project || task.tags?.length > 0) && (
+        <div className="task-labels">
+          {project && (
+            <span className="project-chip" style={{ borderColor: project.color, color: project.color }}>
+              {project.name}
+            </span>
+          )}
+          {(task.tags || []).map(tag => (
+            <button key={tag} type="button" className="tag-chip" onClick={() => onTagClick?.(tag)}>
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
       <p>Deadline: {new Date(task.deadline).toLocaleString()}</p>
+      {task.recurrence && (
+        <p className="recurrence">🔁 {describeRecurrence(task.recurrence)}</p>
+      )}
+      {!task.completed && task.reminders?.length > 0 && (
+        <p className="reminders">
+          🔔 {task.reminders.map(m => formatOffset(m)).join(", ")} before
+        </p>
+      )}
+
+      {blockers.length > 0 && (
+        <p className="blocked">
+          ⛔ Blocked by {blockers.map(b => `"${b.title}"`).join(", ")}
+        </p>
+      )}
+      {conflicts.length > 0 && (
+        <p className="dependency-conflict">
+          ⚠️ Due before {conflicts.map(c => `"${c.title}"`).join(", ")}, which it waits for
+        </p>
+      )}
+
+      {task.rescheduleCount > 0 && (
+        <p className="reschedule-count">↻ Rescheduled {task.rescheduleCount}×</p>
+      )}
 
       {overdue && (
         <p className="warning">
-          {loading ? "Loading AI response..." : warning}
+          {storedWarning || (loading ? "Loading AI response..." : warning)}
         </p>
       )}
 
+      {overdue && <SnoozeMenu task={task} onReschedule={rescheduleTask} />}
+
+      <SubtaskList
+        task={task}
+        onToggle={(subtaskId) => actions.toggleSubtask(task.id, subtaskId)}
+        onAdd={(title) => actions.addSubtask(task.id, title)}
+        onRemove={(subtaskId) => actions.removeSubtask(task.id, subtaskId)}
+        onMove={(subtaskId, offset) => actions.moveSubtask(task.id, subtaskId, offset)}
+        onAutoCompleteChange={(autoComplete) => updateTask(task.id, { autoComplete })}
+      />
+
+      <ChangeLog entries={task.changeLog} />
+
+      {breakingDown && (
+        <BreakdownPanel
+          task={task}
+          onAccept={(steps) => {
+            // Each step becomes its own task in the parent's project and tags
+            steps.forEach(step => actions.addTask({
+              ...step,
+              priority: task.priority,
+              projectId: task.projectId,
+              tags: task.tags,
+              reminders: settings.defaultReminders,
+            }));
+            setBreakingDown(false);
+          }}
+          onClose={() => setBreakingDown(false)}
+        />
+      )}
+
       {!task.completed && (
-        <button onClick={() => completeTask(task.id)}>
+        <button
+          onClick={() => completeTask(task.id)}
+          disabled={blockers.length > 0}
+          title={blockers.length > 0 ? "Finish the tasks it waits for first" : ""}
+        >
           Complete
         </button>
       )}
 
+      {task.completed && (
+        <button onClick={() => reopenTask(task.id)}>
+          Reopen
+        </button>
+      )}
+
+      <button onClick={() => setEditing(true)}>
+        Edit
+      </button>
+
+      {!task.completed && !breakingDown && (
+        <button onClick={() => setBreakingDown(true)}>
+          Break down
+        </button>
+      )}
+
       <button onClick={() => deleteTask(task.id)}>
         Delete
       </button>
@@ -41,17 +190,34 @@ function TaskCard({ task, completeTask, deleteTask }) {
   );
 }
 
-export default function TaskList() {
-  const { tasks, completeTask, deleteTask } = useContext(TaskContext);
+export default function TaskList({ focusedTaskId, filter = DEFAULT_FILTER, onTagClick }) {
+  const {
+    tasks, addTask, completeTask, reopenTask, deleteTask, rescheduleTask, updateTask,
+    addSubtask, toggleSubtask, removeSubtask, moveSubtask, saveWarning,
+  } = useContext(TaskContext);
+  const { getProject } = useProjects();
+
+  // Most pressing first: priority weight x deadline urgency, done tasks last
+  const sortedTasks = useMemo(() => {
+    const now = new Date();
+    return filterTasks(tasks, filter).sort((a, b) => compareByPriorityAndUrgency(a, b, now));
+  }, [tasks, filter]);
 
   return (
     <div className="task-list">
-      {tasks.map(task => (
+      {sortedTasks.map(task => (
         <TaskCard
           key={task.id}
           task={task}
-          completeTask={completeTask}
-          deleteTask={deleteTask}
+          project={getProject(task.projectId)}
+          blockers={task.completed ? [] : getBlockers(task, tasks)}
+          conflicts={getDeadlineConflicts(task, tasks)}
+          actions={{
+            addTask, completeTask, reopenTask, deleteTask, rescheduleTask, updateTask,
+            addSubtask, toggleSubtask, removeSubtask, moveSubtask, saveWarning,
+          }}
+          focused={String(task.id) === focusedTaskId}
+          onTagClick={onTagClick}
         />
       ))}
     </div>
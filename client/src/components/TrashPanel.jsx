@@ -0,0 +1,59 @@
+import { useTaskContext } from "../context/TaskContext";
+import { getDaysUntilPurge } from "../utils/trash";
+
+/**
+ * Deleted tasks, restorable until the retention period runs out
+ * 
+ * Also home of "Clear all tasks" and its snapshot - the other way to
+ * get tasks back.
+ */
+export default function TrashPanel() {
+  const {
+    tasks, trash, trashRetentionDays, snapshot,
+    restoreFromTrash, purgeFromTrash, clearAllTasks, restoreSnapshot,
+  } = useTaskContext();
+
+  // Most recently deleted first
+  const entries = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  return (
+    <details className="trash-panel">
+      <summary>🗑️ Trash ({trash.length})</summary>
+
+      {entries.length === 0 ? (
+        <p className="trash-hint">Deleted tasks stay here for {trashRetentionDays} days.</p>
+      ) : (
+        <ul>
+          {entries.map(entry => {
+            const daysLeft = getDaysUntilPurge(entry, trashRetentionDays);
+            return (
+              <li key={entry.task.id}>
+                <span className="trash-title">{entry.task.title}</span>
+                <span className="trash-hint">
+                  deleted {new Date(entry.deletedAt).toLocaleDateString()} ·{" "}
+                  {daysLeft > 0 ? `${daysLeft} day${daysLeft === 1 ? "" : "s"} left` : "goes today"}
+                </span>
+                <button onClick={() => restoreFromTrash(entry.task.id)}>Restore</button>
+                <button onClick={() => purgeFromTrash(entry.task.id)}>Delete forever</button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="trash-actions">
+        {entries.length > 0 && (
+          <button onClick={() => purgeFromTrash()}>Empty trash</button>
+        )}
+        <button onClick={clearAllTasks} disabled={tasks.length === 0}>
+          Clear all tasks…
+        </button>
+        {snapshot && (
+          <button onClick={restoreSnapshot}>
+            Restore {snapshot.tasks.length} tasks cleared {new Date(snapshot.takenAt).toLocaleString()}
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
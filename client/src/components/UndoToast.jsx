@@ -0,0 +1,50 @@
+import { useEffect, useState } from "react";
+import { useTaskContext } from "../context/TaskContext";
+import { useUndoShortcuts } from "../hooks/useUndoShortcuts";
+
+const TOAST_MS = 6000;
+
+const VERBS = {
+  done: "",
+  undone: "Undone: ",
+  redone: "Redone: ",
+};
+
+/**
+ * "Deleted 'Pay rent' · Undo" after every task action
+ * 
+ * Also owns the Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z shortcuts, so they work
+ * wherever the toast is mounted (once, in the Dashboard).
+ */
+export default function UndoToast() {
+  const { undo, redo, canUndo, canRedo, lastAction } = useTaskContext();
+  const [visible, setVisible] = useState(false);
+
+  useUndoShortcuts(undo, redo);
+
+  // Every new action (seq changes) shows the toast again for TOAST_MS
+  useEffect(() => {
+    if (!lastAction) return;
+    setVisible(true);
+    const timeoutId = setTimeout(() => setVisible(false), TOAST_MS);
+    return () => clearTimeout(timeoutId);
+  }, [lastAction]);
+
+  if (!visible || !lastAction) return null;
+
+  const offerRedo = lastAction.kind === "undone";
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{VERBS[lastAction.kind]}{lastAction.label}</span>
+      {offerRedo ? (
+        <button onClick={redo} disabled={!canRedo}>Redo</button>
+      ) : (
+        <button onClick={undo} disabled={!canUndo}>Undo</button>
+      )}
+      <button className="undo-toast-close" onClick={() => setVisible(false)} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
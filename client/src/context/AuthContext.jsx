@@ -0,0 +1,159 @@
+/**
+ * =============================================================================
+ * AUTH CONTEXT - Who is logged in
+ * =============================================================================
+ * 
+ * WHY OUTERMOST PROVIDER?
+ * -----------------------
+ * Task and history data belong to a user. The data providers are only
+ * mounted once someone is logged in, and they are keyed by user id, so
+ * switching accounts throws away every piece of in-memory state.
+ * 
+ * TOKEN STORAGE:
+ * --------------
+ * The JWT lives in localStorage next to the cached data. That keeps the
+ * user logged in across reloads and offline. The trade-off (vs an httpOnly
+ * cookie) is that injected scripts could read it - acceptable for a
+ * single-user productivity app with no third-party scripts.
+ * 
+ * LOGOUT CLEARS THE CACHE:
+ * ------------------------
+ * Every key this app writes starts with "task-reminder-". On logout we
+ * remove all of them, so the next person on this browser never sees the
+ * previous user's tasks - not even for the instant before the server
+ * copy loads.
+ * 
+ * Offline edits are pushed first: the task sync queue to /api/sync, and
+ * history, settings and projects through flushRemoteStores(). If any of
+ * that fails (still offline), the user is asked before they are thrown
+ * away.
+ * 
+ * The browser's push subscription is dropped too (while the token still
+ * works), so the previous user's reminders don't reach the next one.
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback } from "react";
+import * as api from "../utils/api";
+import { unsubscribeFromPush } from "../utils/push";
+import { flushRemoteStores } from "../hooks/useRemoteStore";
+import { loadQueue, loadCursor, getDeviceId } from "../utils/syncQueue";
+
+export const AuthContext = createContext(null);
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+}
+
+const AUTH_STORAGE_KEY = "task-reminder-auth";
+const CACHE_PREFIX = "task-reminder-";
+
+/**
+ * Push the task sync queue (see hooks/useTaskSync.js) before it is cleared
+ * @returns {Promise<number>} - Changes that could not be sent
+ */
+async function flushSyncQueue() {
+  const mutations = loadQueue();
+  if (mutations.length === 0) return 0;
+
+  try {
+    await api.syncTasks({ deviceId: getDeviceId(), since: loadCursor() || 0, mutations });
+    return 0;
+  } catch (error) {
+    console.warn("[Sync] Could not push queued changes before logout:", error.message);
+    return mutations.length;
+  }
+}
+
+/**
+ * Remove every cached key this app wrote
+ */
+function clearCachedData() {
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(CACHE_PREFIX))
+    .forEach(key => localStorage.removeItem(key));
+}
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(() => {
+    try {
+      const saved = localStorage.getItem(AUTH_STORAGE_KEY);
+      const parsed = saved ? JSON.parse(saved) : null;
+      // Set synchronously so the very first API call already carries it
+      api.setAuthToken(parsed?.token || null);
+      return parsed;
+    } catch (error) {
+      console.error("Failed to load session:", error);
+      return null;
+    }
+  });
+
+  const startSession = useCallback(({ token, user }) => {
+    api.setAuthToken(token);
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({ token, user }));
+    setSession({ token, user });
+    console.log(`[Auth] Logged in as ${user.email}`);
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    startSession(await api.login(email, password));
+  }, [startSession]);
+
+  const signup = useCallback(async (email, password) => {
+    startSession(await api.signup(email, password));
+  }, [startSession]);
+
+  const endSession = useCallback(() => {
+    api.setAuthToken(null);
+    clearCachedData();
+    setSession(null);
+    console.log("[Auth] Logged out");
+  }, []);
+
+  /**
+   * @returns {Promise<boolean>} - false if the user chose to stay logged in
+   */
+  const logout = useCallback(async () => {
+    const [unsent, unsavedStores] = await Promise.all([flushSyncQueue(), flushRemoteStores()]);
+    const lost = [...(unsent > 0 ? [`${unsent} task change(s)`] : []), ...unsavedStores];
+    if (lost.length > 0 && !window.confirm(
+      `Changes haven't reached the server yet (${lost.join(", ")}) and will be lost if you log out now. Log out anyway?`
+    )) {
+      return false;
+    }
+
+    try {
+      await unsubscribeFromPush();
+    } catch (error) {
+      console.warn("[Push] Could not unsubscribe:", error.message);
+    }
+    endSession();
+    return true;
+  }, [endSession]);
+
+  /**
+   * Expired or revoked token → back to the login screen (the token can't
+   * unsubscribe any more; the next subscribe moves the endpoint instead)
+   */
+  useEffect(() => {
+    api.onUnauthorized(endSession);
+    return () => api.onUnauthorized(null);
+  }, [endSession]);
+
+  const value = {
+    user: session?.user || null,
+    isAuthenticated: Boolean(session?.token),
+    login,
+    signup,
+    logout,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
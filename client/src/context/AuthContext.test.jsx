@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { useState } from "react";
+import { AuthProvider, useAuth } from "./AuthContext";
+import { useRemoteStore } from "../hooks/useRemoteStore";
+import { createMutation } from "../utils/syncQueue";
+
+vi.mock("../utils/api", () => import("../test/mockApi"));
+
+const QUEUE_KEY = "task-reminder-sync-queue";
+const DIRTY_KEY = "task-reminder-history-dirty";
+
+function renderAuth() {
+  return renderHook(() => useAuth(), { wrapper: AuthProvider });
+}
+
+// useAuth next to a store like HistoryContext's, saving through `save`
+function renderAuthWithStore(save) {
+  return renderHook(() => {
+    const [history, setHistory] = useState({ "2026-02-20": { completed: 1 } });
+    const [hydrated, setHydrated] = useState(false);
+    useRemoteStore(history, setHistory, {
+      load: () => Promise.resolve({}).finally(() => setHydrated(true)),
+      save,
+      isEmpty: (serverHistory) => Object.keys(serverHistory).length === 0,
+      dirtyKey: DIRTY_KEY,
+      label: "history",
+    });
+    return { ...useAuth(), hydrated };
+  }, { wrapper: AuthProvider });
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  localStorage.setItem("task-reminder-auth", JSON.stringify({ token: "t", user: { id: "u1", email: "a@example.com" } }));
+});
+
+function queueChange() {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify([createMutation("update", 1, { completed: true }, 1)]));
+}
+
+describe("logout", () => {
+  it("keeps the session and unsent changes when the user cancels", async () => {
+    queueChange();
+    vi.spyOn(window, "confirm").mockReturnValue(false);
+    const { result } = renderAuth();
+
+    let loggedOut;
+    await act(async () => {
+      loggedOut = await result.current.logout();
+    });
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining("1 task change(s)"));
+    expect(loggedOut).toBe(false);
+    expect(result.current.user.email).toBe("a@example.com");
+    expect(localStorage.getItem(QUEUE_KEY)).not.toBeNull();
+  });
+
+  it("clears everything once the user confirms", async () => {
+    queueChange();
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    const { result } = renderAuth();
+
+    await act(async () => {
+      await result.current.logout();
+    });
+
+    expect(result.current.user).toBeNull();
+    expect(localStorage.getItem(QUEUE_KEY)).toBeNull();
+  });
+
+  it("saves history waiting for the debounce before clearing it", async () => {
+    vi.spyOn(window, "confirm");
+    const save = vi.fn(() => Promise.resolve());
+    const { result } = renderAuthWithStore(save);
+    await waitFor(() => expect(result.current.hydrated).toBe(true));
+
+    await act(async () => {
+      await result.current.logout();
+    });
+
+    expect(save).toHaveBeenCalledWith({ "2026-02-20": { completed: 1 } });
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(result.current.user).toBeNull();
+  });
+
+  it("asks before dropping history that couldn't be saved", async () => {
+    localStorage.setItem(DIRTY_KEY, "true");
+    vi.spyOn(window, "confirm").mockReturnValue(false);
+    const { result } = renderAuthWithStore(() => Promise.reject(new Error("offline")));
+    await waitFor(() => expect(result.current.hydrated).toBe(true));
+
+    await act(async () => {
+      await result.current.logout();
+    });
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining("(history)"));
+    expect(result.current.user.email).toBe("a@example.com");
+    expect(localStorage.getItem(DIRTY_KEY)).toBe("true");
+  });
+});
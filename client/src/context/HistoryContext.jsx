@@ -8,39 +8,59 @@
  * Track daily task completion/missed counts for:
  * 1. Historical analytics and charts
  * 2. Recovery logic (yesterday's debt carries over)
- * 3. Streak calculation
+ * 3. Streak calculation (days that reached settings.dailyGoal)
  * 4. Long-term behavioral insights
  * 
  * DATA STRUCTURE:
  * ---------------
  * {
- *   "2026-02-20": { completed: 5, missed: 2 },
+ *   "2026-02-20": { completed: 5, missed: 2, rescheduled: 1,
+ *                   completedWeight: 12, missedWeight: 3 },
  *   "2026-02-19": { completed: 3, missed: 1 },
  *   ...
  * }
  * 
- * WHY localStorage INSTEAD OF DATABASE (MVP):
- * -------------------------------------------
- * 1. ZERO BACKEND COST: No server, no database fees
- * 2. OFFLINE FIRST: Works without internet connection
- * 3. INSTANT READS: No network latency
- * 4. PRIVACY: Data stays on user's device
- * 5. SIMPLICITY: No auth, no API calls, no CORS
+ * OUTCOMES:
+ * ---------
+ * - completed:   task finished
+ * - missed:      deadline passed without completion
+ * - rescheduled: deadline pushed back (snooze / reschedule). Counted
+ *   separately so postponing is neither a win nor a plain miss
+ * - subtasks:    checklist items checked off. Progress, not outcomes -
+ *   they don't affect the completion rate
  * 
- * LIMITATIONS OF localStorage:
- * ----------------------------
- * 1. ~5MB limit per domain
- * 2. No sync across devices
- * 3. Cleared if user clears browser data
- * 4. Not suitable for sensitive data (not encrypted)
+ * DAY KEYS:
+ * ---------
+ * Keys are dates on the user's calendar (settings.timeZone, or the
+ * device's zone), not UTC. Histories saved before that are re-bucketed
+ * once on load - see migrateHistory().
  * 
- * MIGRATION PATH TO DATABASE:
- * ---------------------------
- * When scaling to MongoDB + Express:
- * 1. Create /api/history endpoints
- * 2. Replace localStorage calls with fetch()
- * 3. Add user authentication
- * 4. Sync local data on login
+ * WEIGHTS:
+ * --------
+ * completedWeight / missedWeight sum the priority weights of the tasks
+ * behind the counts (low 1 ... critical 5). They power the "weighted"
+ * score mode; entries from before priorities existed count as medium.
+ * 
+ * PROJECTS:
+ * ---------
+ * Events for tasks in a project are also counted in entry.byProject, so
+ * StatsPanel can show a single project's numbers. The top-level counts
+ * always cover everything.
+ * 
+ * RECURRING TASKS:
+ * ----------------
+ * Each occurrence of a recurring task is a separate task object, so every
+ * occurrence is recorded as its own completed or missed event. Missing
+ * Monday's "standup prep" and finishing Tuesday's counts as 1 + 1.
+ * 
+ * SERVER PERSISTENCE:
+ * -------------------
+ * The server keeps each account's history (/api/history, behind auth)
+ * through useRemoteStore. localStorage is the offline cache:
+ * 1. Reads come from localStorage first (instant, offline)
+ * 2. The server copy is fetched on mount and adopted if present
+ * 3. Every change is written to localStorage and PUT to the server
+ * 4. Failed saves mark the cache dirty so it wins on the next load
  * 
  * WHY SEPARATE CONTEXT FROM TaskContext:
  * --------------------------------------
@@ -51,7 +71,19 @@
  */
 
 import { createContext, useContext, useState, useEffect, useCallback } from "react";
-import { getTodayKey, getYesterdayKey } from "../utils/dateUtils";
+import { getTodayKey, getYesterdayKey, getDateKey, getDateKeyDaysAgo, isValidTimeZone } from "../utils/dateUtils";
+import { fetchHistory, saveHistory } from "../utils/api";
+import {
+  addOutcome,
+  computeCompletionRate,
+  computeStreaks,
+  getScopedEntry,
+  rebucketHistory,
+  backfillCompletions,
+  mergeHistory,
+} from "../utils/historyUtils";
+import { useRemoteStore } from "../hooks/useRemoteStore";
+import { useSettings } from "./SettingsContext";
 
 // Create context
 export const HistoryContext = createContext();
@@ -65,10 +97,51 @@ export function useHistory() {
   return context;
 }
 
-// Storage key constant
+// Storage key constants
 const HISTORY_STORAGE_KEY = "task-reminder-history";
+const HISTORY_DIRTY_KEY = "task-reminder-history-dirty";
+const HISTORY_VERSION_KEY = "task-reminder-history-version";
+const TASKS_STORAGE_KEY = "task-reminder-tasks";
+
+// v1: UTC day keys, v2: local day keys, v3: completions recorded
+const HISTORY_VERSION = 3;
+
+/**
+ * Bring a saved history up to HISTORY_VERSION (runs once per device)
+ * 
+ * A migrated cache is marked dirty, so useRemoteStore pushes it over the
+ * older server copy instead of adopting that copy back.
+ */
+function migrateHistory(history, timeZone) {
+  const version = Number(localStorage.getItem(HISTORY_VERSION_KEY)) || 1;
+  if (version >= HISTORY_VERSION) return history;
+
+  const savedTasks = localStorage.getItem(TASKS_STORAGE_KEY);
+  const tasks = savedTasks ? JSON.parse(savedTasks) : [];
+  let migrated = history;
+
+  if (version < 2) {
+    migrated = rebucketHistory(migrated, tasks, timeZone);
+    if (migrated !== history) console.log("[History] Re-bucketed UTC day keys onto local days");
+  }
+  if (version < 3) {
+    migrated = backfillCompletions(migrated, tasks, timeZone);
+  }
+
+  if (migrated !== history) {
+    localStorage.setItem(HISTORY_DIRTY_KEY, "true");
+  }
+  localStorage.setItem(HISTORY_VERSION_KEY, String(HISTORY_VERSION));
+  return migrated;
+}
 
 export function HistoryProvider({ children }) {
+  const { settings } = useSettings();
+  const scoreMode = settings.scoreMode;
+  const dailyGoal = settings.dailyGoal;
+  // null = the device's timezone (also if the saved zone is unknown here)
+  const timeZone = settings.timeZone && isValidTimeZone(settings.timeZone) ? settings.timeZone : null;
+
   /**
    * STATE INITIALIZATION WITH LAZY LOADING
    * 
@@ -80,7 +153,7 @@ export function HistoryProvider({ children }) {
   const [history, setHistory] = useState(() => {
     try {
       const saved = localStorage.getItem(HISTORY_STORAGE_KEY);
-      return saved ? JSON.parse(saved) : {};
+      return migrateHistory(saved ? JSON.parse(saved) : {}, timeZone);
     } catch (error) {
       console.error("Failed to load history from localStorage:", error);
       return {};
@@ -117,37 +190,72 @@ export function HistoryProvider({ children }) {
   }, [history]);
 
   /**
-   * Record a completed task for today
+   * SYNC WITH /api/history
+   */
+  useRemoteStore(history, setHistory, {
+    load: fetchHistory,
+    save: saveHistory,
+    isEmpty: (serverHistory) => Object.keys(serverHistory).length === 0,
+    dirtyKey: HISTORY_DIRTY_KEY,
+    label: "history",
+  });
+
+  /**
+   * Record a completed (or with amount -1, reopened) task
    * 
    * WHY useCallback?
    * - Memoizes function reference
    * - Prevents unnecessary re-renders in child components
    * - Safe to use in dependency arrays
+   * 
+   * @param {object} task - Completed task (its priority feeds completedWeight)
+   * @param {number} amount - +1 when completed, -1 when reopened
+   * @param {string} completedAt - When it was completed; a reopen is taken
+   *   off that day, not today
    */
-  const recordCompletion = useCallback(() => {
-    const today = getTodayKey();
-    setHistory(prev => ({
-      ...prev,
-      [today]: {
-        completed: (prev[today]?.completed || 0) + 1,
-        missed: prev[today]?.missed || 0,
-      }
-    }));
-  }, []);
+  const recordCompletion = useCallback((task = null, amount = 1, completedAt = null) => {
+    const key = completedAt ? getDateKey(completedAt, timeZone) : getTodayKey(timeZone);
+    setHistory(prev => addOutcome(prev, key, "completed", task, amount));
+  }, [timeZone]);
 
   /**
-   * Record a missed task for today
+   * Record a missed task (amount -1 when a snooze takes the miss back)
+   * @param {object} task - Missed task (its priority feeds missedWeight)
+   * @param {number} amount - +1 to record, -1 to take back
+   * @param {string} missedAt - When it was counted (task.notifiedAt);
+   *   defaults to today
    */
-  const recordMissed = useCallback(() => {
-    const today = getTodayKey();
-    setHistory(prev => ({
-      ...prev,
-      [today]: {
-        completed: prev[today]?.completed || 0,
-        missed: (prev[today]?.missed || 0) + 1,
-      }
-    }));
-  }, []);
+  const recordMissed = useCallback((task = null, amount = 1, missedAt = null) => {
+    const key = missedAt ? getDateKey(missedAt, timeZone) : getTodayKey(timeZone);
+    setHistory(prev => addOutcome(prev, key, "missed", task, amount));
+  }, [timeZone]);
+
+  /**
+   * Record a snoozed/rescheduled task (amount -1 when the reschedule is undone)
+   * @param {object} task
+   * @param {number} amount - +1 to record, -1 to undo
+   * @param {string} rescheduledAt - When it happened; defaults to today
+   */
+  const recordRescheduled = useCallback((task = null, amount = 1, rescheduledAt = null) => {
+    const key = rescheduledAt ? getDateKey(rescheduledAt, timeZone) : getTodayKey(timeZone);
+    setHistory(prev => addOutcome(prev, key, "rescheduled", task, amount));
+  }, [timeZone]);
+
+  /**
+   * Record a checked (or with amount -1, unchecked) subtask
+   * 
+   * Counted apart from completed/missed: a subtask is progress on a task,
+   * not a task of its own, so it never moves the completion rate.
+   * 
+   * @param {object} task - Parent task (for the project breakdown)
+   * @param {number} amount - +1 when checked, -1 when unchecked
+   * @param {string} doneAt - When it was checked; an uncheck is taken off
+   *   that day, not today
+   */
+  const recordSubtask = useCallback((task, amount = 1, doneAt = null) => {
+    const key = doneAt ? getDateKey(doneAt, timeZone) : getTodayKey(timeZone);
+    setHistory(prev => addOutcome(prev, key, "subtasks", task, amount));
+  }, [timeZone]);
 
   /**
    * Get today's statistics
@@ -156,25 +264,29 @@ export function HistoryProvider({ children }) {
    * - If history[key] is undefined, returns undefined (not error)
    * - Prevents "Cannot read property 'missed' of undefined"
    * - Cleaner than: history[key] && history[key].missed
+   * 
+   * @param {number|null} projectId - Only count one project's tasks
    */
-  const getTodayStats = useCallback(() => {
-    const today = getTodayKey();
+  const getTodayStats = useCallback((projectId = null) => {
+    const today = getScopedEntry(history[getTodayKey(timeZone)], projectId);
     return {
-      completed: history[today]?.completed || 0,
-      missed: history[today]?.missed || 0,
+      completed: today.completed || 0,
+      missed: today.missed || 0,
+      rescheduled: today.rescheduled || 0,
+      subtasks: today.subtasks || 0,
     };
-  }, [history]);
+  }, [history, timeZone]);
 
   /**
    * Get yesterday's statistics (for recovery logic)
    */
   const getYesterdayStats = useCallback(() => {
-    const yesterday = getYesterdayKey();
+    const yesterday = getYesterdayKey(timeZone);
     return {
       completed: history[yesterday]?.completed || 0,
       missed: history[yesterday]?.missed || 0,
     };
-  }, [history]);
+  }, [history, timeZone]);
 
   /**
    * Calculate recovery debt
@@ -190,45 +302,65 @@ export function HistoryProvider({ children }) {
    * - Behavioral reinforcement through consequence
    */
   const getRecoveryDebt = useCallback(() => {
-    const yesterday = getYesterdayKey();
+    const yesterday = getYesterdayKey(timeZone);
     return history[yesterday]?.missed || 0;
-  }, [history]);
+  }, [history, timeZone]);
 
   /**
    * Get statistics for last N days
+   * @param {number} days
+   * @param {number|null} projectId - Only count one project's tasks
    */
-  const getRecentStats = useCallback((days = 7) => {
+  const getRecentStats = useCallback((days = 7, projectId = null) => {
     const stats = [];
     for (let i = 0; i < days; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const key = date.toISOString().split('T')[0];
+      const key = getDateKeyDaysAgo(i, timeZone);
       stats.push({
         date: key,
-        ...history[key] || { completed: 0, missed: 0 },
+        completed: 0,
+        missed: 0,
+        rescheduled: 0,
+        subtasks: 0,
+        ...getScopedEntry(history[key], projectId),
       });
     }
     return stats.reverse(); // Chronological order
-  }, [history]);
+  }, [history, timeZone]);
 
   /**
-   * Calculate overall completion rate
+   * Current and best streak, and the last break
+   * 
+   * A streak day is a day with at least settings.dailyGoal completed
+   * tasks. Derived from history on every call, so reopening a task or
+   * raising the goal is reflected right away.
    */
-  const getOverallCompletionRate = useCallback(() => {
-    const entries = Object.values(history);
-    if (entries.length === 0) return 100;
+  const getStreak = useCallback(() => {
+    return computeStreaks(history, dailyGoal, getTodayKey(timeZone));
+  }, [history, dailyGoal, timeZone]);
 
-    const totals = entries.reduce(
-      (acc, day) => ({
-        completed: acc.completed + (day.completed || 0),
-        missed: acc.missed + (day.missed || 0),
-      }),
-      { completed: 0, missed: 0 }
-    );
+  /**
+   * Calculate overall completion rate
+   * 
+   * In "weighted" score mode each event counts with its priority weight
+   * (see utils/priority.js), so missing a critical task costs more.
+   * 
+   * @param {number|null} projectId - Only count one project's tasks
+   */
+  const getOverallCompletionRate = useCallback((projectId = null) => {
+    return computeCompletionRate(history, scoreMode, projectId);
+  }, [history, scoreMode]);
 
-    const total = totals.completed + totals.missed;
-    return total > 0 ? Math.round((totals.completed / total) * 100) : 100;
-  }, [history]);
+  /**
+   * Merge the history from a backup file (see utils/backup.js)
+   * 
+   * Per day and field the larger count wins, so importing a backup of
+   * this same account twice changes nothing the second time.
+   * 
+   * @param {object} imported - Validated history
+   */
+  const importHistory = useCallback((imported) => {
+    setHistory(prev => mergeHistory(prev, imported));
+  }, []);
 
   /**
    * Clear all history (for testing/reset)
@@ -242,11 +374,15 @@ export function HistoryProvider({ children }) {
     history,
     recordCompletion,
     recordMissed,
+    recordRescheduled,
+    recordSubtask,
     getTodayStats,
     getYesterdayStats,
     getRecoveryDebt,
     getRecentStats,
+    getStreak,
     getOverallCompletionRate,
+    importHistory,
     clearHistory,
   };
 
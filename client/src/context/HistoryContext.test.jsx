@@ -0,0 +1,150 @@
+// Pinned: day keys are local, and the migration test depends on the offset
+process.env.TZ = "Asia/Kolkata";
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { HistoryProvider, useHistory } from "./HistoryContext";
+import { SettingsProvider, useSettings } from "./SettingsContext";
+
+vi.mock("../utils/api", () => import("../test/mockApi"));
+
+function wrapper({ children }) {
+  return (
+    <SettingsProvider>
+      <HistoryProvider>{children}</HistoryProvider>
+    </SettingsProvider>
+  );
+}
+
+function renderHistory() {
+  return renderHook(() => ({ ...useHistory(), ...useSettings() }), { wrapper });
+}
+
+function saveHistory(history) {
+  localStorage.setItem("task-reminder-history", JSON.stringify(history));
+  localStorage.setItem("task-reminder-history-version", "3");
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2026-02-20T06:30:00Z")); // 12:00 in Kolkata
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("HistoryProvider", () => {
+  it("counts today's outcomes, per project too", () => {
+    const { result } = renderHistory();
+
+    act(() => {
+      result.current.recordCompletion({ priority: "high", projectId: 1 });
+      result.current.recordMissed({ priority: "low" });
+      result.current.recordRescheduled({ projectId: 1 });
+    });
+
+    expect(result.current.getTodayStats()).toEqual({ completed: 1, missed: 1, rescheduled: 1, subtasks: 0 });
+    expect(result.current.getTodayStats(1)).toEqual({ completed: 1, missed: 0, rescheduled: 1, subtasks: 0 });
+    expect(result.current.history["2026-02-20"]).toMatchObject({ completedWeight: 3, missedWeight: 1 });
+  });
+
+  it("takes an unchecked subtask off the day it was checked", () => {
+    saveHistory({ "2026-02-19": { completed: 0, missed: 0, subtasks: 2 } });
+    const { result } = renderHistory();
+
+    act(() => result.current.recordSubtask(null, -1, "2026-02-19T10:00:00+05:30"));
+
+    expect(result.current.history["2026-02-19"].subtasks).toBe(1);
+  });
+
+  it("carries yesterday's misses over as recovery debt", () => {
+    saveHistory({ "2026-02-19": { completed: 1, missed: 3 } });
+    const { result } = renderHistory();
+
+    expect(result.current.getRecoveryDebt()).toBe(3);
+    expect(result.current.getYesterdayStats()).toEqual({ completed: 1, missed: 3 });
+  });
+
+  it("fills the recent days oldest first, including empty ones", () => {
+    saveHistory({
+      "2026-02-20": { completed: 2, missed: 0 },
+      "2026-02-18": { completed: 1, missed: 1 },
+    });
+    const { result } = renderHistory();
+
+    const stats = result.current.getRecentStats(3);
+    expect(stats.map(s => s.date)).toEqual(["2026-02-18", "2026-02-19", "2026-02-20"]);
+    expect(stats.map(s => s.completed)).toEqual([1, 0, 2]);
+  });
+
+  it("scores simple or weighted by the setting", () => {
+    saveHistory({
+      "2026-02-19": { completed: 1, missed: 1, completedWeight: 5, missedWeight: 1 },
+    });
+    const { result } = renderHistory();
+    expect(result.current.getOverallCompletionRate()).toBe(50);
+
+    act(() => result.current.updateSettings({ scoreMode: "weighted" }));
+    expect(result.current.getOverallCompletionRate()).toBe(83);
+  });
+
+  it("files today under the configured timezone", () => {
+    const { result } = renderHistory();
+
+    // Still the 19th in Los Angeles
+    act(() => result.current.updateSettings({ timeZone: "America/Los_Angeles" }));
+    act(() => result.current.recordMissed(null));
+
+    expect(result.current.history["2026-02-19"].missed).toBe(1);
+  });
+
+  it("derives the streak from days that met the daily goal", () => {
+    saveHistory({
+      "2026-02-16": { completed: 2, missed: 0 },
+      "2026-02-17": { completed: 2, missed: 0 },
+      "2026-02-18": { completed: 1, missed: 0 },
+      "2026-02-19": { completed: 2, missed: 0 },
+    });
+    const { result } = renderHistory();
+
+    // Today (the 20th) has nothing yet - it doesn't break the streak
+    expect(result.current.getStreak()).toEqual({ current: 4, best: 4, broken: null });
+
+    act(() => result.current.updateSettings({ dailyGoal: 2 }));
+    expect(result.current.getStreak()).toMatchObject({ current: 1, best: 2 });
+  });
+
+  it("re-buckets UTC-keyed history once, on first load", () => {
+    // Missed at 01:30 on the 20th in Kolkata - filed under the UTC date
+    localStorage.setItem("task-reminder-history", JSON.stringify({
+      "2026-02-19": { completed: 0, missed: 1 },
+    }));
+    localStorage.setItem("task-reminder-tasks", JSON.stringify([
+      { id: 1, title: "Late one", notified: true, notifiedAt: "2026-02-19T20:00:00.000Z" },
+    ]));
+
+    const { result, unmount } = renderHistory();
+
+    expect(result.current.history["2026-02-19"].missed).toBe(0);
+    expect(result.current.history["2026-02-20"].missed).toBe(1);
+    expect(localStorage.getItem("task-reminder-history-version")).toBe("3");
+    expect(localStorage.getItem("task-reminder-history-dirty")).toBe("true");
+
+    // A second load must not move it again
+    unmount();
+    const { result: reloaded } = renderHistory();
+    expect(reloaded.current.history["2026-02-20"].missed).toBe(1);
+  });
+
+  it("backfills completions saved before they reached history", () => {
+    localStorage.setItem("task-reminder-history", JSON.stringify({}));
+    localStorage.setItem("task-reminder-history-version", "2");
+    localStorage.setItem("task-reminder-tasks", JSON.stringify([
+      { id: 1, title: "Done", completed: true, completedAt: "2026-02-19T04:00:00.000Z" },
+      { id: 2, title: "Open", completed: false },
+    ]));
+
+    const { result } = renderHistory();
+
+    expect(result.current.history["2026-02-19"].completed).toBe(1);
+    expect(result.current.getStreak().current).toBe(1);
+  });
+});
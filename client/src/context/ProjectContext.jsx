@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * PROJECT CONTEXT - Named task lists with colors
+ * =============================================================================
+ * 
+ * PROJECT STRUCTURE:
+ * ------------------
+ * { id, name, color, archived, createdAt }
+ * 
+ * Tasks reference a project through task.projectId. Projects are never
+ * deleted, only archived: old tasks and history entries still point at
+ * them, and unarchiving brings the whole list back.
+ * 
+ * Persistence follows the other contexts: localStorage as the offline
+ * cache, /api/projects as the copy that follows the user across devices.
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback } from "react";
+import { fetchProjects, saveProjects } from "../utils/api";
+import { useRemoteStore } from "../hooks/useRemoteStore";
+import { PROJECT_COLORS } from "../utils/projects";
+
+export const ProjectContext = createContext(null);
+
+export function useProjects() {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error("useProjects must be used within a ProjectProvider");
+  }
+  return context;
+}
+
+const PROJECTS_STORAGE_KEY = "task-reminder-projects";
+const PROJECTS_DIRTY_KEY = "task-reminder-projects-dirty";
+
+export function ProjectProvider({ children }) {
+  const [projects, setProjects] = useState(() => {
+    try {
+      const saved = localStorage.getItem(PROJECTS_STORAGE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error("Failed to load projects:", error);
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify(projects));
+    } catch (error) {
+      console.error("Failed to save projects:", error);
+    }
+  }, [projects]);
+
+  useRemoteStore(projects, setProjects, {
+    load: fetchProjects,
+    save: saveProjects,
+    isEmpty: (saved) => saved.length === 0,
+    dirtyKey: PROJECTS_DIRTY_KEY,
+    label: "projects",
+  });
+
+  /**
+   * Create a project
+   * @param {string} name
+   * @param {string} color - Defaults to the next color of the palette
+   */
+  const addProject = useCallback((name, color) => {
+    setProjects(prev => [
+      ...prev,
+      {
+        id: Math.max(Date.now(), ...prev.map(p => p.id + 1)),
+        name: name.trim(),
+        color: color || PROJECT_COLORS[prev.length % PROJECT_COLORS.length],
+        archived: false,
+        createdAt: new Date().toISOString(),
+      },
+    ]);
+    console.log(`[Project] Added: "${name}"`);
+  }, []);
+
+  /**
+   * Rename or recolor a project
+   * @param {number} id
+   * @param {object} changes - { name?, color? }
+   */
+  const updateProject = useCallback((id, changes) => {
+    setProjects(prev => prev.map(p => (p.id === id ? { ...p, ...changes } : p)));
+  }, []);
+
+  /**
+   * Archive (or restore) a project - its tasks are left untouched
+   */
+  const archiveProject = useCallback((id, archived = true) => {
+    setProjects(prev => prev.map(p => (p.id === id ? { ...p, archived } : p)));
+  }, []);
+
+  /**
+   * Look up a project by id (tasks store it as a number or a string)
+   */
+  const getProject = useCallback((id) => {
+    if (id === null || id === undefined) return null;
+    return projects.find(p => String(p.id) === String(id)) || null;
+  }, [projects]);
+
+  const value = {
+    projects,
+    activeProjects: projects.filter(p => !p.archived),
+    addProject,
+    updateProject,
+    archiveProject,
+    getProject,
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * =============================================================================
+ * SETTINGS CONTEXT - User preferences
+ * =============================================================================
+ * 
+ * One flat object, merged over DEFAULT_SETTINGS so settings added in later
+ * versions get their default for users whose saved copy predates them.
+ * 
+ * Persistence follows the other contexts: localStorage as the offline
+ * cache, /api/settings as the copy that follows the user across devices.
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback } from "react";
+import { fetchSettings, saveSettings } from "../utils/api";
+import { useRemoteStore } from "../hooks/useRemoteStore";
+
+export const SettingsContext = createContext(null);
+
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used within a SettingsProvider");
+  }
+  return context;
+}
+
+const SETTINGS_STORAGE_KEY = "task-reminder-settings";
+const SETTINGS_DIRTY_KEY = "task-reminder-settings-dirty";
+
+export const DEFAULT_SETTINGS = {
+  // Minutes before the deadline, pre-filled on new tasks
+  defaultReminders: [24 * 60, 60, 10],
+  // "simple" = completed / total, "weighted" = by priority (utils/priority.js)
+  scoreMode: "simple",
+  // Completed tasks a day needs to count towards the streak
+  dailyGoal: 1,
+  // Days a deleted task stays in the trash (utils/trash.js)
+  trashRetentionDays: 30,
+  // IANA zone for day keys (history, streaks); null = the device's zone
+  timeZone: null,
+  // Who writes missed-task warnings: "coach" | "mentor" | "friend"
+  coachPersona: "coach",
+  // How they sound: "supportive" | "neutral" | "strict"
+  coachTone: "strict",
+  // Weekday the weekly review is generated on (0 = Sunday); null = only
+  // on request (utils/review.js)
+  weeklyReviewDay: null,
+  // "HH:MM" on the user's clock for the daily notifications; null = off
+  // (utils/dailyNotifications.js)
+  morningPlanTime: "08:00",
+  dailySummaryTime: "21:00",
+};
+
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(() => {
+    try {
+      const saved = localStorage.getItem(SETTINGS_STORAGE_KEY);
+      return { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      return DEFAULT_SETTINGS;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error("Failed to save settings:", error);
+    }
+  }, [settings]);
+
+  // Server copy may predate newer settings - fill the gaps with defaults
+  const adoptServerSettings = useCallback((saved) => {
+    setSettings({ ...DEFAULT_SETTINGS, ...saved });
+  }, []);
+
+  useRemoteStore(settings, adoptServerSettings, {
+    load: fetchSettings,
+    save: saveSettings,
+    isEmpty: (saved) => Object.keys(saved).length === 0,
+    dirtyKey: SETTINGS_DIRTY_KEY,
+    label: "settings",
+  });
+
+  /**
+   * Update one or more settings
+   * @param {object} changes - e.g. { defaultReminders: [60] }
+   */
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const value = {
+    settings,
+    updateSettings,
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
@@ -19,7 +19,9 @@
  * STATE STRUCTURE:
  * ----------------
  * tasks: Array of task objects
- * streak: Number of consecutive completions
+ * 
+ * The streak is not stored here: HistoryContext derives it from the daily
+ * completion counts (see getStreak there).
  * 
  * INTERVIEW TIP:
  * "I chose Context over Redux because the app has simple state requirements.
@@ -29,8 +31,18 @@
  */
 
 import { createContext, useContext, useState, useEffect, useCallback } from "react";
-import { notifyTaskCompleted } from "../utils/notification";
+import { notifyTaskCompleted, notifyTaskUnblocked } from "../utils/notification";
 import { getTodayKey, isOverdue, getStartOfToday } from "../utils/dateUtils";
+import { getNextOccurrence } from "../utils/recurrence";
+import { computeCompletionScore, DEFAULT_PRIORITY } from "../utils/priority";
+import { parseTags } from "../utils/projects";
+import { sanitizeDependencies, getDependents, getBlockers } from "../utils/dependencies";
+import { createTrashEntry, removeTask, restoreTask, purgeTrash, DEFAULT_TRASH_RETENTION_DAYS } from "../utils/trash";
+import { resolveImport } from "../utils/backup";
+import { useTaskSync } from "../hooks/useTaskSync";
+import { useUndoStack } from "../hooks/useUndoStack";
+import { useHistory } from "./HistoryContext";
+import { useSettings } from "./SettingsContext";
 
 // Create context with default value
 export const TaskContext = createContext(null);
@@ -55,11 +67,186 @@ export function useTaskContext() {
 // Storage keys as constants (prevents typos)
 const STORAGE_KEYS = {
   TASKS: "task-reminder-tasks",
-  STREAK: "task-reminder-streak",
+  TRASH: "task-reminder-trash",
+  SNAPSHOT: "task-reminder-snapshot",
   LAST_CHECK: "task-reminder-last-check",
 };
 
+// Fields updateTask() must never overwrite
+const PROTECTED_FIELDS = ["id", "createdAt", "changeLog", "seriesId", "occurrence"];
+
+// Entries kept per task - enough to answer "what did I change?"
+const MAX_CHANGE_LOG = 20;
+
+/**
+ * Timestamp-based ids, but never the same one twice
+ *
+ * WHY NOT PLAIN Date.now()?
+ * Completing a recurring task spawns the next occurrence in the same tick,
+ * and two ids created in the same millisecond would collide.
+ */
+let lastTaskId = 0;
+function createTaskId() {
+  lastTaskId = Math.max(Date.now(), lastTaskId + 1);
+  return lastTaskId;
+}
+
+/**
+ * Spawn the next occurrence of a recurring task
+ *
+ * RECURRENCE MODEL:
+ * -----------------
+ * Every occurrence is its own task object sharing a seriesId. This way
+ * useAutoCheck (which tracks task ids) and HistoryContext (which counts
+ * events) see each occurrence as a separate completed/missed event.
+ *
+ * IDEMPOTENT: the source occurrence remembers nextOccurrenceId, so a
+ * duplicate "missed" check after a reload never spawns twice.
+ *
+ * @param {Array} tasks - Current task list
+ * @param {number} id - Occurrence that was completed or missed
+ * @returns {Array} - New task list (unchanged if nothing to spawn)
+ */
+function withNextOccurrence(tasks, id) {
+  const task = tasks.find(t => t.id === id);
+  if (!task || !task.recurrence || task.nextOccurrenceId) return tasks;
+
+  const occurrence = task.occurrence || 1;
+  const deadline = getNextOccurrence(task.recurrence, task.deadline, occurrence);
+  if (!deadline) return tasks;
+
+  const next = {
+    id: createTaskId(),
+    title: task.title,
+    deadline,
+    priority: task.priority || DEFAULT_PRIORITY,
+    projectId: task.projectId ?? null,
+    tags: task.tags || [],
+    // Same checklist, unchecked
+    subtasks: (task.subtasks || []).map(s => ({ ...s, done: false, doneAt: null })),
+    autoComplete: Boolean(task.autoComplete),
+    completed: false,
+    createdAt: new Date().toISOString(),
+    notified: false,
+    reminders: task.reminders || [],
+    remindersSent: [],
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task.id,
+    occurrence: occurrence + 1,
+  };
+
+  console.log(`[Task] Next occurrence of "${task.title}" due ${deadline}`);
+
+  return [
+    ...tasks.map(t => (t.id === id ? { ...t, nextOccurrenceId: next.id } : t)),
+    next,
+  ];
+}
+
+/**
+ * Mark a task completed (and spawn its next occurrence)
+ */
+function markCompleted(tasks, id, completedAt) {
+  const updated = tasks.map(t => (t.id === id ? { ...t, completed: true, completedAt } : t));
+  return withNextOccurrence(updated, id);
+}
+
+/**
+ * Mark a task open again
+ * 
+ * With dropNextOccurrence (undoing a completion) the occurrence that the
+ * completion spawned goes too - unless it's already been completed.
+ */
+function markOpen(tasks, id, { dropNextOccurrence = false } = {}) {
+  const task = tasks.find(t => t.id === id);
+  if (!task) return tasks;
+
+  const next = dropNextOccurrence && tasks.find(t => t.id === task.nextOccurrenceId);
+  const dropId = next && !next.completed ? next.id : null;
+
+  return tasks
+    .filter(t => t.id !== dropId)
+    .map(t =>
+      t.id === id
+        ? { ...t, completed: false, completedAt: null, ...(dropId ? { nextOccurrenceId: null } : {}) }
+        : t
+    );
+}
+
+/**
+ * Put one task back exactly as it was (undo of an edit or reschedule)
+ */
+function replaceTask(tasks, task) {
+  return tasks.map(t => (t.id === task.id ? task : t));
+}
+
+/**
+ * Apply edits to one task and log them in its change log
+ * @returns {Array} - New list, or the same list if nothing changed
+ */
+function applyChanges(tasks, id, changes) {
+  let changed = false;
+
+  const next = tasks.map(t => {
+    if (t.id !== id) return t;
+
+    const at = new Date().toISOString();
+    const safeChanges = "dependsOn" in changes
+      ? { ...changes, dependsOn: sanitizeDependencies(tasks, id, changes.dependsOn) }
+      : changes;
+    const entries = Object.entries(safeChanges)
+      .filter(([field]) => !PROTECTED_FIELDS.includes(field))
+      .filter(([field, value]) => JSON.stringify(t[field]) !== JSON.stringify(value))
+      .map(([field, value]) => ({ field, from: t[field] ?? null, to: value, at }));
+
+    if (entries.length === 0) return t;
+    changed = true;
+
+    const updated = { ...t };
+    entries.forEach(({ field, to }) => {
+      updated[field] = to;
+    });
+
+    if (entries.some(e => e.field === "deadline")) {
+      updated.notified = false;
+      updated.notifiedAt = null;
+      updated.remindersSent = [];
+    }
+
+    updated.changeLog = [...(t.changeLog || []), ...entries].slice(-MAX_CHANGE_LOG);
+    return updated;
+  });
+
+  return changed ? next : tasks;
+}
+
+/**
+ * Load a JSON value from localStorage, falling back on errors
+ */
+function loadStored(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (error) {
+    console.error(`Failed to load ${key}:`, error);
+    return fallback;
+  }
+}
+
 export const TaskProvider = ({ children }) => {
+  const { recordCompletion, recordMissed, recordRescheduled, recordSubtask } = useHistory();
+  const { settings } = useSettings();
+  const retentionDays = settings.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+
+  /**
+   * UNDO / REDO
+   * 
+   * Every user-facing action below pushes an entry with its own undo and
+   * redo (see hooks/useUndoStack.js). Bookkeeping like markNotified is
+   * not undoable - undoing it would only repeat a notification.
+   */
+  const { push: pushUndo, undo, redo, canUndo, canRedo, lastAction } = useUndoStack();
+
   /**
    * LAZY INITIALIZATION PATTERN
    * 
@@ -78,14 +265,14 @@ export const TaskProvider = ({ children }) => {
     }
   });
 
-  const [streak, setStreak] = useState(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEYS.STREAK);
-      return saved ? JSON.parse(saved) : 0;
-    } catch (error) {
-      return 0;
-    }
-  });
+  /**
+   * TRASH - deleted tasks, emptied after settings.trashRetentionDays
+   * (see utils/trash.js)
+   */
+  const [trash, setTrash] = useState(() => loadStored(STORAGE_KEYS.TRASH, []));
+
+  // Copy of the list taken before "clear all" (restorable, device only)
+  const [snapshot, setSnapshot] = useState(() => loadStored(STORAGE_KEYS.SNAPSHOT, null));
 
   /**
    * PERSIST TASKS TO localStorage
@@ -105,13 +292,33 @@ export const TaskProvider = ({ children }) => {
     }
   }, [tasks]);
 
+  /**
+   * SERVER SYNC
+   *
+   * localStorage above stays the offline cache. Every change is diffed into
+   * a mutation log and replayed to /api/sync, where concurrent edits from
+   * other devices are merged per field. See hooks/useTaskSync.js.
+   */
+  useTaskSync(tasks, setTasks);
+
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEYS.STREAK, JSON.stringify(streak));
+      localStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash));
     } catch (error) {
-      console.error("Failed to save streak:", error);
+      console.error("Failed to save trash:", error);
     }
-  }, [streak]);
+  }, [trash]);
+
+  /**
+   * Empty expired trash on load, when the retention changes, and hourly
+   * for a tab that stays open for days
+   */
+  useEffect(() => {
+    const purge = () => setTrash(prev => purgeTrash(prev, retentionDays));
+    purge();
+    const intervalId = setInterval(purge, 60 * 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [retentionDays]);
 
   /**
    * Add a new task
@@ -120,72 +327,449 @@ export const TaskProvider = ({ children }) => {
    * - id: Unique identifier (timestamp-based)
    * - title: Task name
    * - deadline: ISO datetime string
+   * - priority: "low" | "medium" | "high" | "critical"
+   * - projectId: Project (list) the task belongs to, or null
+   * - tags: Free-form labels (see utils/projects.js)
+   * - subtasks: Ordered checklist [{ id, title, done, doneAt }]
+   * - autoComplete: Complete the task once every subtask is checked
+   * - dependsOn: Ids of tasks that must be completed first (utils/dependencies.js)
    * - completed: Boolean status
    * - createdAt: When task was created
    * - notified: Whether overdue notification was sent
+   * - reminders: Minutes before the deadline to send a reminder
+   * - remindersSent: Offsets already notified (persisted, survives reloads)
+   * - recurrence: Repeat rule (see utils/recurrence.js) or null
+   * - seriesId / occurrence: Which series this task belongs to, 1-based index
+   * - aiWarning: The coach's message for the missed deadline (see saveWarning)
    */
   const addTask = useCallback((task) => {
+    const id = createTaskId();
     const newTask = {
-      id: Date.now(),
+      id,
       title: task.title,
       deadline: task.deadline,
+      priority: task.priority || DEFAULT_PRIORITY,
+      projectId: task.projectId ?? null,
+      tags: parseTags(task.tags),
+      subtasks: (task.subtasks || []).map(title => ({
+        id: createTaskId(),
+        title,
+        done: false,
+        doneAt: null,
+      })),
+      autoComplete: Boolean(task.autoComplete),
+      dependsOn: [],
       completed: false,
       createdAt: new Date().toISOString(),
       notified: false,
+      reminders: task.reminders || [],
+      remindersSent: [],
+      recurrence: task.recurrence || null,
+      seriesId: task.recurrence ? id : null,
+      occurrence: 1,
     };
     
-    setTasks(prev => [...prev, newTask]);
+    const insert = prev => [
+      ...prev,
+      { ...newTask, dependsOn: sanitizeDependencies(prev, id, task.dependsOn) },
+    ];
+
+    setTasks(insert);
+    pushUndo({
+      label: `Added "${task.title}"`,
+      undo: () => setTasks(prev => removeTask(prev, id)),
+      redo: () => setTasks(insert),
+    });
     console.log(`[Task] Added: "${task.title}"`);
-  }, []);
+  }, [pushUndo]);
 
   /**
    * Complete a task
    * 
    * SIDE EFFECTS:
    * 1. Updates task status
-   * 2. Increments streak
+   * 2. Records the completion in history (which drives the streak)
    * 3. Shows celebration notification
+   * 4. Spawns the next occurrence of a recurring task
+   * 
+   * OPEN SUBTASKS:
+   * Completing a parent with unchecked subtasks asks first - the user may
+   * have clicked the wrong card. Pass { force: true } to skip the question
+   * (e.g. auto-complete, where every subtask is already done).
+   * 
+   * @param {number} id - Task id
+   * @param {object} options - { force }
+   * @returns {boolean} - false if the user cancelled
    */
-  const completeTask = useCallback((id) => {
-    setTasks(prev => {
-      const task = prev.find(t => t.id === id);
-      if (task && !task.completed) {
-        // Show notification
-        notifyTaskCompleted(task);
-        
-        // Increment streak
-        setStreak(s => s + 1);
-        
-        console.log(`[Task] Completed: "${task.title}"`);
+  const completeTask = useCallback((id, { force = false } = {}) => {
+    const current = tasks.find(t => t.id === id);
+    const openSubtasks = (current?.subtasks || []).filter(s => !s.done).length;
+    if (openSubtasks > 0 && !force) {
+      const plural = openSubtasks > 1 ? "subtasks" : "subtask";
+      if (!window.confirm(`"${current.title}" still has ${openSubtasks} open ${plural}. Complete it anyway?`)) {
+        return false;
       }
-      
-      return prev.map(t =>
-        t.id === id 
-          ? { ...t, completed: true, completedAt: new Date().toISOString() } 
+    }
+
+    if (!current || current.completed) return true;
+
+    const completedAt = new Date().toISOString();
+    setTasks(prev => markCompleted(prev, id, completedAt));
+    recordCompletion(current, 1, completedAt);
+
+    // Notifications outside the updater: StrictMode runs updaters twice
+    notifyTaskCompleted(current);
+    console.log(`[Task] Completed: "${current.title}"`);
+
+    // Dependents whose last open dependency was this task
+    const updated = markCompleted(tasks, id, completedAt);
+    getDependents(updated, id)
+      .filter(t => !t.completed && getBlockers(t, updated).length === 0)
+      .forEach(t => {
+        notifyTaskUnblocked(t);
+        console.log(`[Task] Unblocked: "${t.title}"`);
+      });
+
+    pushUndo({
+      label: `Completed "${current.title}"`,
+      undo: () => {
+        setTasks(prev => markOpen(prev, id, { dropNextOccurrence: true }));
+        recordCompletion(current, -1, completedAt);
+      },
+      redo: () => {
+        setTasks(prev => markCompleted(prev, id, completedAt));
+        recordCompletion(current, 1, completedAt);
+      },
+    });
+    return true;
+  }, [tasks, recordCompletion, pushUndo]);
+
+  /**
+   * Reopen a completed task (undo a mis-click)
+   * 
+   * The completion is taken off the day it was recorded on, so the streak
+   * goes back to what it was. A recurring task's next occurrence stays -
+   * it may already have been worked on.
+   * 
+   * @param {number} id - Task id
+   */
+  const reopenTask = useCallback((id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || !task.completed) return;
+
+    const { completedAt } = task;
+    setTasks(prev => markOpen(prev, id));
+    recordCompletion(task, -1, completedAt);
+    pushUndo({
+      label: `Reopened "${task.title}"`,
+      undo: () => {
+        setTasks(prev => markCompleted(prev, id, completedAt));
+        recordCompletion(task, 1, completedAt);
+      },
+      redo: () => {
+        setTasks(prev => markOpen(prev, id));
+        recordCompletion(task, -1, completedAt);
+      },
+    });
+    console.log(`[Task] Reopened: "${task.title}"`);
+  }, [tasks, recordCompletion, pushUndo]);
+
+  /**
+   * Apply a change to one task's subtask list
+   */
+  const updateSubtasks = useCallback((taskId, update) => {
+    setTasks(prev =>
+      prev.map(t => (t.id === taskId ? { ...t, subtasks: update(t.subtasks || []) } : t))
+    );
+  }, []);
+
+  /**
+   * Append a subtask to the end of a task's checklist
+   */
+  const addSubtask = useCallback((taskId, title) => {
+    if (!title.trim()) return;
+    updateSubtasks(taskId, subtasks => [
+      ...subtasks,
+      { id: createTaskId(), title: title.trim(), done: false, doneAt: null },
+    ]);
+  }, [updateSubtasks]);
+
+  /**
+   * Remove a subtask
+   */
+  const removeSubtask = useCallback((taskId, subtaskId) => {
+    updateSubtasks(taskId, subtasks => subtasks.filter(s => s.id !== subtaskId));
+  }, [updateSubtasks]);
+
+  /**
+   * Move a subtask up (-1) or down (+1) in the checklist
+   */
+  const moveSubtask = useCallback((taskId, subtaskId, offset) => {
+    updateSubtasks(taskId, subtasks => {
+      const from = subtasks.findIndex(s => s.id === subtaskId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= subtasks.length) return subtasks;
+      const reordered = [...subtasks];
+      const [moved] = reordered.splice(from, 1);
+      reordered.splice(to, 0, moved);
+      return reordered;
+    });
+  }, [updateSubtasks]);
+
+  /**
+   * Check or uncheck a subtask
+   * 
+   * Each check is recorded in history (as "subtasks", apart from task
+   * completions). When the last open subtask is checked and the task has
+   * autoComplete set, the parent is completed too.
+   */
+  const toggleSubtask = useCallback((taskId, subtaskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    const subtask = task?.subtasks?.find(s => s.id === subtaskId);
+    if (!subtask) return;
+
+    const done = !subtask.done;
+    updateSubtasks(taskId, subtasks =>
+      subtasks.map(s =>
+        s.id === subtaskId ? { ...s, done, doneAt: done ? new Date().toISOString() : null } : s
+      )
+    );
+    recordSubtask(task, done ? 1 : -1, done ? null : subtask.doneAt);
+
+    const allDone = task.subtasks.every(s => (s.id === subtaskId ? done : s.done));
+    if (done && allDone && task.autoComplete && !task.completed) {
+      console.log(`[Task] All subtasks done, auto-completing "${task.title}"`);
+      completeTask(taskId, { force: true });
+    }
+  }, [tasks, updateSubtasks, recordSubtask, completeTask]);
+
+  /**
+   * Edit a task in place
+   * 
+   * WHY NOT DELETE + ADD?
+   * That would lose the id, createdAt and everything keyed on them
+   * (sync history, recurrence series, streak context).
+   * 
+   * CHANGE LOG:
+   * Every changed field is appended to task.changeLog as
+   * { field, from, to, at }, newest last, capped at MAX_CHANGE_LOG.
+   * 
+   * A new deadline re-arms the reminders and the overdue check, exactly
+   * like a reschedule (but without counting as one in history).
+   * 
+   * @param {number} id - Task id
+   * @param {object} changes - Fields to update, e.g. { title, deadline }
+   */
+  const updateTask = useCallback((id, changes) => {
+    const before = tasks.find(t => t.id === id);
+    // Nothing changed, nothing to undo
+    if (!before || applyChanges(tasks, id, changes) === tasks) return;
+
+    setTasks(prev => applyChanges(prev, id, changes));
+    pushUndo({
+      label: `Edited "${before.title}"`,
+      undo: () => setTasks(prev => replaceTask(prev, before)),
+      redo: () => setTasks(prev => applyChanges(prev, id, changes)),
+    });
+    console.log(`[Task] Edited "${before.title}": ${Object.keys(changes).join(", ")}`);
+  }, [tasks, pushUndo]);
+
+  /**
+   * Move a task's deadline (snooze / reschedule)
+   * 
+   * RE-ARMING:
+   * The task gets a fresh start at its new deadline: notified and
+   * remindersSent are reset, so both the reminders and the overdue check
+   * fire again. rescheduleCount keeps the record of how often it slipped.
+   * 
+   * History logs a "rescheduled" outcome - distinct from missed/completed.
+   * Snoozing happens on overdue tasks, which the auto-check already counted
+   * as missed (on the notifiedAt day); that miss is taken back, so a task
+   * pushed back N times is N reschedules and at most one miss.
+   * 
+   * @param {number} id - Task id
+   * @param {string} deadline - New deadline (datetime-local value)
+   */
+  const rescheduleTask = useCallback((id, deadline) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.completed || !deadline) return;
+
+    const rescheduledAt = new Date().toISOString();
+    const reschedule = prev =>
+      prev.map(t =>
+        t.id === id
+          ? {
+              ...t,
+              deadline,
+              notified: false,
+              notifiedAt: null,
+              remindersSent: [],
+              rescheduleCount: (t.rescheduleCount || 0) + 1,
+              rescheduledAt,
+            }
           : t
       );
+
+    const missedAt = task.notified && task.notifiedAt ? task.notifiedAt : null;
+    const record = amount => {
+      recordRescheduled(task, amount, rescheduledAt);
+      if (missedAt) recordMissed(task, -amount, missedAt);
+    };
+
+    setTasks(reschedule);
+    record(1);
+    pushUndo({
+      label: `Rescheduled "${task.title}"`,
+      undo: () => {
+        setTasks(prev => replaceTask(prev, task));
+        record(-1);
+      },
+      redo: () => {
+        setTasks(reschedule);
+        record(1);
+      },
     });
+    console.log(`[Task] Rescheduled: "${task.title}" → ${deadline}`);
+  }, [tasks, recordMissed, recordRescheduled, pushUndo]);
+
+  /**
+   * Spawn the next occurrence after a missed one
+   *
+   * Called by the auto-check when a recurring task goes overdue, so a
+   * missed "standup prep" still shows up again tomorrow.
+   */
+  const spawnNextOccurrence = useCallback((id) => {
+    setTasks(prev => withNextOccurrence(prev, id));
   }, []);
 
   /**
-   * Delete a task
+   * Move a trash entry's task out of the list / back into it
+   * 
+   * Functional updates only - these also run later as undo/redo.
+   */
+  const putInTrash = useCallback((entry) => {
+    setTasks(prev => removeTask(prev, entry.task.id));
+    setTrash(prev => [...prev.filter(e => e.task.id !== entry.task.id), entry]);
+  }, []);
+
+  const takeFromTrash = useCallback((entry) => {
+    setTrash(prev => prev.filter(e => e.task.id !== entry.task.id));
+    setTasks(prev => restoreTask(prev, entry));
+  }, []);
+
+  /**
+   * Delete a task (to the trash)
+   * 
+   * Links to it are removed too, so nothing stays blocked by a task
+   * that no longer exists. The trash entry remembers them, and restoring
+   * the task - or undoing the delete - puts them back.
    */
   const deleteTask = useCallback((id) => {
-    setTasks(prev => {
-      const task = prev.find(t => t.id === id);
-      if (task) {
-        console.log(`[Task] Deleted: "${task.title}"`);
-      }
-      return prev.filter(t => t.id !== id);
+    const entry = createTrashEntry(tasks, id);
+    if (!entry) return;
+
+    putInTrash(entry);
+    pushUndo({
+      label: `Deleted "${entry.task.title}"`,
+      undo: () => takeFromTrash(entry),
+      redo: () => putInTrash(entry),
     });
-  }, []);
+    console.log(`[Task] Deleted: "${entry.task.title}"`);
+  }, [tasks, putInTrash, takeFromTrash, pushUndo]);
+
+  /**
+   * Bring a task back from the trash
+   */
+  const restoreFromTrash = useCallback((id) => {
+    const entry = trash.find(e => e.task.id === id);
+    if (!entry) return;
+
+    takeFromTrash(entry);
+    pushUndo({
+      label: `Restored "${entry.task.title}"`,
+      undo: () => putInTrash(entry),
+      redo: () => takeFromTrash(entry),
+    });
+    console.log(`[Task] Restored: "${entry.task.title}"`);
+  }, [trash, putInTrash, takeFromTrash, pushUndo]);
+
+  /**
+   * Remove trash entries for good (one task, or all with no id)
+   * 
+   * Not undoable - that's what the trash was for - so it asks first.
+   * 
+   * @param {number} id - Task id, or undefined to empty the trash
+   * @returns {boolean} - false if the user cancelled
+   */
+  const purgeFromTrash = useCallback((id) => {
+    const entries = id === undefined ? trash : trash.filter(e => e.task.id === id);
+    if (entries.length === 0) return false;
+
+    const question = entries.length === 1
+      ? `Delete "${entries[0].task.title}" forever?`
+      : `Delete ${entries.length} tasks forever?`;
+    if (!window.confirm(question)) return false;
+
+    const ids = new Set(entries.map(e => e.task.id));
+    setTrash(prev => prev.filter(e => !ids.has(e.task.id)));
+    return true;
+  }, [trash]);
 
   /**
    * Mark task as notified (prevents duplicate notifications)
+   * 
+   * notifiedAt doubles as "when was this task counted as missed".
    */
   const markNotified = useCallback((id) => {
     setTasks(prev =>
-      prev.map(t => (t.id === id ? { ...t, notified: true } : t))
+      prev.map(t =>
+        t.id === id ? { ...t, notified: true, notifiedAt: new Date().toISOString() } : t
+      )
+    );
+  }, []);
+
+  /**
+   * Remember that reminder offsets were sent
+   * 
+   * WHY PERSIST IN THE TASK?
+   * useAutoCheck's in-memory Set is empty after a reload. Storing the sent
+   * offsets on the task (localStorage + sync) means a reload - or another
+   * device - never repeats a reminder.
+   * 
+   * @param {number} id - Task id
+   * @param {Array<number>} offsets - Minutes-before values that were handled
+   */
+  const markRemindersSent = useCallback((id, offsets) => {
+    setTasks(prev =>
+      prev.map(t => {
+        if (t.id !== id) return t;
+        const sent = new Set([...(t.remindersSent || []), ...offsets]);
+        return { ...t, remindersSent: [...sent] };
+      })
+    );
+  }, []);
+
+  /**
+   * Keep the coach's warning on the task
+   * 
+   * WHY?
+   * Cards remount all the time (filters, reloads, other tabs) and each
+   * mount would ask the server again. A stored warning is reused for as
+   * long as the deadline it was written for stays the deadline - after a
+   * reschedule that is missed too, the coach gets a new question.
+   * 
+   * Not undoable and not in the change log: it's a cache, not an edit.
+   * 
+   * @param {number} id - Task id
+   * @param {string} message
+   */
+  const saveWarning = useCallback((id, message) => {
+    setTasks(prev =>
+      prev.map(t =>
+        t.id === id
+          ? { ...t, aiWarning: { message, deadline: t.deadline, createdAt: new Date().toISOString() } }
+          : t
+      )
     );
   }, []);
 
@@ -213,18 +797,18 @@ export const TaskProvider = ({ children }) => {
   /**
    * DISCIPLINE SCORE CALCULATION
    * 
-   * Formula: (completed / total) * 100
+   * Formula (simple):   (completed / total) * 100
+   * Formula (weighted): (completed weight / total weight) * 100
+   * 
+   * The mode comes from settings.scoreMode; weights are per priority
+   * (see utils/priority.js).
    * 
    * Edge cases:
    * - No tasks: 100% (nothing to fail)
    * - All completed: 100%
    * - All missed: 0%
    */
-  const disciplineScore = tasks.length === 0
-    ? 100
-    : Math.round(
-        (tasks.filter(t => t.completed).length / tasks.length) * 100
-      );
+  const disciplineScore = computeCompletionScore(tasks, settings.scoreMode);
 
   /**
    * Get pending (not completed, not overdue) tasks count
@@ -237,14 +821,95 @@ export const TaskProvider = ({ children }) => {
   const overdueCount = tasks.filter(t => !t.completed && isOverdue(t.deadline)).length;
 
   /**
-   * Clear all tasks (for testing/reset)
+   * Clear all tasks
+   * 
+   * SAFETY NET:
+   * 1. Asks first
+   * 2. Saves a snapshot to localStorage (restoreSnapshot() brings it back,
+   *    even after a reload, until the next clear replaces it)
+   * 3. Pushes an undo entry, like every other action
+   * 
+   * @returns {boolean} - false if there was nothing to clear or the user cancelled
    */
   const clearAllTasks = useCallback(() => {
-    setTasks([]);
-    setStreak(0);
-    localStorage.removeItem(STORAGE_KEYS.TASKS);
-    localStorage.removeItem(STORAGE_KEYS.STREAK);
-  }, []);
+    if (tasks.length === 0) return false;
+    if (!window.confirm(`Delete all ${tasks.length} tasks? A snapshot is kept so you can restore them.`)) {
+      return false;
+    }
+
+    const taken = { tasks, takenAt: new Date().toISOString() };
+    try {
+      localStorage.setItem(STORAGE_KEYS.SNAPSHOT, JSON.stringify(taken));
+    } catch (error) {
+      console.error("Failed to save snapshot:", error);
+    }
+    setSnapshot(taken);
+
+    const ids = new Set(tasks.map(t => t.id));
+    // Restore next to whatever was added since, never over it
+    const restore = prev => [...taken.tasks, ...prev.filter(t => !ids.has(t.id))];
+    const clear = prev => prev.filter(t => !ids.has(t.id));
+
+    setTasks(clear);
+    pushUndo({
+      label: `Cleared ${tasks.length} tasks`,
+      undo: () => setTasks(restore),
+      redo: () => setTasks(clear),
+    });
+    console.log(`[Task] Cleared ${tasks.length} tasks (snapshot saved)`);
+    return true;
+  }, [tasks, pushUndo]);
+
+  /**
+   * Bring back the tasks saved by the last clearAllTasks()
+   */
+  const restoreSnapshot = useCallback(() => {
+    if (!snapshot) return;
+
+    const ids = new Set(snapshot.tasks.map(t => t.id));
+    const restore = prev => [...snapshot.tasks, ...prev.filter(t => !ids.has(t.id))];
+    const before = tasks;
+
+    setTasks(restore);
+    pushUndo({
+      label: `Restored ${snapshot.tasks.length} tasks from snapshot`,
+      undo: () => setTasks(prev => prev.filter(t => !ids.has(t.id) || before.some(b => b.id === t.id))),
+      redo: () => setTasks(restore),
+    });
+  }, [snapshot, tasks, pushUndo]);
+
+  /**
+   * Import tasks from a file (see utils/backup.js)
+   * 
+   * Takes the plan the user reviewed in the preview. New tasks are added
+   * with fresh ids; conflicts are resolved as chosen - "replace" goes
+   * through applyChanges, so the change log shows what the import changed.
+   * One undo entry covers the whole import.
+   * 
+   * @param {Array} plan - From planImport()
+   * @param {object} options - { resolution, projectIds }
+   * @returns {object} - { added, replaced } counts
+   */
+  const importTasks = useCallback((plan, options = {}) => {
+    const { added, replaced } = resolveImport(plan, { ...options, createId: createTaskId });
+    if (added.length === 0 && replaced.length === 0) return { added: 0, replaced: 0 };
+
+    const before = replaced.map(({ id }) => tasks.find(t => t.id === id)).filter(Boolean);
+    const addedIds = new Set(added.map(t => t.id));
+    const apply = prev => [
+      ...replaced.reduce((list, { id, changes }) => applyChanges(list, id, changes), prev),
+      ...added,
+    ];
+
+    setTasks(apply);
+    pushUndo({
+      label: `Imported ${added.length + replaced.length} tasks`,
+      undo: () => setTasks(prev => before.reduce(replaceTask, prev.filter(t => !addedIds.has(t.id)))),
+      redo: () => setTasks(apply),
+    });
+    console.log(`[Task] Imported: ${added.length} added, ${replaced.length} replaced`);
+    return { added: added.length, replaced: replaced.length };
+  }, [tasks, pushUndo]);
 
   /**
    * CONTEXT VALUE
@@ -257,7 +922,9 @@ export const TaskProvider = ({ children }) => {
   const value = {
     // State
     tasks,
-    streak,
+    trash,
+    trashRetentionDays: retentionDays,
+    snapshot,
     disciplineScore,
     pendingCount,
     overdueCount,
@@ -265,9 +932,30 @@ export const TaskProvider = ({ children }) => {
     // Actions
     addTask,
     completeTask,
+    reopenTask,
+    addSubtask,
+    toggleSubtask,
+    removeSubtask,
+    moveSubtask,
     deleteTask,
     markNotified,
+    markRemindersSent,
+    saveWarning,
+    updateTask,
+    rescheduleTask,
+    spawnNextOccurrence,
     clearAllTasks,
+    restoreSnapshot,
+    restoreFromTrash,
+    purgeFromTrash,
+    importTasks,
+    
+    // Undo / redo
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    lastAction,
     
     // Computed
     getTodayTasks,
@@ -0,0 +1,343 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { useTaskContext } from "./TaskContext";
+import { useHistory } from "./HistoryContext";
+import { AppProviders } from "../test/providers";
+import { notifyTaskCompleted, notifyTaskUnblocked } from "../utils/notification";
+import { getTodayKey } from "../utils/dateUtils";
+import { parseImportFile, planImport } from "../utils/backup";
+
+vi.mock("../utils/api", () => import("../test/mockApi"));
+vi.mock("../utils/notification", () => ({
+  notifyTaskCompleted: vi.fn(),
+  notifyTaskUnblocked: vi.fn(),
+}));
+
+function renderTasks() {
+  return renderHook(() => ({ ...useTaskContext(), ...useHistory() }), { wrapper: AppProviders });
+}
+
+const DEADLINE = "2026-02-20T18:00";
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("TaskProvider", () => {
+  it("adds tasks with defaults and persists them", () => {
+    const { result } = renderTasks();
+
+    act(() => result.current.addTask({ title: "Write report", deadline: DEADLINE, tags: "work, #Urgent" }));
+
+    const [task] = result.current.tasks;
+    expect(task).toMatchObject({
+      title: "Write report",
+      priority: "medium",
+      projectId: null,
+      completed: false,
+      recurrence: null,
+    });
+    expect(task.tags).toEqual(["work", "urgent"]);
+    expect(JSON.parse(localStorage.getItem("task-reminder-tasks"))).toHaveLength(1);
+  });
+
+  it("completes a task, records it in history and notifies", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Write report", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+
+    act(() => result.current.completeTask(id));
+
+    expect(result.current.tasks[0].completed).toBe(true);
+    expect(result.current.tasks[0].completedAt).toBeTruthy();
+    expect(result.current.history[getTodayKey()].completed).toBe(1);
+    expect(result.current.getStreak().current).toBe(1);
+    expect(notifyTaskCompleted).toHaveBeenCalledTimes(1);
+  });
+
+  it("takes a reopened task off the day it was completed", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Write report", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+    act(() => result.current.completeTask(id));
+
+    act(() => result.current.reopenTask(id));
+
+    expect(result.current.tasks[0]).toMatchObject({ completed: false, completedAt: null });
+    expect(result.current.history[getTodayKey()].completed).toBe(0);
+    expect(result.current.getStreak().current).toBe(0);
+  });
+
+  it("asks before completing a task with open subtasks", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Move", deadline: DEADLINE, subtasks: ["Pack", "Drive"] }));
+    const { id } = result.current.tasks[0];
+
+    vi.spyOn(window, "confirm").mockReturnValue(false);
+    let completed;
+    act(() => {
+      completed = result.current.completeTask(id);
+    });
+
+    expect(completed).toBe(false);
+    expect(result.current.tasks[0].completed).toBe(false);
+  });
+
+  it("spawns the next occurrence of a recurring task", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({
+      title: "Standup prep",
+      deadline: "2026-02-20T09:00",
+      recurrence: { freq: "daily", interval: 1 },
+    }));
+
+    act(() => result.current.completeTask(result.current.tasks[0].id));
+
+    const [first, next] = result.current.tasks;
+    expect(next).toMatchObject({ title: "Standup prep", completed: false, occurrence: 2 });
+    expect(next.deadline).toBe("2026-02-21T09:00");
+    expect(next.seriesId).toBe(first.id);
+    expect(first.nextOccurrenceId).toBe(next.id);
+  });
+
+  it("reschedules, re-arms reminders and counts it in history", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Call bank", deadline: DEADLINE, reminders: [10] }));
+    const { id } = result.current.tasks[0];
+    act(() => result.current.markNotified(id));
+    act(() => result.current.markRemindersSent(id, [10]));
+
+    act(() => result.current.rescheduleTask(id, "2026-02-21T10:00"));
+
+    expect(result.current.tasks[0]).toMatchObject({
+      deadline: "2026-02-21T10:00",
+      notified: false,
+      remindersSent: [],
+      rescheduleCount: 1,
+    });
+    expect(result.current.history[getTodayKey()].rescheduled).toBe(1);
+  });
+
+  it("takes back the miss a snooze follows, so a snoozed task counts once", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Call bank", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+    // What the auto-check does when a task goes overdue (see App.jsx)
+    const goOverdue = () => act(() => {
+      result.current.markNotified(id);
+      result.current.recordMissed(result.current.tasks[0]);
+    });
+
+    goOverdue();
+    act(() => result.current.rescheduleTask(id, "2026-02-21T10:00"));
+    expect(result.current.history[getTodayKey()]).toMatchObject({ missed: 0, rescheduled: 1 });
+
+    act(() => result.current.undo());
+    expect(result.current.history[getTodayKey()]).toMatchObject({ missed: 1, rescheduled: 0 });
+    act(() => result.current.redo());
+
+    goOverdue();
+    expect(result.current.history[getTodayKey()]).toMatchObject({ missed: 1, rescheduled: 1 });
+  });
+
+    it("keeps the coach's warning with the deadline it was written for", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Call bank", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+    const lastAction = result.current.lastAction;
+
+    act(() => result.current.saveWarning(id, "Call them now."));
+
+    const [task] = result.current.tasks;
+    expect(task.aiWarning).toMatchObject({ message: "Call them now.", deadline: DEADLINE });
+    expect(task.changeLog || []).toHaveLength(0);
+    expect(result.current.lastAction).toBe(lastAction);
+  });
+
+  it("logs edits in the change log and leaves protected fields alone", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Draft", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+
+    act(() => result.current.updateTask(id, { title: "Final draft", id: 999 }));
+
+    const task = result.current.tasks[0];
+    expect(task.id).toBe(id);
+    expect(task.title).toBe("Final draft");
+    expect(task.changeLog).toEqual([
+      expect.objectContaining({ field: "title", from: "Draft", to: "Final draft" }),
+    ]);
+  });
+
+  it("records checked subtasks and auto-completes the parent", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({
+      title: "Move",
+      deadline: DEADLINE,
+      subtasks: ["Pack"],
+      autoComplete: true,
+    }));
+    const task = result.current.tasks[0];
+
+    act(() => result.current.toggleSubtask(task.id, task.subtasks[0].id));
+
+    expect(result.current.tasks[0].completed).toBe(true);
+    expect(result.current.history[getTodayKey()].subtasks).toBe(1);
+  });
+
+  it("unblocks dependents and unlinks deleted tasks", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Buy paint", deadline: DEADLINE }));
+    const blocker = result.current.tasks[0];
+    act(() => result.current.addTask({ title: "Paint wall", deadline: DEADLINE, dependsOn: [blocker.id] }));
+    const dependent = result.current.tasks[1];
+    expect(dependent.dependsOn).toEqual([blocker.id]);
+
+    act(() => result.current.completeTask(blocker.id));
+    expect(notifyTaskUnblocked).toHaveBeenCalledWith(expect.objectContaining({ id: dependent.id }));
+
+    act(() => result.current.deleteTask(blocker.id));
+    expect(result.current.tasks).toHaveLength(1);
+    expect(result.current.tasks[0].dependsOn).toEqual([]);
+  });
+
+  it("moves deleted tasks to the trash and restores their links", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Buy paint", deadline: DEADLINE }));
+    const blocker = result.current.tasks[0];
+    act(() => result.current.addTask({ title: "Paint wall", deadline: DEADLINE, dependsOn: [blocker.id] }));
+
+    act(() => result.current.deleteTask(blocker.id));
+    expect(result.current.trash.map(e => e.task.id)).toEqual([blocker.id]);
+
+    act(() => result.current.restoreFromTrash(blocker.id));
+    expect(result.current.trash).toEqual([]);
+    expect(result.current.tasks.find(t => t.title === "Paint wall").dependsOn).toEqual([blocker.id]);
+  });
+});
+
+describe("undo / redo", () => {
+  it("undoes and redoes a delete", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Pay rent", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+    act(() => result.current.deleteTask(id));
+    expect(result.current.lastAction).toMatchObject({ label: 'Deleted "Pay rent"', kind: "done" });
+
+    act(() => result.current.undo());
+    expect(result.current.tasks.map(t => t.id)).toEqual([id]);
+    expect(result.current.trash).toEqual([]);
+    expect(result.current.canRedo).toBe(true);
+
+    act(() => result.current.redo());
+    expect(result.current.tasks).toEqual([]);
+    expect(result.current.trash).toHaveLength(1);
+  });
+
+  it("takes an undone completion off history and drops the spawned occurrence", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({
+      title: "Standup prep",
+      deadline: "2026-02-20T09:00",
+      recurrence: { freq: "daily", interval: 1 },
+    }));
+    act(() => result.current.completeTask(result.current.tasks[0].id));
+    expect(result.current.tasks).toHaveLength(2);
+
+    act(() => result.current.undo());
+
+    expect(result.current.tasks).toHaveLength(1);
+    expect(result.current.tasks[0]).toMatchObject({ completed: false, nextOccurrenceId: null });
+    expect(result.current.history[getTodayKey()].completed).toBe(0);
+  });
+
+  it("puts an edited task back as it was", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Draft", deadline: DEADLINE }));
+    const { id } = result.current.tasks[0];
+    act(() => result.current.updateTask(id, { title: "Final" }));
+
+    act(() => result.current.undo());
+    expect(result.current.tasks[0].title).toBe("Draft");
+    expect(result.current.tasks[0].changeLog).toBeUndefined();
+
+    act(() => result.current.redo());
+    expect(result.current.tasks[0].title).toBe("Final");
+  });
+
+  it("undoes a reschedule in history too", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Call bank", deadline: DEADLINE }));
+    act(() => result.current.rescheduleTask(result.current.tasks[0].id, "2026-02-21T10:00"));
+
+    act(() => result.current.undo());
+
+    expect(result.current.tasks[0].deadline).toBe(DEADLINE);
+    expect(result.current.history[getTodayKey()].rescheduled).toBe(0);
+  });
+});
+
+describe("clearAllTasks", () => {
+  it("does nothing unless confirmed", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Keep me", deadline: DEADLINE }));
+    vi.spyOn(window, "confirm").mockReturnValue(false);
+
+    act(() => result.current.clearAllTasks());
+
+    expect(result.current.tasks).toHaveLength(1);
+    expect(localStorage.getItem("task-reminder-snapshot")).toBeNull();
+  });
+
+  it("saves a snapshot that can be restored, and can be undone", () => {
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "One", deadline: DEADLINE }));
+    act(() => result.current.addTask({ title: "Two", deadline: DEADLINE }));
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+
+    act(() => result.current.clearAllTasks());
+    expect(result.current.tasks).toEqual([]);
+    expect(JSON.parse(localStorage.getItem("task-reminder-snapshot")).tasks).toHaveLength(2);
+
+    act(() => result.current.undo());
+    expect(result.current.tasks.map(t => t.title)).toEqual(["One", "Two"]);
+
+    act(() => result.current.redo());
+    act(() => result.current.restoreSnapshot());
+    expect(result.current.tasks.map(t => t.title)).toEqual(["One", "Two"]);
+  });
+});
+
+describe("importTasks", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("adds new tasks with fresh ids, applies conflicts and undoes as one step", () => {
+    // A still clock: ids then come from the sequence alone, one apart
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { result } = renderTasks();
+    act(() => result.current.addTask({ title: "Mine", deadline: DEADLINE, priority: "low" }));
+    const mine = result.current.tasks[0];
+
+    const csv = `id,title,deadline,priority\n${mine.id},Mine,${DEADLINE},high\n${mine.id + 1000},Theirs,${DEADLINE},medium\n`;
+    const plan = planImport(result.current.tasks, parseImportFile(csv, "tasks.csv").tasks);
+
+    let counts;
+    act(() => {
+      counts = result.current.importTasks(plan, { resolution: "replace" });
+    });
+
+    expect(counts).toEqual({ added: 1, replaced: 1 });
+    const [updated, theirs] = result.current.tasks;
+    expect(updated).toMatchObject({ id: mine.id, priority: "high" });
+    expect(updated.changeLog.map(e => e.field)).toEqual(["priority"]);
+    expect(theirs.title).toBe("Theirs");
+    expect(theirs.id).toBe(mine.id + 1);
+
+    act(() => result.current.undo());
+    expect(result.current.tasks).toEqual([mine]);
+  });
+});
@@ -3,3 +3,10 @@
  */
 
 export { useAutoCheck } from './useAutoCheck';
+export { useRemoteStore } from './useRemoteStore';
+export { useTaskSync } from './useTaskSync';
+export { useTaskFocus } from './useTaskFocus';
+export { useUndoStack } from './useUndoStack';
+export { useUndoShortcuts } from './useUndoShortcuts';
+export { useWeeklyReviews } from './useWeeklyReviews';
+export { useDailyNotifications } from './useDailyNotifications';
@@ -9,6 +9,15 @@
  * 1. Trigger notifications for newly overdue tasks
  * 2. Update history with missed tasks
  * 3. Track which tasks have already been notified
+ * 4. Send pre-deadline reminders (task.reminders, minutes before deadline)
+ * 5. Warn when a blocked task is due before a task it depends on
+ * 
+ * TWO LAYERS OF DEDUPLICATION:
+ * ----------------------------
+ * - In memory (notifiedTasksRef): instant, covers the gap between firing
+ *   and the task state being updated
+ * - Persisted (task.notified, task.remindersSent): survives reloads, so a
+ *   refresh never repeats a notification
  * 
  * WHY 60000ms (1 MINUTE) INTERVAL?
  * --------------------------------
@@ -39,14 +48,35 @@
  */
 
 import { useEffect, useRef, useCallback } from "react";
-import { notifyOverdueTask } from "../utils/notification";
+import { notifyOverdueTask, notifyUpcomingTask, notifyDependencyConflict } from "../utils/notification";
 import { isOverdue } from "../utils/dateUtils";
+import { getDeadlineConflicts } from "../utils/dependencies";
+
+/**
+ * Reminder offsets that are due but not sent yet
+ * @param {object} task - Task with deadline, reminders, remindersSent
+ * @param {Date} now - Current time
+ * @returns {Array<number>} - Offsets in minutes, smallest (most urgent) first
+ */
+export function getDueReminders(task, now = new Date()) {
+  if (task.completed || !task.reminders?.length) return [];
+
+  const deadline = new Date(task.deadline).getTime();
+  if (deadline <= now.getTime()) return [];
+
+  const sent = task.remindersSent || [];
+  return task.reminders
+    .filter(minutes => !sent.includes(minutes))
+    .filter(minutes => deadline - minutes * 60000 <= now.getTime())
+    .sort((a, b) => a - b);
+}
 
 /**
  * Custom hook for automatic deadline checking
  * 
  * @param {Array} tasks - Array of task objects
- * @param {Function} onTaskOverdue - Callback when task becomes overdue
+ * @param {Function|object} handlers - Callback when task becomes overdue, or
+ *   { onOverdue(task), onReminder(task, offsets), onDependencyConflict(task, dependency) }
  * @param {number} intervalMs - Check interval in milliseconds (default: 60000)
  * 
  * WHY CUSTOM HOOK?
@@ -56,7 +86,10 @@ import { isOverdue } from "../utils/dateUtils";
  * 3. Follows React patterns (hooks composition)
  * 4. Testable in isolation
  */
-export function useAutoCheck(tasks, onTaskOverdue, intervalMs = 60000) {
+export function useAutoCheck(tasks, handlers, intervalMs = 60000) {
+  const { onOverdue, onReminder, onDependencyConflict } =
+    typeof handlers === "function" ? { onOverdue: handlers } : handlers || {};
+
   /**
    * useRef for tracking notified tasks
    * 
@@ -80,26 +113,57 @@ export function useAutoCheck(tasks, onTaskOverdue, intervalMs = 60000) {
       // Skip if already completed
       if (task.completed) return;
 
-      // Skip if already notified
-      if (notifiedTasksRef.current.has(task.id)) return;
+      // Pre-deadline reminders: if several offsets passed while the app
+      // was closed, show only the most urgent one but mark all as sent
+      const dueReminders = getDueReminders(task, now);
+      const reminderKey = `${task.id}:${task.deadline}:${dueReminders.join(",")}`;
+      if (dueReminders.length > 0 && !notifiedTasksRef.current.has(reminderKey)) {
+        notifiedTasksRef.current.add(reminderKey);
+        notifyUpcomingTask(task, dueReminders[0]);
+        if (onReminder) {
+          onReminder(task, dueReminders);
+        }
+        console.log(`[AutoCheck] Reminder: "${task.title}" due in ${dueReminders[0]}m`);
+      }
+
+      // Blocked task due before a dependency: warn once per pair of
+      // deadlines (moving either deadline re-arms it)
+      getDeadlineConflicts(task, tasks).forEach(dependency => {
+        const conflictKey = `${task.id}:${task.deadline}:dep:${dependency.id}:${dependency.deadline}`;
+        if (notifiedTasksRef.current.has(conflictKey)) return;
+        notifiedTasksRef.current.add(conflictKey);
+        notifyDependencyConflict(task, dependency);
+        if (onDependencyConflict) {
+          onDependencyConflict(task, dependency);
+        }
+        console.warn(`[AutoCheck] "${task.title}" is due before its dependency "${dependency.title}"`);
+      });
+
+      // Skip if already notified (persisted flag or this session).
+      // The key includes the deadline: editing or rescheduling a task
+      // re-arms the check without clearing anything here.
+      // (recurring tasks: each occurrence has its own id, so each one
+      //  is checked and reported separately)
+      const overdueKey = `${task.id}:${task.deadline}`;
+      if (task.notified || notifiedTasksRef.current.has(overdueKey)) return;
 
       // Check if task is now overdue
       if (isOverdue(task.deadline)) {
         // Mark as notified to prevent duplicate notifications
-        notifiedTasksRef.current.add(task.id);
+        notifiedTasksRef.current.add(overdueKey);
 
         // Show notification
         notifyOverdueTask(task);
 
         // Call callback for history tracking
-        if (onTaskOverdue) {
-          onTaskOverdue(task);
+        if (onOverdue) {
+          onOverdue(task);
         }
 
         console.log(`[AutoCheck] Task overdue: "${task.title}"`);
       }
     });
-  }, [tasks, onTaskOverdue]);
+  }, [tasks, onOverdue, onReminder, onDependencyConflict]);
 
   /**
    * Initial check on mount and when tasks change
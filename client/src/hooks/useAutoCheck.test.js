@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useAutoCheck, getDueReminders } from './useAutoCheck';
+import { notifyOverdueTask, notifyUpcomingTask } from '../utils/notification';
+
+vi.mock('../utils/notification', () => ({
+  notifyOverdueTask: vi.fn(),
+  notifyUpcomingTask: vi.fn(),
+  notifyDependencyConflict: vi.fn(),
+}));
+
+const NOW = new Date('2026-02-20T12:00:00Z');
+
+function task(overrides) {
+  return {
+    id: 1,
+    title: 'Write report',
+    deadline: new Date(NOW.getTime() + 30 * 60000).toISOString(),
+    completed: false,
+    notified: false,
+    reminders: [],
+    remindersSent: [],
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('getDueReminders', () => {
+  it('returns passed, unsent offsets, most urgent first', () => {
+    const t = task({ reminders: [60, 10, 24 * 60], remindersSent: [24 * 60] });
+    expect(getDueReminders(t, NOW)).toEqual([60]);
+    expect(getDueReminders(t, new Date(NOW.getTime() + 25 * 60000))).toEqual([10, 60]);
+  });
+
+  it('ignores completed and overdue tasks', () => {
+    expect(getDueReminders(task({ reminders: [60], completed: true }), NOW)).toEqual([]);
+    expect(getDueReminders(task({ reminders: [60] }), new Date(NOW.getTime() + 3600000))).toEqual([]);
+  });
+});
+
+describe('useAutoCheck', () => {
+  it('reports a task once when it goes overdue on a later tick', () => {
+    const onOverdue = vi.fn();
+    const tasks = [task()];
+
+    renderHook(() => useAutoCheck(tasks, { onOverdue }));
+    expect(onOverdue).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(31 * 60000);
+    expect(onOverdue).toHaveBeenCalledTimes(1);
+    expect(onOverdue).toHaveBeenCalledWith(tasks[0]);
+    expect(notifyOverdueTask).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(10 * 60000);
+    expect(onOverdue).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks immediately on mount and skips tasks already notified', () => {
+    const onOverdue = vi.fn();
+    const past = new Date(NOW.getTime() - 60000).toISOString();
+
+    renderHook(() => useAutoCheck([
+      task({ id: 1, deadline: past }),
+      task({ id: 2, deadline: past, notified: true }),
+      task({ id: 3, deadline: past, completed: true }),
+    ], onOverdue));
+
+    expect(onOverdue).toHaveBeenCalledTimes(1);
+    expect(onOverdue.mock.calls[0][0].id).toBe(1);
+  });
+
+  it('sends the most urgent due reminder and hands back every due offset', () => {
+    const onReminder = vi.fn();
+    const tasks = [task({ reminders: [60, 45] })];
+
+    renderHook(() => useAutoCheck(tasks, { onReminder }));
+
+    expect(notifyUpcomingTask).toHaveBeenCalledWith(tasks[0], 45);
+    expect(onReminder).toHaveBeenCalledWith(tasks[0], [45, 60]);
+  });
+
+  it('re-arms the overdue check when the deadline moves', () => {
+    const onOverdue = vi.fn();
+    const past = new Date(NOW.getTime() - 60000).toISOString();
+    const later = new Date(NOW.getTime() + 5 * 60000).toISOString();
+
+    const { rerender } = renderHook(({ tasks }) => useAutoCheck(tasks, { onOverdue }), {
+      initialProps: { tasks: [task({ deadline: past })] },
+    });
+    expect(onOverdue).toHaveBeenCalledTimes(1);
+
+    rerender({ tasks: [task({ deadline: later })] });
+    vi.advanceTimersByTime(6 * 60000);
+    expect(onOverdue).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops checking after unmount', () => {
+    const onOverdue = vi.fn();
+    const { unmount } = renderHook(() => useAutoCheck([task()], { onOverdue }));
+
+    unmount();
+    vi.advanceTimersByTime(60 * 60000);
+    expect(onOverdue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * =============================================================================
+ * DAILY NOTIFICATIONS HOOK - Morning plan and end-of-day summary
+ * =============================================================================
+ *
+ * Checks on load (which is what catches up after the app was closed) and
+ * every minute, like useAutoCheck. What is due, and the once-per-day
+ * bookkeeping across tabs, live in utils/dailyNotifications.js.
+ *
+ * The interval reads tasks and history through a ref, so it isn't torn
+ * down and restarted on every edit.
+ */
+
+import { useEffect, useRef } from "react";
+import { useSettings } from "../context/SettingsContext";
+import { useHistory } from "../context/HistoryContext";
+import { useTaskContext } from "../context/TaskContext";
+import { withDailyLock, getDaySummary } from "../utils/dailyNotifications";
+import { notifyDailySummary, notifyMorningPlan } from "../utils/notification";
+import { isValidTimeZone } from "../utils/dateUtils";
+
+const CHECK_INTERVAL_MS = 60000;
+
+export function useDailyNotifications() {
+  const { settings } = useSettings();
+  const { history, getRecoveryDebt } = useHistory();
+  const { tasks, getTodayTasks } = useTaskContext();
+
+  const latestRef = useRef(null);
+  latestRef.current = { history, tasks, getRecoveryDebt, getTodayTasks };
+
+  const { morningPlanTime, dailySummaryTime } = settings;
+  const timeZone = settings.timeZone && isValidTimeZone(settings.timeZone) ? settings.timeZone : null;
+
+  useEffect(() => {
+    const times = { plan: morningPlanTime, summary: dailySummaryTime };
+    if (!times.plan && !times.summary) return;
+
+    const send = (due) => {
+      const latest = latestRef.current;
+      due.forEach(({ name, day }) => {
+        if (name === "plan") {
+          notifyMorningPlan(latest.getTodayTasks().filter(task => !task.completed), latest.getRecoveryDebt());
+        } else {
+          const { completed, total } = getDaySummary(latest.history, latest.tasks, day, new Date(), timeZone);
+          notifyDailySummary(completed, total);
+        }
+      });
+    };
+
+    const check = () => {
+      withDailyLock(times, send, { timeZone }).catch(error => {
+        console.warn("[Daily] Notification check failed:", error.message);
+      });
+    };
+
+    check();
+    const interval = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [morningPlanTime, dailySummaryTime, timeZone]);
+}
@@ -0,0 +1,153 @@
+/**
+ * =============================================================================
+ * REMOTE STORE HOOK - Server persistence with localStorage as offline cache
+ * =============================================================================
+ *
+ * FLOW:
+ * -----
+ * Mount  → state comes from localStorage (instant, works offline)
+ *        → GET from server, adopt server data if it has any
+ * Change → localStorage is written by the context (unchanged)
+ *        → debounced PUT to the server
+ *
+ * OFFLINE EDITS:
+ * --------------
+ * If a save fails we set a "dirty" flag in localStorage. On the next load a
+ * dirty cache wins over the server copy and is pushed up instead, so edits
+ * made on a plane aren't overwritten by the stale server version.
+ *
+ * WHY WAIT FOR hydrated?
+ * ---------------------
+ * The save effect also runs on the very first render. Without the guard we
+ * would PUT the (possibly empty) local cache before the server copy arrives
+ * and wipe it. Flipping hydrated also re-runs the save effect once, which is
+ * what pushes a newer local cache up without waiting for the next edit.
+ *
+ * LOGOUT:
+ * -------
+ * Logout clears the cache, dirty flags included. flushRemoteStores() saves
+ * every mounted store that still has a change waiting (debounce running or
+ * dirty) first, and reports the ones that failed so logout can ask.
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+const SAVE_DEBOUNCE_MS = 500;
+
+// Mounted stores, for flushRemoteStores
+const mountedStores = new Set();
+
+/**
+ * Save every mounted store's unsent changes now
+ * @returns {Promise<string[]>} - Labels of the stores that could not be saved
+ */
+export async function flushRemoteStores() {
+  const stores = [...mountedStores];
+  const saved = await Promise.all(stores.map(store => store.flush()));
+  return stores.filter((store, index) => !saved[index]).map(store => store.label);
+}
+
+/**
+ * @param {*} state - Current state to persist
+ * @param {Function} setState - State setter (used to adopt server data)
+ * @param {object} options
+ * @param {Function} options.load - () => Promise<serverState>
+ * @param {Function} options.save - (state) => Promise
+ * @param {Function} options.isEmpty - (state) => boolean
+ * @param {string} options.dirtyKey - localStorage key for the dirty flag
+ * @param {string} options.label - Name used in log messages
+ */
+export function useRemoteStore(state, setState, { load, save, isEmpty, dirtyKey, label }) {
+  const [hydrated, setHydrated] = useState(false);
+  const skipNextSaveRef = useRef(false);
+  // A change the debounce hasn't saved yet
+  const pendingRef = useRef(false);
+  const latestRef = useRef(null);
+  latestRef.current = { state, save, dirtyKey, label };
+
+  /**
+   * Register for flushRemoteStores
+   */
+  useEffect(() => {
+    const store = {
+      label,
+      flush: async () => {
+        const latest = latestRef.current;
+        if (!pendingRef.current && localStorage.getItem(latest.dirtyKey) !== "true") return true;
+
+        try {
+          await latest.save(latest.state);
+          pendingRef.current = false;
+          localStorage.removeItem(latest.dirtyKey);
+          return true;
+        } catch (error) {
+          localStorage.setItem(latest.dirtyKey, "true");
+          console.warn(`[Sync] ${latest.label}: save failed`, error.message);
+          return false;
+        }
+      },
+    };
+    mountedStores.add(store);
+    return () => mountedStores.delete(store);
+  }, []);
+
+  /**
+   * Initial load from the server
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    load()
+      .then(serverState => {
+        if (cancelled) return;
+        const dirty = localStorage.getItem(dirtyKey) === "true";
+
+        if (!dirty && !isEmpty(serverState)) {
+          // Server copy wins - don't echo it straight back
+          skipNextSaveRef.current = true;
+          setState(serverState);
+        }
+        // Otherwise the local cache is newer (or the server is empty):
+        // the save effect below pushes it once hydrated
+      })
+      .catch(error => {
+        console.warn(`[Sync] ${label}: server unavailable, using local cache`, error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setHydrated(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Debounced save on every change
+   */
+  useEffect(() => {
+    if (!hydrated) return;
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+
+    pendingRef.current = true;
+    const timeoutId = setTimeout(() => {
+      save(state)
+        .then(() => {
+          // A newer change may have come in while this one was in flight
+          if (latestRef.current.state === state) pendingRef.current = false;
+          localStorage.removeItem(dirtyKey);
+        })
+        .catch(error => {
+          localStorage.setItem(dirtyKey, "true");
+          console.warn(`[Sync] ${label}: save failed, will retry on next change`, error.message);
+        });
+    }, SAVE_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [state, hydrated, save, dirtyKey, label]);
+}
+
+export default useRemoteStore;
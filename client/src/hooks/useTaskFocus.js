@@ -0,0 +1,63 @@
+/**
+ * =============================================================================
+ * TASK FOCUS HOOK - Scroll to the task a notification was about
+ * =============================================================================
+ * 
+ * Two entry points:
+ * 1. App opened from a notification → URL is /?task=<id>
+ * 2. App already open → service worker posts { type: "FOCUS_TASK" }
+ * 
+ * The task card has id="task-<id>". We scroll it into view and return the
+ * id so the list can highlight it for a few seconds.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { onTaskFocusRequest } from "../utils/push";
+
+const HIGHLIGHT_MS = 4000;
+
+export function useTaskFocus(tasks) {
+  const [focusedTaskId, setFocusedTaskId] = useState(() =>
+    new URLSearchParams(window.location.search).get("task")
+  );
+  const scrolledToRef = useRef(null);
+
+  /**
+   * Listen for clicks on notifications while the app is open
+   */
+  useEffect(() => onTaskFocusRequest(id => setFocusedTaskId(String(id))), []);
+
+  /**
+   * Scroll once the card exists (tasks may still be loading)
+   */
+  useEffect(() => {
+    if (!focusedTaskId || scrolledToRef.current === focusedTaskId) return;
+
+    const element = document.getElementById(`task-${focusedTaskId}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+    scrolledToRef.current = focusedTaskId;
+
+    // Drop ?task= so a reload doesn't jump again
+    if (window.location.search) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+  }, [focusedTaskId, tasks]);
+
+  /**
+   * Highlight fades after a few seconds
+   */
+  useEffect(() => {
+    if (!focusedTaskId) return;
+    const timeoutId = setTimeout(() => {
+      setFocusedTaskId(null);
+      scrolledToRef.current = null;
+    }, HIGHLIGHT_MS);
+    return () => clearTimeout(timeoutId);
+  }, [focusedTaskId]);
+
+  return focusedTaskId;
+}
+
+export default useTaskFocus;
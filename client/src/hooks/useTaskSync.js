@@ -0,0 +1,163 @@
+/**
+ * =============================================================================
+ * TASK SYNC HOOK - Replays the mutation log to /api/sync
+ * =============================================================================
+ * 
+ * WHEN DO WE SYNC?
+ * ----------------
+ * 1. On mount (pick up what other devices did while we were closed)
+ * 2. Shortly after every local change (debounced)
+ * 3. When the browser fires "online" (replay what was queued offline)
+ * 4. Every 30s while the tab is visible (pull changes from other devices)
+ * 
+ * FIRST SYNC ON A DEVICE:
+ * -----------------------
+ * With no cursor yet, the local cache is queued as very OLD writes (ts = 1).
+ * Tasks the server doesn't know get created; for tasks it does know, the
+ * server's newer values win. A stale cache can't overwrite fresh data and
+ * can't resurrect a task that was deleted elsewhere (tombstone wins).
+ * 
+ * See utils/syncQueue.js for the mutation format and merge rules.
+ */
+
+import { useEffect, useRef, useCallback } from "react";
+import { syncTasks } from "../utils/api";
+import {
+  getDeviceId,
+  loadQueue,
+  saveQueue,
+  loadCursor,
+  saveCursor,
+  updateClockOffset,
+  diffTasks,
+  mergeServerTasks,
+} from "../utils/syncQueue";
+
+const FLUSH_DEBOUNCE_MS = 1000;
+const POLL_INTERVAL_MS = 30000;
+
+/**
+ * @param {Array} tasks - Current task list
+ * @param {Function} setTasks - Task state setter (used to merge remote changes)
+ */
+export function useTaskSync(tasks, setTasks) {
+  const prevTasksRef = useRef(tasks);
+  const queueRef = useRef(null);
+  const flushingRef = useRef(false);
+  const flushTimeoutRef = useRef(null);
+  const lastMergeRef = useRef(null);
+
+  if (queueRef.current === null) {
+    queueRef.current = loadQueue();
+
+    if (loadCursor() === null && queueRef.current.length === 0) {
+      queueRef.current.push(...diffTasks([], tasks, 1));
+      saveQueue(queueRef.current);
+    }
+  }
+
+  /**
+   * Log whatever changed since the last snapshot
+   * @returns {number} - Number of new mutations
+   */
+  const capture = useCallback((current) => {
+    const mutations = diffTasks(prevTasksRef.current, current);
+    prevTasksRef.current = current;
+
+    if (mutations.length > 0) {
+      queueRef.current.push(...mutations);
+      saveQueue(queueRef.current);
+    }
+    return mutations.length;
+  }, []);
+
+  /**
+   * Push queued mutations, pull remote changes
+   */
+  const flush = useCallback(async () => {
+    if (flushingRef.current) return;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return;
+
+    flushingRef.current = true;
+    const batch = [...queueRef.current];
+
+    try {
+      const response = await syncTasks({
+        deviceId: getDeviceId(),
+        since: loadCursor() || 0,
+        mutations: batch,
+      });
+
+      const sent = new Set(batch.map(m => m.id));
+      queueRef.current = queueRef.current.filter(m => !sent.has(m.id));
+      saveQueue(queueRef.current);
+      updateClockOffset(response.serverTime);
+      saveCursor(response.cursor);
+
+      if (response.tasks.length > 0) {
+        setTasks(prev => {
+          // StrictMode calls updaters twice - return the same result
+          if (lastMergeRef.current?.prev === prev) return lastMergeRef.current.merged;
+
+          // Log local edits made since the last effect ran, so the merge
+          // below re-applies them instead of overwriting them
+          capture(prev);
+          const merged = mergeServerTasks(prev, response.tasks, queueRef.current);
+          prevTasksRef.current = merged;
+          lastMergeRef.current = { prev, merged };
+          return merged;
+        });
+      }
+
+      if (batch.length > 0) {
+        console.log(`[Sync] Pushed ${batch.length} change(s), pulled ${response.tasks.length}`);
+      }
+    } catch (error) {
+      console.warn(`[Sync] Offline - ${queueRef.current.length} change(s) queued`, error.message);
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [setTasks, capture]);
+
+  const scheduleFlush = useCallback(() => {
+    clearTimeout(flushTimeoutRef.current);
+    flushTimeoutRef.current = setTimeout(flush, FLUSH_DEBOUNCE_MS);
+  }, [flush]);
+
+  /**
+   * Every state change → diff → queue → debounced flush
+   */
+  useEffect(() => {
+    if (capture(tasks) > 0) {
+      scheduleFlush();
+    }
+  }, [tasks, capture, scheduleFlush]);
+
+  /**
+   * Initial sync, reconnect replay and periodic pull
+   */
+  useEffect(() => {
+    flush();
+
+    const handleOnline = () => {
+      console.log("[Sync] Back online, replaying queue");
+      flush();
+    };
+
+    const intervalId = setInterval(() => {
+      if (document.visibilityState === "visible") flush();
+    }, POLL_INTERVAL_MS);
+
+    window.addEventListener("online", handleOnline);
+
+    return () => {
+      clearInterval(intervalId);
+      clearTimeout(flushTimeoutRef.current);
+      window.removeEventListener("online", handleOnline);
+    };
+  }, [flush]);
+
+  return { flush, pendingCount: queueRef.current.length };
+}
+
+export default useTaskSync;
@@ -0,0 +1,43 @@
+/**
+ * =============================================================================
+ * UNDO SHORTCUTS HOOK - Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y)
+ * =============================================================================
+ * 
+ * Ignored while typing in a field: there the browser's own text undo is
+ * what the user means, not "bring back the task I deleted".
+ */
+
+import { useEffect } from "react";
+
+function isEditable(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || target.isContentEditable;
+}
+
+/**
+ * @param {Function} undo
+ * @param {Function} redo
+ */
+export function useUndoShortcuts(undo, redo) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isEditable(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+}
+
+export default useUndoShortcuts;
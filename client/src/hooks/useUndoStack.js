@@ -0,0 +1,84 @@
+/**
+ * =============================================================================
+ * UNDO STACK HOOK - Undo/redo for task actions
+ * =============================================================================
+ * 
+ * ENTRY SHAPE:
+ * ------------
+ * { label: 'Deleted "Pay rent"', undo: () => {...}, redo: () => {...} }
+ * 
+ * The action that pushes an entry also writes its undo/redo functions.
+ * They must only use functional state updates (setTasks(prev => ...)) and
+ * data captured when the action ran - never the `tasks` of that render,
+ * which is stale by the time someone presses Ctrl+Z.
+ * 
+ * WHY A REF?
+ * ----------
+ * The stacks live in a ref, with a counter state only to re-render. Two
+ * quick Ctrl+Z presses land before React re-renders; reading the stack
+ * from state would undo the same entry twice.
+ * 
+ * Pushing a new entry clears the redo stack, like every editor does.
+ */
+
+import { useCallback, useRef, useState } from "react";
+
+const MAX_UNDO = 50;
+
+/**
+ * @returns {object} - { push, undo, redo, canUndo, canRedo, lastAction }
+ *   lastAction: { label, kind: "done" | "undone" | "redone", seq } or null
+ */
+export function useUndoStack(limit = MAX_UNDO) {
+  const stacksRef = useRef({ undo: [], redo: [] });
+  const seqRef = useRef(0);
+  const [lastAction, setLastAction] = useState(null);
+
+  const announce = useCallback((label, kind) => {
+    seqRef.current += 1;
+    setLastAction({ label, kind, seq: seqRef.current });
+  }, []);
+
+  const push = useCallback((entry) => {
+    stacksRef.current = {
+      undo: [...stacksRef.current.undo, entry].slice(-limit),
+      redo: [],
+    };
+    announce(entry.label, "done");
+  }, [limit, announce]);
+
+  const undo = useCallback(() => {
+    const { undo: done, redo: undone } = stacksRef.current;
+    const entry = done[done.length - 1];
+    if (!entry) return false;
+
+    stacksRef.current = { undo: done.slice(0, -1), redo: [...undone, entry] };
+    entry.undo();
+    announce(entry.label, "undone");
+    console.log(`[Undo] ${entry.label}`);
+    return true;
+  }, [announce]);
+
+  const redo = useCallback(() => {
+    const { undo: done, redo: undone } = stacksRef.current;
+    const entry = undone[undone.length - 1];
+    if (!entry) return false;
+
+    stacksRef.current = { undo: [...done, entry], redo: undone.slice(0, -1) };
+    entry.redo();
+    announce(entry.label, "redone");
+    console.log(`[Redo] ${entry.label}`);
+    return true;
+  }, [announce]);
+
+  return {
+    push,
+    undo,
+    redo,
+    canUndo: stacksRef.current.undo.length > 0,
+    canRedo: stacksRef.current.redo.length > 0,
+    lastAction,
+  };
+}
+
+export default useUndoStack;
@@ -0,0 +1,136 @@
+/**
+ * =============================================================================
+ * WEEKLY REVIEWS HOOK - Past reviews, and a new one on the chosen weekday
+ * =============================================================================
+ *
+ * The server keeps the reviews (POST /ai/review saves them); localStorage
+ * is only the offline copy, so the review page has something to show
+ * before - or without - the GET.
+ *
+ * AUTOMATIC REVIEWS:
+ * ------------------
+ * With settings.weeklyReviewDay set, the first check on that weekday
+ * generates the review of the week before and announces it with a
+ * notification. Checked on load and hourly, like the trash purge, and only
+ * after the server's list arrived - otherwise a second device would
+ * generate the same week again. Open tabs share one run per day through
+ * withReviewLock. A failed attempt (offline) is retried at the next check.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useSettings } from "../context/SettingsContext";
+import { useHistory } from "../context/HistoryContext";
+import { useTaskContext } from "../context/TaskContext";
+import { useProjects } from "../context/ProjectContext";
+import { fetchReviews, createReview } from "../utils/api";
+import { getReviewWeek, buildReviewInput, isReviewDue, withReviewLock, releaseReviewDay } from "../utils/review";
+import { getTodayKey, isValidTimeZone } from "../utils/dateUtils";
+import { notifyWeeklyReview } from "../utils/notification";
+
+const REVIEWS_STORAGE_KEY = "task-reminder-reviews";
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function loadReviews() {
+  try {
+    const saved = localStorage.getItem(REVIEWS_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error("Failed to load reviews:", error);
+    return [];
+  }
+}
+
+/**
+ * @returns {object} - { reviews, generate, generating, error }
+ *   reviews: newest week first
+ *   generate(): review of the week that ended yesterday (replaces an
+ *   earlier one for the same week), resolves to it
+ */
+export function useWeeklyReviews() {
+  const { settings } = useSettings();
+  const { history, getStreak } = useHistory();
+  const { tasks } = useTaskContext();
+  const { projects } = useProjects();
+
+  const [reviews, setReviews] = useState(loadReviews);
+  const [loaded, setLoaded] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState("");
+  const autoRunRef = useRef(null);
+
+  const timeZone = settings.timeZone && isValidTimeZone(settings.timeZone) ? settings.timeZone : null;
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify(reviews));
+    } catch (error) {
+      console.error("Failed to save reviews:", error);
+    }
+  }, [reviews]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchReviews()
+      .then(({ reviews: saved }) => !cancelled && setReviews(saved))
+      .catch(error => console.warn("[Review] Could not load reviews:", error.message))
+      .finally(() => !cancelled && setLoaded(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const generate = useCallback(async () => {
+    setGenerating(true);
+    setError("");
+    try {
+      const { review } = await createReview(buildReviewInput({
+        history,
+        tasks,
+        week: getReviewWeek(getTodayKey(timeZone)),
+        streak: getStreak(),
+        projects,
+        timeZone,
+      }));
+      setReviews(prev => [review, ...prev.filter(r => r.weekStart !== review.weekStart)]
+        .sort((a, b) => b.weekStart.localeCompare(a.weekStart)));
+      return review;
+    } catch (error) {
+      setError(error.message);
+      throw error;
+    } finally {
+      setGenerating(false);
+    }
+  }, [history, tasks, projects, getStreak, timeZone]);
+
+  /**
+   * Generate the week's review on the chosen weekday
+   */
+  useEffect(() => {
+    if (!loaded) return;
+
+    const check = () => {
+      const todayKey = getTodayKey(timeZone);
+      if (autoRunRef.current === todayKey || !isReviewDue(reviews, settings.weeklyReviewDay, todayKey)) return;
+
+      autoRunRef.current = todayKey;
+      withReviewLock(todayKey, () => {
+        generate()
+          .then(review => notifyWeeklyReview(review))
+          .catch(error => {
+            console.warn("[Review] Automatic review failed:", error.message);
+            autoRunRef.current = null;
+            releaseReviewDay(todayKey);
+          });
+      }).catch(error => {
+        console.warn("[Review] Automatic review check failed:", error.message);
+        autoRunRef.current = null;
+      });
+    };
+
+    check();
+    const interval = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loaded, reviews, settings.weeklyReviewDay, timeZone, generate]);
+
+  return { reviews, generate, generating, error };
+}
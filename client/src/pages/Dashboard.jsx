@@ -1,16 +1,53 @@
+import { useState } from "react";
 import TaskForm from "../components/TaskForm";
+import QuickAdd from "../components/QuickAdd";
 import TaskList from "../components/TaskList";
 import StatsPanel from "../components/StatsPanel";
 import AnalyticsChart from "../components/AnalyticsChart";
+import SettingsPanel from "../components/SettingsPanel";
+import ProjectManager from "../components/ProjectManager";
+import TaskFilterBar from "../components/TaskFilterBar";
+import TrashPanel from "../components/TrashPanel";
+import DataPanel from "../components/DataPanel";
+import UndoToast from "../components/UndoToast";
+import { useAuth } from "../context/AuthContext";
+import { useTaskContext } from "../context/TaskContext";
+import { useTaskFocus } from "../hooks/useTaskFocus";
+import { DEFAULT_FILTER, getAllTags } from "../utils/projects";
+
+export default function Dashboard({ onOpenReview }) {
+  const { user, logout } = useAuth();
+  const { tasks } = useTaskContext();
+  const focusedTaskId = useTaskFocus(tasks);
+
+  // One filter for the list, the stats and the chart
+  const [filter, setFilter] = useState(DEFAULT_FILTER);
 
-export default function Dashboard() {
   return (
     <div className="container">
-      <h1>Task Reminder App</h1>
-      <StatsPanel />
-      <AnalyticsChart />
+      <header className="app-header">
+        <h1>Task Reminder App</h1>
+        <div className="user-menu">
+          <span>{user.email}</span>
+          <button onClick={onOpenReview}>Weekly review</button>
+          <button onClick={logout}>Log out</button>
+        </div>
+      </header>
+      <SettingsPanel />
+      <ProjectManager />
+      <TaskFilterBar filter={filter} onChange={setFilter} tags={getAllTags(tasks)} />
+      <StatsPanel filter={filter} />
+      <AnalyticsChart filter={filter} />
+      <QuickAdd />
       <TaskForm />
-      <TaskList />
+      <TaskList
+        focusedTaskId={focusedTaskId}
+        filter={filter}
+        onTagClick={(tag) => setFilter(prev => ({ ...prev, tag }))}
+      />
+      <TrashPanel />
+      <DataPanel />
+      <UndoToast />
     </div>
   );
 }
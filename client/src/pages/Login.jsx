@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+
+export default function Login() {
+  const { login, signup } = useAuth();
+
+  const [mode, setMode] = useState("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const isSignup = mode === "signup";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSubmitting(true);
+
+    try {
+      await (isSignup ? signup : login)(email, password);
+    } catch (err) {
+      // ApiError carries the server's message; TypeError means no server
+      setError(err.status ? err.message : "Can't reach the server. Try again later.");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container login">
+      <h1>Task Reminder App</h1>
+
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h2>{isSignup ? "Create account" : "Log in"}</h2>
+
+        <input
+          type="email"
+          placeholder="Email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete={isSignup ? "new-password" : "current-password"}
+          minLength={isSignup ? 8 : undefined}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        {error && <p className="form-error">{error}</p>}
+
+        <button type="submit" disabled={submitting}>
+          {isSignup ? "Sign up" : "Log in"}
+        </button>
+
+        <button
+          type="button"
+          className="btn-link"
+          onClick={() => {
+            setMode(isSignup ? "login" : "signup");
+            setError("");
+          }}
+        >
+          {isSignup ? "Already have an account? Log in" : "New here? Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useAuth } from "../context/AuthContext";
+import { formatDateKey } from "../utils/dateUtils";
+
+/**
+ * One review: the week, the numbers, the narrative and what to change
+ */
+function ReviewCard({ review }) {
+  const { stats } = review;
+
+  return (
+    <article className="review-card">
+      <h3>{formatDateKey(review.weekStart)} – {formatDateKey(review.weekEnd)}</h3>
+      <p className="review-stats">
+        {stats.completed} completed · {stats.missed} missed · {stats.rescheduled} rescheduled
+        {stats.completionRate !== null && ` · ${stats.completionRate}%`}
+      </p>
+      <p>{review.narrative}</p>
+      <ul>
+        {review.suggestions.map(suggestion => <li key={suggestion}>{suggestion}</li>)}
+      </ul>
+      {review.provider === "template" && (
+        <p className="data-hint">Written offline from your numbers.</p>
+      )}
+    </article>
+  );
+}
+
+/**
+ * Weekly review page (#review)
+ *
+ * The latest review in full, older ones folded. Reviews come from
+ * useWeeklyReviews, which AppContent owns so the automatic review runs
+ * whichever page is open.
+ */
+export default function Review({ reviews, generate, generating, error, onBack }) {
+  const { user, logout } = useAuth();
+  const [latest, ...past] = reviews;
+
+  return (
+    <div className="container">
+      <header className="app-header">
+        <h1>Weekly Review</h1>
+        <div className="user-menu">
+          <span>{user.email}</span>
+          <button onClick={onBack}>Back to tasks</button>
+          <button onClick={logout}>Log out</button>
+        </div>
+      </header>
+
+      <div className="data-actions">
+        <button onClick={() => generate().catch(() => {})} disabled={generating}>
+          {generating ? "Reviewing..." : "Review last week"}
+        </button>
+      </div>
+      {error && <p className="data-hint">{error}</p>}
+
+      {latest ? <ReviewCard review={latest} /> : (
+        <p className="data-hint">No reviews yet. Pick a weekday in the settings to get one every week.</p>
+      )}
+
+      {past.length > 0 && (
+        <details className="review-history">
+          <summary>Past reviews ({past.length})</summary>
+          {past.map(review => <ReviewCard key={review.id} review={review} />)}
+        </details>
+      )}
+    </div>
+  );
+}
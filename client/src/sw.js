@@ -0,0 +1,114 @@
+/**
+ * =============================================================================
+ * SERVICE WORKER - Offline cache, push reminders, notification clicks
+ * =============================================================================
+ * 
+ * WHY A CUSTOM SERVICE WORKER?
+ * ----------------------------
+ * vite-plugin-pwa's generated worker only precaches the app shell. Showing
+ * reminders with the tab closed needs our own `push` and
+ * `notificationclick` handlers, so the plugin runs in injectManifest mode:
+ * it builds this file and injects the precache list into __WB_MANIFEST.
+ * 
+ * TWO WAYS A REMINDER ARRIVES:
+ * ----------------------------
+ * 1. SERVER PUSH: The Express server sends Web Push messages for due and
+ *    overdue tasks (works on every browser with push support)
+ * 2. LOCAL TRIGGERS: The page hands us upcoming deadlines and, where the
+ *    Notification Triggers API exists, we schedule them on the device
+ *    (works with no network at all)
+ * Both use the same tag per task, so the OS shows only one of them.
+ */
+
+import { precacheAndRoute, cleanupOutdatedCaches } from "workbox-precaching";
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// registerType: "autoUpdate" - take over as soon as a new version installs
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+const NOTIFICATION_DEFAULTS = {
+  icon: "/icon.svg",
+  badge: "/icon.svg",
+  vibrate: [200, 100, 200],
+};
+
+/**
+ * Server push → system notification
+ */
+self.addEventListener("push", (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch {
+    payload = { title: "Task Reminder", body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title, {
+      ...NOTIFICATION_DEFAULTS,
+      body: payload.body,
+      tag: payload.tag,
+      requireInteraction: payload.tag?.startsWith("overdue-"),
+      data: { taskId: payload.taskId, url: payload.url || "/" },
+    })
+  );
+});
+
+/**
+ * Click → focus an open tab (and scroll it to the task) or open a new one
+ */
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { taskId, url = "/" } = event.notification.data || {};
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+
+    if (existing) {
+      await existing.focus();
+      existing.postMessage({ type: "FOCUS_TASK", taskId });
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
+
+/**
+ * Page → worker: (re)schedule on-device reminders
+ * 
+ * message.reminders: [{ taskId, title, body, tag, at }]
+ */
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "SCHEDULE_REMINDERS") return;
+  event.waitUntil(scheduleReminders(event.data.reminders || []));
+});
+
+async function scheduleReminders(reminders) {
+  // Notification Triggers is Chromium-only (behind a flag in some versions)
+  if (typeof self.TimestampTrigger === "undefined") return;
+
+  // Replace the previous schedule wholesale - deadlines may have moved
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending.filter(n => n.data?.scheduled).forEach(n => n.close());
+
+  const now = Date.now();
+  await Promise.all(
+    reminders
+      .filter(reminder => reminder.at > now)
+      .map(reminder =>
+        self.registration.showNotification(reminder.title, {
+          ...NOTIFICATION_DEFAULTS,
+          body: reminder.body,
+          tag: reminder.tag,
+          showTrigger: new self.TimestampTrigger(reminder.at),
+          data: { taskId: reminder.taskId, url: `/?task=${reminder.taskId}`, scheduled: true },
+        })
+      )
+  );
+}
@@ -0,0 +1,18 @@
+/**
+ * Stand-in for utils/api.js: an empty server, and offline for task sync
+ *
+ * Usage: vi.mock("../utils/api", () => import("../test/mockApi"))
+ *
+ * Kept apart from providers.jsx - that file imports the contexts, which
+ * import utils/api, so a factory importing it would wait on itself.
+ * Plain functions, not vi.fn(): restoreAllMocks() in setup.js would strip
+ * a mock's implementation after the first test.
+ */
+
+export const setAuthToken = () => {};
+export const onUnauthorized = () => {};
+export const fetchSettings = () => Promise.resolve({});
+export const saveSettings = (settings) => Promise.resolve(settings);
+export const fetchHistory = () => Promise.resolve({});
+export const saveHistory = (history) => Promise.resolve(history);
+export const syncTasks = () => Promise.reject(new Error("offline"));
@@ -0,0 +1,20 @@
+/**
+ * Provider tree for context tests - the same nesting as AuthGate in App.jsx
+ *
+ * Test files still vi.mock("../utils/api") themselves (mocks are per file);
+ * see test/mockApi.js for a server that is empty and, for sync, offline.
+ */
+
+import { SettingsProvider } from "../context/SettingsContext";
+import { HistoryProvider } from "../context/HistoryContext";
+import { TaskProvider } from "../context/TaskContext";
+
+export function AppProviders({ children }) {
+  return (
+    <SettingsProvider>
+      <HistoryProvider>
+        <TaskProvider>{children}</TaskProvider>
+      </HistoryProvider>
+    </SettingsProvider>
+  );
+}
@@ -0,0 +1,17 @@
+/**
+ * Vitest setup - runs before every test file
+ *
+ * Each test starts from an empty localStorage and an unmounted tree, so
+ * one test's saved tasks can't leak into the next.
+ */
+
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
@@ -0,0 +1,20 @@
+/**
+ * Stand-in for navigator.locks: one queue for every lock name, so
+ * requests from several "tabs" run one after another like the browser's
+ *
+ * Usage: beforeEach(stubWebLocks) - setup.js unstubs it after each test
+ */
+
+import { vi } from 'vitest';
+
+export function stubWebLocks() {
+  let queue = Promise.resolve();
+  vi.stubGlobal('navigator', {
+    locks: {
+      request: vi.fn((name, callback) => {
+        queue = queue.then(callback);
+        return queue;
+      }),
+    },
+  });
+}
@@ -0,0 +1,186 @@
+/**
+ * =============================================================================
+ * API CLIENT - Thin wrapper around fetch() for the Express server
+ * =============================================================================
+ *
+ * WHY A WRAPPER?
+ * --------------
+ * 1. ONE BASE URL: Configurable through VITE_API_URL instead of being
+ *    hard-coded in every component
+ * 2. CONSISTENT ERRORS: Non-2xx responses throw an ApiError with the status,
+ *    so callers can tell "server said no" from "server unreachable"
+ * 3. JSON IN, JSON OUT: Callers never touch headers or response.json()
+ * 4. AUTH IN ONE PLACE: The bearer token is attached here, and a 401 from
+ *    any route logs the user out through a single callback
+ */
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+let authToken = null;
+let unauthorizedHandler = null;
+
+/**
+ * Set the token sent as "Authorization: Bearer <token>" (null to clear)
+ */
+export function setAuthToken(token) {
+  authToken = token;
+}
+
+/**
+ * Register what happens when the server rejects the token (401)
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+/**
+ * Error for non-2xx responses
+ */
+export class ApiError extends Error {
+  constructor(status, message, body = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Make a JSON request to the API
+ * @param {string} path - e.g. "/api/tasks"
+ * @param {object} options - { method, body, headers }
+ * @returns {Promise<*>} - Parsed JSON body (null for 204)
+ */
+export async function apiRequest(path, { method = "GET", body, headers = {} } = {}) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => null);
+
+  if (response.status === 401 && authToken && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+
+  if (!response.ok) {
+    throw new ApiError(response.status, data?.error || `Request failed (${response.status})`, data);
+  }
+
+  return data;
+}
+
+/**
+ * Split "event: x\ndata: {...}" blocks off the front of a buffer
+ * @returns {{ events: Array<{ event, data }>, rest: string }}
+ */
+function takeEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks.flatMap(block => {
+    let event = "message";
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+    });
+    return data.length ? [{ event, data: JSON.parse(data.join("\n")) }] : [];
+  });
+  return { events, rest };
+}
+
+/**
+ * POST and read the answer as server-sent events
+ *
+ * EventSource can only GET and can't send the Authorization header, so
+ * the stream is read from fetch() directly. A server that answers with
+ * plain JSON instead is treated as a single "done" event.
+ *
+ * @param {string} path
+ * @param {object} options - { body, signal, onEvent(event, data) }
+ */
+export async function streamRequest(path, { body, signal, onEvent }) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (response.status === 401 && authToken && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+
+  if (!response.ok || !response.headers.get("Content-Type")?.startsWith("text/event-stream")) {
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new ApiError(response.status, data?.error || `Request failed (${response.status})`, data);
+    }
+    onEvent("done", data);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() + "\n\n" : decoder.decode(value, { stream: true });
+    const { events, rest } = takeEvents(buffer);
+    buffer = rest;
+    events.forEach(({ event, data }) => onEvent(event, data));
+    if (done) return;
+  }
+}
+
+// Auth
+export const signup = (email, password) =>
+  apiRequest("/api/auth/signup", { method: "POST", body: { email, password } });
+export const login = (email, password) =>
+  apiRequest("/api/auth/login", { method: "POST", body: { email, password } });
+
+// Tasks
+export const fetchTasks = () => apiRequest("/api/tasks");
+export const saveTasks = (tasks) => apiRequest("/api/tasks", { method: "PUT", body: tasks });
+export const syncTasks = (payload) => apiRequest("/api/sync", { method: "POST", body: payload });
+
+// Push
+export const fetchPushPublicKey = () => apiRequest("/api/push/public-key");
+export const savePushSubscription = (payload) =>
+  apiRequest("/api/push/subscribe", { method: "POST", body: payload });
+export const removePushSubscription = (endpoint) =>
+  apiRequest("/api/push/unsubscribe", { method: "POST", body: { endpoint } });
+
+// Settings
+export const fetchSettings = () => apiRequest("/api/settings");
+export const saveSettings = (settings) => apiRequest("/api/settings", { method: "PUT", body: settings });
+
+// Projects
+export const fetchProjects = () => apiRequest("/api/projects");
+export const saveProjects = (projects) => apiRequest("/api/projects", { method: "PUT", body: projects });
+
+// Calendar feed
+export const fetchCalendarFeed = () => apiRequest("/api/calendar");
+export const regenerateCalendarFeed = () => apiRequest("/api/calendar/token", { method: "POST" });
+export const disableCalendarFeed = () => apiRequest("/api/calendar/token", { method: "DELETE" });
+
+// AI (the missed-task warning streams - see AIEngine.js)
+export const requestBreakdown = (body) => apiRequest("/ai/breakdown", { method: "POST", body });
+export const fetchReviews = () => apiRequest("/ai/review");
+export const createReview = (body) => apiRequest("/ai/review", { method: "POST", body });
+
+// History
+export const fetchHistory = () => apiRequest("/api/history");
+export const saveHistory = (history) => apiRequest("/api/history", { method: "PUT", body: history });
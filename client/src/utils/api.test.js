@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { streamRequest, setAuthToken, ApiError } from './api';
+
+function eventStream(chunks) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+describe('streamRequest', () => {
+  it('hands out each server-sent event, even when split across chunks', async () => {
+    const fetch = vi.fn().mockResolvedValue(eventStream([
+      'event: delta\ndata: {"text":"Get "}\n\nevent: del',
+      'ta\ndata: {"text":"going."}\n\n',
+      'event: done\ndata: {"message":"Get going.","provider":"mock"}\n\n',
+    ]));
+    vi.stubGlobal('fetch', fetch);
+    setAuthToken('token-1');
+    const events = [];
+
+    await streamRequest('/ai-warning', {
+      body: { taskTitle: 'Run' },
+      onEvent: (event, data) => events.push([event, data]),
+    });
+    setAuthToken(null);
+
+    expect(events).toEqual([
+      ['delta', { text: 'Get ' }],
+      ['delta', { text: 'going.' }],
+      ['done', { message: 'Get going.', provider: 'mock' }],
+    ]);
+    const [, init] = fetch.mock.calls[0];
+    expect(init.headers.Accept).toBe('text/event-stream');
+    expect(init.headers.Authorization).toBe('Bearer token-1');
+  });
+
+  it('treats a plain JSON answer as one done event', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(Response.json({ message: 'Hi', provider: 'template' })));
+    const onEvent = vi.fn();
+
+    await streamRequest('/ai-warning', { body: {}, onEvent });
+
+    expect(onEvent).toHaveBeenCalledWith('done', { message: 'Hi', provider: 'template' });
+  });
+
+  it('throws an ApiError for an error status', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+      Response.json({ error: 'Busy', code: 'rate_limited' }, { status: 429 })
+    ));
+
+    const error = await streamRequest('/ai-warning', { body: {}, onEvent: () => {} }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(429);
+    expect(error.body.code).toBe('rate_limited');
+  });
+});
@@ -0,0 +1,461 @@
+/**
+ * =============================================================================
+ * BACKUP UTILITY MODULE - Export, validate and merge imported tasks
+ * =============================================================================
+ *
+ * FORMATS:
+ * --------
+ * - json: full backup - every task field plus history, versioned
+ * - csv:  tasks only, for spreadsheets (utils/csv.js)
+ * - ics:  tasks only, for calendars and task apps (utils/ical.js)
+ *
+ * JSON BACKUP SHAPE:
+ * ------------------
+ * {
+ *   format: "task-reminder-backup",
+ *   version: 1,
+ *   exportedAt: "2026-02-20T10:00:00.000Z",
+ *   tasks: [...],
+ *   history: { "2026-02-20": { completed: 3, ... } }
+ * }
+ *
+ * IMPORT PIPELINE:
+ * ----------------
+ * 1. parseImportFile()  text -> validated tasks (+ history), and a list of
+ *                       rows that were skipped and why
+ * 2. planImport()       match each task against the current list:
+ *                       new / identical / conflict (with the differing fields)
+ * 3. resolveImport()    the user's choice for conflicts -> tasks to add and
+ *                       changes to apply, with fresh ids
+ *
+ * WHY REMAP IDS?
+ * --------------
+ * Task ids are timestamps (see createTaskId in TaskContext). An id from
+ * another browser or an old backup can collide with one of ours, or with
+ * one addTask hands out later. Every added task gets a new id, and the
+ * links between imported tasks (dependsOn, seriesId, nextOccurrenceId)
+ * are rewritten to match.
+ */
+
+import { PRIORITIES, DEFAULT_PRIORITY } from "./priority";
+import { RECURRENCE_FREQUENCIES } from "./recurrence";
+import { parseTags } from "./projects";
+import { toLocalInputValue } from "./dateUtils";
+import { toRrule, parseIcs } from "./ical";
+import { parseCsv } from "./csv";
+
+export const BACKUP_FORMAT = "task-reminder-backup";
+export const BACKUP_VERSION = 1;
+
+export const CONFLICT_RESOLUTIONS = {
+  keep: "Keep mine",
+  replace: "Use imported",
+  duplicate: "Keep both",
+};
+
+// Fields that make two versions of a task "the same" for the preview
+const COMPARED_FIELDS = [
+  "title",
+  "deadline",
+  "priority",
+  "completed",
+  "tags",
+  "reminders",
+  "recurrence",
+  "subtasks",
+  "projectId",
+];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * A file that can't be imported at all (single rows are skipped instead)
+ */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * Build a JSON backup
+ * @param {Array} tasks
+ * @param {object} history - HistoryContext data
+ * @param {Date} now
+ * @returns {object} - Backup object (JSON.stringify it to save)
+ */
+export function createBackup(tasks, history, now = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    tasks,
+    history,
+  };
+}
+
+/**
+ * Guess the format from the file name, then from the content
+ * @returns {"json"|"csv"|"ics"}
+ */
+export function detectFormat(text, filename = "") {
+  const extension = filename.split(".").pop().toLowerCase();
+  if (["json", "csv", "ics"].includes(extension)) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith("{") || start.startsWith("[")) return "json";
+  if (start.toUpperCase().startsWith("BEGIN:VCALENDAR")) return "ics";
+  return "csv";
+}
+
+/**
+ * Deadline in any format we accept -> datetime-local value, or null
+ *
+ * Wall-clock values ("2026-02-20T09:00", "2026-02-20 09:00") are kept as
+ * they are; timestamps with a zone ("...Z", "+01:00") are converted to
+ * this device's wall clock.
+ */
+function normalizeDeadline(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const text = value.trim();
+
+  if (LOCAL_DATETIME_PATTERN.test(text)) {
+    const local = text.replace(" ", "T").slice(0, 16);
+    return Number.isNaN(new Date(local).getTime()) ? null : local;
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : toLocalInputValue(date);
+}
+
+function isTimestamp(value) {
+  return typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+}
+
+function isId(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+/**
+ * Validate one imported task and fill in what the format doesn't carry
+ *
+ * Missing bookkeeping is derived the way a live task would have it: a
+ * task whose deadline has passed counts as already notified, and
+ * reminders that are due are marked sent - importing last month's tasks
+ * must not fire a burst of notifications or count them all missed today.
+ *
+ * @param {object} raw - Task fields from a parser
+ * @param {Date} now
+ * @returns {{ task: object, fields: Array<string> } | { error: string }}
+ *   fields = the compared fields the file actually provided
+ */
+export function validateTask(raw, now = new Date()) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "not a task" };
+
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) return { error: "missing title" };
+
+  const deadline = normalizeDeadline(raw.deadline);
+  if (!deadline) return { error: raw.deadline ? `invalid deadline "${raw.deadline}"` : "missing deadline" };
+
+  if (raw.priority !== undefined && !PRIORITIES.includes(raw.priority)) {
+    return { error: `unknown priority "${raw.priority}"` };
+  }
+
+  const reminders = raw.reminders ?? [];
+  if (!Array.isArray(reminders) || !reminders.every(m => Number.isInteger(m) && m >= 0)) {
+    return { error: "reminders must be minutes before the deadline" };
+  }
+
+  if (raw.recurrence != null && !RECURRENCE_FREQUENCIES.includes(raw.recurrence.freq)) {
+    return { error: "unsupported repeat rule" };
+  }
+
+  const subtasks = raw.subtasks ?? [];
+  if (!Array.isArray(subtasks)) return { error: "subtasks must be a list" };
+  const checklist = subtasks
+    .map(s => (typeof s === "string" ? { title: s, done: false } : s))
+    .filter(s => s && typeof s.title === "string" && s.title.trim())
+    .map(s => ({
+      id: isId(s.id) ? s.id : null,
+      title: s.title.trim(),
+      done: Boolean(s.done),
+      doneAt: s.done && isTimestamp(s.doneAt) ? s.doneAt : null,
+    }));
+
+  const completed = Boolean(raw.completed);
+  const overdue = new Date(deadline) < now;
+  const sentByNow = reminders.filter(m => new Date(deadline).getTime() - m * 60 * 1000 <= now.getTime());
+
+  const task = {
+    id: isId(raw.id) ? raw.id : null,
+    title,
+    deadline,
+    priority: raw.priority || DEFAULT_PRIORITY,
+    projectId: isId(raw.projectId) ? raw.projectId : null,
+    tags: parseTags(raw.tags),
+    subtasks: checklist,
+    autoComplete: Boolean(raw.autoComplete),
+    dependsOn: Array.isArray(raw.dependsOn) ? raw.dependsOn.filter(isId) : [],
+    completed,
+    completedAt: completed && isTimestamp(raw.completedAt) ? raw.completedAt : completed ? now.toISOString() : null,
+    createdAt: isTimestamp(raw.createdAt) ? raw.createdAt : now.toISOString(),
+    notified: typeof raw.notified === "boolean" ? raw.notified : overdue,
+    notifiedAt: isTimestamp(raw.notifiedAt) ? raw.notifiedAt : null,
+    reminders: [...new Set(reminders)],
+    remindersSent: Array.isArray(raw.remindersSent) ? raw.remindersSent : sentByNow,
+    recurrence: raw.recurrence ? { ...raw.recurrence, start: raw.recurrence.start || deadline } : null,
+    seriesId: isId(raw.seriesId) ? raw.seriesId : null,
+    occurrence: Number.isInteger(raw.occurrence) && raw.occurrence > 0 ? raw.occurrence : 1,
+    nextOccurrenceId: isId(raw.nextOccurrenceId) ? raw.nextOccurrenceId : null,
+  };
+
+  if (Number.isInteger(raw.rescheduleCount)) task.rescheduleCount = raw.rescheduleCount;
+  if (isTimestamp(raw.rescheduledAt)) task.rescheduledAt = raw.rescheduledAt;
+  if (Array.isArray(raw.changeLog)) task.changeLog = raw.changeLog;
+  if (task.recurrence && !task.seriesId) task.seriesId = task.id;
+
+  return { task, fields: COMPARED_FIELDS.filter(field => raw[field] !== undefined) };
+}
+
+/**
+ * Validate imported history: day keys with non-negative counts
+ * @returns {{ history: object, invalidDays: Array<string> }}
+ */
+export function validateHistory(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ImportError("The backup's history is not a list of days");
+  }
+
+  const isCounts = (entry) =>
+    entry && typeof entry === "object" &&
+    Object.entries(entry).every(([key, value]) =>
+      key === "byProject"
+        ? value && typeof value === "object" && Object.values(value).every(isCounts)
+        : Number.isFinite(value) && value >= 0
+    );
+
+  const history = {};
+  const invalidDays = [];
+  Object.entries(raw).forEach(([key, entry]) => {
+    if (DATE_KEY_PATTERN.test(key) && isCounts(entry)) {
+      history[key] = entry;
+    } else {
+      invalidDays.push(key);
+    }
+  });
+  return { history, invalidDays };
+}
+
+/**
+ * Raw task list out of a JSON file (a backup, or a bare task array)
+ */
+function readJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("The file is not valid JSON");
+  }
+
+  if (Array.isArray(data)) return { rawTasks: data, rawHistory: null };
+
+  if (data?.format !== BACKUP_FORMAT) {
+    throw new ImportError("This JSON file is not a Task Reminder backup");
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new ImportError(`Backup version ${data.version} is newer than this app understands (${BACKUP_VERSION})`);
+  }
+  if (!Array.isArray(data.tasks)) {
+    throw new ImportError("The backup has no task list");
+  }
+  return { rawTasks: data.tasks, rawHistory: data.history ?? null };
+}
+
+/**
+ * Parse and validate an import file
+ *
+ * The file as a whole is rejected (ImportError) if it can't be read;
+ * single tasks that fail validation are skipped and listed with a reason,
+ * so one bad spreadsheet row doesn't block the other hundred.
+ *
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @param {Date} now
+ * @returns {object} - { format, tasks: [{ task, fields }], skipped: [{ row, title, reason }], history }
+ * @throws {ImportError}
+ */
+export function parseImportFile(text, filename = "", now = new Date()) {
+  const format = detectFormat(text, filename);
+  let rawTasks;
+  let rawHistory = null;
+  // Row numbers as the user sees them (the CSV header is row 1)
+  let firstRow = 1;
+
+  if (format === "json") {
+    ({ rawTasks, rawHistory } = readJson(text));
+  } else if (format === "csv") {
+    try {
+      rawTasks = parseCsv(text);
+    } catch (error) {
+      throw new ImportError(error.message);
+    }
+    firstRow = 2;
+  } else {
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new ImportError("The file is not an iCalendar file");
+    rawTasks = parseIcs(text);
+  }
+
+  const tasks = [];
+  const skipped = [];
+  const seenIds = new Set();
+
+  rawTasks.forEach((raw, index) => {
+    const row = index + firstRow;
+    const result = validateTask(raw, now);
+    const title = typeof raw?.title === "string" ? raw.title : "";
+
+    if (result.error) {
+      skipped.push({ row, title, reason: result.error });
+    } else if (result.task.id && seenIds.has(result.task.id)) {
+      skipped.push({ row, title, reason: "same id as an earlier task in the file" });
+    } else {
+      if (result.task.id) seenIds.add(result.task.id);
+      tasks.push(result);
+    }
+  });
+
+  if (tasks.length === 0 && skipped.length === 0 && !rawHistory) {
+    throw new ImportError("The file contains no tasks");
+  }
+
+  let history = null;
+  if (rawHistory) {
+    const validated = validateHistory(rawHistory);
+    history = validated.history;
+    validated.invalidDays.forEach(key => skipped.push({ row: key, title: "", reason: "invalid history day" }));
+  }
+
+  return { format, tasks, skipped, history };
+}
+
+/**
+ * Comparable form of a field (ids, order and rule anchors don't count)
+ */
+function comparable(task, field) {
+  const value = task[field];
+  switch (field) {
+    case "tags":
+      return JSON.stringify([...(value || [])].sort());
+    case "reminders":
+      return JSON.stringify([...(value || [])].sort((a, b) => a - b));
+    case "subtasks":
+      return JSON.stringify((value || []).map(s => [s.title, Boolean(s.done)]));
+    case "recurrence":
+      return value ? toRrule(value, task.occurrence || 1) : "";
+    case "completed":
+      return Boolean(value);
+    default:
+      return value ?? null;
+  }
+}
+
+function sameTitleAndDeadline(a, b) {
+  return a.title.trim().toLowerCase() === b.title.trim().toLowerCase() && a.deadline === b.deadline;
+}
+
+/**
+ * Match imported tasks against the current list
+ *
+ * MATCHING:
+ * 1. Same id (the file came from this account / an earlier export)
+ * 2. Otherwise same title and deadline (a file from another tool)
+ *
+ * Only the fields the file provided are compared - an .ics file without
+ * subtasks doesn't conflict with a task that has some.
+ *
+ * @param {Array} existingTasks - Current task list
+ * @param {Array} imported - parseImportFile().tasks
+ * @returns {Array} - [{ task, fields, status: "new"|"identical"|"conflict",
+ *   match, differences }]
+ */
+export function planImport(existingTasks, imported) {
+  const claimed = new Set();
+
+  return imported.map(({ task, fields }) => {
+    const match =
+      existingTasks.find(t => task.id && t.id === task.id && !claimed.has(t.id)) ||
+      existingTasks.find(t => !claimed.has(t.id) && sameTitleAndDeadline(t, task));
+
+    if (!match) return { task, fields, status: "new", match: null, differences: [] };
+
+    claimed.add(match.id);
+    const differences = fields.filter(field => comparable(match, field) !== comparable(task, field));
+    return {
+      task,
+      fields,
+      status: differences.length ? "conflict" : "identical",
+      match,
+      differences,
+    };
+  });
+}
+
+/**
+ * Turn a plan and the user's conflict choice into concrete changes
+ *
+ * @param {Array} plan - From planImport()
+ * @param {object} options
+ *   - resolution: "keep" | "replace" | "duplicate" (for conflicts)
+ *   - createId: () => number - TaskContext's id generator
+ *   - projectIds: ids of projects that exist here (others become "no project")
+ * @returns {{ added: Array, replaced: Array<{ id, changes }> }}
+ */
+export function resolveImport(plan, { resolution = "keep", createId, projectIds = [] }) {
+  // Imported id -> id in our list
+  const ids = new Map();
+  const allocate = (importedId) => {
+    if (!importedId) return createId();
+    if (!ids.has(importedId)) ids.set(importedId, createId());
+    return ids.get(importedId);
+  };
+  const knownProject = (projectId) => (projectIds.includes(projectId) ? projectId : null);
+  const freshSubtasks = (subtasks) => subtasks.map(s => ({ ...s, id: createId() }));
+
+  const toAdd = [];
+  const replaced = [];
+
+  plan.forEach(item => {
+    const { task, status, match } = item;
+
+    if (status === "identical" || (status === "conflict" && resolution !== "duplicate")) {
+      if (task.id) ids.set(task.id, match.id);
+    }
+    if (status === "conflict" && resolution === "replace") {
+      const changes = Object.fromEntries(item.differences.map(field => [field, task[field]]));
+      if (changes.subtasks) changes.subtasks = freshSubtasks(changes.subtasks);
+      if ("projectId" in changes) changes.projectId = knownProject(changes.projectId);
+      if ("completed" in changes) changes.completedAt = task.completedAt;
+      replaced.push({ id: match.id, changes });
+    }
+    if (status === "new" || (status === "conflict" && resolution === "duplicate")) {
+      const id = task.id && !ids.has(task.id) ? allocate(task.id) : createId();
+      toAdd.push({ ...task, id });
+    }
+  });
+
+  // Second pass: every imported id is mapped now, so links can be rewritten
+  const added = toAdd.map(task => ({
+    ...task,
+    projectId: knownProject(task.projectId),
+    subtasks: freshSubtasks(task.subtasks),
+    dependsOn: task.dependsOn.filter(dep => ids.has(dep)).map(dep => ids.get(dep)),
+    // A series whose first occurrence wasn't imported still stays one series
+    seriesId: task.seriesId ? allocate(task.seriesId) : task.recurrence ? task.id : null,
+    nextOccurrenceId: ids.get(task.nextOccurrenceId) ?? null,
+  }));
+
+  return { added, replaced };
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBackup,
+  parseImportFile,
+  planImport,
+  resolveImport,
+  validateTask,
+  ImportError,
+  BACKUP_VERSION,
+} from './backup';
+
+const NOW = new Date('2026-02-20T12:00:00');
+
+const existing = [
+  { id: 100, title: 'Write report', deadline: '2026-02-21T09:00', priority: 'high', tags: [], reminders: [], subtasks: [], completed: false },
+  { id: 200, title: 'Gym', deadline: '2026-02-22T18:00', priority: 'medium', tags: [], reminders: [], subtasks: [], completed: false },
+];
+
+const sequentialIds = (start = 9000) => {
+  let next = start;
+  return () => next++;
+};
+
+describe('parseImportFile', () => {
+  it('reads a JSON backup with its history', () => {
+    const backup = createBackup(existing, { '2026-02-19': { completed: 2, missed: 0 } }, NOW);
+    const parsed = parseImportFile(JSON.stringify(backup), 'backup.json', NOW);
+
+    expect(parsed.format).toBe('json');
+    expect(parsed.tasks.map(t => t.task.id)).toEqual([100, 200]);
+    expect(parsed.history).toEqual({ '2026-02-19': { completed: 2, missed: 0 } });
+    expect(parsed.skipped).toEqual([]);
+  });
+
+  it('rejects files it cannot read at all', () => {
+    expect(() => parseImportFile('{oops', 'a.json')).toThrow(ImportError);
+    expect(() => parseImportFile('{"tasks": []}', 'a.json')).toThrow(/not a Task Reminder backup/);
+    const newer = { format: 'task-reminder-backup', version: BACKUP_VERSION + 1, tasks: [] };
+    expect(() => parseImportFile(JSON.stringify(newer), 'a.json')).toThrow(/newer/);
+    expect(() => parseImportFile('name,due\n', 'a.csv')).toThrow(ImportError);
+  });
+
+  it('skips invalid rows and says why', () => {
+    const csv = 'title,deadline,priority\nOk,2026-03-01 10:00,low\n,2026-03-01 10:00,\nBad date,soon,\nOdd,2026-03-01 10:00,urgent\n';
+    const parsed = parseImportFile(csv, 'tasks.csv', NOW);
+
+    expect(parsed.tasks.map(t => t.task.title)).toEqual(['Ok']);
+    expect(parsed.skipped).toEqual([
+      { row: 3, title: '', reason: 'missing title' },
+      { row: 4, title: 'Bad date', reason: 'invalid deadline "soon"' },
+      { row: 5, title: 'Odd', reason: 'unknown priority "urgent"' },
+    ]);
+  });
+
+  it('detects the format from the content when the name does not tell', () => {
+    expect(parseImportFile('BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:X\nDUE:20260301T100000\nEND:VTODO\nEND:VCALENDAR', 'export', NOW).format).toBe('ics');
+    expect(parseImportFile('title,deadline\nX,2026-03-01T10:00', 'export', NOW).format).toBe('csv');
+  });
+});
+
+describe('validateTask', () => {
+  it('marks past deadlines and due reminders as handled', () => {
+    const { task, fields } = validateTask({ title: 'Soon', deadline: '2026-02-20T13:00', reminders: [30, 120] }, NOW);
+    expect(task).toMatchObject({ notified: false, remindersSent: [120], priority: 'medium', id: null });
+    expect(fields).toEqual(['title', 'deadline', 'reminders']);
+
+    expect(validateTask({ title: 'Old', deadline: '2026-02-20T11:00' }, NOW).task.notified).toBe(true);
+  });
+
+  it('converts zoned timestamps to wall-clock deadlines', () => {
+    const { task } = validateTask({ title: 'Zoned', deadline: new Date(2026, 2, 1, 10, 0).toISOString() }, NOW);
+    expect(task.deadline).toBe('2026-03-01T10:00');
+  });
+});
+
+describe('planImport', () => {
+  it('sorts tasks into new, identical and conflicting', () => {
+    const imported = [
+      validateTask({ ...existing[0] }, NOW),
+      validateTask({ id: 200, title: 'Gym', deadline: '2026-02-22T19:00', priority: 'high' }, NOW),
+      validateTask({ title: 'Read', deadline: '2026-02-23T20:00' }, NOW),
+    ];
+
+    const plan = planImport(existing, imported);
+    expect(plan.map(item => item.status)).toEqual(['identical', 'conflict', 'new']);
+    expect(plan[1].differences).toEqual(['deadline', 'priority']);
+  });
+
+  it('matches by title and deadline when ids differ', () => {
+    const plan = planImport(existing, [validateTask({ title: 'write REPORT', deadline: '2026-02-21T09:00', priority: 'high' }, NOW)]);
+    expect(plan[0]).toMatchObject({ status: 'conflict', match: existing[0], differences: ['title'] });
+  });
+
+  it('only compares fields the file provided', () => {
+    const withSubtasks = [{ ...existing[0], subtasks: [{ id: 1, title: 'Outline', done: false }] }];
+    const plan = planImport(withSubtasks, [validateTask({ id: 100, title: 'Write report', deadline: '2026-02-21T09:00', priority: 'high' }, NOW)]);
+    expect(plan[0].status).toBe('identical');
+  });
+});
+
+describe('resolveImport', () => {
+  const series = [
+    { id: 100, title: 'Write report', deadline: '2026-02-21T09:00', priority: 'low' },
+    { id: 300, title: 'Standup', deadline: '2026-02-24T09:00', recurrence: { freq: 'daily', interval: 1 }, seriesId: 250, occurrence: 2, dependsOn: [100, 999] },
+    { id: 301, title: 'Standup', deadline: '2026-02-25T09:00', recurrence: { freq: 'daily', interval: 1 }, seriesId: 250, occurrence: 3, dependsOn: [300] },
+  ];
+
+  const planFor = (raw) => planImport(existing, raw.map(t => validateTask(t, NOW)));
+
+  it('gives added tasks fresh ids and rewrites links between them', () => {
+    const { added } = resolveImport(planFor(series), { resolution: 'duplicate', createId: sequentialIds() });
+    const [report, first, second] = added;
+
+    expect(added.map(t => t.id).some(id => [100, 300, 301].includes(id))).toBe(false);
+    expect(first.dependsOn).toEqual([report.id]);
+    expect(second.dependsOn).toEqual([first.id]);
+    expect(first.seriesId).toBe(second.seriesId);
+    expect(first.seriesId).not.toBe(250);
+  });
+
+  it('links to the matching task when a conflict keeps mine', () => {
+    const { added, replaced } = resolveImport(planFor(series), { resolution: 'keep', createId: sequentialIds() });
+
+    expect(replaced).toEqual([]);
+    expect(added).toHaveLength(2);
+    expect(added[0].dependsOn).toEqual([100]);
+  });
+
+  it('replaces only the differing fields', () => {
+    const { replaced } = resolveImport(planFor(series.slice(0, 1)), { resolution: 'replace', createId: sequentialIds() });
+    expect(replaced).toEqual([{ id: 100, changes: { priority: 'low' } }]);
+  });
+
+  it('drops projects that do not exist here', () => {
+    const plan = planFor([{ title: 'A', deadline: '2026-03-01T10:00', projectId: 7 }, { title: 'B', deadline: '2026-03-01T10:00', projectId: 8 }]);
+    const { added } = resolveImport(plan, { createId: sequentialIds(), projectIds: [7] });
+    expect(added.map(t => t.projectId)).toEqual([7, null]);
+  });
+});
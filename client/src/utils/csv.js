@@ -0,0 +1,172 @@
+/**
+ * =============================================================================
+ * CSV UTILITY MODULE - Tasks as a spreadsheet
+ * =============================================================================
+ *
+ * One row per task, RFC 4180 quoting (fields with commas, quotes or
+ * newlines are quoted, quotes doubled). Lists get a separator that reads
+ * well in a cell:
+ *
+ *   tags       "work urgent"
+ *   reminders  "15;60"               (minutes before the deadline)
+ *   recurrence "FREQ=WEEKLY;BYDAY=MO" (RRULE, see utils/ical.js)
+ *   subtasks   "[x] Book flight; [ ] Pack"
+ *
+ * FORMULA INJECTION:
+ * ------------------
+ * Spreadsheets run cells starting with = + - @ as formulas, so a task
+ * titled "=HYPERLINK(...)" would. Such cells are written with a leading
+ * apostrophe, which Excel/Sheets hide and parseCsv() strips again.
+ */
+
+import { toRrule, parseRrule } from "./ical";
+
+export const CSV_COLUMNS = [
+  "id",
+  "title",
+  "deadline",
+  "priority",
+  "tags",
+  "completed",
+  "completedAt",
+  "reminders",
+  "recurrence",
+  "subtasks",
+  "createdAt",
+];
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  let text = value == null ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCell(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Cells of one task, in CSV_COLUMNS order
+ */
+function taskToRow(task) {
+  return [
+    task.id,
+    task.title,
+    task.deadline,
+    task.priority,
+    (task.tags || []).join(" "),
+    task.completed ? "yes" : "no",
+    task.completedAt || "",
+    (task.reminders || []).join(";"),
+    (task.recurrence && toRrule(task.recurrence, task.occurrence || 1)) || "",
+    (task.subtasks || []).map(s => `${s.done ? "[x]" : "[ ]"} ${s.title.replace(/;/g, ",")}`).join("; "),
+    task.createdAt || "",
+  ];
+}
+
+/**
+ * Serialize tasks as CSV (header row first)
+ * @param {Array} tasks
+ * @returns {string}
+ */
+export function tasksToCsv(tasks) {
+  return [CSV_COLUMNS, ...tasks.map(taskToRow)]
+    .map(row => row.map(escapeCell).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * Split CSV text into rows of cells (quoted newlines stay in their cell)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines (e.g. the trailing newline) are not rows
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+/**
+ * Parse a tasks CSV
+ *
+ * Columns are matched by header name (case-insensitive), so a sheet with
+ * reordered or extra columns still imports; only "title" and "deadline"
+ * are needed.
+ *
+ * @param {string} text
+ * @returns {Array<object>} - Raw task fields, one per row (not yet
+ *   validated - see utils/backup.js)
+ * @throws {Error} - If the header has no title or deadline column
+ */
+export function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const index = Object.fromEntries(CSV_COLUMNS.map(name => [name, columns.indexOf(name.toLowerCase())]));
+
+  if (index.title === -1 || index.deadline === -1) {
+    throw new Error('CSV needs a header row with "title" and "deadline" columns');
+  }
+
+  return rows.map(cells => {
+    const get = (name) => (index[name] === -1 ? "" : unescapeCell((cells[index[name]] || "").trim()));
+    const task = { title: get("title"), deadline: get("deadline") };
+
+    if (get("id")) task.id = Number(get("id"));
+    if (get("priority")) task.priority = get("priority").toLowerCase();
+    if (get("tags")) task.tags = get("tags").split(/\s+/);
+    if (get("completed")) task.completed = ["yes", "true", "1", "x"].includes(get("completed").toLowerCase());
+    if (get("completedAt")) task.completedAt = get("completedAt");
+    if (get("reminders")) task.reminders = get("reminders").split(";").map(Number);
+    if (get("recurrence")) task.recurrence = parseRrule(get("recurrence"), task.deadline);
+    if (get("subtasks")) {
+      task.subtasks = get("subtasks").split(";").map(item => {
+        const match = /^\[( |x)\]\s*(.*)$/i.exec(item.trim());
+        return match
+          ? { title: match[2], done: match[1].toLowerCase() === "x" }
+          : { title: item.trim(), done: false };
+      });
+    }
+    if (get("createdAt")) task.createdAt = get("createdAt");
+
+    return task;
+  });
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { tasksToCsv, parseCsv, parseCsvRows } from './csv';
+
+const task = {
+  id: 1771581600000,
+  title: 'Call "Mum", then Dad',
+  deadline: '2026-02-20T09:00',
+  priority: 'low',
+  tags: ['family'],
+  completed: true,
+  completedAt: '2026-02-20T08:30:00.000Z',
+  reminders: [10, 60],
+  recurrence: { freq: 'daily', interval: 3, start: '2026-02-20T09:00', until: '2026-06-30', count: null },
+  subtasks: [{ id: 1, title: 'Find number', done: true }, { id: 2, title: 'Dial', done: false }],
+  createdAt: '2026-02-19T08:00:00.000Z',
+};
+
+describe('CSV', () => {
+  it('quotes cells that need it and round-trips a task', () => {
+    const csv = tasksToCsv([task]);
+    expect(csv).toContain('"Call ""Mum"", then Dad"');
+
+    expect(parseCsv(csv)).toEqual([{
+      id: task.id,
+      title: task.title,
+      deadline: task.deadline,
+      priority: 'low',
+      tags: ['family'],
+      completed: true,
+      completedAt: task.completedAt,
+      reminders: [10, 60],
+      recurrence: task.recurrence,
+      subtasks: [{ title: 'Find number', done: true }, { title: 'Dial', done: false }],
+      createdAt: task.createdAt,
+    }]);
+  });
+
+  it('defuses spreadsheet formulas and restores them on import', () => {
+    const csv = tasksToCsv([{ ...task, title: '=HYPERLINK("http://x")' }]);
+    expect(csv).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(parseCsv(csv)[0].title).toBe('=HYPERLINK("http://x")');
+  });
+
+  it('matches columns by header and keeps quoted newlines in the cell', () => {
+    const rows = parseCsv('Deadline,Notes,Title\r\n2026-03-01 10:00,x,"Two\nlines"\r\n\r\n');
+    expect(rows).toEqual([{ title: 'Two\nlines', deadline: '2026-03-01 10:00' }]);
+    expect(parseCsvRows('a,b\n"c,d",e')).toEqual([['a', 'b'], ['c,d', 'e']]);
+  });
+
+  it('needs title and deadline columns', () => {
+    expect(() => parseCsv('name,due\nx,y')).toThrow(/title/);
+  });
+});
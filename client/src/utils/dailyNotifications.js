@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * DAILY NOTIFICATIONS - Morning plan and end-of-day summary, once a day
+ * =============================================================================
+ *
+ * Two notifications at times from the settings (HH:MM on the user's clock,
+ * null = off):
+ * - plan:    "today's plan" - tasks due today and yesterday's recovery debt
+ * - summary: the day's completed / total (notifyDailySummary)
+ *
+ * ONCE PER DAY:
+ * -------------
+ * The day each one was last sent is kept in localStorage
+ * (DAILY_NOTIFICATIONS_KEY), shared by every tab. Checking and recording
+ * happen under a Web Lock (withDailyLock, see utils/locks.js), so with
+ * three tabs open the first one sends and the other two find the day
+ * already recorded. Where there are no Web Locks, the fixed notification
+ * tags still collapse a duplicate into one.
+ *
+ * CATCHING UP:
+ * ------------
+ * What is due is the latest scheduled time that has passed. A summary
+ * whose time passed while the app was closed is sent on the next load,
+ * for the day it belongs to - opened at 08:00, yesterday's 21:00 summary
+ * still arrives. A morning plan is only useful the same day, so it is
+ * never sent for a day that is over.
+ */
+
+import { getDateKey, getTimeKey, shiftDateKey } from "./dateUtils";
+import { withLock } from "./locks";
+
+export const DAILY_NOTIFICATIONS_KEY = "task-reminder-daily-notifications";
+const LOCK_NAME = "task-reminder-daily-notifications";
+
+/**
+ * Read the last day each notification was sent: { plan, summary }
+ */
+export function loadSentDays() {
+  try {
+    return JSON.parse(localStorage.getItem(DAILY_NOTIFICATIONS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveSentDays(sentDays) {
+  localStorage.setItem(DAILY_NOTIFICATIONS_KEY, JSON.stringify(sentDays));
+}
+
+/**
+ * Notifications due now, and the day each is for
+ * @param {object} times - { plan: "08:00" | null, summary: "21:00" | null }
+ * @param {object} sentDays - From loadSentDays
+ * @param {Date} now
+ * @param {string|null} timeZone - settings.timeZone
+ * @returns {Array<{ name, day }>}
+ */
+export function getDueNotifications(times, sentDays, now = new Date(), timeZone = null) {
+  const todayKey = getDateKey(now, timeZone);
+  const timeKey = getTimeKey(now, timeZone);
+
+  return Object.entries(times)
+    .filter(([, time]) => time)
+    .map(([name, time]) => ({ name, day: timeKey >= time ? todayKey : shiftDateKey(todayKey, -1) }))
+    .filter(({ name, day }) => {
+      const sent = sentDays[name];
+      if (sent && sent >= day) return false;
+      // Nothing sent yet on this device: start today rather than with a
+      // catch-up for a day the user never asked about
+      if (!sent && day !== todayKey) return false;
+      return name !== "plan" || day === todayKey;
+    });
+}
+
+/**
+ * Completed and total tasks for a day's summary
+ *
+ * Completed and missed come from history (so completions of tasks due on
+ * another day count too); tasks due later that day are still open and
+ * count towards the total.
+ *
+ * @param {object} history - Day entries (HistoryContext)
+ * @param {Array} tasks
+ * @param {string} day - Day key
+ * @param {Date} now
+ * @param {string|null} timeZone
+ * @returns {{ completed: number, total: number }}
+ */
+export function getDaySummary(history, tasks, day, now = new Date(), timeZone = null) {
+  const entry = history[day] || {};
+  const completed = entry.completed || 0;
+  const open = tasks.filter(task =>
+    !task.completed && new Date(task.deadline) > now && getDateKey(task.deadline, timeZone) === day
+  ).length;
+
+  return { completed, total: completed + (entry.missed || 0) + open };
+}
+
+/**
+ * Run callback(due) with the notifications due now, recording them as sent
+ *
+ * Held under an exclusive Web Lock, so only one tab at a time checks and
+ * records. callback runs inside the lock, after the record is written.
+ *
+ * @param {object} times - As for getDueNotifications
+ * @param {Function} callback - (due) => void, only called when something is due
+ * @param {object} options - { now, timeZone }
+ * @returns {Promise}
+ */
+export function withDailyLock(times, callback, { now = () => new Date(), timeZone = null } = {}) {
+  const run = () => {
+    const sentDays = loadSentDays();
+    const due = getDueNotifications(times, sentDays, now(), timeZone);
+    if (due.length === 0) return;
+
+    saveSentDays({ ...sentDays, ...Object.fromEntries(due.map(({ name, day }) => [name, day])) });
+    callback(due);
+  };
+
+  return withLock(LOCK_NAME, run);
+}
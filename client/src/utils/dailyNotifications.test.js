@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getDueNotifications,
+  getDaySummary,
+  withDailyLock,
+  loadSentDays,
+} from './dailyNotifications';
+import { stubWebLocks } from '../test/webLocks';
+
+const TIMES = { plan: '08:00', summary: '21:00' };
+// Times are checked in UTC so the tests don't depend on the machine
+const at = (iso) => new Date(iso);
+
+describe('getDueNotifications', () => {
+  it('sends each notification once its time has passed today', () => {
+    expect(getDueNotifications(TIMES, {}, at('2026-03-09T07:59:00Z'), 'UTC')).toEqual([]);
+    expect(getDueNotifications(TIMES, {}, at('2026-03-09T08:00:00Z'), 'UTC')).toEqual([
+      { name: 'plan', day: '2026-03-09' },
+    ]);
+    expect(getDueNotifications(TIMES, { plan: '2026-03-09' }, at('2026-03-09T22:00:00Z'), 'UTC')).toEqual([
+      { name: 'summary', day: '2026-03-09' },
+    ]);
+  });
+
+  it('does not repeat a day that was already sent', () => {
+    const sent = { plan: '2026-03-09', summary: '2026-03-09' };
+    expect(getDueNotifications(TIMES, sent, at('2026-03-09T23:00:00Z'), 'UTC')).toEqual([]);
+  });
+
+  it('catches up on a summary missed while the app was closed, but not a stale plan', () => {
+    const sent = { plan: '2026-03-08', summary: '2026-03-07' };
+    expect(getDueNotifications(TIMES, sent, at('2026-03-09T07:00:00Z'), 'UTC')).toEqual([
+      { name: 'summary', day: '2026-03-08' },
+    ]);
+  });
+
+  it('skips turned-off notifications and the catch-up on first use', () => {
+    expect(getDueNotifications({ plan: null, summary: '21:00' }, {}, at('2026-03-09T09:00:00Z'), 'UTC')).toEqual([]);
+  });
+});
+
+describe('getDaySummary', () => {
+  it('counts history plus tasks still open later that day', () => {
+    const history = { '2026-03-09': { completed: 3, missed: 1 } };
+    const tasks = [
+      { id: 1, deadline: '2026-03-09T23:00:00Z', completed: false },
+      { id: 2, deadline: '2026-03-09T23:30:00Z', completed: true },
+      { id: 3, deadline: '2026-03-10T09:00:00Z', completed: false },
+    ];
+
+    expect(getDaySummary(history, tasks, '2026-03-09', at('2026-03-09T21:00:00Z'), 'UTC'))
+      .toEqual({ completed: 3, total: 5 });
+    expect(getDaySummary({}, [], '2026-03-08', at('2026-03-09T21:00:00Z'), 'UTC'))
+      .toEqual({ completed: 0, total: 0 });
+  });
+});
+
+describe('withDailyLock', () => {
+  beforeEach(stubWebLocks);
+
+  it('sends once even when several tabs check at the same time', async () => {
+    const callback = vi.fn();
+    const options = { now: () => at('2026-03-09T08:30:00Z'), timeZone: 'UTC' };
+
+    await Promise.all([
+      withDailyLock(TIMES, callback, options),
+      withDailyLock(TIMES, callback, options),
+      withDailyLock(TIMES, callback, options),
+    ]);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith([{ name: 'plan', day: '2026-03-09' }]);
+    expect(loadSentDays()).toEqual({ plan: '2026-03-09' });
+  });
+});
@@ -17,45 +17,142 @@
  * 2. Sorts correctly as strings
  * 3. No timezone ambiguity for date-only values
  * 4. Easy to parse and compare
+ * 
+ * DAY KEYS ARE LOCAL:
+ * -------------------
+ * A day key is the date on the user's wall calendar - the device's local
+ * timezone, or the IANA zone picked in settings. The key is computed in
+ * that zone first; any day arithmetic afterwards works on the key itself.
  */
 
 /**
- * Get today's date in ISO format (YYYY-MM-DD)
- * @returns {string} - e.g., "2026-02-20"
+ * Day key of any moment (YYYY-MM-DD) on the user's calendar
+ * @param {string|Date} date - e.g. a task's completedAt
+ * @param {string|null} timeZone - IANA zone (e.g. "Asia/Kolkata"),
+ *   null for the device's local timezone
+ * @returns {string} - e.g. "2026-02-20"
  * 
- * WHY toISOString().split('T')[0]?
- * - toISOString() returns "2026-02-20T05:30:00.000Z"
- * - split('T')[0] extracts just the date part
- * - This ignores timezone issues for date-only comparisons
+ * WHY NOT toISOString().split('T')[0]?
+ * - toISOString() is UTC. At 01:00 in Kolkata it is still yesterday in
+ *   UTC, so completions landed on the wrong day and recovery debt was off
+ * - A day key is a calendar date, so it has to come from the user's clock
+ */
+export function getDateKey(date, timeZone = null) {
+  const d = new Date(date);
+
+  if (timeZone) {
+    // en-CA formats as YYYY-MM-DD, but parts are safer than relying on that
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).formatToParts(d);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return `${get('year')}-${get('month')}-${get('day')}`;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Wall-clock time of any moment (HH:MM, 24h) on the user's clock
+ * @param {string|Date} date
+ * @param {string|null} timeZone - IANA zone, null for the device's zone
+ * @returns {string} - e.g. "21:05", comparable as a string
  */
-export function getTodayKey() {
-  return new Date().toISOString().split('T')[0];
+export function getTimeKey(date, timeZone = null) {
+  const d = new Date(date);
+
+  if (timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(d);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return `${get('hour')}:${get('minute')}`;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
 }
 
 /**
- * Get yesterday's date in ISO format
- * @returns {string} - e.g., "2026-02-19"
+ * Move a day key by whole calendar days
+ * @param {string} key - Day key (YYYY-MM-DD)
+ * @param {number} days - Negative to go back
+ * @returns {string} - Day key
  * 
- * SAFE CALCULATION:
- * - We subtract 86400000ms (24 hours) from current time
- * - This handles month/year boundaries correctly
- * - Alternative: new Date(Date.now() - 86400000)
+ * DST-SAFE:
+ * - Subtracting 86400000ms is wrong on the two days a year that have
+ *   23 or 25 hours
+ * - Calendar arithmetic on a UTC date has no DST at all, and Date.UTC
+ *   rolls over month/year boundaries for us
  */
-export function getYesterdayKey() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return yesterday.toISOString().split('T')[0];
+export function shiftDateKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
 }
 
 /**
- * Get a date key for N days ago
+ * Get today's day key
+ * @param {string|null} timeZone - IANA zone, null for local
+ * @returns {string} - e.g. "2026-02-20"
+ */
+export function getTodayKey(timeZone = null) {
+  return getDateKey(new Date(), timeZone);
+}
+
+/**
+ * Get yesterday's day key
+ * @param {string|null} timeZone - IANA zone, null for local
+ * @returns {string} - e.g. "2026-02-19"
+ */
+export function getYesterdayKey(timeZone = null) {
+  return shiftDateKey(getTodayKey(timeZone), -1);
+}
+
+/**
+ * Get the day key for N days ago
  * @param {number} daysAgo - Number of days to go back
- * @returns {string} - ISO date string
+ * @param {string|null} timeZone - IANA zone, null for local
+ * @returns {string} - Day key
+ */
+export function getDateKeyDaysAgo(daysAgo, timeZone = null) {
+  return shiftDateKey(getTodayKey(timeZone), -daysAgo);
+}
+
+/**
+ * Format a day key for display
+ * @param {string} key - Day key (YYYY-MM-DD)
+ * @returns {string} - e.g. "Fri, Feb 20"
+ * 
+ * Parsed as local midnight: new Date("2026-02-20") would be UTC midnight,
+ * which is still the 19th anywhere west of UTC.
+ */
+export function formatDateKey(key) {
+  return new Date(`${key}T00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Whether a string is a timezone this browser knows
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean}
  */
-export function getDateKeyDaysAgo(daysAgo) {
-  const date = new Date();
-  date.setDate(date.getDate() - daysAgo);
-  return date.toISOString().split('T')[0];
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
@@ -144,3 +241,78 @@ export function getEndOfToday() {
   today.setHours(23, 59, 59, 999);
   return today;
 }
+
+/**
+ * Format a date as a datetime-local input value (YYYY-MM-DDTHH:mm)
+ * @param {Date} date - Date to format
+ * @returns {string} - Local wall-clock time, no timezone suffix
+ *
+ * WHY NOT toISOString()?
+ * - toISOString() is UTC, datetime-local inputs expect local time
+ * - Task deadlines are stored in the same format the form produces
+ */
+export function toLocalInputValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describe a reminder offset in words
+ * @param {number} minutes - Minutes before the deadline
+ * @returns {string} - e.g. "10 minutes", "1 hour", "2 days"
+ */
+export function formatOffset(minutes) {
+  const units = [
+    [7 * 24 * 60, 'week'],
+    [24 * 60, 'day'],
+    [60, 'hour'],
+    [1, 'minute'],
+  ];
+  for (const [size, label] of units) {
+    if (minutes >= size && minutes % size === 0) {
+      const count = minutes / size;
+      return `${count} ${label}${count > 1 ? 's' : ''}`;
+    }
+  }
+  return `${minutes} minutes`;
+}
+
+/**
+ * Snooze presets for overdue tasks
+ * 
+ * "tomorrow" means tomorrow at 09:00 local time - a fixed morning slot is
+ * more useful than "24h from now" when snoozing at 23:00.
+ */
+export const SNOOZE_OPTIONS = [
+  { value: '15m', label: '15 min' },
+  { value: '1h', label: '1 hour' },
+  { value: 'tomorrow', label: 'Tomorrow morning' },
+];
+
+/**
+ * Compute a new deadline for a snooze preset
+ * @param {string} option - '15m' | '1h' | 'tomorrow'
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {string} - datetime-local value
+ */
+export function getSnoozeDeadline(option, now = new Date()) {
+  const date = new Date(now);
+
+  switch (option) {
+    case '15m':
+      date.setMinutes(date.getMinutes() + 15);
+      break;
+    case '1h':
+      date.setHours(date.getHours() + 1);
+      break;
+    case 'tomorrow':
+      date.setDate(date.getDate() + 1);
+      date.setHours(9, 0, 0, 0);
+      break;
+    default:
+      throw new Error(`Unknown snooze option: ${option}`);
+  }
+
+  return toLocalInputValue(date);
+}
@@ -0,0 +1,107 @@
+// Pinned so "local" means the same thing on every machine
+process.env.TZ = 'America/Los_Angeles';
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getDateKey,
+  getTimeKey,
+  getTodayKey,
+  getYesterdayKey,
+  getDateKeyDaysAgo,
+  shiftDateKey,
+  isValidTimeZone,
+} from './dateUtils';
+
+describe('getDateKey', () => {
+  it('uses the local calendar, not UTC', () => {
+    // 02:00 UTC on the 21st is still the evening of the 20th in LA
+    expect(getDateKey('2026-02-21T02:00:00Z')).toBe('2026-02-20');
+  });
+
+  it('uses an explicit IANA timezone when given', () => {
+    // 20:00 UTC on the 20th is already 01:30 on the 21st in Kolkata
+    expect(getDateKey('2026-02-20T20:00:00Z', 'Asia/Kolkata')).toBe('2026-02-21');
+    expect(getDateKey('2026-02-20T20:00:00Z', 'UTC')).toBe('2026-02-20');
+  });
+});
+
+describe('getTimeKey', () => {
+  it('gives the 24-hour wall-clock time, locally or in a zone', () => {
+    expect(getTimeKey('2026-02-21T05:07:00Z')).toBe('21:07');
+    expect(getTimeKey('2026-02-20T20:00:00Z', 'Asia/Kolkata')).toBe('01:30');
+    expect(getTimeKey('2026-02-20T00:05:00Z', 'UTC')).toBe('00:05');
+  });
+});
+
+describe('shiftDateKey', () => {
+  it('crosses month and year boundaries', () => {
+    expect(shiftDateKey('2026-03-01', -1)).toBe('2026-02-28');
+    expect(shiftDateKey('2025-12-31', 1)).toBe('2026-01-01');
+    expect(shiftDateKey('2028-03-01', -1)).toBe('2028-02-29');
+  });
+
+  it('handles leap years', () => {
+    expect(shiftDateKey('2026-02-28', 1)).toBe('2026-03-01');
+    expect(shiftDateKey('2028-02-28', 1)).toBe('2028-02-29');
+  });
+
+  it('moves exactly one day across DST changes', () => {
+    // US clocks spring forward on 2026-03-08 and fall back on 2026-11-01
+    expect(shiftDateKey('2026-03-09', -1)).toBe('2026-03-08');
+    expect(shiftDateKey('2026-11-01', 1)).toBe('2026-11-02');
+  });
+});
+
+describe('today / yesterday / days ago', () => {
+  it('follow the local day late in the evening', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-02-21T06:30:00Z')); // 22:30 on the 20th in LA
+
+    expect(getTodayKey()).toBe('2026-02-20');
+    expect(getYesterdayKey()).toBe('2026-02-19');
+    expect(getDateKeyDaysAgo(6)).toBe('2026-02-14');
+  });
+
+  it('get yesterday right on the morning after spring forward', () => {
+    vi.useFakeTimers();
+    // 00:30 on 2026-03-09 in LA; the day before had only 23 hours
+    vi.setSystemTime(new Date('2026-03-09T07:30:00Z'));
+
+    expect(getTodayKey()).toBe('2026-03-09');
+    expect(getYesterdayKey()).toBe('2026-03-08');
+  });
+
+  it('count back across a year boundary', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-02T20:00:00Z')); // noon on Jan 2 in LA
+
+    expect(getYesterdayKey()).toBe('2026-01-01');
+    expect(getDateKeyDaysAgo(2)).toBe('2025-12-31');
+    expect(getDateKeyDaysAgo(32)).toBe('2025-12-01');
+  });
+
+  it('keep the same date through the repeated hour of fall back', () => {
+    vi.useFakeTimers();
+    // 01:30 PDT, then an hour later 01:30 PST - both on 2026-11-01
+    vi.setSystemTime(new Date('2026-11-01T08:30:00Z'));
+    expect(getTodayKey()).toBe('2026-11-01');
+    vi.setSystemTime(new Date('2026-11-01T09:30:00Z'));
+    expect(getTodayKey()).toBe('2026-11-01');
+    expect(getYesterdayKey()).toBe('2026-10-31');
+  });
+
+  it('follow a configured timezone', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-02-20T20:00:00Z'));
+
+    expect(getTodayKey('Asia/Kolkata')).toBe('2026-02-21');
+    expect(getYesterdayKey('Asia/Kolkata')).toBe('2026-02-20');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones and rejects anything else', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
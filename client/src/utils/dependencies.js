@@ -0,0 +1,111 @@
+/**
+ * =============================================================================
+ * DEPENDENCIES UTILITY MODULE - "deploy" waits for "code review"
+ * =============================================================================
+ * 
+ * MODEL:
+ * ------
+ * task.dependsOn = [id, id, ...] - tasks that must be completed first.
+ * 
+ * "Blocked" is never stored: a task is blocked while any task it depends on
+ * exists and is not completed. Completing (or deleting) the dependency
+ * unblocks it automatically, and two devices can't disagree about it.
+ * 
+ * WHY CYCLE DETECTION?
+ * --------------------
+ * A → B → A would block both tasks forever. Every new link is checked with
+ * a depth-first search before it is stored.
+ */
+
+/**
+ * Would making `taskId` depend on `dependencyId` create a cycle?
+ * 
+ * True when dependencyId already (directly or transitively) depends on
+ * taskId - or when they are the same task.
+ * 
+ * @param {Array} tasks
+ * @param {number} taskId
+ * @param {number} dependencyId
+ * @returns {boolean}
+ */
+export function wouldCreateCycle(tasks, taskId, dependencyId) {
+  if (taskId === dependencyId) return true;
+
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const visited = new Set();
+  const stack = [dependencyId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    stack.push(...(byId.get(id)?.dependsOn || []));
+  }
+
+  return false;
+}
+
+/**
+ * Keep only links that point at existing tasks and don't form a cycle
+ * @param {Array} tasks
+ * @param {number} taskId - Task whose dependencies are being set
+ * @param {Array<number>} dependencyIds - Requested dependencies
+ * @returns {Array<number>}
+ */
+export function sanitizeDependencies(tasks, taskId, dependencyIds = []) {
+  const existing = new Set(tasks.map(t => t.id));
+  // Check against the graph without this task's current links, so
+  // replacing a link doesn't trip over the link it replaces
+  const graph = tasks.map(t => (t.id === taskId ? { ...t, dependsOn: [] } : t));
+
+  return [...new Set(dependencyIds)]
+    .filter(id => existing.has(id))
+    .filter(id => !wouldCreateCycle(graph, taskId, id));
+}
+
+/**
+ * Dependencies that are still open
+ * @param {object} task
+ * @param {Array} tasks
+ * @returns {Array} - Blocking task objects
+ */
+export function getBlockers(task, tasks) {
+  if (!task.dependsOn?.length) return [];
+  return tasks.filter(t => task.dependsOn.includes(t.id) && !t.completed);
+}
+
+/**
+ * @param {object} task
+ * @param {Array} tasks
+ * @returns {boolean}
+ */
+export function isBlocked(task, tasks) {
+  return !task.completed && getBlockers(task, tasks).length > 0;
+}
+
+/**
+ * Tasks that list `id` as a dependency
+ * @param {Array} tasks
+ * @param {number} id
+ * @returns {Array}
+ */
+export function getDependents(tasks, id) {
+  return tasks.filter(t => t.dependsOn?.includes(id));
+}
+
+/**
+ * Open dependencies due AFTER the task itself
+ * 
+ * If "deploy" is due Monday but "code review" is due Wednesday, deploy
+ * can't make its deadline - one of the two dates is wrong.
+ * 
+ * @param {object} task
+ * @param {Array} tasks
+ * @returns {Array} - Conflicting dependency task objects
+ */
+export function getDeadlineConflicts(task, tasks) {
+  if (task.completed) return [];
+  const deadline = new Date(task.deadline);
+  return getBlockers(task, tasks).filter(dep => new Date(dep.deadline) > deadline);
+}
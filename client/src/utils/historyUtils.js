@@ -0,0 +1,273 @@
+/**
+ * =============================================================================
+ * HISTORY UTILITY MODULE - Pure helpers for the daily history object
+ * =============================================================================
+ * 
+ * HistoryContext owns the state; these functions only compute new values.
+ * Keeping them pure means the same logic can be reused by migrations and
+ * imports without going through React.
+ * 
+ * ENTRY SHAPE:
+ * ------------
+ * {
+ *   completed: 5, missed: 2, rescheduled: 1,  // event counts
+ *   completedWeight: 12, missedWeight: 3,     // sum of priority weights
+ *   byProject: { 1739: { completed: 2, ... } } // same counts per project
+ * }
+ */
+
+import { getPriorityWeight, PRIORITY_WEIGHTS, DEFAULT_PRIORITY } from "./priority";
+import { getDateKey, shiftDateKey } from "./dateUtils";
+
+// Outcomes that also track a priority-weighted sum
+const WEIGHTED_OUTCOMES = ["completed", "missed"];
+
+/**
+ * Apply one outcome to a single entry (a day, or a project within a day)
+ */
+function applyOutcome(entry, outcome, task, amount) {
+  const next = { completed: 0, missed: 0, ...entry };
+  const previousCount = next[outcome] || 0;
+
+  next[outcome] = Math.max(0, previousCount + amount);
+
+  if (WEIGHTED_OUTCOMES.includes(outcome)) {
+    const weightKey = `${outcome}Weight`;
+    // Entries from before weights existed: assume every event was medium
+    const previousWeight = next[weightKey] ?? previousCount * PRIORITY_WEIGHTS[DEFAULT_PRIORITY];
+    next[weightKey] = Math.max(0, previousWeight + amount * getPriorityWeight(task?.priority));
+  }
+
+  return next;
+}
+
+/**
+ * Add (or with a negative amount, remove) one outcome to a day
+ * 
+ * Tasks in a project are also counted under entry.byProject[projectId],
+ * so stats can be shown for a single project.
+ * 
+ * @param {object} history - Current history object
+ * @param {string} key - Day key (YYYY-MM-DD)
+ * @param {string} outcome - "completed" | "missed" | "rescheduled" | ...
+ * @param {object|null} task - Task the event is about (weight, project)
+ * @param {number} amount - +1 to record, -1 to undo
+ * @returns {object} - New history object
+ */
+export function addOutcome(history, key, outcome, task = null, amount = 1) {
+  const entry = applyOutcome(history[key], outcome, task, amount);
+
+  if (task?.projectId !== null && task?.projectId !== undefined) {
+    const byProject = entry.byProject || {};
+    entry.byProject = {
+      ...byProject,
+      [task.projectId]: applyOutcome(byProject[task.projectId], outcome, task, amount),
+    };
+  }
+
+  return { ...history, [key]: entry };
+}
+
+/**
+ * The part of a day entry that belongs to one project
+ * @param {object} entry - Day entry (may be undefined)
+ * @param {number|string|null} projectId - null for the whole day
+ * @returns {object}
+ */
+export function getScopedEntry(entry, projectId = null) {
+  if (!entry) return {};
+  if (projectId === null || projectId === undefined) return entry;
+  return entry.byProject?.[projectId] || {};
+}
+
+/**
+ * Completion rate across all days
+ * @param {object} history
+ * @param {string} mode - "simple" (counts) or "weighted" (priority weights)
+ * @param {number|string|null} projectId - Limit to one project
+ * @returns {number} - 0-100, 100 when there is no data
+ */
+export function computeCompletionRate(history, mode = "simple", projectId = null) {
+  const defaultWeight = PRIORITY_WEIGHTS[DEFAULT_PRIORITY];
+
+  const totals = Object.values(history).reduce(
+    (acc, entry) => {
+      const day = getScopedEntry(entry, projectId);
+      if (mode === "weighted") {
+        acc.completed += day.completedWeight ?? (day.completed || 0) * defaultWeight;
+        acc.missed += day.missedWeight ?? (day.missed || 0) * defaultWeight;
+      } else {
+        acc.completed += day.completed || 0;
+        acc.missed += day.missed || 0;
+      }
+      return acc;
+    },
+    { completed: 0, missed: 0 }
+  );
+
+  const total = totals.completed + totals.missed;
+  return total > 0 ? Math.round((totals.completed / total) * 100) : 100;
+}
+
+/**
+ * Events a task left behind, with the moment each one happened
+ * 
+ * Only the latest reschedule and the current overdue notice carry a
+ * timestamp, so older ones can't be placed and are left where they are.
+ */
+function getTimedEvents(task) {
+  const events = [];
+  if (task.completed && task.completedAt) {
+    events.push({ outcome: "completed", at: task.completedAt });
+  }
+  if (task.notified && task.notifiedAt) {
+    events.push({ outcome: "missed", at: task.notifiedAt });
+  }
+  if (task.rescheduledAt) {
+    events.push({ outcome: "rescheduled", at: task.rescheduledAt });
+  }
+  (task.subtasks || [])
+    .filter(s => s.done && s.doneAt)
+    .forEach(s => events.push({ outcome: "subtasks", at: s.doneAt }));
+  return events;
+}
+
+/**
+ * Re-bucket history that was keyed by UTC date onto local day keys
+ * 
+ * MIGRATION (history v1 → v2):
+ * ----------------------------
+ * Until v2, day keys came from toISOString() - the UTC date. History only
+ * stores counts, so the task list supplies the timestamps: each event is
+ * taken off its UTC day and added to its day in the user's timezone.
+ * An event is only moved if its UTC day actually has a count to give, so
+ * a history and task list that disagree can't go negative.
+ * 
+ * @param {object} history - History keyed by UTC dates
+ * @param {Array} tasks - Saved tasks (source of the timestamps)
+ * @param {string|null} timeZone - Target zone, null for local
+ * @returns {object} - New history object
+ */
+export function rebucketHistory(history, tasks, timeZone = null) {
+  let next = history;
+
+  tasks.forEach(task => {
+    getTimedEvents(task).forEach(({ outcome, at }) => {
+      const from = new Date(at).toISOString().split("T")[0];
+      const to = getDateKey(at, timeZone);
+      if (from === to || !(next[from]?.[outcome] > 0)) return;
+
+      next = addOutcome(next, from, outcome, task, -1);
+      next = addOutcome(next, to, outcome, task, 1);
+    });
+  });
+
+  return next;
+}
+
+/**
+ * Add completions that happened before they were recorded in history
+ * 
+ * MIGRATION (history v2 → v3):
+ * ----------------------------
+ * Completions only reach history from v3 on; before that the streak was a
+ * separate counter. Each completed task with a completedAt is counted on
+ * its day, so the streak derived from history starts out right.
+ * 
+ * @param {object} history - History without completion counts
+ * @param {Array} tasks - Saved tasks
+ * @param {string|null} timeZone - Zone for the day keys, null for local
+ * @returns {object} - New history object
+ */
+export function backfillCompletions(history, tasks, timeZone = null) {
+  return tasks
+    .filter(task => task.completed && task.completedAt)
+    .reduce((next, task) => addOutcome(next, getDateKey(task.completedAt, timeZone), "completed", task), history);
+}
+
+/**
+ * Streaks: consecutive days that reached the daily goal
+ * 
+ * TODAY IS STILL OPEN:
+ * A day that hasn't met the goal yet doesn't break the streak - it only
+ * breaks once the day is over. So the current streak counts back from
+ * today if today already counts, otherwise from yesterday.
+ * 
+ * @param {object} history - Day entries
+ * @param {number} dailyGoal - Completed tasks a day needs to count
+ * @param {string} todayKey - Today's day key
+ * @returns {object} - { current, best, broken } where broken is
+ *   { on, length } - the first day that missed the goal and the streak it
+ *   ended - or null while a streak is running
+ */
+export function computeStreaks(history, dailyGoal, todayKey) {
+  const goal = Math.max(1, dailyGoal || 1);
+  const meetsGoal = (key) => (history[key]?.completed || 0) >= goal;
+  const runEndingAt = (key) => {
+    let length = 0;
+    while (meetsGoal(key)) {
+      length++;
+      key = shiftDateKey(key, -1);
+    }
+    return length;
+  };
+
+  const goodDays = Object.keys(history).filter(key => key <= todayKey && meetsGoal(key)).sort();
+
+  let best = 0;
+  let run = 0;
+  goodDays.forEach((key, i) => {
+    run = i > 0 && shiftDateKey(goodDays[i - 1], 1) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  const current = runEndingAt(meetsGoal(todayKey) ? todayKey : shiftDateKey(todayKey, -1));
+
+  let broken = null;
+  const lastGoodDay = goodDays[goodDays.length - 1];
+  if (current === 0 && lastGoodDay) {
+    broken = { on: shiftDateKey(lastGoodDay, 1), length: runEndingAt(lastGoodDay) };
+  }
+
+  return { current, best, broken };
+}
+
+/**
+ * Larger of two counts entries, field by field (byProject recursively)
+ */
+function mergeEntries(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([field, value]) => {
+    if (field === "byProject") {
+      const projects = { ...(a.byProject || {}) };
+      Object.entries(value).forEach(([projectId, entry]) => {
+        projects[projectId] = mergeEntries(projects[projectId], entry);
+      });
+      merged.byProject = projects;
+    } else {
+      merged[field] = Math.max(a[field] || 0, value);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merge an imported history (from a backup) into the current one
+ * 
+ * WHY THE LARGER COUNT, NOT THE SUM?
+ * A backup of this same account overlaps with what's already here -
+ * summing would count every day twice, and importing the same file again
+ * would keep adding. Taking the larger count per field keeps the import
+ * idempotent; days only one side has are simply copied.
+ * 
+ * @param {object} history - Current history
+ * @param {object} imported - Validated history from the backup
+ * @returns {object} - New history object
+ */
+export function mergeHistory(history, imported) {
+  const next = { ...history };
+  Object.entries(imported).forEach(([key, entry]) => {
+    next[key] = mergeEntries(history[key], entry);
+  });
+  return next;
+}
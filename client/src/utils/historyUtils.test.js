@@ -0,0 +1,133 @@
+// Pinned so "local" means the same thing on every machine
+process.env.TZ = 'Asia/Kolkata';
+
+import { describe, it, expect } from 'vitest';
+import { addOutcome, rebucketHistory, computeStreaks, mergeHistory } from './historyUtils';
+
+describe('rebucketHistory', () => {
+  // 20:00 UTC on the 19th was 01:30 on the 20th in Kolkata
+  const lateMissed = {
+    id: 1,
+    title: 'Late one',
+    priority: 'high',
+    notified: true,
+    notifiedAt: '2026-02-19T20:00:00.000Z',
+  };
+  // 06:00 UTC is 11:30 the same day in Kolkata
+  const morningMissed = {
+    id: 2,
+    title: 'Morning one',
+    notified: true,
+    notifiedAt: '2026-02-19T06:00:00.000Z',
+  };
+
+  it('moves events from their UTC day to their local day', () => {
+    let history = addOutcome({}, '2026-02-19', 'missed', lateMissed);
+    history = addOutcome(history, '2026-02-19', 'missed', morningMissed);
+
+    const migrated = rebucketHistory(history, [lateMissed, morningMissed]);
+
+    expect(migrated['2026-02-19'].missed).toBe(1);
+    expect(migrated['2026-02-20'].missed).toBe(1);
+    // Weight travels with the event: high (3) moved, medium (2) stayed
+    expect(migrated['2026-02-19'].missedWeight).toBe(2);
+    expect(migrated['2026-02-20'].missedWeight).toBe(3);
+  });
+
+  it('moves completions, reschedules and subtasks too', () => {
+    const task = {
+      id: 3,
+      projectId: 7,
+      completed: true,
+      completedAt: '2026-02-19T21:00:00.000Z',
+      rescheduledAt: '2026-02-19T22:00:00.000Z',
+      subtasks: [{ id: 1, done: true, doneAt: '2026-02-19T23:00:00.000Z' }],
+    };
+    let history = addOutcome({}, '2026-02-19', 'completed', task);
+    history = addOutcome(history, '2026-02-19', 'rescheduled', task);
+    history = addOutcome(history, '2026-02-19', 'subtasks', task);
+
+    const migrated = rebucketHistory(history, [task]);
+
+    expect(migrated['2026-02-19']).toMatchObject({ completed: 0, rescheduled: 0, subtasks: 0 });
+    expect(migrated['2026-02-20']).toMatchObject({ completed: 1, rescheduled: 1, subtasks: 1 });
+    expect(migrated['2026-02-20'].byProject[7]).toMatchObject({ completed: 1, subtasks: 1 });
+  });
+
+  it('leaves history untouched when local and UTC days agree', () => {
+    const history = addOutcome({}, '2026-02-19', 'missed', morningMissed);
+    expect(rebucketHistory(history, [morningMissed])).toBe(history);
+  });
+
+  it('never takes more from a day than it has', () => {
+    // The task says it was missed, but that day has no misses recorded
+    const history = { '2026-02-19': { completed: 2, missed: 0 } };
+    expect(rebucketHistory(history, [lateMissed])).toBe(history);
+  });
+
+  it('targets a configured timezone instead of the local one', () => {
+    const history = addOutcome({}, '2026-02-19', 'missed', morningMissed);
+    // 06:00 UTC is still the previous evening in Los Angeles
+    const migrated = rebucketHistory(history, [morningMissed], 'America/Los_Angeles');
+    expect(migrated['2026-02-18'].missed).toBe(1);
+    expect(migrated['2026-02-19'].missed).toBe(0);
+  });
+});
+
+describe('computeStreaks', () => {
+  const day = (completed) => ({ completed, missed: 0 });
+
+  it('counts back from yesterday while today is still open', () => {
+    const history = { '2026-02-18': day(1), '2026-02-19': day(1) };
+    expect(computeStreaks(history, 1, '2026-02-20')).toEqual({ current: 2, best: 2, broken: null });
+
+    const withToday = { ...history, '2026-02-20': day(1) };
+    expect(computeStreaks(withToday, 1, '2026-02-20').current).toBe(3);
+  });
+
+  it('reports the break and keeps the best streak', () => {
+    const history = {
+      '2026-02-10': day(1),
+      '2026-02-11': day(1),
+      '2026-02-12': day(1),
+      '2026-02-13': day(0),
+      '2026-02-17': day(3),
+    };
+    expect(computeStreaks(history, 1, '2026-02-20')).toEqual({
+      current: 0,
+      best: 3,
+      broken: { on: '2026-02-18', length: 1 },
+    });
+  });
+
+  it('only counts days that reach the goal', () => {
+    const history = { '2026-02-18': day(3), '2026-02-19': day(2) };
+    expect(computeStreaks(history, 3, '2026-02-20')).toMatchObject({ current: 0, best: 1 });
+  });
+
+  it('runs across month boundaries', () => {
+    const history = { '2026-02-28': day(1), '2026-03-01': day(1) };
+    expect(computeStreaks(history, 1, '2026-03-01').current).toBe(2);
+  });
+});
+
+describe('mergeHistory', () => {
+  it('keeps the larger count per field, so merging twice changes nothing', () => {
+    const current = {
+      '2026-02-19': { completed: 3, missed: 1, byProject: { 7: { completed: 1, missed: 0 } } },
+      '2026-02-20': { completed: 1, missed: 0 },
+    };
+    const imported = {
+      '2026-02-18': { completed: 2, missed: 0 },
+      '2026-02-19': { completed: 2, missed: 2, byProject: { 7: { completed: 2, missed: 0 }, 8: { completed: 1, missed: 0 } } },
+    };
+
+    const merged = mergeHistory(current, imported);
+    expect(merged).toEqual({
+      '2026-02-18': { completed: 2, missed: 0 },
+      '2026-02-19': { completed: 3, missed: 2, byProject: { 7: { completed: 2, missed: 0 }, 8: { completed: 1, missed: 0 } } },
+      '2026-02-20': { completed: 1, missed: 0 },
+    });
+    expect(mergeHistory(merged, imported)).toEqual(merged);
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * =============================================================================
+ * iCALENDAR UTILITY MODULE - Tasks as .ics (RFC 5545)
+ * =============================================================================
+ *
+ * WHAT GOES OUT:
+ * --------------
+ * One component per task, either
+ * - VTODO:  DUE, STATUS, COMPLETED - for task apps (Thunderbird, Apple
+ *           Reminders, Tasks.org)
+ * - VEVENT: DTSTART at the deadline - for calendars that ignore VTODO
+ *           (Google Calendar)
+ * plus RRULE for repeat rules (on the open occurrence of a series),
+ * PRIORITY, CATEGORIES for tags and one VALARM per reminder offset.
+ *
+ * TIMES:
+ * ------
+ * Deadlines are wall-clock values ("2026-02-20T09:00") and are written as
+ * floating times (no Z, no TZID): 09:00 wherever the calendar is opened,
+ * exactly like in the app. Timestamps (DTSTAMP, COMPLETED) are UTC.
+ *
+ * WHAT COMES BACK:
+ * ----------------
+ * parseIcs() reads VTODO and VEVENT into plain task fields. It is lenient -
+ * unknown properties are ignored and anything odd ends up as a missing
+ * field, which utils/backup.js reports when it validates the task.
+ */
+
+import { toLocalInputValue } from "./dateUtils";
+
+export const ICS_COMPONENTS = ["VTODO", "VEVENT"];
+
+const PRODID = "-//Task Reminder App//EN";
+const UID_DOMAIN = "task-reminder";
+
+// RFC 5545 PRIORITY is 1 (highest) ... 9 (lowest), 0 = undefined
+const PRIORITY_TO_ICS = { critical: 1, high: 3, medium: 5, low: 9 };
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+}
+
+/**
+ * Fold a content line - continuation lines start with a space
+ *
+ * Counted in UTF-8 bytes, never splitting a character (titles have emoji).
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * "2026-02-20T09:00" -> "20260220T090000" (floating)
+ */
+function formatFloating(deadline) {
+  const [date, time = "00:00"] = deadline.split("T");
+  return `${date.replace(/-/g, "")}T${time.replace(/:/g, "").padEnd(6, "0").slice(0, 6)}`;
+}
+
+/**
+ * ISO timestamp -> "20260220T080000Z"
+ */
+function formatUtc(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * DATE / DATE-TIME value -> datetime-local value
+ *
+ * UTC values are converted to this device's wall clock; floating and
+ * TZID values are taken as they are. A date without a time is due at
+ * the end of that day.
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = "00", utc] = match;
+  if (hours === undefined) return `${year}-${month}-${day}T23:59`;
+  if (utc) {
+    return toLocalInputValue(new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`));
+  }
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+}
+
+/**
+ * Minutes before the deadline -> "-PT15M" / "-PT2H" / "-P1D"
+ */
+function formatTrigger(minutes) {
+  if (minutes === 0) return "PT0M";
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+/**
+ * Relative TRIGGER -> minutes before, or null for anything else
+ * (absolute triggers, alarms after the deadline)
+ */
+function parseTrigger(value) {
+  const match = /^(-)?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, negative, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+  if (total === 0) return 0;
+  return negative ? total : null;
+}
+
+/**
+ * Repeat rule (utils/recurrence.js) -> RRULE value
+ *
+ * COUNT is what's left of the series from the given occurrence on, so a
+ * rule written on occurrence 3 of 10 reads COUNT=8. UNTIL is a floating
+ * end-of-day, matching the floating start (RFC 5545 wants both alike).
+ *
+ * @param {object} rule
+ * @param {number} occurrence - 1-based occurrence the rule starts at
+ * @returns {string|null} - e.g. "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10", or
+ *   null if the series is over
+ */
+export function toRrule(rule, occurrence = 1) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === "weekly" && rule.byWeekday?.length) {
+    parts.push(`BYDAY=${rule.byWeekday.map(d => ICS_WEEKDAYS[d]).join(",")}`);
+  }
+  if (rule.freq === "monthly" && rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}T235959`);
+  if (rule.count) {
+    const remaining = rule.count - (occurrence - 1);
+    if (remaining < 1) return null;
+    parts.push(`COUNT=${remaining}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * RRULE value -> repeat rule anchored at the given deadline
+ *
+ * Only what recurrence.js can repeat is accepted: DAILY, WEEKLY (with
+ * plain BYDAY days) and MONTHLY (with one BYMONTHDAY).
+ *
+ * @param {string} value - e.g. "FREQ=DAILY;INTERVAL=2"
+ * @param {string} start - First deadline of the series
+ * @returns {object|null} - null if the rule can't be represented
+ */
+export function parseRrule(value, start) {
+  const parts = Object.fromEntries(
+    value.split(";").map(part => {
+      const [key, ...rest] = part.split("=");
+      return [key.trim().toUpperCase(), rest.join("=").trim()];
+    })
+  );
+
+  const freq = (parts.FREQ || "").toLowerCase();
+  if (!["daily", "weekly", "monthly"].includes(freq)) return null;
+
+  const rule = {
+    freq,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    start,
+    until: null,
+    count: parts.COUNT ? Number(parts.COUNT) || null : null,
+  };
+
+  if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+    if (!match) return null;
+    rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  if (freq === "weekly") {
+    const days = (parts.BYDAY || "").split(",").filter(Boolean).map(day => ICS_WEEKDAYS.indexOf(day));
+    if (days.includes(-1)) return null;
+    rule.byWeekday = days.length ? [...days].sort() : [new Date(start).getDay()];
+  }
+
+  if (freq === "monthly") {
+    const day = parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : new Date(start).getDate();
+    if (!Number.isInteger(day) || day < 1 || day > 31) return null;
+    rule.byMonthDay = day;
+  }
+
+  return rule;
+}
+
+/**
+ * Content lines for one task
+ */
+function taskToComponent(task, component, stamp) {
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+
+  if (component === "VTODO") {
+    lines.push(`DUE:${formatFloating(task.deadline)}`);
+    lines.push(`STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+    if (task.completed && task.completedAt) lines.push(`COMPLETED:${formatUtc(task.completedAt)}`);
+  } else {
+    lines.push(`DTSTART:${formatFloating(task.deadline)}`);
+  }
+
+  if (task.createdAt) lines.push(`CREATED:${formatUtc(task.createdAt)}`);
+  lines.push(`PRIORITY:${PRIORITY_TO_ICS[task.priority] ?? 0}`);
+  if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(",")}`);
+  if (task.subtasks?.length) {
+    const checklist = task.subtasks.map(s => `${s.done ? "[x]" : "[ ]"} ${s.title}`).join("\n");
+    lines.push(`DESCRIPTION:${escapeText(checklist)}`);
+  }
+
+  // Every occurrence is its own task; only the open one carries the rule,
+  // or each past occurrence would expand into a series of its own
+  const isSeriesHead = task.recurrence && !task.completed && !task.nextOccurrenceId;
+  const rrule = isSeriesHead && toRrule(task.recurrence, task.occurrence || 1);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+
+  (task.reminders || []).forEach(minutes => {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(task.title)}`,
+      `TRIGGER:${formatTrigger(minutes)}`,
+      "END:VALARM"
+    );
+  });
+
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * Serialize tasks as an iCalendar file
+ * @param {Array} tasks
+ * @param {object} options - { component: "VTODO" | "VEVENT", now }
+ * @returns {string} - CRLF-separated, folded content lines
+ */
+export function tasksToIcs(tasks, { component = "VTODO", now = new Date() } = {}) {
+  const stamp = formatUtc(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...tasks.filter(t => t.deadline).flatMap(task => taskToComponent(task, component, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Split a content line into { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(p => p.split("=")).map(([k, v = ""]) => [k.toUpperCase(), v])),
+    value: line.slice(colon + 1),
+  };
+}
+
+/**
+ * DESCRIPTION checklist written by tasksToIcs() -> subtasks
+ */
+function parseChecklist(description) {
+  const items = description
+    .split("\n")
+    .map(line => /^\[( |x)\] (.+)$/i.exec(line.trim()))
+    .filter(Boolean);
+  return items.map(([, mark, title]) => ({ title, done: mark.toLowerCase() === "x" }));
+}
+
+/**
+ * Parse VTODO / VEVENT components from an iCalendar file
+ * @param {string} text - File contents
+ * @returns {Array<object>} - Raw task fields, one per component (not yet
+ *   validated - see utils/backup.js)
+ */
+export function parseIcs(text) {
+  // Unfold: a line starting with space/tab continues the previous one
+  const lines = text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+
+  const tasks = [];
+  let current = null;
+  let alarm = null;
+
+  lines.forEach(raw => {
+    const line = parseLine(raw);
+    if (!line) return;
+    const { name, value } = line;
+
+    if (name === "BEGIN" && ICS_COMPONENTS.includes(value.toUpperCase())) {
+      current = { reminders: [], rrule: null };
+      return;
+    }
+    if (!current) return;
+
+    if (name === "BEGIN" && value.toUpperCase() === "VALARM") {
+      alarm = {};
+      return;
+    }
+    if (name === "END" && value.toUpperCase() === "VALARM") {
+      const minutes = alarm.trigger != null ? parseTrigger(alarm.trigger) : null;
+      if (minutes !== null && !current.reminders.includes(minutes)) current.reminders.push(minutes);
+      alarm = null;
+      return;
+    }
+    if (alarm) {
+      if (name === "TRIGGER" && line.params.VALUE !== "DATE-TIME") alarm.trigger = value;
+      return;
+    }
+
+    if (name === "END" && ICS_COMPONENTS.includes(value.toUpperCase())) {
+      const { rrule, ...task } = current;
+      if (rrule && task.deadline) task.recurrence = parseRrule(rrule, task.deadline);
+      tasks.push(task);
+      current = null;
+      return;
+    }
+
+    switch (name) {
+      case "UID": {
+        const match = new RegExp(`^task-(\\d+)@${UID_DOMAIN}$`).exec(value.trim());
+        if (match) current.id = Number(match[1]);
+        break;
+      }
+      case "SUMMARY":
+        current.title = unescapeText(value);
+        break;
+      case "DUE":
+      case "DTSTART":
+        // A VTODO with both is due at DUE
+        if (name === "DUE" || !current.deadline) current.deadline = parseDateValue(value);
+        break;
+      case "STATUS":
+        current.completed = value.trim().toUpperCase() === "COMPLETED";
+        break;
+      case "COMPLETED": {
+        const completedAt = parseDateValue(value);
+        if (completedAt) current.completedAt = new Date(completedAt).toISOString();
+        break;
+      }
+      case "PRIORITY": {
+        const level = Number(value);
+        if (level >= 1 && level <= 9) {
+          current.priority = level <= 2 ? "critical" : level <= 4 ? "high" : level <= 6 ? "medium" : "low";
+        }
+        break;
+      }
+      case "CATEGORIES":
+        current.tags = [...(current.tags || []), ...value.split(/(?<!\\),/).map(unescapeText)];
+        break;
+      case "DESCRIPTION": {
+        const subtasks = parseChecklist(unescapeText(value));
+        if (subtasks.length) current.subtasks = subtasks;
+        break;
+      }
+      case "RRULE":
+        current.rrule = value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return tasks;
+}
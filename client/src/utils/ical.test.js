@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { tasksToIcs, parseIcs, toRrule, parseRrule } from './ical';
+
+const NOW = new Date('2026-02-20T12:00:00Z');
+
+const task = {
+  id: 1771581600000,
+  title: 'Plan trip; book hotel, flights',
+  deadline: '2026-02-20T09:00',
+  priority: 'high',
+  tags: ['travel', 'family'],
+  subtasks: [
+    { id: 1, title: 'Hotel', done: true },
+    { id: 2, title: 'Flights', done: false },
+  ],
+  completed: false,
+  reminders: [15, 1440],
+  recurrence: { freq: 'weekly', interval: 2, byWeekday: [1, 4], start: '2026-02-20T09:00', until: null, count: 5 },
+  createdAt: '2026-02-19T08:00:00.000Z',
+};
+
+describe('RRULE', () => {
+  it('round-trips the rules recurrence.js can repeat', () => {
+    expect(toRrule(task.recurrence)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5');
+    expect(parseRrule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5', task.deadline)).toEqual(task.recurrence);
+
+    const monthly = parseRrule('FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20261231T235959Z', '2026-01-31T09:00');
+    expect(monthly).toMatchObject({ freq: 'monthly', byMonthDay: 31, until: '2026-12-31' });
+  });
+
+  it('rejects rules it cannot represent', () => {
+    expect(parseRrule('FREQ=YEARLY', task.deadline)).toBeNull();
+    expect(parseRrule('FREQ=WEEKLY;BYDAY=1MO', task.deadline)).toBeNull();
+  });
+});
+
+describe('tasksToIcs', () => {
+  it('writes a VTODO with floating due time, alarms and escaped text', () => {
+    const ics = tasksToIcs([task], { now: NOW });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('DUE:20260220T090000\r\n');
+    expect(ics).toContain('SUMMARY:Plan trip\\; book hotel\\, flights');
+    expect(ics).toContain('PRIORITY:3');
+    expect(ics).toContain('TRIGGER:-PT15M');
+    expect(ics).toContain('TRIGGER:-P1D');
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5');
+    expect(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+  });
+
+  it('writes events with DTSTART instead of DUE', () => {
+    const ics = tasksToIcs([task], { component: 'VEVENT', now: NOW });
+    expect(ics).toContain('BEGIN:VEVENT');
+    expect(ics).toContain('DTSTART:20260220T090000');
+    expect(ics).not.toContain('DUE:');
+  });
+
+  it('folds long lines without splitting characters', () => {
+    const long = { ...task, title: '🎉'.repeat(40), reminders: [], recurrence: null, subtasks: [] };
+    const ics = tasksToIcs([long], { now: NOW });
+    expect(parseIcs(ics)[0].title).toBe(long.title);
+  });
+});
+
+describe('parseIcs', () => {
+  it('reads back what tasksToIcs wrote', () => {
+    const [parsed] = parseIcs(tasksToIcs([task], { now: NOW }));
+
+    expect(parsed).toMatchObject({
+      id: task.id,
+      title: task.title,
+      deadline: task.deadline,
+      priority: 'high',
+      tags: ['travel', 'family'],
+      completed: false,
+      reminders: [15, 1440],
+      recurrence: task.recurrence,
+      subtasks: [{ title: 'Hotel', done: true }, { title: 'Flights', done: false }],
+    });
+
+    const [done] = parseIcs(tasksToIcs([{ ...task, completed: true, completedAt: '2026-02-20T08:30:00.000Z' }], { now: NOW }));
+    expect(done).toMatchObject({ completed: true, completedAt: '2026-02-20T08:30:00.000Z' });
+  });
+
+  it('puts the repeat rule only on the open occurrence, counting what is left', () => {
+    const past = { ...task, id: 1, completed: true, occurrence: 1, nextOccurrenceId: 2 };
+    const open = { ...task, id: 2, occurrence: 2 };
+    const [first, second] = parseIcs(tasksToIcs([past, open], { now: NOW }));
+
+    expect(first.recurrence).toBeUndefined();
+    expect(second.recurrence.count).toBe(4);
+  });
+
+  it('reads files from other apps', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc@example.com',
+      'SUMMARY:Dentist',
+      'DTSTART;TZID=Europe/Berlin:20260301T143000',
+      'BEGIN:VALARM',
+      'TRIGGER;RELATED=START:-PT1H30M',
+      'END:VALARM',
+      'BEGIN:VALARM',
+      'TRIGGER;VALUE=DATE-TIME:20260301T120000Z',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'SUMMARY:Tax return',
+      'DUE;VALUE=DATE:20260331',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\n');
+
+    expect(parseIcs(ics)).toEqual([
+      { title: 'Dentist', deadline: '2026-03-01T14:30', reminders: [90] },
+      { title: 'Tax return', deadline: '2026-03-31T23:59', reminders: [] },
+    ]);
+  });
+});
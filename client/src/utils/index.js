@@ -9,3 +9,18 @@
 
 export * from './notification';
 export * from './dateUtils';
+export * from './recurrence';
+export * from './api';
+export * from './push';
+export * from './priority';
+export * from './historyUtils';
+export * from './projects';
+export * from './dependencies';
+export * from './quickAdd';
+export * from './trash';
+export * from './ical';
+export * from './csv';
+export * from './backup';
+export * from './review';
+export * from './dailyNotifications';
+export * from './locks';
@@ -0,0 +1,21 @@
+/**
+ * =============================================================================
+ * LOCKS UTILITY MODULE - One tab at a time
+ * =============================================================================
+ *
+ * Work that must happen once across every open tab (a daily notification,
+ * the weekly review) checks and records its run in localStorage while
+ * holding an exclusive Web Lock, so two tabs can't both find it undone.
+ *
+ * Browsers without navigator.locks run the callback unlocked.
+ */
+
+/**
+ * Run fn while holding the named exclusive lock
+ * @param {string} name - Lock name, shared by every tab
+ * @param {Function} fn - Runs once the lock is held; released when it returns
+ * @returns {Promise} - Resolves to fn's result
+ */
+export function withLock(name, fn) {
+  return navigator.locks?.request ? navigator.locks.request(name, fn) : Promise.resolve().then(fn);
+}
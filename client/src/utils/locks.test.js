@@ -0,0 +1,16 @@
+import { describe, it, expect, vi } from 'vitest';
+import { withLock } from './locks';
+import { stubWebLocks } from '../test/webLocks';
+
+describe('withLock', () => {
+  it('runs under the named Web Lock and resolves to the result', async () => {
+    stubWebLocks();
+    await expect(withLock('task-reminder-test', () => 42)).resolves.toBe(42);
+    expect(navigator.locks.request).toHaveBeenCalledWith('task-reminder-test', expect.any(Function));
+  });
+
+  it('runs unlocked where the browser has no Web Locks', async () => {
+    vi.stubGlobal('navigator', {});
+    await expect(withLock('task-reminder-test', () => 42)).resolves.toBe(42);
+  });
+});
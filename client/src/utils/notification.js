@@ -30,9 +30,12 @@
  * -------------------
  * - Browser Tab: Notifications only work when tab is open
  * - PWA with Service Worker: Can receive push notifications even when closed
- * - This MVP uses browser-based; PWA upgrade requires serviceWorker.js
+ * - This module covers the open-tab case; utils/push.js + src/sw.js handle
+ *   server push and on-device scheduled reminders
  */
 
+import { formatOffset } from "./dateUtils";
+
 /**
  * Request notification permission from user
  * @returns {Promise<string>} - 'granted', 'denied', or 'default'
@@ -143,6 +146,18 @@ export function notifyOverdueTask(task) {
   });
 }
 
+/**
+ * Show notification ahead of a deadline
+ * @param {object} task - Task object with title and deadline
+ * @param {number} minutesBefore - Which reminder offset fired
+ */
+export function notifyUpcomingTask(task, minutesBefore) {
+  return showNotification("⏰ Upcoming Task", {
+    body: `"${task.title}" is due in ${formatOffset(minutesBefore)} (${new Date(task.deadline).toLocaleString()})`,
+    tag: `reminder-${minutesBefore}-${task.id}`, // Same tag as the server push
+  });
+}
+
 /**
  * Show notification for task completion
  * @param {object} task - Completed task object
@@ -154,6 +169,29 @@ export function notifyTaskCompleted(task) {
   });
 }
 
+/**
+ * Show notification when the last blocker of a task is completed
+ * @param {object} task - Task that can be started now
+ */
+export function notifyTaskUnblocked(task) {
+  return showNotification("🔓 Task Unblocked", {
+    body: `"${task.title}" is ready to start`,
+    tag: `unblocked-${task.id}`,
+  });
+}
+
+/**
+ * Warn that a task is due before something it depends on
+ * @param {object} task - Blocked task
+ * @param {object} dependency - Dependency with the later deadline
+ */
+export function notifyDependencyConflict(task, dependency) {
+  return showNotification("⛓️ Deadline Conflict", {
+    body: `"${task.title}" is due before "${dependency.title}", which it depends on`,
+    tag: `dependency-${task.id}-${dependency.id}`,
+  });
+}
+
 /**
  * Show daily summary notification
  * @param {number} completed - Number of completed tasks
@@ -169,6 +207,51 @@ export function notifyDailySummary(completed, total) {
   });
 }
 
+/**
+ * Morning notification: what is due today, and what is left from yesterday
+ * @param {Array} tasks - Open tasks due today
+ * @param {number} recoveryDebt - Tasks missed yesterday
+ */
+export function notifyMorningPlan(tasks, recoveryDebt = 0) {
+  const MAX_TITLES = 3;
+  const titles = tasks.slice(0, MAX_TITLES).map(task => `"${task.title}"`).join(", ");
+  const more = tasks.length > MAX_TITLES ? ` and ${tasks.length - MAX_TITLES} more` : "";
+  const plan = tasks.length > 0
+    ? `${tasks.length} ${tasks.length === 1 ? "task" : "tasks"} due today: ${titles}${more}.`
+    : "Nothing due today.";
+  const debt = recoveryDebt > 0
+    ? ` ${recoveryDebt} missed yesterday - make up for ${recoveryDebt === 1 ? "it" : "them"} first.`
+    : "";
+
+  return showNotification("☀️ Today's Plan", {
+    body: plan + debt,
+    tag: "morning-plan",
+  });
+}
+
+/**
+ * Announce a new weekly review; clicking it opens the review page
+ * @param {object} review - { weekStart, weekEnd, stats, suggestions }
+ */
+export function notifyWeeklyReview(review) {
+  const { completionRate } = review.stats || {};
+  const notification = showNotification("📅 Weekly Review", {
+    body: completionRate !== null && completionRate !== undefined
+      ? `You completed ${completionRate}% of last week's tasks. ${review.suggestions?.[0] || ""}`.trim()
+      : "Your review of last week is ready",
+    tag: "weekly-review",
+  });
+
+  if (notification) {
+    notification.onclick = () => {
+      window.focus();
+      window.location.hash = "review";
+      notification.close();
+    };
+  }
+  return notification;
+}
+
 /**
  * Check if notifications are available and permitted
  * @returns {boolean}
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  requestNotificationPermission,
+  showNotification,
+  notifyOverdueTask,
+  notifyDailySummary,
+  notifyWeeklyReview,
+  notifyMorningPlan,
+  canShowNotifications,
+  getNotificationStatus,
+} from './notification';
+
+/**
+ * Stand-in for the browser's Notification constructor
+ * Every instance is kept in `instances` so tests can inspect it.
+ */
+function mockNotification(permission) {
+  const MockNotification = vi.fn(function (title, options) {
+    this.title = title;
+    this.options = options;
+    this.close = vi.fn();
+    MockNotification.instances.push(this);
+  });
+  MockNotification.instances = [];
+  MockNotification.permission = permission;
+  MockNotification.requestPermission = vi.fn().mockResolvedValue('granted');
+  vi.stubGlobal('Notification', MockNotification);
+  return MockNotification;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('requestNotificationPermission', () => {
+  it('asks the browser when permission is undecided', async () => {
+    const Notification = mockNotification('default');
+    await expect(requestNotificationPermission()).resolves.toBe('granted');
+    expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not ask again once denied', async () => {
+    const Notification = mockNotification('denied');
+    await expect(requestNotificationPermission()).resolves.toBe('denied');
+    expect(Notification.requestPermission).not.toHaveBeenCalled();
+  });
+
+  it('reports unsupported browsers', async () => {
+    // jsdom itself has no Notification API
+    await expect(requestNotificationPermission()).resolves.toBe('unsupported');
+    expect(getNotificationStatus()).toBe('unsupported');
+  });
+});
+
+describe('showNotification', () => {
+  it('shows nothing without permission', () => {
+    const Notification = mockNotification('default');
+    expect(showNotification('Hello')).toBeNull();
+    expect(Notification).not.toHaveBeenCalled();
+    expect(canShowNotifications()).toBe(false);
+  });
+
+  it('merges defaults with the given options and closes after 5s', () => {
+    vi.useFakeTimers();
+    const Notification = mockNotification('granted');
+
+    const notification = showNotification('Hello', { body: 'World', tag: 'greeting' });
+
+    expect(Notification).toHaveBeenCalledWith('Hello', expect.objectContaining({
+      body: 'World',
+      tag: 'greeting',
+      icon: '/icon.svg',
+    }));
+    expect(notification.close).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(5000);
+    expect(notification.close).toHaveBeenCalled();
+  });
+});
+
+describe('event notifications', () => {
+  it('tags overdue notifications per task so they never stack', () => {
+    const Notification = mockNotification('granted');
+    notifyOverdueTask({ id: 7, title: 'Pay rent', deadline: '2026-02-20T09:00' });
+
+    const [instance] = Notification.instances;
+    expect(instance.title).toBe('⚠️ Task Overdue!');
+    expect(instance.options.tag).toBe('overdue-7');
+    expect(instance.options.body).toContain('Pay rent');
+    expect(instance.options.requireInteraction).toBe(true);
+  });
+
+  it('summarises the day as a percentage', () => {
+    const Notification = mockNotification('granted');
+    notifyDailySummary(4, 5);
+    notifyDailySummary(0, 0);
+
+    expect(Notification.instances[0].title).toBe('🔥 Daily Summary');
+    expect(Notification.instances[0].options.body).toBe('You completed 4/5 tasks (80%)');
+    expect(Notification.instances[1].options.body).toBe('You completed 0/0 tasks (100%)');
+  });
+
+  it('lists the morning plan and yesterday\'s recovery debt', () => {
+    const Notification = mockNotification('granted');
+    const tasks = ['Gym', 'Report', 'Call bank', 'Groceries'].map((title, id) => ({ id, title }));
+    notifyMorningPlan(tasks, 2);
+    notifyMorningPlan([], 0);
+
+    expect(Notification.instances[0].options.tag).toBe('morning-plan');
+    expect(Notification.instances[0].options.body).toBe(
+      '4 tasks due today: "Gym", "Report", "Call bank" and 1 more. 2 missed yesterday - make up for them first.'
+    );
+    expect(Notification.instances[1].options.body).toBe('Nothing due today.');
+  });
+
+  it('opens the review page from the weekly review', () => {
+    const Notification = mockNotification('granted');
+    vi.spyOn(window, 'focus').mockImplementation(() => {});
+    notifyWeeklyReview({
+      stats: { completionRate: 71 },
+      suggestions: ['Schedule less on Wednesdays.'],
+    });
+
+    const [instance] = Notification.instances;
+    expect(instance.options.tag).toBe('weekly-review');
+    expect(instance.options.body).toBe("You completed 71% of last week's tasks. Schedule less on Wednesdays.");
+
+    instance.onclick();
+    expect(window.location.hash).toBe('#review');
+    window.location.hash = '';
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * =============================================================================
+ * PRIORITY UTILITY MODULE - Weights, weighted scores, urgency sorting
+ * =============================================================================
+ * 
+ * WHY WEIGHTS INSTEAD OF JUST LABELS?
+ * -----------------------------------
+ * A plain completed/total ratio says skipping "file taxes" costs as much
+ * as skipping "water plants". Weights turn priority into a number every
+ * score can use:
+ * 
+ *   low = 1, medium = 2, high = 3, critical = 5
+ * 
+ * critical jumps to 5 (not 4) on purpose: missing one critical task should
+ * hurt more than missing a high and a low together.
+ */
+
+import { isOverdue } from "./dateUtils";
+
+export const PRIORITIES = ["low", "medium", "high", "critical"];
+
+export const DEFAULT_PRIORITY = "medium";
+
+export const PRIORITY_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 5,
+};
+
+export const PRIORITY_LABELS = {
+  low: "Low",
+  medium: "Medium",
+  high: "High",
+  critical: "Critical",
+};
+
+/**
+ * Weight for a priority (tasks from before priorities existed count as medium)
+ * @param {string} priority
+ * @returns {number}
+ */
+export function getPriorityWeight(priority) {
+  return PRIORITY_WEIGHTS[priority] || PRIORITY_WEIGHTS[DEFAULT_PRIORITY];
+}
+
+/**
+ * Completion score for a list of tasks
+ * @param {Array} tasks
+ * @param {string} mode - "simple" (completed / total) or "weighted"
+ * @returns {number} - 0-100, 100 when there is nothing to score
+ */
+export function computeCompletionScore(tasks, mode = "simple") {
+  if (tasks.length === 0) return 100;
+
+  const weigh = (task) => (mode === "weighted" ? getPriorityWeight(task.priority) : 1);
+  const total = tasks.reduce((sum, task) => sum + weigh(task), 0);
+  const done = tasks.filter(t => t.completed).reduce((sum, task) => sum + weigh(task), 0);
+
+  return Math.round((done / total) * 100);
+}
+
+/**
+ * How pressing a deadline is, as a multiplier
+ * 
+ *   overdue → 4, due within 24h → 3, within 3 days → 2, later → 1
+ */
+export function getUrgencyFactor(deadline, now = new Date()) {
+  if (isOverdue(deadline)) return 4;
+  const hoursLeft = (new Date(deadline) - now) / (1000 * 60 * 60);
+  if (hoursLeft <= 24) return 3;
+  if (hoursLeft <= 72) return 2;
+  return 1;
+}
+
+/**
+ * Sort comparator: open tasks first, then by priority weight x urgency,
+ * then by earliest deadline
+ * 
+ * A critical task due next week (5 x 1 = 5) outranks a low task due
+ * tomorrow (1 x 3 = 3), but a high task due today (3 x 3 = 9) beats both.
+ */
+export function compareByPriorityAndUrgency(a, b, now = new Date()) {
+  if (a.completed !== b.completed) return a.completed ? 1 : -1;
+
+  const score = (task) => getPriorityWeight(task.priority) * getUrgencyFactor(task.deadline, now);
+  const diff = score(b) - score(a);
+  if (diff !== 0) return diff;
+
+  return new Date(a.deadline) - new Date(b.deadline);
+}
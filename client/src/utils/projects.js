@@ -0,0 +1,75 @@
+/**
+ * =============================================================================
+ * PROJECTS UTILITY MODULE - Projects (lists), tags and task filtering
+ * =============================================================================
+ * 
+ * TWO WAYS TO GROUP:
+ * ------------------
+ * - projectId: exactly one list per task (or none). Projects have a name
+ *   and a color, and can be archived without touching their tasks.
+ * - tags: any number of free-form labels, e.g. ["errands", "phone"].
+ *   Stored lowercase without the leading "#", so "#Work" and "work" match.
+ * 
+ * FILTER SHAPE:
+ * -------------
+ * { projectId: "all" | "none" | <project id>, tag: "" | "<tag>" }
+ * 
+ * Shared by TaskList, StatsPanel and AnalyticsChart so all three always
+ * describe the same slice of tasks.
+ */
+
+export const ALL_PROJECTS = "all";
+export const NO_PROJECT = "none";
+
+export const DEFAULT_FILTER = { projectId: ALL_PROJECTS, tag: "" };
+
+export const PROJECT_COLORS = [
+  "#4f8cff", "#82ca9d", "#f0b429", "#ff6b6b", "#b388ff", "#4dd0e1", "#ff9f43",
+];
+
+/**
+ * Turn user input into a clean tag list
+ * @param {string|Array<string>} input - "work, #urgent  phone" or an array
+ * @returns {Array<string>} - ["work", "urgent", "phone"]
+ */
+export function parseTags(input) {
+  const parts = Array.isArray(input) ? input : String(input || "").split(/[\s,]+/);
+  const tags = parts
+    .map(tag => tag.trim().replace(/^#+/, "").toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Every tag used by any task, sorted
+ * @param {Array} tasks
+ * @returns {Array<string>}
+ */
+export function getAllTags(tasks) {
+  return [...new Set(tasks.flatMap(t => t.tags || []))].sort();
+}
+
+/**
+ * Does a filter narrow down to one project?
+ * @param {object} filter
+ * @returns {boolean}
+ */
+export function isProjectFilter(filter) {
+  return Boolean(filter) && filter.projectId !== ALL_PROJECTS;
+}
+
+/**
+ * Apply a project/tag filter
+ * @param {Array} tasks
+ * @param {object} filter - See FILTER SHAPE above
+ * @returns {Array}
+ */
+export function filterTasks(tasks, filter = DEFAULT_FILTER) {
+  return tasks.filter(task => {
+    if (filter.projectId === NO_PROJECT && task.projectId != null) return false;
+    if (filter.projectId !== ALL_PROJECTS && filter.projectId !== NO_PROJECT
+        && String(task.projectId) !== String(filter.projectId)) return false;
+    if (filter.tag && !(task.tags || []).includes(filter.tag)) return false;
+    return true;
+  });
+}
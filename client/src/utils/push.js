@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ * PUSH UTILITY MODULE - Service worker subscription & background reminders
+ * =============================================================================
+ * 
+ * The in-page notifications in notification.js only work while a tab is
+ * open. This module connects the page to the service worker (src/sw.js):
+ * 
+ * 1. subscribeToPush()             → server can push due/overdue reminders
+ *    unsubscribeFromPush()         → on logout, so the next user of this
+ *                                    browser doesn't get them
+ * 2. scheduleBackgroundReminders() → on-device triggers where supported
+ * 3. onTaskFocusRequest()          → notification clicks scroll to the task
+ * 
+ * Everything here fails soft: no service worker, no PushManager or no
+ * server just means we fall back to the tab-only behaviour.
+ */
+
+import { fetchPushPublicKey, savePushSubscription, removePushSubscription } from "./api";
+
+/**
+ * Check for service worker + Push API support
+ * @returns {boolean}
+ */
+export function isPushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window;
+}
+
+/**
+ * VAPID keys are URL-safe base64; pushManager wants raw bytes
+ */
+function urlBase64ToUint8Array(base64) {
+  const padding = "=".repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+/**
+ * Subscribe this browser to server push and register it with the API
+ * @returns {Promise<boolean>} - true if subscribed
+ * 
+ * Safe to call on every load: an existing subscription is reused and
+ * re-sent (the server de-duplicates by endpoint), which also refreshes the
+ * time zone if the user travelled.
+ */
+export async function subscribeToPush() {
+  if (!isPushSupported() || Notification.permission !== "granted") return false;
+
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+
+  if (!subscription) {
+    const { publicKey } = await fetchPushPublicKey();
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true, // Required by Chrome: every push shows a notification
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+  }
+
+  await savePushSubscription({
+    subscription: subscription.toJSON(),
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  });
+  return true;
+}
+
+/**
+ * Unregister this browser from the API and from the push service
+ *
+ * Call while the token is still set. The local unsubscribe happens even if
+ * the API call fails: the push service then rejects the server's pushes
+ * to the dead endpoint.
+ */
+export async function unsubscribeFromPush() {
+  if (!isPushSupported()) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return;
+
+  try {
+    await removePushSubscription(subscription.endpoint);
+  } finally {
+    await subscription.unsubscribe();
+  }
+}
+
+/**
+ * Hand upcoming deadlines to the service worker
+ * @param {Array} tasks - Task list
+ * 
+ * The worker schedules them with Notification Triggers where available.
+ * Tags match notifyOverdueTask() and the server push, so a reminder that
+ * arrives through more than one channel is shown once.
+ */
+export async function scheduleBackgroundReminders(tasks) {
+  if (!("serviceWorker" in navigator)) return;
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration?.active) return;
+
+  const reminders = tasks
+    .filter(task => !task.completed && task.deadline)
+    .flatMap(task => {
+      const deadline = new Date(task.deadline).getTime();
+      const when = new Date(task.deadline).toLocaleString();
+      const sent = task.remindersSent || [];
+
+      return [
+        ...(task.reminders || [])
+          .filter(minutes => !sent.includes(minutes))
+          .map(minutes => ({
+            taskId: task.id,
+            title: "⏰ Upcoming Task",
+            body: `"${task.title}" is due at ${when}`,
+            tag: `reminder-${minutes}-${task.id}`,
+            at: deadline - minutes * 60000,
+          })),
+        {
+          taskId: task.id,
+          title: "⚠️ Task Overdue!",
+          body: `"${task.title}" was due at ${when}`,
+          tag: `overdue-${task.id}`,
+          at: deadline,
+        },
+      ];
+    });
+
+  registration.active.postMessage({ type: "SCHEDULE_REMINDERS", reminders });
+}
+
+/**
+ * Listen for "scroll to this task" requests from notification clicks
+ * @param {Function} callback - Receives the task id
+ * @returns {Function} - Unsubscribe
+ */
+export function onTaskFocusRequest(callback) {
+  if (!("serviceWorker" in navigator)) return () => {};
+
+  const handler = (event) => {
+    if (event.data?.type === "FOCUS_TASK") callback(event.data.taskId);
+  };
+  navigator.serviceWorker.addEventListener("message", handler);
+  return () => navigator.serviceWorker.removeEventListener("message", handler);
+}
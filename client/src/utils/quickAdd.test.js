@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from './quickAdd';
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+describe('parseQuickAdd', () => {
+  it('parses the full example, starting on the first day of the rule', () => {
+    const parsed = parseQuickAdd('Submit report tomorrow 5pm #work !high every friday', NOW);
+
+    expect(parsed).toMatchObject({
+      title: 'Submit report',
+      deadline: '2026-10-23T17:00',
+      priority: 'high',
+      tags: ['work'],
+    });
+    expect(parsed.recurrence).toMatchObject({ freq: 'weekly', byWeekday: [5], start: '2026-10-23T17:00' });
+  });
+
+  it('puts "tomorrow 5pm" on the next day', () => {
+    expect(parseQuickAdd('Call dentist tomorrow 5pm', NOW)).toMatchObject({
+      title: 'Call dentist',
+      deadline: '2026-10-20T17:00',
+      priority: null,
+      tags: [],
+      recurrence: null,
+    });
+  });
+
+  it('takes plain "friday" on a Friday as today only while the time is ahead', () => {
+    const fridayMorning = new Date(2026, 9, 23, 8, 0);
+    const fridayNoon = new Date(2026, 9, 23, 12, 0);
+
+    expect(parseQuickAdd('Pay rent friday', fridayMorning).deadline).toBe('2026-10-23T09:00');
+    expect(parseQuickAdd('Pay rent friday', fridayNoon).deadline).toBe('2026-10-30T09:00');
+    expect(parseQuickAdd('Pay rent friday 5pm', fridayNoon).deadline).toBe('2026-10-23T17:00');
+    expect(parseQuickAdd('Pay rent next friday', fridayMorning).deadline).toBe('2026-10-30T09:00');
+  });
+
+  it('reads "jan 5" in December as next January', () => {
+    expect(parseQuickAdd('Renew passport jan 5', new Date(2026, 11, 10, 10, 0)).deadline).toBe('2027-01-05T09:00');
+  });
+
+  it('counts "in 20 minutes" from now', () => {
+    expect(parseQuickAdd('Take out the bread in 20 minutes', NOW)).toMatchObject({
+      title: 'Take out the bread',
+      deadline: '2026-10-19T10:20',
+    });
+  });
+
+  it('only reads a bare day abbreviation as a date after "on" or "next"', () => {
+    expect(parseQuickAdd('Check the sun roof', NOW)).toMatchObject({ title: 'Check the sun roof', deadline: null });
+    expect(parseQuickAdd('Wash car on sat', NOW)).toMatchObject({ title: 'Wash car', deadline: '2026-10-24T09:00' });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * =============================================================================
+ * WEEKLY REVIEW UTILITY MODULE - What the server's review is built from
+ * =============================================================================
+ *
+ * A review covers the seven days that ended yesterday: generated on the
+ * chosen weekday, it looks back at one whole week and never at a day that
+ * is still going.
+ *
+ * INPUT SHAPE (POST /ai/review):
+ * ------------------------------
+ * {
+ *   weekStart: "2026-03-02", weekEnd: "2026-03-08",
+ *   days: [{ date, completed, missed, rescheduled }],  // from history
+ *   tasks: [{ title, outcome, rescheduleCount, priority, project, tags }],
+ *   streak: { current, best }
+ * }
+ *
+ * outcome is "completed", "missed" (deadline passed, not done) or "open".
+ * The server finds the patterns (bad days, kinds of task that slip) - see
+ * server/ai/review.js.
+ *
+ * ONE TAB PER DAY:
+ * ----------------
+ * The automatic review is claimed for the day in localStorage
+ * (REVIEW_RUN_KEY) under a Web Lock (utils/locks.js), so with several
+ * tabs open only the first one generates and notifies. A failed attempt gives the day
+ * back for the next check to retry.
+ */
+
+import { getDateKey, shiftDateKey } from "./dateUtils";
+import { withLock } from "./locks";
+
+export const REVIEW_DAYS = 7;
+
+export const REVIEW_RUN_KEY = "task-reminder-review-run";
+const LOCK_NAME = "task-reminder-review-run";
+
+/**
+ * The week a review generated today covers
+ * @param {string} todayKey - Today's day key
+ * @returns {{ weekStart: string, weekEnd: string }} - Day keys, inclusive
+ */
+export function getReviewWeek(todayKey) {
+  return {
+    weekStart: shiftDateKey(todayKey, -REVIEW_DAYS),
+    weekEnd: shiftDateKey(todayKey, -1),
+  };
+}
+
+/**
+ * Request body for a weekly review
+ * @param {object} params
+ *   - history: Day entries (HistoryContext)
+ *   - tasks: Current task list
+ *   - week: From getReviewWeek
+ *   - streak: { current, best }
+ *   - projects: For project names
+ *   - timeZone: settings.timeZone (null for local)
+ *   - now: Date
+ * @returns {object}
+ */
+export function buildReviewInput({ history, tasks, week, streak, projects = [], timeZone = null, now = new Date() }) {
+  const { weekStart, weekEnd } = week;
+  const inWeek = (date) => {
+    if (!date) return false;
+    const key = getDateKey(date, timeZone);
+    return key >= weekStart && key <= weekEnd;
+  };
+  const projectNames = new Map(projects.map(p => [p.id, p.name]));
+
+  const days = [];
+  for (let key = weekStart; key <= weekEnd; key = shiftDateKey(key, 1)) {
+    const entry = history[key] || {};
+    days.push({
+      date: key,
+      completed: entry.completed || 0,
+      missed: entry.missed || 0,
+      rescheduled: entry.rescheduled || 0,
+    });
+  }
+
+  // Tasks due in the week, and tasks finished in it ahead of a later deadline
+  const weekTasks = tasks
+    .filter(task => inWeek(task.deadline) || (task.completed && inWeek(task.completedAt)))
+    .map(task => ({
+      title: task.title,
+      outcome: task.completed ? "completed" : new Date(task.deadline) < now ? "missed" : "open",
+      rescheduleCount: task.rescheduleCount || 0,
+      priority: task.priority || null,
+      project: projectNames.get(task.projectId) || null,
+      tags: task.tags || [],
+    }));
+
+  return {
+    weekStart,
+    weekEnd,
+    days,
+    tasks: weekTasks,
+    streak: { current: streak?.current || 0, best: streak?.best || 0 },
+  };
+}
+
+/**
+ * Should today's automatic review run?
+ * @param {Array} reviews - Saved reviews
+ * @param {number|null} weekday - settings.weeklyReviewDay (0 = Sunday),
+ *   null when automatic reviews are off
+ * @param {string} todayKey - Today's day key
+ * @returns {boolean} - True on the chosen weekday until this week's review exists
+ */
+export function isReviewDue(reviews, weekday, todayKey) {
+  if (weekday === null || weekday === undefined) return false;
+
+  const [year, month, day] = todayKey.split("-").map(Number);
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() !== Number(weekday)) return false;
+
+  const { weekStart } = getReviewWeek(todayKey);
+  return !reviews.some(review => review.weekStart === weekStart);
+}
+
+/**
+ * Run callback() if no tab has claimed today's automatic review yet
+ *
+ * Held under an exclusive Web Lock; the day is recorded before callback
+ * runs, so the tabs after it find it taken.
+ *
+ * @param {string} todayKey - Today's day key
+ * @param {Function} callback - () => void, called in the tab that claims the day
+ * @returns {Promise}
+ */
+export function withReviewLock(todayKey, callback) {
+  const run = () => {
+    if (localStorage.getItem(REVIEW_RUN_KEY) === todayKey) return;
+
+    localStorage.setItem(REVIEW_RUN_KEY, todayKey);
+    callback();
+  };
+
+  return withLock(LOCK_NAME, run);
+}
+
+/**
+ * Give a claimed day back after a failed review, so it is retried
+ * @param {string} todayKey
+ */
+export function releaseReviewDay(todayKey) {
+  if (localStorage.getItem(REVIEW_RUN_KEY) === todayKey) localStorage.removeItem(REVIEW_RUN_KEY);
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getReviewWeek, buildReviewInput, isReviewDue, withReviewLock, releaseReviewDay } from './review';
+import { stubWebLocks } from '../test/webLocks';
+
+// Monday 9 March 2026: the review covers Monday 2 to Sunday 8
+const TODAY = '2026-03-09';
+const NOW = new Date('2026-03-09T08:00:00Z');
+
+describe('getReviewWeek', () => {
+  it('covers the seven days that ended yesterday', () => {
+    expect(getReviewWeek(TODAY)).toEqual({ weekStart: '2026-03-02', weekEnd: '2026-03-08' });
+    expect(getReviewWeek('2026-01-03')).toEqual({ weekStart: '2025-12-27', weekEnd: '2026-01-02' });
+  });
+});
+
+describe('buildReviewInput', () => {
+  const history = {
+    '2026-03-01': { completed: 9 },
+    '2026-03-04': { completed: 1, missed: 2, rescheduled: 1, byProject: { 5: { completed: 1 } } },
+  };
+  const tasks = [
+    { id: 1, title: 'File expenses', deadline: '2026-03-04T09:00:00Z', completed: false, rescheduleCount: 2, tags: ['admin'], projectId: 5 },
+    { id: 2, title: 'Write report', deadline: '2026-03-12T09:00:00Z', completed: true, completedAt: '2026-03-05T10:00:00Z', priority: 'high', tags: [] },
+    { id: 3, title: 'Next week', deadline: '2026-03-10T09:00:00Z', completed: false, tags: [] },
+    { id: 4, title: 'Sunday night', deadline: '2026-03-09T07:00:00Z', completed: false, tags: [] },
+  ];
+
+  const input = buildReviewInput({
+    history,
+    tasks,
+    week: getReviewWeek(TODAY),
+    streak: { current: 2, best: 6, broken: null },
+    projects: [{ id: 5, name: 'Home' }],
+    timeZone: 'UTC',
+    now: NOW,
+  });
+
+  it('has a day for every day of the week, empty ones included', () => {
+    expect(input.days).toHaveLength(7);
+    expect(input.days[0]).toEqual({ date: '2026-03-02', completed: 0, missed: 0, rescheduled: 0 });
+    expect(input.days[2]).toEqual({ date: '2026-03-04', completed: 1, missed: 2, rescheduled: 1 });
+  });
+
+  it('includes tasks due or finished in the week with their outcome', () => {
+    expect(input.tasks).toEqual([
+      { title: 'File expenses', outcome: 'missed', rescheduleCount: 2, priority: null, project: 'Home', tags: ['admin'] },
+      { title: 'Write report', outcome: 'completed', rescheduleCount: 0, priority: 'high', project: null, tags: [] },
+    ]);
+    expect(input.streak).toEqual({ current: 2, best: 6 });
+  });
+});
+
+describe('isReviewDue', () => {
+  it('is due on the chosen weekday until the week has a review', () => {
+    expect(isReviewDue([], 1, TODAY)).toBe(true);
+    expect(isReviewDue([{ weekStart: '2026-03-02' }], 1, TODAY)).toBe(false);
+    expect(isReviewDue([{ weekStart: '2026-02-23' }], 1, TODAY)).toBe(true);
+  });
+
+  it('is never due on other days or when automatic reviews are off', () => {
+    expect(isReviewDue([], 0, TODAY)).toBe(false);
+    expect(isReviewDue([], null, TODAY)).toBe(false);
+  });
+});
+
+describe('withReviewLock', () => {
+  beforeEach(stubWebLocks);
+
+  it('runs in one tab per day, and again once a failed run gives the day back', async () => {
+    const callback = vi.fn();
+    await Promise.all([
+      withReviewLock(TODAY, callback),
+      withReviewLock(TODAY, callback),
+      withReviewLock(TODAY, callback),
+    ]);
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    releaseReviewDay(TODAY);
+    await withReviewLock(TODAY, callback);
+    expect(callback).toHaveBeenCalledTimes(2);
+
+    await withReviewLock('2026-03-16', callback);
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * =============================================================================
+ * SYNC QUEUE - Client-side mutation log for offline-first task sync
+ * =============================================================================
+ * 
+ * WHY A MUTATION LOG INSTEAD OF "PUT THE WHOLE LIST"?
+ * ---------------------------------------------------
+ * Pushing the full list means the last device to save overwrites everything
+ * the other device did. A log of small field-level changes can be merged:
+ * the phone completing task A and the laptop renaming task B both survive.
+ * 
+ * MUTATION SHAPE:
+ * ---------------
+ * {
+ *   id: "m-1708412345678-3",  // unique, for acking
+ *   op: "add" | "update" | "delete",
+ *   taskId: 1708412345678,
+ *   fields: { completed: true, completedAt: "..." },
+ *   ts: 1708412345999,        // edit time in SERVER clock (see clockOffset)
+ * }
+ * 
+ * Mutations are DERIVED by diffing the task list before and after each
+ * change, so every action in TaskContext (add, complete, delete,
+ * markNotified, and whatever comes next) is covered without each one
+ * having to remember to log itself.
+ */
+
+const QUEUE_KEY = "task-reminder-sync-queue";
+const DEVICE_KEY = "task-reminder-device-id";
+const CURSOR_KEY = "task-reminder-sync-cursor";
+const OFFSET_KEY = "task-reminder-clock-offset";
+
+let mutationCounter = 0;
+
+/**
+ * Stable id for this browser (tie-breaker for equal timestamps)
+ */
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_KEY);
+  if (!id) {
+    id = crypto.randomUUID?.() || `device-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(DEVICE_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Current time in the server's clock
+ * 
+ * WHY? Phone and laptop clocks can be minutes apart. LWW on raw device
+ * time would let the device with the fast clock win every conflict.
+ */
+export function serverNow() {
+  return Date.now() + (Number(localStorage.getItem(OFFSET_KEY)) || 0);
+}
+
+/**
+ * Remember how far this device's clock is from the server's
+ */
+export function updateClockOffset(serverTime) {
+  localStorage.setItem(OFFSET_KEY, String(serverTime - Date.now()));
+}
+
+export function loadCursor() {
+  const saved = localStorage.getItem(CURSOR_KEY);
+  return saved === null ? null : Number(saved);
+}
+
+export function saveCursor(cursor) {
+  localStorage.setItem(CURSOR_KEY, String(cursor));
+}
+
+export function loadQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveQueue(queue) {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error("Failed to save sync queue:", error);
+  }
+}
+
+/**
+ * Create a mutation entry
+ */
+export function createMutation(op, taskId, fields, ts = serverNow()) {
+  mutationCounter += 1;
+  return { id: `m-${Date.now()}-${mutationCounter}`, op, taskId, fields, ts };
+}
+
+/**
+ * Field-level diff between two task lists
+ * @param {Array} before - Previous task list
+ * @param {Array} after - Current task list
+ * @param {number} ts - Timestamp for the produced mutations
+ * @returns {Array} - Mutations that turn `before` into `after`
+ */
+export function diffTasks(before, after, ts = serverNow()) {
+  const mutations = [];
+  const beforeById = new Map(before.map(t => [t.id, t]));
+  const afterIds = new Set(after.map(t => t.id));
+
+  after.forEach(task => {
+    const previous = beforeById.get(task.id);
+
+    if (!previous) {
+      const { id, ...fields } = task;
+      // deleted: false revives the server's tombstone when a task comes
+      // back from the trash (for a brand-new task it's a no-op)
+      mutations.push(createMutation("add", task.id, { ...fields, deleted: false }, ts));
+      return;
+    }
+
+    const fields = {};
+    Object.keys({ ...previous, ...task }).forEach(key => {
+      if (key === "id") return;
+      if (JSON.stringify(previous[key]) !== JSON.stringify(task[key])) {
+        // undefined can't travel as JSON - send null so the field is cleared
+        fields[key] = task[key] === undefined ? null : task[key];
+      }
+    });
+
+    if (Object.keys(fields).length > 0) {
+      mutations.push(createMutation("update", task.id, fields, ts));
+    }
+  });
+
+  before.forEach(task => {
+    if (!afterIds.has(task.id)) {
+      mutations.push(createMutation("delete", task.id, { deleted: true }, ts));
+    }
+  });
+
+  return mutations;
+}
+
+/**
+ * Merge records from the server into the local list
+ * @param {Array} tasks - Local task list
+ * @param {Array} records - Changed records from /api/sync (may be tombstones)
+ * @param {Array} pending - Mutations not yet acknowledged by the server
+ * @returns {Array} - Merged task list
+ * 
+ * Pending mutations are re-applied on top, so a change made while the sync
+ * request was in flight doesn't flicker back to the server's old value.
+ */
+export function mergeServerTasks(tasks, records, pending = []) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+
+  records.forEach(record => {
+    if (record.deleted) {
+      byId.delete(record.id);
+    } else {
+      byId.set(record.id, record);
+    }
+  });
+
+  pending.forEach(mutation => {
+    if (mutation.op === "delete") {
+      byId.delete(mutation.taskId);
+      return;
+    }
+    const existing = byId.get(mutation.taskId);
+    if (existing) {
+      byId.set(mutation.taskId, { ...existing, ...mutation.fields });
+    } else if (mutation.op === "add") {
+      byId.set(mutation.taskId, { id: mutation.taskId, ...mutation.fields });
+    }
+  });
+
+  return [...byId.values()];
+}
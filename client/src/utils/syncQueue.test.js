@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { diffTasks, mergeServerTasks } from './syncQueue';
+
+const TS = 1708412345999;
+const strip = (mutations) => mutations.map(({ op, taskId, fields, ts }) => ({ op, taskId, fields, ts }));
+
+describe('diffTasks', () => {
+  const task = { id: 1, title: 'Call bank', completed: false, tags: ['admin'] };
+
+  it('turns a change to the list into add, update and delete mutations', () => {
+    const before = [task, { id: 2, title: 'Old' }];
+    const after = [
+      { ...task, completed: true, tags: ['admin', 'phone'] },
+      { id: 3, title: 'New' },
+    ];
+
+    expect(strip(diffTasks(before, after, TS))).toEqual([
+      { op: 'update', taskId: 1, fields: { completed: true, tags: ['admin', 'phone'] }, ts: TS },
+      { op: 'add', taskId: 3, fields: { title: 'New', deleted: false }, ts: TS },
+      { op: 'delete', taskId: 2, fields: { deleted: true }, ts: TS },
+    ]);
+  });
+
+  it('sends nothing for an unchanged list, and null for a removed field', () => {
+    expect(diffTasks([task], [{ ...task }], TS)).toEqual([]);
+
+    const { tags, ...withoutTags } = task;
+    expect(strip(diffTasks([task], [withoutTags], TS))).toEqual([
+      { op: 'update', taskId: 1, fields: { tags: null }, ts: TS },
+    ]);
+  });
+
+  it('gives every mutation its own id', () => {
+    const ids = diffTasks([], [{ id: 1 }, { id: 2 }], TS).map(m => m.id);
+    expect(new Set(ids).size).toBe(2);
+  });
+});
+
+describe('mergeServerTasks', () => {
+  it('applies server records and tombstones, then pending changes on top', () => {
+    const local = [{ id: 1, title: 'Mine' }, { id: 2, title: 'Gone' }];
+    const records = [
+      { id: 1, title: 'Server', completed: true },
+      { id: 2, title: 'Gone', deleted: true },
+    ];
+    const pending = diffTasks([], [{ id: 4, title: 'Offline' }], TS)
+      .concat(diffTasks([{ id: 1, title: 'Server' }], [{ id: 1, title: 'Renamed' }], TS));
+
+    expect(mergeServerTasks(local, records, pending)).toEqual([
+      { id: 1, title: 'Renamed', completed: true },
+      { id: 4, title: 'Offline', deleted: false },
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * =============================================================================
+ * TRASH UTILITY MODULE - Deleted tasks, kept for a while
+ * =============================================================================
+ * 
+ * ENTRY SHAPE:
+ * ------------
+ * {
+ *   task: { ...the task as it was },
+ *   deletedAt: "2026-02-20T10:00:00.000Z",
+ *   dependents: [id, ...]   // tasks that depended on it when it was deleted
+ * }
+ * 
+ * WHY REMEMBER dependents?
+ * Deleting a task unlinks it from the tasks that waited for it (nothing
+ * should stay blocked by a task that is gone). Restoring it puts those
+ * links back, so "undo delete" really is undo.
+ * 
+ * The trash lives on this device only. The server keeps a tombstone for a
+ * deleted task; restoring it sends the task again with deleted: false,
+ * which revives the record (see server/sync.js).
+ */
+
+import { getDependents } from "./dependencies";
+
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash entry for a task that is about to be deleted
+ * @param {Array} tasks - Current task list
+ * @param {number} id - Task to delete
+ * @param {Date} now
+ * @returns {object|null} - null if there is no such task
+ */
+export function createTrashEntry(tasks, id, now = new Date()) {
+  const task = tasks.find(t => t.id === id);
+  if (!task) return null;
+
+  return {
+    task,
+    deletedAt: now.toISOString(),
+    dependents: getDependents(tasks, id).map(t => t.id),
+  };
+}
+
+/**
+ * Take a task out of the list and unlink it from its dependents
+ * @param {Array} tasks
+ * @param {number} id
+ * @returns {Array} - New task list
+ */
+export function removeTask(tasks, id) {
+  return tasks
+    .filter(t => t.id !== id)
+    .map(t =>
+      t.dependsOn?.includes(id)
+        ? { ...t, dependsOn: t.dependsOn.filter(dep => dep !== id) }
+        : t
+    );
+}
+
+/**
+ * Put a trashed task back and re-link the tasks that depended on it
+ * @param {Array} tasks
+ * @param {object} entry - Trash entry
+ * @returns {Array} - New task list (unchanged if the task is already there)
+ */
+export function restoreTask(tasks, entry) {
+  const { task, dependents = [] } = entry;
+  if (tasks.some(t => t.id === task.id)) return tasks;
+
+  const relinked = tasks.map(t =>
+    dependents.includes(t.id) && !t.dependsOn?.includes(task.id)
+      ? { ...t, dependsOn: [...(t.dependsOn || []), task.id] }
+      : t
+  );
+
+  // Its own dependencies may have been deleted in the meantime
+  const existing = new Set(tasks.map(t => t.id));
+  return [...relinked, { ...task, dependsOn: (task.dependsOn || []).filter(dep => existing.has(dep)) }];
+}
+
+/**
+ * Drop entries older than the retention period
+ * @param {Array} trash
+ * @param {number} retentionDays
+ * @param {Date} now
+ * @returns {Array} - Same array if nothing expired
+ */
+export function purgeTrash(trash, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = new Date()) {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const kept = trash.filter(entry => new Date(entry.deletedAt).getTime() > cutoff);
+  return kept.length === trash.length ? trash : kept;
+}
+
+/**
+ * Days until a trash entry is emptied
+ * @param {object} entry
+ * @param {number} retentionDays
+ * @param {Date} now
+ * @returns {number} - Whole days, at least 0
+ */
+export function getDaysUntilPurge(entry, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = new Date()) {
+  const expiresAt = new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((expiresAt - now.getTime()) / DAY_MS));
+}
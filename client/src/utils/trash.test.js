@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { createTrashEntry, removeTask, restoreTask, purgeTrash, getDaysUntilPurge } from './trash';
+
+const NOW = new Date('2026-02-20T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('trash entries', () => {
+  const tasks = [
+    { id: 1, title: 'Buy paint', dependsOn: [] },
+    { id: 2, title: 'Paint wall', dependsOn: [1] },
+    { id: 3, title: 'Hang picture', dependsOn: [2] },
+  ];
+
+  it('remember which tasks depended on the deleted one', () => {
+    const entry = createTrashEntry(tasks, 1, NOW);
+    expect(entry).toEqual({ task: tasks[0], deletedAt: NOW.toISOString(), dependents: [2] });
+    expect(createTrashEntry(tasks, 99, NOW)).toBeNull();
+  });
+
+  it('round-trip through remove and restore', () => {
+    const entry = createTrashEntry(tasks, 1, NOW);
+    const removed = removeTask(tasks, 1);
+    expect(removed.find(t => t.id === 2).dependsOn).toEqual([]);
+
+    const restored = restoreTask(removed, entry);
+    expect(restored.find(t => t.id === 2).dependsOn).toEqual([1]);
+    expect(restoreTask(restored, entry)).toBe(restored);
+  });
+
+  it('drop links to tasks that are gone by the time of the restore', () => {
+    const entry = createTrashEntry(tasks, 2, NOW);
+    const withoutBoth = removeTask(removeTask(tasks, 2), 1);
+
+    const restored = restoreTask(withoutBoth, entry);
+    expect(restored.find(t => t.id === 2).dependsOn).toEqual([]);
+    expect(restored.find(t => t.id === 3).dependsOn).toEqual([2]);
+  });
+});
+
+describe('purgeTrash', () => {
+  const trash = [
+    { task: { id: 1 }, deletedAt: daysAgo(31) },
+    { task: { id: 2 }, deletedAt: daysAgo(2) },
+  ];
+
+  it('keeps entries younger than the retention period', () => {
+    expect(purgeTrash(trash, 30, NOW).map(e => e.task.id)).toEqual([2]);
+    expect(purgeTrash(trash, 90, NOW)).toBe(trash);
+  });
+
+  it('counts the days left', () => {
+    expect(getDaysUntilPurge(trash[1], 7, NOW)).toBe(5);
+    expect(getDaysUntilPurge(trash[0], 30, NOW)).toBe(0);
+  });
+});
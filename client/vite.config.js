@@ -7,6 +7,10 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: 'autoUpdate',
+      // Custom worker (src/sw.js) for push + notification clicks
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
       manifest: {
         name: 'Task Reminder App',
         short_name: 'TaskReminder',
@@ -23,5 +27,9 @@ export default defineConfig({
         ]
       }
     })
-  ]
+  ],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js'
+  }
 })
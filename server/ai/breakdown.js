@@ -0,0 +1,172 @@
+/**
+ * Task breakdown - concrete steps with deadlines for a vague task
+ *
+ * "Prepare quarterly review" -> [{ title: "Collect Q3 numbers",
+ * deadline: "2026-03-04T12:00" }, ...], every deadline after now and
+ * before the task's own.
+ *
+ * TIMES:
+ * Deadlines are wall-clock strings in the user's zone ("2026-03-04T12:00"),
+ * like everywhere else in the app. The server doesn't know that zone, so
+ * the client sends its current local time as startFrom, and all the math
+ * here treats the strings as floating times (parsed as if UTC).
+ *
+ * TRUST:
+ * A model's answer is checked twice - against BREAKDOWN_SCHEMA (shape),
+ * then against the time window (content) - before any client sees it.
+ * A bad answer is an AiError("bad_response"), which withFallback answers
+ * from the templates instead.
+ */
+
+import { AiError } from "./errors.js";
+import { parseJsonAnswer } from "./schema.js";
+
+export const MIN_STEPS = 2;
+export const MAX_STEPS = 8;
+const DEFAULT_STEPS = 4;
+const MAX_TITLE_LENGTH = 200;
+// Less time than this and there is nothing to schedule
+const MIN_WINDOW_MINUTES = 15;
+
+const WALL_CLOCK = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+export const BREAKDOWN_SCHEMA = {
+  type: "object",
+  required: ["steps"],
+  additionalProperties: false,
+  properties: {
+    steps: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_STEPS,
+      items: {
+        type: "object",
+        required: ["title", "deadline"],
+        additionalProperties: false,
+        properties: {
+          title: { type: "string", minLength: 1, maxLength: MAX_TITLE_LENGTH },
+          deadline: { type: "string", pattern: WALL_CLOCK.source },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * "2026-03-04T12:00" <-> minutes since the epoch (floating)
+ */
+function toMinutes(wallClock) {
+  return Date.parse(`${wallClock}:00Z`) / 60000;
+}
+
+function fromMinutes(minutes) {
+  return new Date(minutes * 60000).toISOString().slice(0, 16);
+}
+
+function isWallClock(value) {
+  return typeof value === "string" && WALL_CLOCK.test(value) && !Number.isNaN(toMinutes(value));
+}
+
+/**
+ * Check the body of POST /ai/breakdown
+ * @param {object} body - { title, deadline, startFrom, priority, maxSteps }
+ * @returns {object} - Input for buildBreakdownRequest
+ * @throws {AiError} invalid_request
+ */
+export function parseBreakdownInput(body = {}) {
+  const { title, deadline, startFrom, priority, maxSteps } = body;
+
+  if (typeof title !== "string" || !title.trim()) {
+    throw new AiError("invalid_request", "title is required");
+  }
+  if (!isWallClock(deadline) || !isWallClock(startFrom)) {
+    throw new AiError("invalid_request", "deadline and startFrom must look like 2026-03-04T12:00");
+  }
+  if (toMinutes(deadline) - toMinutes(startFrom) < MIN_WINDOW_MINUTES) {
+    throw new AiError("invalid_request", "The deadline is too close (or past) to plan steps before it");
+  }
+
+  const steps = Math.floor(Number(maxSteps));
+  return {
+    title: title.trim().slice(0, MAX_TITLE_LENGTH),
+    deadline,
+    startFrom,
+    priority: typeof priority === "string" ? priority.slice(0, 20) : null,
+    maxSteps: Number.isFinite(steps) ? Math.min(MAX_STEPS, Math.max(MIN_STEPS, steps)) : DEFAULT_STEPS,
+  };
+}
+
+/**
+ * Provider request for a breakdown
+ *
+ * request.schema goes to models as response_format; request.parse turns
+ * the answer text into steps (or throws bad_response).
+ */
+export function buildBreakdownRequest(input) {
+  return {
+    kind: "breakdown",
+    input,
+    system: "You are a planning assistant. You split a task into concrete, actionable steps " +
+      "and schedule them. Answer with JSON only.",
+    prompt: [
+      `Task: "${input.title}"`,
+      ...(input.priority ? [`Priority: ${input.priority}`] : []),
+      `It is now ${input.startFrom}. The task is due ${input.deadline}.`,
+      `Split it into at most ${input.maxSteps} steps, in the order they should be done.`,
+      "Give each step a short title starting with a verb and a deadline (YYYY-MM-DDTHH:MM) " +
+        "after now and before the task's deadline, leaving time for the steps after it.",
+      'Answer as {"steps":[{"title":"...","deadline":"..."}]}.',
+    ].join("\n"),
+    schema: BREAKDOWN_SCHEMA,
+    maxTokens: 600,
+    temperature: 0.4,
+    parse: (text) => parseBreakdown(text, input),
+  };
+}
+
+/**
+ * Answer text -> steps sorted by deadline
+ * @param {string} text - JSON, possibly in a ```json fence
+ * @param {object} input - From parseBreakdownInput
+ * @returns {Array<{ title, deadline }>}
+ * @throws {AiError} bad_response
+ */
+export function parseBreakdown(text, input) {
+  const value = parseJsonAnswer(text, BREAKDOWN_SCHEMA, "plan");
+  const invalid = (reason) => new AiError("bad_response", `The AI service returned an unusable plan (${reason})`);
+
+  const start = toMinutes(input.startFrom);
+  const end = toMinutes(input.deadline);
+  const steps = value.steps.map(step => ({ title: step.title.trim(), deadline: step.deadline }));
+
+  if (steps.length > input.maxSteps) throw invalid("too many steps");
+  steps.forEach(step => {
+    if (!step.title) throw invalid("a step has no title");
+    const at = toMinutes(step.deadline);
+    if (Number.isNaN(at) || at <= start || at >= end) {
+      throw invalid(`"${step.title}" is not due between now and the task's deadline`);
+    }
+  });
+
+  return steps.sort((a, b) => a.deadline.localeCompare(b.deadline));
+}
+
+/**
+ * Evenly spaced deadlines inside (startFrom, deadline), for the templates
+ *
+ * Rounded to the quarter hour when the window is roomy enough for that
+ * to keep them apart.
+ *
+ * @returns {Array<string>} - count wall-clock strings, ascending
+ */
+export function spreadDeadlines(startFrom, deadline, count) {
+  const start = toMinutes(startFrom);
+  const end = toMinutes(deadline);
+  const gap = (end - start) / (count + 1);
+  const step = gap >= 60 ? 15 : 1;
+
+  return Array.from({ length: count }, (_, i) => {
+    const at = Math.round((start + gap * (i + 1)) / step) * step;
+    return fromMinutes(Math.min(end - 1, Math.max(start + 1, at)));
+  });
+}
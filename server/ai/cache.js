@@ -0,0 +1,62 @@
+/**
+ * Response cache - the same question within the TTL gets the same answer
+ *
+ * Every TaskCard that shows an overdue task asks for a warning, and cards
+ * remount often (filters, reloads, a second tab). The key covers the user,
+ * the task and the full request (system + prompt), so a changed context -
+ * a reschedule, another missed day, a new tone - asks again.
+ *
+ * In memory, least recently used first out: a restart empties it, which
+ * only costs one model call per task.
+ */
+
+import crypto from "crypto";
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Cache key for a request
+ * @param {string} userId
+ * @param {string|null} taskId
+ * @param {object} request - { kind, system, prompt }
+ */
+export function cacheKey(userId, taskId, { kind, system = "", prompt = "" }) {
+  const digest = crypto.createHash("sha256").update(`${kind}\n${system}\n${prompt}`).digest("hex");
+  return `${userId}:${taskId ?? ""}:${digest}`;
+}
+
+/**
+ * @param {object} options - { ttlMs, maxEntries, now }
+ */
+export function createResponseCache({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert: Map order is the LRU order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      if (ttlMs <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Errors from the AI layer
+ *
+ * Every provider failure is turned into an AiError with a stable code, so
+ * routes can answer with a useful status and the client can tell "try
+ * again later" from "this will never work".
+ *
+ * CODES:
+ * ------
+ * - invalid_request:  the request itself is wrong (400, not retryable)
+ * - not_configured:   the provider is missing settings, e.g. an API key
+ * - unauthorized:     the upstream rejected our key
+ * - rate_limited:     the upstream said slow down (retryAfter in seconds)
+ * - unavailable:      network error, timeout, upstream 5xx
+ * - bad_response:     the upstream answered, but not with anything usable
+ */
+
+const STATUS_BY_CODE = {
+  invalid_request: 400,
+  rate_limited: 429,
+  not_configured: 503,
+  unavailable: 503,
+  unauthorized: 502,
+  bad_response: 502,
+};
+
+const RETRYABLE_CODES = ["rate_limited", "unavailable"];
+
+export class AiError extends Error {
+  /**
+   * @param {string} code - One of the codes above
+   * @param {string} message - Safe to show to the user
+   * @param {object} details - { provider, retryAfter, cause }
+   */
+  constructor(code, message, { provider = null, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "AiError";
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 500;
+    this.retryable = RETRYABLE_CODES.includes(code);
+    this.provider = provider;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Response body - same { error } shape as every other route, plus the
+   * fields a client needs to decide what to do
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      retryable: this.retryable,
+      provider: this.provider,
+    };
+  }
+}
+
+/**
+ * Answer a request with an AiError
+ */
+export function sendAiError(res, error) {
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).json(error.toJSON());
+}
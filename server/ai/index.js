@@ -0,0 +1,183 @@
+/**
+ * =============================================================================
+ * AI PROVIDERS - One interface, chosen by config
+ * =============================================================================
+ *
+ * INTERFACE:
+ * ----------
+ * provider.complete(request) -> Promise<{ text, provider, model, usage }>
+ * provider.stream(request, onDelta) -> the same promise, calling
+ *   onDelta(text) with each piece of the answer as it arrives
+ *
+ * request = {
+ *   kind: "warning",              // what is being asked (templates key on it)
+ *   input: { taskTitle, ... },    // structured data behind the prompt
+ *   system: "You are ...",        // for model providers
+ *   prompt: "I missed ...",
+ *   signal: AbortSignal,          // optional - stop when the client leaves
+ *   schema: { ... },              // optional - JSON Schema the answer must fit
+ *   parse: (text) => value,       // optional - throws bad_response if unusable
+ * }
+ *
+ * Requests are built in ./prompts.js (warnings), ./breakdown.js and
+ * ./review.js.
+ *
+ * Failures are AiErrors (./errors.js), never raw fetch/SDK errors.
+ *
+ * PROVIDERS:
+ * ----------
+ * - openai:   any OpenAI-compatible /chat/completions endpoint
+ * - template: deterministic text, works offline
+ * - mock:     fixed replies, records calls (tests)
+ *
+ * CONFIG (environment):
+ * ---------------------
+ * AI_PROVIDER   openai | template | mock. Default: openai when an API key
+ *               or AI_BASE_URL is set, template otherwise - so a server
+ *               without a key starts and answers instead of crashing
+ * AI_BASE_URL   default https://api.openai.com/v1
+ * AI_API_KEY    (or OPENAI_API_KEY)
+ * AI_MODEL      default gpt-4o-mini
+ * AI_TIMEOUT_MS default 15000
+ * AI_FALLBACK   template | none. Default template: when the model fails,
+ *               answer from templates and say so (result.provider)
+ *
+ * GUARDS (createAiControls, used by routes/ai.js):
+ * ------------------------------------------------
+ * AI_CACHE_TTL_MINUTES   how long an answer is reused, default 360 (0 = off)
+ * AI_RATE_LIMIT_USER     provider calls per user per hour, default 30
+ * AI_RATE_LIMIT_GLOBAL   provider calls per hour for everyone, default 500
+ *                        (0 = no limit, for either)
+ * AI_PRICE_PROMPT, AI_PRICE_COMPLETION
+ *                        USD per million tokens for AI_MODEL, when it isn't
+ *                        in usage.js's MODEL_PRICES (or is priced differently)
+ */
+
+import { AiError } from "./errors.js";
+import { createOpenAiCompatibleProvider } from "./openaiCompatible.js";
+import { createTemplateProvider } from "./template.js";
+import { createMockProvider } from "./mock.js";
+import { createResponseCache } from "./cache.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { MODEL_PRICES } from "./usage.js";
+
+export { AiError, sendAiError } from "./errors.js";
+export { createOpenAiCompatibleProvider } from "./openaiCompatible.js";
+export { createTemplateProvider } from "./template.js";
+export { createMockProvider } from "./mock.js";
+export { cacheKey, createResponseCache } from "./cache.js";
+export { createRateLimiter } from "./rateLimit.js";
+export { MODEL_PRICES, estimateCost, addUsage, summarizeUsage } from "./usage.js";
+export { validateSchema } from "./schema.js";
+export { parseBreakdownInput, buildBreakdownRequest, parseBreakdown, BREAKDOWN_SCHEMA } from "./breakdown.js";
+export { parseReviewInput, buildReviewRequest, parseReview, analyzeWeek, REVIEW_SCHEMA } from "./review.js";
+export { parseWarningInput, buildWarningRequest, COACH_TONES, COACH_PERSONAS } from "./prompts.js";
+
+export const AI_PROVIDERS = ["openai", "template", "mock"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+/**
+ * Number from the environment; unset or invalid -> fallback (0 is valid)
+ */
+function envNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Try the primary provider, answer from the fallback when it fails
+ *
+ * Invalid requests are not retried - the fallback would reject them too,
+ * or worse, paper over a bug. A stream only falls back before its first
+ * piece: text the client already shows can't be taken back.
+ *
+ * An answer that request.parse rejects (e.g. JSON in the wrong shape)
+ * counts as a failure too, so structured requests fall back as well.
+ */
+export function withFallback(primary, fallback) {
+  return {
+    name: primary.name,
+    model: primary.model,
+
+    async complete(request) {
+      try {
+        const result = await primary.complete(request);
+        request.parse?.(result.text);
+        return result;
+      } catch (error) {
+        if (!(error instanceof AiError) || error.code === "invalid_request") throw error;
+        console.warn(`[AI] ${primary.name} failed (${error.code}), using ${fallback.name}`);
+        return { ...(await fallback.complete(request)), fallbackReason: error.code };
+      }
+    },
+
+    async stream(request, onDelta) {
+      let started = false;
+      try {
+        return await primary.stream(request, (text) => {
+          started = true;
+          onDelta(text);
+        });
+      } catch (error) {
+        if (started || !(error instanceof AiError) || error.code === "invalid_request") throw error;
+        console.warn(`[AI] ${primary.name} failed (${error.code}), using ${fallback.name}`);
+        return { ...(await fallback.stream(request, onDelta)), fallbackReason: error.code };
+      }
+    },
+  };
+}
+
+/**
+ * Build the provider described by the environment
+ * @param {object} env - process.env
+ * @returns {object} - Provider
+ */
+export function createAiProvider(env = process.env) {
+  const apiKey = env.AI_API_KEY || env.OPENAI_API_KEY || null;
+  const name = env.AI_PROVIDER || (apiKey || env.AI_BASE_URL ? "openai" : "template");
+
+  if (!AI_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected ${AI_PROVIDERS.join(", ")})`);
+  }
+
+  if (name === "template") return createTemplateProvider();
+  if (name === "mock") return createMockProvider();
+
+  const provider = createOpenAiCompatibleProvider({
+    baseUrl: env.AI_BASE_URL || "https://api.openai.com/v1",
+    apiKey,
+    model: env.AI_MODEL || DEFAULT_MODEL,
+    timeoutMs: Number(env.AI_TIMEOUT_MS) || undefined,
+  });
+
+  return (env.AI_FALLBACK || "template") === "none"
+    ? provider
+    : withFallback(provider, createTemplateProvider());
+}
+
+/**
+ * Cache, rate limits and prices described by the environment
+ * @param {object} env - process.env
+ * @returns {object} - { cache, userLimit, globalLimit, prices } for createAiRouter
+ */
+export function createAiControls(env = process.env) {
+  const model = env.AI_MODEL || DEFAULT_MODEL;
+  const customPrice = env.AI_PRICE_PROMPT !== undefined || env.AI_PRICE_COMPLETION !== undefined;
+
+  return {
+    cache: createResponseCache({ ttlMs: envNumber(env.AI_CACHE_TTL_MINUTES, 360) * 60 * 1000 }),
+    userLimit: createRateLimiter({ limit: envNumber(env.AI_RATE_LIMIT_USER, 30), windowMs: HOUR_MS }),
+    globalLimit: createRateLimiter({ limit: envNumber(env.AI_RATE_LIMIT_GLOBAL, 500), windowMs: HOUR_MS }),
+    prices: customPrice
+      ? {
+          ...MODEL_PRICES,
+          [model]: {
+            prompt: envNumber(env.AI_PRICE_PROMPT, 0),
+            completion: envNumber(env.AI_PRICE_COMPLETION, 0),
+          },
+        }
+      : MODEL_PRICES,
+  };
+}
@@ -0,0 +1,282 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createAiProvider,
+  createAiControls,
+  createResponseCache,
+  estimateCost,
+  validateSchema,
+  createOpenAiCompatibleProvider,
+  createTemplateProvider,
+  parseWarningInput,
+  buildWarningRequest,
+  AiError,
+} from "./index.js";
+
+const REQUEST = {
+  kind: "warning",
+  input: { taskTitle: "Write report" },
+  system: "You are a coach.",
+  prompt: "I missed Write report.",
+};
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("createAiProvider", () => {
+  it("uses the offline templates when no model is configured", () => {
+    expect(createAiProvider({}).name).toBe("template");
+    expect(createAiProvider({ OPENAI_API_KEY: "sk-test" }).name).toBe("openai");
+    expect(createAiProvider({ AI_BASE_URL: "http://localhost:11434/v1", AI_MODEL: "llama3.1" }).model).toBe("llama3.1");
+    expect(createAiProvider({ AI_PROVIDER: "mock" }).name).toBe("mock");
+    expect(() => createAiProvider({ AI_PROVIDER: "magic" })).toThrow(/Unknown AI_PROVIDER/);
+  });
+
+  it("falls back to templates when the model fails, unless disabled", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(globalThis, "fetch").mockRejectedValue(new TypeError("fetch failed"));
+
+    const withFallback = createAiProvider({ AI_BASE_URL: "http://localhost:1/v1" });
+    await expect(withFallback.complete(REQUEST)).resolves.toMatchObject({
+      provider: "template",
+      fallbackReason: "unavailable",
+    });
+
+    const strict = createAiProvider({ AI_BASE_URL: "http://localhost:1/v1", AI_FALLBACK: "none" });
+    await expect(strict.complete(REQUEST)).rejects.toMatchObject({ code: "unavailable" });
+  });
+});
+
+function streamResponse(lines) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      // Split mid-line on purpose: chunks don't follow event boundaries
+      const body = lines.map(line => `${line}\n\n`).join("");
+      controller.enqueue(encoder.encode(body.slice(0, 25)));
+      controller.enqueue(encoder.encode(body.slice(25)));
+      controller.close();
+    },
+  }), { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+describe("OpenAI-compatible provider", () => {
+  it("posts chat messages and reads the answer and usage", async () => {
+    const fetch = vi.fn().mockResolvedValue(jsonResponse(200, {
+      model: "gpt-4o-mini-2024",
+      choices: [{ message: { content: " Get going. " } }],
+      usage: { prompt_tokens: 30, completion_tokens: 5 },
+    }));
+    const provider = createOpenAiCompatibleProvider({
+      baseUrl: "http://localhost:11434/v1/",
+      model: "gpt-4o-mini",
+      fetch,
+    });
+
+    const result = await provider.complete(REQUEST);
+
+    expect(result).toEqual({
+      text: "Get going.",
+      provider: "openai",
+      model: "gpt-4o-mini-2024",
+      usage: { promptTokens: 30, completionTokens: 5 },
+    });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("http://localhost:11434/v1/chat/completions");
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).messages).toEqual([
+      { role: "system", content: "You are a coach." },
+      { role: "user", content: "I missed Write report." },
+    ]);
+  });
+
+  it("turns upstream failures into AiErrors", async () => {
+    const cases = [
+      [jsonResponse(401, { error: { message: "bad key" } }), "unauthorized"],
+      [jsonResponse(429, {}, { "Retry-After": "12" }), "rate_limited"],
+      [jsonResponse(503, {}), "unavailable"],
+      [jsonResponse(200, { choices: [] }), "bad_response"],
+    ];
+
+    for (const [response, code] of cases) {
+      const provider = createOpenAiCompatibleProvider({
+        baseUrl: "https://api.example.com/v1",
+        apiKey: "sk-test",
+        model: "m",
+        fetch: vi.fn().mockResolvedValue(response),
+      });
+      const error = await provider.complete(REQUEST).catch(e => e);
+      expect(error).toBeInstanceOf(AiError);
+      expect(error.code).toBe(code);
+      if (code === "rate_limited") expect(error.retryAfter).toBe(12);
+    }
+  });
+
+  it("streams the answer piece by piece", async () => {
+    const fetch = vi.fn().mockResolvedValue(streamResponse([
+      `data: ${JSON.stringify({ model: "m-1", choices: [{ delta: { content: "Get " } }] })}`,
+      `data: ${JSON.stringify({ choices: [{ delta: { content: "going." } }] })}`,
+      `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 30, completion_tokens: 2 } })}`,
+      "data: [DONE]",
+    ]));
+    const provider = createOpenAiCompatibleProvider({ baseUrl: "http://localhost:11434/v1", model: "m", fetch });
+    const pieces = [];
+
+    const result = await provider.stream(REQUEST, text => pieces.push(text));
+
+    expect(pieces).toEqual(["Get ", "going."]);
+    expect(result).toEqual({
+      text: "Get going.",
+      provider: "openai",
+      model: "m-1",
+      usage: { promptTokens: 30, completionTokens: 2 },
+    });
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ stream: true });
+  });
+});
+
+describe("coaching prompts", () => {
+  it("puts the task's context and the chosen tone into the request", () => {
+    const request = buildWarningRequest(parseWarningInput({
+      taskTitle: "  Write report ",
+      deadline: "2026-03-02T09:00",
+      overdueMinutes: 150,
+      rescheduleCount: 3,
+      recent: [{ date: "2026-03-01", completed: 2, missed: 1, rescheduled: 0 }],
+      streak: { current: 4, best: 9 },
+      tone: "supportive",
+      persona: "mentor",
+    }));
+
+    expect(request.input).toMatchObject({ taskTitle: "Write report", tone: "supportive", overdueMinutes: 150 });
+    expect(request.system).toMatch(/mentor/);
+    expect(request.system).toMatch(/warm/);
+    expect(request.prompt).toContain("Late by: 2 hours");
+    expect(request.prompt).toContain("Times rescheduled: 3");
+    expect(request.prompt).toContain("Current streak: 4 days (best 9)");
+    expect(request.prompt).toContain("2026-03-01: 2 / 1 / 0");
+  });
+
+  it("defaults the optional fields and rejects unknown tones", () => {
+    expect(parseWarningInput({ taskTitle: "Run" })).toMatchObject({
+      overdueMinutes: 0,
+      rescheduleCount: 0,
+      recent: [],
+      streak: { current: 0, best: 0 },
+      persona: "coach",
+      tone: "strict",
+    });
+    expect(() => parseWarningInput({ taskTitle: "Run", tone: "sarcastic" })).toThrow(AiError);
+    expect(() => parseWarningInput({ taskTitle: "Run", persona: "__proto__" })).toThrow(AiError);
+    expect(() => parseWarningInput({})).toThrow(/taskTitle/);
+  });
+});
+
+describe("template provider", () => {
+  it("gives the same text for the same input", async () => {
+    const provider = createTemplateProvider();
+    const first = await provider.complete(REQUEST);
+    const second = await provider.complete(REQUEST);
+
+    expect(first.text).toBe(second.text);
+    expect(first.text).toContain("Write report");
+    await expect(provider.complete({ kind: "poem", input: {} })).rejects.toMatchObject({ code: "invalid_request" });
+  });
+
+  it("follows the tone and mentions lateness, reschedules and the streak", async () => {
+    const provider = createTemplateProvider();
+    const input = parseWarningInput({
+      taskTitle: "Write report",
+      overdueMinutes: 3000,
+      rescheduleCount: 2,
+      streak: { current: 5, best: 5 },
+    });
+
+    const strict = await provider.complete(buildWarningRequest({ ...input, tone: "strict" }));
+    const supportive = await provider.complete(buildWarningRequest({ ...input, tone: "supportive" }));
+
+    expect(strict.text).not.toBe(supportive.text);
+    expect(strict.text).toContain("2 days late");
+    expect(strict.text).toContain("rescheduled 2 times");
+    expect(strict.text).toContain("5-day streak is on the line");
+    expect(supportive.text).toContain("5-day streak");
+  });
+
+  it("streams the same text it completes", async () => {
+    const provider = createTemplateProvider();
+    const pieces = [];
+
+    const result = await provider.stream(REQUEST, text => pieces.push(text));
+
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces.join("")).toBe(result.text);
+  });
+});
+
+describe("guards", () => {
+  it("reads limits, cache TTL and prices from the environment", () => {
+    const defaults = createAiControls({});
+    expect(defaults.userLimit.limit).toBe(30);
+    expect(defaults.globalLimit.limit).toBe(500);
+
+    const custom = createAiControls({
+      AI_MODEL: "llama3.1",
+      AI_RATE_LIMIT_USER: "0",
+      AI_PRICE_PROMPT: "1",
+      AI_PRICE_COMPLETION: "2",
+    });
+    expect(custom.userLimit.limit).toBe(0);
+    const result = { model: "llama3.1", usage: { promptTokens: 1e6, completionTokens: 1e6 } };
+    expect(estimateCost(result, custom.prices)).toBe(3);
+    expect(estimateCost(result)).toBe(0);
+  });
+
+  it("expires cached answers and drops the least recently used", () => {
+    let now = 0;
+    const cache = createResponseCache({ ttlMs: 1000, maxEntries: 2, now: () => now });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.get("b")).toBeNull();
+    expect(cache.get("a")).toBe(1);
+
+    now = 1000;
+    expect(cache.get("a")).toBeNull();
+    expect(cache.size).toBe(1);
+  });
+});
+
+describe("validateSchema", () => {
+  const schema = {
+    type: "object",
+    required: ["steps"],
+    additionalProperties: false,
+    properties: {
+      steps: {
+        type: "array",
+        maxItems: 2,
+        items: { type: "string", pattern: "^[a-z]+$" },
+      },
+    },
+  };
+
+  it("lists every problem with its path", () => {
+    expect(validateSchema({ steps: ["ok"] }, schema)).toEqual([]);
+    expect(validateSchema({ steps: ["ok", "Bad", "x"], extra: 1 }, schema)).toEqual([
+      "$.steps has too many items",
+      "$.steps[1] has the wrong format",
+      "$.extra is not allowed",
+    ]);
+    expect(validateSchema([], schema)).toEqual(["$ should be object"]);
+    expect(validateSchema({}, schema)).toEqual(["$.steps is missing"]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Mock provider - for tests
+ *
+ * Records every request in provider.calls and answers with a fixed reply,
+ * a function of the request, or an error to throw.
+ *
+ * Also selectable with AI_PROVIDER=mock, e.g. to click through the UI
+ * without a model.
+ */
+
+import { AiError } from "./errors.js";
+import { toChunks, createTemplateProvider } from "./template.js";
+
+const templates = createTemplateProvider();
+
+/**
+ * @param {object} options
+ *   - reply: string, or (request) => string. Default: a fixed line for
+ *     warnings, the templates' JSON for structured kinds (breakdown,
+ *     review)
+ *   - error: AiError (or anything) to throw instead of replying
+ */
+export function createMockProvider({ reply = null, error = null } = {}) {
+  const calls = [];
+
+  const provider = {
+    name: "mock",
+    model: "mock",
+    calls,
+
+    async complete(request) {
+      calls.push(request);
+      if (error) throw error instanceof AiError ? error : new AiError("unavailable", String(error), { provider: "mock" });
+
+      const text = typeof reply === "function" ? reply(request)
+        : reply !== null ? reply
+        : request.kind === "warning" ? "[mock] Stay on track."
+        : (await templates.complete(request)).text;
+      return {
+        text,
+        provider: "mock",
+        model: "mock",
+        usage: { promptTokens: 0, completionTokens: 0 },
+      };
+    },
+
+    async stream(request, onDelta) {
+      const result = await provider.complete(request);
+      toChunks(result.text).forEach(chunk => onDelta(chunk));
+      return result;
+    },
+  };
+
+  return provider;
+}
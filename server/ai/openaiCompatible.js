@@ -0,0 +1,177 @@
+/**
+ * OpenAI-compatible provider - POST {baseUrl}/chat/completions
+ *
+ * Talks plain HTTP instead of using the openai SDK, so the same code
+ * reaches OpenAI, Azure-style gateways and local model servers (Ollama,
+ * llama.cpp, LM Studio, vLLM) - they all speak this endpoint. A local
+ * server usually needs no API key.
+ */
+
+import { AiError } from "./errors.js";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Map an upstream HTTP status to an AiError
+ */
+function errorForStatus(status, body, provider, retryAfter) {
+  const detail = body?.error?.message || `status ${status}`;
+  if (status === 401 || status === 403) {
+    return new AiError("unauthorized", "The AI service rejected the API key", { provider });
+  }
+  if (status === 429) {
+    return new AiError("rate_limited", "The AI service is busy, try again shortly", { provider, retryAfter });
+  }
+  if (status >= 500) {
+    return new AiError("unavailable", `The AI service failed (${detail})`, { provider });
+  }
+  return new AiError("bad_response", `The AI service refused the request (${detail})`, { provider });
+}
+
+/**
+ * @param {object} config
+ *   - baseUrl: e.g. "https://api.openai.com/v1" or "http://localhost:11434/v1"
+ *   - apiKey: Bearer token (optional for local servers)
+ *   - model: e.g. "gpt-4o-mini", "llama3.1"
+ *   - timeoutMs: per request
+ *   - fetch: injectable for tests (defaults to global fetch)
+ */
+export function createOpenAiCompatibleProvider({
+  baseUrl,
+  apiKey = null,
+  model,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetch = globalThis.fetch,
+}) {
+  const name = "openai";
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  /**
+   * POST the request; resolves to the (ok) response
+   */
+  async function send({ kind, system, prompt, schema, maxTokens = 200, temperature = 0.7, signal }, stream) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(system ? [{ role: "system", content: system }] : []),
+            { role: "user", content: prompt },
+          ],
+          max_tokens: maxTokens,
+          temperature,
+          ...(stream && { stream: true, stream_options: { include_usage: true } }),
+          // Asks for JSON in this shape; the answer is still checked (see schema.js)
+          ...(schema && {
+            response_format: { type: "json_schema", json_schema: { name: kind || "answer", schema } },
+          }),
+        }),
+        // The caller's signal (e.g. the browser went away) or our timeout
+        signal: signal
+          ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)])
+          : AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      throw unreachable(error);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      const retryAfter = Number(response.headers.get("retry-after")) || null;
+      throw errorForStatus(response.status, body, name, retryAfter);
+    }
+    return response;
+  }
+
+  function unreachable(error) {
+    const reason = error.name === "TimeoutError" ? "timed out"
+      : error.name === "AbortError" ? "request was cancelled"
+      : "could not be reached";
+    return new AiError("unavailable", `The AI service ${reason}`, { provider: name, cause: error });
+  }
+
+  function toResult(text, responseModel, usage) {
+    if (!text) {
+      throw new AiError("bad_response", "The AI service returned an empty answer", { provider: name });
+    }
+    return {
+      text,
+      provider: name,
+      model: responseModel || model,
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+      },
+    };
+  }
+
+  return {
+    name,
+    model,
+
+    /**
+     * @param {object} request - { system, prompt, schema, maxTokens, temperature, signal }
+     * @returns {Promise<{ text, provider, model, usage }>}
+     */
+    async complete(request) {
+      const response = await send(request, false);
+      const body = await response.json().catch(() => null);
+      return toResult(body?.choices?.[0]?.message?.content?.trim(), body?.model, body?.usage);
+    },
+
+    /**
+     * Same as complete(), calling onDelta(text) as the answer arrives
+     *
+     * The endpoint streams server-sent events: "data: {json}" lines with
+     * choices[0].delta.content, usage in the last chunk, then "data: [DONE]".
+     */
+    async stream(request, onDelta) {
+      const response = await send(request, true);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let text = "";
+      let responseModel = null;
+      let usage = null;
+
+      const readLine = (line) => {
+        if (!line.startsWith("data:")) return;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          throw new AiError("bad_response", "The AI service sent a malformed stream", { provider: name });
+        }
+        responseModel = chunk.model || responseModel;
+        usage = chunk.usage || usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      };
+
+      try {
+        for await (const bytes of response.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split("\n");
+          buffer = lines.pop();
+          lines.forEach(line => readLine(line.trim()));
+        }
+        readLine(buffer.trim());
+      } catch (error) {
+        throw error instanceof AiError ? error : unreachable(error);
+      }
+
+      return toResult(text.trim(), responseModel, usage);
+    },
+  };
+}
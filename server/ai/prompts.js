@@ -0,0 +1,119 @@
+/**
+ * Coaching prompts - turning a missed task and its context into a request
+ *
+ * The client sends what it knows about the task and the user's recent
+ * days; this module checks it, trims it to what a prompt needs and writes
+ * the system prompt (persona + tone) and user prompt. The checked values
+ * also go along as request.input, which is what the template provider
+ * fills in.
+ *
+ * Everything except taskTitle is optional, so older clients that only
+ * send { taskTitle } still get an answer.
+ */
+
+import { AiError } from "./errors.js";
+
+export const COACH_TONES = ["supportive", "neutral", "strict"];
+
+export const COACH_PERSONAS = {
+  coach: "a discipline coach who helps people follow through on their plans",
+  mentor: "a calm, experienced mentor who cares about long-term habits",
+  friend: "a friend who keeps the user honest about their goals",
+};
+
+export const DEFAULT_TONE = "strict";
+export const DEFAULT_PERSONA = "coach";
+
+const TONE_INSTRUCTIONS = {
+  supportive: "Be warm and encouraging. Acknowledge that slipping happens, then point to one small next step.",
+  neutral: "Be matter-of-fact. State what happened and the most useful next step, without praise or blame.",
+  strict: "Be firm and direct. Don't accept excuses, and insist on action now.",
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_RECENT_DAYS = 14;
+
+function count(value) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Check and trim the body of POST /ai-warning
+ * @param {object} body
+ * @returns {object} - Input for buildWarningRequest
+ * @throws {AiError} invalid_request
+ */
+export function parseWarningInput(body = {}) {
+  const { taskTitle, deadline, priority, overdueMinutes, rescheduleCount, recent, streak, persona, tone } = body;
+
+  if (typeof taskTitle !== "string" || !taskTitle.trim()) {
+    throw new AiError("invalid_request", "taskTitle is required");
+  }
+  if (tone !== undefined && !COACH_TONES.includes(tone)) {
+    throw new AiError("invalid_request", `tone must be one of ${COACH_TONES.join(", ")}`);
+  }
+  if (persona !== undefined && !Object.hasOwn(COACH_PERSONAS, persona)) {
+    throw new AiError("invalid_request", `persona must be one of ${Object.keys(COACH_PERSONAS).join(", ")}`);
+  }
+
+  return {
+    taskTitle: taskTitle.trim().slice(0, MAX_TITLE_LENGTH),
+    deadline: typeof deadline === "string" ? deadline.slice(0, 16) : null,
+    priority: typeof priority === "string" ? priority.slice(0, 20) : null,
+    overdueMinutes: count(overdueMinutes),
+    rescheduleCount: count(rescheduleCount),
+    recent: (Array.isArray(recent) ? recent : [])
+      .slice(-MAX_RECENT_DAYS)
+      .filter(day => day && typeof day.date === "string")
+      .map(day => ({
+        date: day.date.slice(0, 10),
+        completed: count(day.completed),
+        missed: count(day.missed),
+        rescheduled: count(day.rescheduled),
+      })),
+    streak: { current: count(streak?.current), best: count(streak?.best) },
+    persona: persona || DEFAULT_PERSONA,
+    tone: tone || DEFAULT_TONE,
+  };
+}
+
+/**
+ * 30 -> "less than an hour", 90 -> "1 hour", 3000 -> "2 days"
+ *
+ * Coarse on purpose: the prompt (and with it the cache key, see
+ * cache.js) stays the same while the task sits in one bucket.
+ */
+export function formatLateness(minutes) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  if (minutes < 60) return "less than an hour";
+  if (minutes < 48 * 60) return plural(Math.floor(minutes / 60), "hour");
+  return plural(Math.floor(minutes / (24 * 60)), "day");
+}
+
+/**
+ * Provider request for a missed-task warning
+ * @param {object} input - From parseWarningInput
+ */
+export function buildWarningRequest(input) {
+  const facts = [`Task: "${input.taskTitle}"`];
+  if (input.deadline) facts.push(`Deadline: ${input.deadline.replace("T", " ")}`);
+  if (input.priority) facts.push(`Priority: ${input.priority}`);
+  if (input.overdueMinutes) facts.push(`Late by: ${formatLateness(input.overdueMinutes)}`);
+  facts.push(`Times rescheduled: ${input.rescheduleCount}`);
+  facts.push(`Current streak: ${input.streak.current} days (best ${input.streak.best})`);
+  if (input.recent.length) {
+    facts.push("Recent days (completed / missed / rescheduled):");
+    input.recent.forEach(day => {
+      facts.push(`  ${day.date}: ${day.completed} / ${day.missed} / ${day.rescheduled}`);
+    });
+  }
+
+  return {
+    kind: "warning",
+    input,
+    system: `You are ${COACH_PERSONAS[input.persona]}. ${TONE_INSTRUCTIONS[input.tone]} ` +
+      "Answer in at most three sentences and use the context you are given.",
+    prompt: `I missed a task.\n${facts.join("\n")}\nGive me a short warning that helps me get back on track.`,
+  };
+}
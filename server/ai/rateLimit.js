@@ -0,0 +1,51 @@
+/**
+ * Fixed-window rate limiter
+ *
+ * At most `limit` calls per key per window; the window starts with the
+ * key's first call. Used twice for AI calls: per user (one user can't
+ * burn the budget) and once for everyone (the bill has a ceiling).
+ *
+ * Cache hits don't count - only calls that reach a provider do.
+ */
+
+/**
+ * @param {object} options
+ *   - limit: calls per window (0 or less = unlimited)
+ *   - windowMs
+ *   - now: clock, for tests
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const windows = new Map();
+
+  function current(key) {
+    const window = windows.get(key);
+    if (window && window.start + windowMs > now()) return window;
+    windows.delete(key);
+    return null;
+  }
+
+  return {
+    limit,
+    windowMs,
+
+    /**
+     * Seconds until the key may call again (0 = now)
+     */
+    retryAfter(key) {
+      if (limit <= 0) return 0;
+      const window = current(key);
+      if (!window || window.count < limit) return 0;
+      return Math.max(1, Math.ceil((window.start + windowMs - now()) / 1000));
+    },
+
+    /**
+     * Count a call
+     */
+    hit(key) {
+      if (limit <= 0) return;
+      const window = current(key) || { start: now(), count: 0 };
+      window.count += 1;
+      windows.set(key, window);
+    },
+  };
+}
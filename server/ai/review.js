@@ -0,0 +1,222 @@
+/**
+ * Weekly review - what a week of history says, and what to change
+ *
+ * The client sends the week's daily counts (HistoryContext) and the
+ * outcome of every task that was due in it. analyzeWeek() finds the
+ * patterns with plain arithmetic - the day with the most misses, the kinds
+ * of task (tag, project, priority) that slip, the tasks that keep being
+ * pushed back. A model turns those facts into a narrative and suggestions;
+ * template.js does the same offline.
+ *
+ * The numbers never come from the model: stats in the response are
+ * analyzeWeek()'s, so a model can phrase the week but not misreport it.
+ */
+
+import { AiError } from "./errors.js";
+import { parseJsonAnswer } from "./schema.js";
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const OUTCOMES = ["completed", "missed", "open"];
+
+const MAX_DAYS = 14;
+const MAX_TASKS = 200;
+export const MAX_SUGGESTIONS = 5;
+// A kind of task needs this many tasks before "it slips" means anything
+const MIN_CATEGORY_SIZE = 2;
+const SLIP_RATE = 0.5;
+
+export const REVIEW_SCHEMA = {
+  type: "object",
+  required: ["narrative", "suggestions"],
+  additionalProperties: false,
+  properties: {
+    narrative: { type: "string", minLength: 1, maxLength: 1500 },
+    suggestions: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_SUGGESTIONS,
+      items: { type: "string", minLength: 1, maxLength: 300 },
+    },
+  },
+};
+
+function count(value) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+function text(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function weekdayOf(dateKey) {
+  return WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Check the body of POST /ai/review
+ * @param {object} body - { weekStart, weekEnd, days, tasks, streak }
+ * @returns {object} - Input for analyzeWeek / buildReviewRequest
+ * @throws {AiError} invalid_request
+ */
+export function parseReviewInput(body = {}) {
+  const { weekStart, weekEnd, days, tasks, streak } = body;
+
+  if (!DATE_KEY.test(weekStart || "") || !DATE_KEY.test(weekEnd || "") || weekStart > weekEnd) {
+    throw new AiError("invalid_request", "weekStart and weekEnd must be dates like 2026-03-02");
+  }
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new AiError("invalid_request", "days is required");
+  }
+
+  return {
+    weekStart,
+    weekEnd,
+    days: days
+      .filter(day => DATE_KEY.test(day?.date || "") && day.date >= weekStart && day.date <= weekEnd)
+      .slice(0, MAX_DAYS)
+      .map(day => ({
+        date: day.date,
+        completed: count(day.completed),
+        missed: count(day.missed),
+        rescheduled: count(day.rescheduled),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    tasks: (Array.isArray(tasks) ? tasks : [])
+      .filter(task => text(task?.title, 200) && OUTCOMES.includes(task.outcome))
+      .slice(0, MAX_TASKS)
+      .map(task => ({
+        title: text(task.title, 200),
+        outcome: task.outcome,
+        rescheduleCount: count(task.rescheduleCount),
+        priority: text(task.priority, 20) || null,
+        project: text(task.project, 60) || null,
+        tags: (Array.isArray(task.tags) ? task.tags : []).map(tag => text(tag, 40)).filter(Boolean).slice(0, 10),
+      })),
+    streak: { current: count(streak?.current), best: count(streak?.best) },
+  };
+}
+
+/**
+ * The week's numbers and patterns
+ * @param {object} input - From parseReviewInput
+ * @returns {object} - {
+ *   completed, missed, rescheduled, completionRate (0-100 or null),
+ *   strongestDay: { date, weekday, completed } | null,
+ *   weakestDay: { date, weekday, missed, completed } | null,
+ *   slipping: [{ label, slipped, total }],     // worst first
+ *   pushedBack: [{ title, rescheduleCount }],  // rescheduled 2+ times
+ *   streak
+ * }
+ */
+export function analyzeWeek(input) {
+  const sum = (field) => input.days.reduce((total, day) => total + day[field], 0);
+  const completed = sum("completed");
+  const missed = sum("missed");
+  const rescheduled = sum("rescheduled");
+  const decided = completed + missed;
+
+  const byMost = (field) => input.days
+    .filter(day => day[field] > 0)
+    .sort((a, b) => b[field] - a[field] || a.date.localeCompare(b.date))[0] || null;
+  const strongest = byMost("completed");
+  const weakest = byMost("missed");
+
+  // A task slipped if it was missed or pushed back at least once
+  const categories = new Map();
+  input.tasks.forEach(task => {
+    const labels = [
+      ...task.tags.map(tag => `#${tag}`),
+      ...(task.project ? [`"${task.project}"`] : []),
+      ...(task.priority ? [`${task.priority}-priority`] : []),
+    ];
+    const slipped = task.outcome === "missed" || task.rescheduleCount > 0;
+    labels.forEach(label => {
+      const category = categories.get(label) || { label, slipped: 0, total: 0 };
+      category.total += 1;
+      category.slipped += slipped ? 1 : 0;
+      categories.set(label, category);
+    });
+  });
+  const slipping = [...categories.values()]
+    .filter(c => c.total >= MIN_CATEGORY_SIZE && c.slipped / c.total >= SLIP_RATE)
+    .sort((a, b) => b.slipped - a.slipped || b.slipped / b.total - a.slipped / a.total || a.label.localeCompare(b.label))
+    .slice(0, 3);
+
+  const pushedBack = input.tasks
+    .filter(task => task.rescheduleCount >= 2)
+    .sort((a, b) => b.rescheduleCount - a.rescheduleCount)
+    .slice(0, 3)
+    .map(({ title, rescheduleCount }) => ({ title, rescheduleCount }));
+
+  return {
+    completed,
+    missed,
+    rescheduled,
+    completionRate: decided > 0 ? Math.round((completed / decided) * 100) : null,
+    strongestDay: strongest && { date: strongest.date, weekday: weekdayOf(strongest.date), completed: strongest.completed },
+    weakestDay: weakest && {
+      date: weakest.date,
+      weekday: weekdayOf(weakest.date),
+      missed: weakest.missed,
+      completed: weakest.completed,
+    },
+    slipping,
+    pushedBack,
+    streak: input.streak,
+  };
+}
+
+/**
+ * Provider request for a weekly review
+ */
+export function buildReviewRequest(input) {
+  const stats = analyzeWeek(input);
+  const facts = [
+    `Week: ${input.weekStart} to ${input.weekEnd}`,
+    `Completed ${stats.completed}, missed ${stats.missed}, rescheduled ${stats.rescheduled}` +
+      (stats.completionRate !== null ? ` (${stats.completionRate}% completion)` : ""),
+    "Per day (completed / missed / rescheduled):",
+    ...input.days.map(day => `  ${weekdayOf(day.date)} ${day.date}: ${day.completed} / ${day.missed} / ${day.rescheduled}`),
+    ...(stats.slipping.length
+      ? ["Kinds of task that slip (missed or rescheduled / total):",
+        ...stats.slipping.map(c => `  ${c.label}: ${c.slipped} / ${c.total}`)]
+      : []),
+    ...(stats.pushedBack.length
+      ? ["Pushed back repeatedly:", ...stats.pushedBack.map(t => `  "${t.title}": ${t.rescheduleCount} times`)]
+      : []),
+    `Streak: ${stats.streak.current} days (best ${stats.streak.best})`,
+  ];
+
+  return {
+    kind: "review",
+    input: { ...input, stats },
+    system: "You are a productivity coach writing a short weekly review. Be honest and specific, " +
+      "use only the numbers you are given, and answer with JSON only.",
+    prompt: [
+      ...facts,
+      "Write a narrative of 2-4 sentences about the week, then up to " +
+        `${MAX_SUGGESTIONS} concrete suggestions for next week - e.g. which days to schedule less on ` +
+        "and which kinds of task to plan differently.",
+      'Answer as {"narrative":"...","suggestions":["..."]}.',
+    ].join("\n"),
+    schema: REVIEW_SCHEMA,
+    maxTokens: 700,
+    temperature: 0.5,
+    parse: (answer) => parseReview(answer),
+  };
+}
+
+/**
+ * Answer text -> { narrative, suggestions }
+ * @throws {AiError} bad_response
+ */
+export function parseReview(answer) {
+  const value = parseJsonAnswer(answer, REVIEW_SCHEMA, "review");
+  return {
+    narrative: value.narrative.trim(),
+    suggestions: value.suggestions.map(s => s.trim()).filter(Boolean),
+  };
+}
+
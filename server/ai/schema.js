@@ -0,0 +1,87 @@
+/**
+ * Minimal JSON Schema check for model answers
+ *
+ * Models are asked for JSON in a given shape (the same schema goes out as
+ * response_format), but nothing guarantees they comply - every answer is
+ * checked here before it reaches a client.
+ *
+ * Supports the subset the app's schemas use: type (object, array, string,
+ * integer, number, boolean), required, properties, additionalProperties
+ * false, items, minItems, maxItems, minLength, maxLength, pattern, enum.
+ */
+
+import { AiError } from "./errors.js";
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - Where value sits, for messages
+ * @returns {Array<string>} - Problems found, empty when valid
+ */
+export function validateSchema(value, schema, path = "$") {
+  const type = typeOf(value);
+  const typeMatches = schema.type === "number" ? type === "number" || type === "integer" : type === schema.type;
+  if (schema.type && !typeMatches) return [`${path} should be ${schema.type}`];
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} has the wrong format`);
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has too few items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has too many items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Answer text -> value that fits the schema
+ * @param {string} text - JSON, possibly in a ```json fence
+ * @param {object} schema
+ * @param {string} what - For the message, e.g. "plan"
+ * @throws {AiError} bad_response
+ */
+export function parseJsonAnswer(text, schema, what = "answer") {
+  let value;
+  try {
+    value = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+  } catch {
+    throw new AiError("bad_response", `The AI service returned an unusable ${what} (not JSON)`);
+  }
+
+  const errors = validateSchema(value, schema);
+  if (errors.length) {
+    throw new AiError("bad_response", `The AI service returned an unusable ${what} (${errors[0]})`);
+  }
+  return value;
+}
@@ -0,0 +1,168 @@
+/**
+ * Template provider - deterministic text, no model, no network
+ *
+ * The offline provider: used when no model is configured and as the
+ * fallback when the configured one fails. Same request shape as the model
+ * providers; instead of the prompt it reads request.kind and request.input
+ * and fills in a template.
+ *
+ * DETERMINISTIC:
+ * The same input always gives the same text (the variant is picked by a
+ * hash of the input, not at random), so tests and caches can rely on it.
+ */
+
+import { AiError } from "./errors.js";
+import { DEFAULT_TONE, formatLateness } from "./prompts.js";
+import { spreadDeadlines } from "./breakdown.js";
+import { MAX_SUGGESTIONS } from "./review.js";
+
+// Openers per tone; the facts about lateness, reschedules and the streak
+// are added after them (see warning below)
+const WARNING_OPENERS = {
+  supportive: [
+    ({ taskTitle }) => `"${taskTitle}" slipped - that happens. Pick one small step and start it now.`,
+    ({ taskTitle }) => `You haven't finished "${taskTitle}" yet, and that's fixable. Give it ten focused minutes.`,
+    ({ taskTitle }) => `"${taskTitle}" got away from you. Be kind to yourself and make a fresh start on it today.`,
+  ],
+  neutral: [
+    ({ taskTitle }) => `"${taskTitle}" is past its deadline. Decide now: do it, reschedule it or drop it.`,
+    ({ taskTitle }) => `"${taskTitle}" is overdue. The next useful step is to block time for it.`,
+    ({ taskTitle }) => `"${taskTitle}" missed its deadline. Pick a realistic new slot and keep it.`,
+  ],
+  strict: [
+    ({ taskTitle }) => `You missed "${taskTitle}". Discipline is built through action - pick it up now.`,
+    ({ taskTitle }) => `"${taskTitle}" slipped. Reschedule it honestly and protect that slot.`,
+    ({ taskTitle }) => `"${taskTitle}" was scheduled for a reason. Do the first five minutes right now.`,
+  ],
+};
+
+function warning(input, seed) {
+  const tone = WARNING_OPENERS[input.tone] ? input.tone : DEFAULT_TONE;
+  const openers = WARNING_OPENERS[tone];
+  const sentences = [openers[seed % openers.length](input)];
+
+  if (input.overdueMinutes) sentences.push(`It is ${formatLateness(input.overdueMinutes)} late.`);
+  if (input.rescheduleCount >= 2) {
+    sentences.push(tone === "supportive"
+      ? `It has moved ${input.rescheduleCount} times - maybe it needs to be smaller.`
+      : `It has been rescheduled ${input.rescheduleCount} times already.`);
+  }
+  if (input.streak?.current > 0) {
+    sentences.push(tone === "strict"
+      ? `Your ${input.streak.current}-day streak is on the line.`
+      : `You're on a ${input.streak.current}-day streak - this keeps it going.`);
+  }
+  return sentences.join(" ");
+}
+
+// Generic plan, most essential steps last: a short breakdown keeps the
+// end of the list
+const BREAKDOWN_STEPS = [
+  (title) => `Write down what "${title}" has to cover`,
+  (title) => `List the people and material "${title}" needs`,
+  (title) => `Collect the material for "${title}"`,
+  (title) => `Block time in the calendar for "${title}"`,
+  (title) => `Outline "${title}"`,
+  (title) => `Do a first draft of "${title}"`,
+  (title) => `Review "${title}" and fill the gaps`,
+  (title) => `Final check of "${title}"`,
+];
+
+/**
+ * A plan as JSON text - the same shape a model is asked for
+ */
+function breakdown(input) {
+  const steps = BREAKDOWN_STEPS.slice(-input.maxSteps);
+  const deadlines = spreadDeadlines(input.startFrom, input.deadline, steps.length);
+  return JSON.stringify({
+    steps: steps.map((step, i) => ({ title: step(input.title), deadline: deadlines[i] })),
+  });
+}
+
+/**
+ * A weekly review as JSON text, from the stats buildReviewRequest adds to
+ * the input (ai/review.js) - the same shape a model is asked for
+ */
+function review({ weekStart, weekEnd, stats }) {
+  const narrative = [
+    stats.completionRate === null
+      ? `Nothing was due between ${weekStart} and ${weekEnd}.`
+      : `Between ${weekStart} and ${weekEnd} you completed ${stats.completed} and missed ${stats.missed} ` +
+        `tasks (${stats.completionRate}%).`,
+    stats.strongestDay && `${stats.strongestDay.weekday} was your strongest day with ${stats.strongestDay.completed} done.`,
+    stats.rescheduled > 0 && `You pushed back deadlines ${stats.rescheduled} times.`,
+    stats.streak.current > 0 && `Your streak stands at ${stats.streak.current} days.`,
+  ].filter(Boolean).join(" ");
+
+  const suggestions = [];
+  if (stats.weakestDay && stats.weakestDay.missed >= 2) {
+    const { weekday, missed, completed } = stats.weakestDay;
+    suggestions.push(`Schedule less on ${weekday}s - ${missed} of ${missed + completed} tasks were missed that day.`);
+  }
+  stats.slipping.slice(0, 2).forEach(({ label, slipped, total }) => {
+    suggestions.push(`${label} tasks slip (${slipped} of ${total}). Give them an earlier slot or break them into smaller steps.`);
+  });
+  if (stats.pushedBack[0]) {
+    const { title, rescheduleCount } = stats.pushedBack[0];
+    suggestions.push(`"${title}" was rescheduled ${rescheduleCount} times - break it down, or decide to drop it.`);
+  }
+  if (suggestions.length === 0) {
+    suggestions.push(stats.completionRate !== null && stats.completionRate >= 80
+      ? "Good week - keep the same load next week."
+      : "Pick next week's three most important tasks today and give each a fixed slot.");
+  }
+
+  return JSON.stringify({ narrative, suggestions: suggestions.slice(0, MAX_SUGGESTIONS) });
+}
+
+const TEMPLATES = { warning, breakdown, review };
+
+/**
+ * Small stable string hash (djb2)
+ */
+function hash(text) {
+  let value = 5381;
+  for (let i = 0; i < text.length; i++) {
+    value = ((value << 5) + value + text.charCodeAt(i)) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * Split text into word-sized pieces, for stream()
+ */
+export function toChunks(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+export function createTemplateProvider() {
+  const provider = {
+    name: "template",
+    model: "template",
+
+    async complete({ kind, input = {} }) {
+      const template = TEMPLATES[kind];
+      if (!template) {
+        throw new AiError("invalid_request", `No offline template for "${kind}"`, { provider: "template" });
+      }
+
+      return {
+        text: template(input, hash(JSON.stringify(input))),
+        provider: "template",
+        model: "template",
+        usage: { promptTokens: 0, completionTokens: 0 },
+      };
+    },
+
+    /**
+     * Same text as complete(), handed out a word at a time
+     */
+    async stream(request, onDelta) {
+      const result = await provider.complete(request);
+      toChunks(result.text).forEach(chunk => onDelta(chunk));
+      return result;
+    },
+  };
+
+  return provider;
+}
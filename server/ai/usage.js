@@ -0,0 +1,126 @@
+/**
+ * Token and cost accounting for AI calls
+ *
+ * Stored per user in data.aiUsage[userId]:
+ *   {
+ *     requests,          // answered by a provider
+ *     cacheHits,         // answered from the response cache
+ *     limited,           // turned away by a rate limit
+ *     fallbacks,         // answered by the templates after the model failed
+ *     promptTokens, completionTokens,
+ *     cost,              // USD, estimated from MODEL_PRICES
+ *     lastUsedAt,
+ *     days: { "2026-03-02": { requests, cacheHits, promptTokens, completionTokens, cost } }
+ *   }
+ *
+ * The cost is an estimate from list prices - good for spotting a runaway
+ * user, not for invoicing.
+ */
+
+// USD per million tokens. Matched by prefix, so dated model versions
+// ("gpt-4o-mini-2024-07-18") use their family's price
+export const MODEL_PRICES = {
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  "gpt-4.1-mini": { prompt: 0.4, completion: 1.6 },
+  "gpt-4.1": { prompt: 2, completion: 8 },
+};
+
+// Days of per-day counts kept per user
+const USAGE_DAYS_KEPT = 30;
+
+const EMPTY_DAY = { requests: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+/**
+ * Price for a model: the longest matching prefix, or free (local models,
+ * templates, unknown names)
+ */
+export function priceFor(model, prices = MODEL_PRICES) {
+  const match = Object.keys(prices)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : { prompt: 0, completion: 0 };
+}
+
+/**
+ * Estimated USD cost of one answer
+ * @param {object} result - Provider result { model, usage }
+ */
+export function estimateCost(result, prices = MODEL_PRICES) {
+  const price = priceFor(result.model, prices);
+  const { promptTokens = 0, completionTokens = 0 } = result.usage || {};
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Add one event to a user's usage (returns a new object)
+ * @param {object|undefined} usage - data.aiUsage[userId]
+ * @param {object} event
+ *   - type: "request" | "cacheHit" | "limited"
+ *   - result: provider result (for "request")
+ *   - cost: USD (for "request")
+ *   - now: Date
+ */
+export function addUsage(usage, { type, result = null, cost = 0, now = new Date() }) {
+  const day = now.toISOString().slice(0, 10);
+  const promptTokens = result?.usage?.promptTokens || 0;
+  const completionTokens = result?.usage?.completionTokens || 0;
+  const isRequest = type === "request";
+
+  const previous = usage || {};
+  const previousDay = previous.days?.[day] || EMPTY_DAY;
+  const days = {
+    ...previous.days,
+    [day]: {
+      requests: previousDay.requests + (isRequest ? 1 : 0),
+      cacheHits: previousDay.cacheHits + (type === "cacheHit" ? 1 : 0),
+      promptTokens: previousDay.promptTokens + promptTokens,
+      completionTokens: previousDay.completionTokens + completionTokens,
+      cost: previousDay.cost + cost,
+    },
+  };
+  const kept = Object.keys(days).sort().slice(-USAGE_DAYS_KEPT);
+
+  return {
+    requests: (previous.requests || 0) + (isRequest ? 1 : 0),
+    cacheHits: (previous.cacheHits || 0) + (type === "cacheHit" ? 1 : 0),
+    limited: (previous.limited || 0) + (type === "limited" ? 1 : 0),
+    fallbacks: (previous.fallbacks || 0) + (result?.fallbackReason ? 1 : 0),
+    promptTokens: (previous.promptTokens || 0) + promptTokens,
+    completionTokens: (previous.completionTokens || 0) + completionTokens,
+    cost: (previous.cost || 0) + cost,
+    lastUsedAt: now.toISOString(),
+    days: Object.fromEntries(kept.map(key => [key, days[key]])),
+  };
+}
+
+/**
+ * Usage across all users, for the admin stats route
+ * @param {object} aiUsage - data.aiUsage
+ * @param {Array} users - data.users (for emails)
+ * @returns {{ totals, users: Array, days }} - users sorted by cost, highest
+ *   first; days summed over users
+ */
+export function summarizeUsage(aiUsage = {}, users = []) {
+  const totals = { requests: 0, cacheHits: 0, limited: 0, fallbacks: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  const days = {};
+  const emails = new Map(users.map(u => [u.id, u.email]));
+
+  const perUser = Object.entries(aiUsage).map(([id, usage]) => {
+    Object.keys(totals).forEach(field => {
+      totals[field] += usage[field] || 0;
+    });
+    Object.entries(usage.days || {}).forEach(([day, counts]) => {
+      const total = days[day] || { ...EMPTY_DAY };
+      Object.keys(EMPTY_DAY).forEach(field => {
+        total[field] += counts[field] || 0;
+      });
+      days[day] = total;
+    });
+
+    const { days: _, ...counts } = usage;
+    return { id, email: emails.get(id) || null, ...counts };
+  });
+
+  return { totals, users: perUser.sort((a, b) => b.cost - a.cost), days };
+}
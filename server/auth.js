@@ -0,0 +1,97 @@
+/**
+ * =============================================================================
+ * AUTH HELPERS - Password hashing and signed tokens
+ * =============================================================================
+ *
+ * WHY node:crypto INSTEAD OF bcrypt + jsonwebtoken?
+ * -------------------------------------------------
+ * 1. NO NATIVE BUILDS: bcrypt needs a compiler on the host
+ * 2. SCRYPT IS A MEMORY-HARD KDF: Same job as bcrypt, ships with Node
+ * 3. JWT HS256 IS ~20 LINES: header.payload.HMAC, nothing else needed
+ *
+ * PASSWORD FORMAT:
+ * ----------------
+ * "scrypt:<salt hex>:<hash hex>" - the prefix leaves room for migrating
+ * to another algorithm later without guessing what an old hash is.
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<boolean>}
+ *
+ * timingSafeEqual: a normal === returns early on the first different byte,
+ * which leaks how much of the hash matched through response timing.
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = String(stored).split(":");
+  if (scheme !== "scrypt" || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Create a signed JWT (HS256)
+ * @param {object} payload - Claims, e.g. { sub: userId }
+ * @param {string} secret
+ * @returns {string}
+ */
+export function signToken(payload, secret) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify({ iat: now, exp: now + TOKEN_TTL_SECONDS, ...payload }));
+  const signature = crypto.createHmac("sha256", secret).update(`${header}.${body}`).digest("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @returns {object|null} - Claims, or null if invalid/expired
+ */
+export function verifyToken(token, secret) {
+  const [header, body, signature] = String(token).split(".");
+  if (!header || !body || !signature) return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * User object safe to send to the client (no password hash)
+ */
+export function publicUser(user) {
+  return { id: user.id, email: user.email, createdAt: user.createdAt };
+}
@@ -0,0 +1,81 @@
+/**
+ * =============================================================================
+ * JSON FILE STORE - Embedded persistence for the API
+ * =============================================================================
+ *
+ * WHY A JSON FILE INSTEAD OF SQLITE/MONGODB?
+ * ------------------------------------------
+ * 1. ZERO SETUP: No native modules to compile, no database server to run
+ * 2. SMALL DATA: A person's tasks + history are a few KB
+ * 3. READABLE: `cat data/db.json` is the whole debugging story
+ *
+ * ATOMIC WRITES:
+ * --------------
+ * Writing directly to db.json and crashing halfway leaves a corrupt file.
+ * Instead we write to a temp file and rename() it over the original.
+ * rename() is atomic on POSIX filesystems: readers see either the old file
+ * or the new one, never half of each.
+ *
+ * Writes are also SERIALIZED through a promise chain, so two requests
+ * arriving together can't interleave their temp files.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - Where the data lives
+ * @param {object} defaults - Initial shape when the file doesn't exist yet
+ * @returns {Promise<object>} - { read, update }
+ */
+export async function createStore(filePath, defaults = {}) {
+  let data;
+
+  try {
+    data = { ...defaults, ...JSON.parse(await fs.readFile(filePath, "utf8")) };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Failed to load ${filePath}: ${error.message}`);
+    }
+    data = structuredClone(defaults);
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  let writeChain = Promise.resolve();
+
+  const persist = () => {
+    const snapshot = JSON.stringify(data, null, 2);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    writeChain = writeChain
+      .catch(() => {}) // A failed write must not block the next one
+      .then(async () => {
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+      });
+
+    return writeChain;
+  };
+
+  return {
+    /**
+     * Read-only access to the current data
+     */
+    read() {
+      return data;
+    },
+
+    /**
+     * Mutate the data and persist it
+     * @param {Function} mutator - Receives the data, may return a result
+     * @returns {Promise<*>} - Whatever the mutator returned
+     */
+    async update(mutator) {
+      const result = mutator(data);
+      await persist();
+      return result;
+    },
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * =============================================================================
+ * iCALENDAR FEED - A user's tasks as a subscribable calendar (RFC 5545)
+ * =============================================================================
+ *
+ * Calendar apps (Google Calendar "From URL", Apple Calendar, Outlook,
+ * Thunderbird) poll the feed URL over plain HTTP - no CalDAV. Every poll
+ * gets the whole calendar, rebuilt from the user's synced tasks.
+ *
+ * WHAT GOES IN:
+ * -------------
+ * - One VEVENT (or VTODO) per live task, starting at its deadline
+ * - A VALARM per reminder offset, on open tasks only - a calendar that
+ *   rings for finished work is worse than none
+ * - RRULE on the open occurrence of a recurring task
+ *
+ * WHY RRULE ONLY ON THE OPEN OCCURRENCE?
+ * --------------------------------------
+ * The app stores every occurrence as its own task (see the client's
+ * TaskContext). If each one carried the rule, the calendar would expand
+ * every past occurrence into a series of its own. Past occurrences are
+ * single events; the open one carries the rule, with COUNT reduced by the
+ * occurrences already behind it.
+ *
+ * TIMES:
+ * ------
+ * Deadlines are wall-clock values ("2026-02-20T09:00") and go out as
+ * floating times - 09:00 in whatever zone the calendar shows. The same
+ * rules as the client's utils/ical.js, which writes export files. The two
+ * packages share no code, so each copy has its own tests (ical.test.js).
+ */
+
+const PRODID = "-//Task Reminder App//Feed//EN";
+const UID_DOMAIN = "task-reminder";
+
+// How often clients that honour it should poll
+const REFRESH_INTERVAL = "PT15M";
+
+// RFC 5545 PRIORITY is 1 (highest) ... 9 (lowest), 0 = undefined
+const PRIORITY_TO_ICS = { critical: 1, high: 3, medium: 5, low: 9 };
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets (UTF-8), never splitting a character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * "2026-02-20T09:00" -> "20260220T090000" (floating)
+ */
+function formatFloating(deadline) {
+  const [date, time = "00:00"] = deadline.split("T");
+  return `${date.replace(/-/g, "")}T${time.replace(/:/g, "").padEnd(6, "0").slice(0, 6)}`;
+}
+
+/**
+ * ISO timestamp -> "20260220T080000Z"
+ */
+function formatUtc(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function formatTrigger(minutes) {
+  if (minutes === 0) return "PT0M";
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+/**
+ * Repeat rule -> RRULE value, continuing from the given occurrence
+ * @param {object} rule - { freq, interval, byWeekday, byMonthDay, until, count }
+ * @param {number} occurrence - 1-based index of the occurrence it starts at
+ * @returns {string|null} - null if the series is already over
+ */
+export function toRrule(rule, occurrence = 1) {
+  if (!["daily", "weekly", "monthly"].includes(rule?.freq)) return null;
+
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === "weekly" && rule.byWeekday?.length) {
+    parts.push(`BYDAY=${rule.byWeekday.map(d => ICS_WEEKDAYS[d]).join(",")}`);
+  }
+  if (rule.freq === "monthly" && rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}T235959`);
+  if (rule.count) {
+    const remaining = rule.count - (occurrence - 1);
+    if (remaining < 1) return null;
+    parts.push(`COUNT=${remaining}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * Content lines for one task
+ */
+function taskToComponent(task, component, stamp) {
+  const open = !task.completed;
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(task.lastModified || task.createdAt || stamp)}`,
+    `SUMMARY:${escapeText(open ? task.title : `✓ ${task.title}`)}`,
+  ];
+  // Lets subscribers see that an event changed since their last poll
+  if (task.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(task.lastModified)}`);
+
+  if (component === "VTODO") {
+    lines.push(`DUE:${formatFloating(task.deadline)}`);
+    lines.push(`STATUS:${open ? "NEEDS-ACTION" : "COMPLETED"}`);
+    if (!open && task.completedAt) lines.push(`COMPLETED:${formatUtc(task.completedAt)}`);
+  } else {
+    lines.push(`DTSTART:${formatFloating(task.deadline)}`);
+    lines.push("TRANSP:TRANSPARENT");
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_TO_ICS[task.priority] ?? 0}`);
+  if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(",")}`);
+  if (task.subtasks?.length) {
+    const checklist = task.subtasks.map(s => `${s.done ? "[x]" : "[ ]"} ${s.title}`).join("\n");
+    lines.push(`DESCRIPTION:${escapeText(checklist)}`);
+  }
+
+  // The open occurrence of a series carries the rule (see top of file)
+  const rrule = open && !task.nextOccurrenceId && toRrule(task.recurrence, task.occurrence || 1);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+
+  if (open) {
+    (task.reminders || []).forEach(minutes => {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(task.title)}`,
+        `TRIGGER:${formatTrigger(minutes)}`,
+        "END:VALARM"
+      );
+    });
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * Build the feed for a user's tasks
+ * @param {Array} tasks - Live tasks (no tombstones), each with
+ *   lastModified (ms, from the sync clock) when it is known
+ * @param {object} options
+ *   - component: "VEVENT" (default, every calendar shows it) or "VTODO"
+ *   - name: Calendar name shown by the client
+ *   - timeZone: IANA zone hint for clients (X-WR-TIMEZONE)
+ *   - stamp: DTSTAMP for tasks without lastModified / createdAt - a fixed
+ *     time, never "now", so the same tasks give the same bytes (and ETag)
+ * @returns {string} - CRLF-separated, folded content lines
+ */
+export function buildCalendar(tasks, { component = "VEVENT", name = "Tasks", timeZone = null, stamp = 0 } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...tasks
+      .filter(task => typeof task.deadline === "string" && task.title)
+      .flatMap(task => taskToComponent(task, component, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { toRrule, buildCalendar } from "./ical.js";
+
+const task = {
+  id: 1,
+  title: "Water plants",
+  deadline: "2026-02-20T09:00",
+  priority: "high",
+  completed: false,
+  reminders: [0, 90, 24 * 60],
+  createdAt: "2026-02-01T08:00:00.000Z",
+};
+
+describe("toRrule", () => {
+  it("writes interval, weekdays and month day", () => {
+    expect(toRrule({ freq: "weekly", interval: 2, byWeekday: [1, 4] })).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH");
+    expect(toRrule({ freq: "monthly", interval: 1, byMonthDay: 31 })).toBe("FREQ=MONTHLY;BYMONTHDAY=31");
+    expect(toRrule({ freq: "yearly" })).toBeNull();
+    expect(toRrule(null)).toBeNull();
+  });
+
+  it("ends UNTIL at the end of the last day", () => {
+    expect(toRrule({ freq: "daily", until: "2026-12-31" })).toBe("FREQ=DAILY;UNTIL=20261231T235959");
+  });
+
+  it("counts down COUNT from the occurrence it starts at", () => {
+    const rule = { freq: "daily", count: 5 };
+    expect(toRrule(rule)).toBe("FREQ=DAILY;COUNT=5");
+    expect(toRrule(rule, 3)).toBe("FREQ=DAILY;COUNT=3");
+    expect(toRrule(rule, 5)).toBe("FREQ=DAILY;COUNT=1");
+    expect(toRrule(rule, 6)).toBeNull();
+  });
+});
+
+describe("buildCalendar", () => {
+  it("puts the rule on the open occurrence and continues its count", () => {
+    const ics = buildCalendar([
+      { ...task, id: 1, occurrence: 1, completed: true, nextOccurrenceId: 2, recurrence: { freq: "daily", count: 4 } },
+      { ...task, id: 2, occurrence: 2, recurrence: { freq: "daily", count: 4 } },
+    ]);
+    const [past, open] = ics.split("BEGIN:VEVENT").slice(1);
+
+    expect(past).not.toContain("RRULE");
+    expect(open).toContain("RRULE:FREQ=DAILY;COUNT=3");
+  });
+
+  it("writes alarms, escapes text and folds long lines", () => {
+    const ics = buildCalendar([{ ...task, title: `Call Ann, Bob; then ${"ü".repeat(60)}` }]);
+
+    expect(ics).toContain("TRIGGER:PT0M");
+    expect(ics).toContain("TRIGGER:-PT90M");
+    expect(ics).toContain("TRIGGER:-P1D");
+    expect(ics).toContain("SUMMARY:Call Ann\\, Bob\\; then");
+    ics.split("\r\n").forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(ics.replace(/\r\n /g, "")).toContain("ü".repeat(60));
+  });
+
+  it("stamps tasks from their own time, not the clock", () => {
+    const stamp = "2026-01-01T00:00:00.000Z";
+    const edited = { ...task, id: 3, lastModified: Date.UTC(2026, 1, 10, 12) };
+    const ics = buildCalendar([task, { ...task, id: 2, createdAt: undefined }, edited], { stamp });
+    const [created, unknown, changed] = ics.split("BEGIN:VEVENT").slice(1);
+
+    expect(created).toContain("DTSTAMP:20260201T080000Z");
+    expect(created).not.toContain("LAST-MODIFIED");
+    expect(unknown).toContain("DTSTAMP:20260101T000000Z");
+    expect(changed).toContain("DTSTAMP:20260210T120000Z");
+    expect(changed).toContain("LAST-MODIFIED:20260210T120000Z");
+    expect(buildCalendar([task], { stamp })).toBe(buildCalendar([task], { stamp }));
+  });
+});
@@ -1,42 +1,99 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import OpenAI from "openai";
+import crypto from "crypto";
+import { createStore } from "./db.js";
+import { requireAuth } from "./middleware/requireAuth.js";
+import { requireAdmin } from "./middleware/requireAdmin.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createTaskRouter } from "./routes/tasks.js";
+import { createHistoryRouter } from "./routes/history.js";
+import { createSyncRouter } from "./routes/sync.js";
+import { createPushRouter } from "./routes/push.js";
+import { createSettingsRouter } from "./routes/settings.js";
+import { createProjectRouter } from "./routes/projects.js";
+import { createAiRouter, createAiBreakdownRouter, createAiReviewRouter } from "./routes/ai.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createAiProvider, createAiControls } from "./ai/index.js";
+import { createCalendarRouter, createCalendarFeedRouter } from "./routes/calendar.js";
+import { ensureVapidKeys, startPushScheduler } from "./push.js";
 
 dotenv.config();
 
+const DATA_FILE = process.env.DATA_FILE || "./data/db.json";
+
+const store = await createStore(DATA_FILE, {
+  users: [],
+  tasks: {},
+  history: {},
+  settings: {},
+  projects: {},
+  syncSeq: {},
+  pushSubscriptions: {},
+  pushLog: {},
+  calendarFeeds: {},
+  aiUsage: {},
+  reviews: {},
+  secrets: {},
+});
+
+// Pre-accounts data files kept one global list - park it until the first
+// signup claims it (see routes/auth.js)
+if (Array.isArray(store.read().tasks)) {
+  await store.update(data => {
+    data.unclaimed = { tasks: data.tasks, history: data.history };
+    data.tasks = {};
+    data.history = {};
+  });
+}
+
+// JWT_SECRET from the environment, or one generated on first run and kept
+// in the data file so tokens survive restarts
+if (!process.env.JWT_SECRET && !store.read().secrets.jwt) {
+  await store.update(data => {
+    data.secrets.jwt = crypto.randomBytes(32).toString("hex");
+  });
+}
+const JWT_SECRET = process.env.JWT_SECRET || store.read().secrets.jwt;
+const authenticate = requireAuth(store, JWT_SECRET);
+
+const vapid = await ensureVapidKeys(store);
+startPushScheduler(store, vapid);
+
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "1mb" }));
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+app.use("/api/auth", createAuthRouter(store, JWT_SECRET, authenticate));
+app.use("/api/tasks", authenticate, createTaskRouter(store));
+app.use("/api/history", authenticate, createHistoryRouter(store));
+app.use("/api/settings", authenticate, createSettingsRouter(store));
+app.use("/api/projects", authenticate, createProjectRouter(store));
+app.use("/api/sync", authenticate, createSyncRouter(store));
+app.use("/api/push", createPushRouter(store, vapid.publicKey, authenticate));
+app.use("/api/calendar", authenticate, createCalendarRouter(store));
+// Polled by calendar apps - the token in the URL is the credential
+app.use("/calendar", createCalendarFeedRouter(store));
+
+// Chosen by AI_PROVIDER & co. - without a key it answers from templates
+const ai = createAiProvider(process.env);
+console.log(`AI provider: ${ai.name} (${ai.model})`);
+
+// Response cache, rate limits and prices (AI_CACHE_TTL_MINUTES & co.)
+const aiControls = createAiControls(process.env);
+
+app.use("/ai-warning", authenticate, createAiRouter(ai, { store, ...aiControls }));
+app.use("/ai/breakdown", authenticate, createAiBreakdownRouter(ai, { store, ...aiControls }));
+app.use("/ai/review", authenticate, createAiReviewRouter(ai, { store, ...aiControls }));
+
+// ADMIN_EMAILS=you@example.com,... - nobody is an admin without it
+const adminEmails = (process.env.ADMIN_EMAILS || "").split(",");
+app.use("/api/admin", authenticate, requireAdmin(adminEmails), createAdminRouter(store, aiControls));
 
-app.post("/ai-warning", async (req, res) => {
-  const { taskTitle } = req.body;
-
-  try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a strict discipline coach."
-        },
-        {
-          role: "user",
-          content: `I missed this task: ${taskTitle}. Give me a short motivational warning.`
-        }
-      ]
-    });
-
-    res.json({ message: response.choices[0].message.content });
-
-  } catch (error) {
-    console.error("AI Error:", error);
-    res.status(500).json({ error: "AI failed" });
-  }
+// Last in the chain: anything a route threw or rejected ends up here
+app.use((err, req, res, next) => {
+  console.error("Server Error:", err);
+  res.status(500).json({ error: "Internal server error" });
 });
 
 app.listen(5000, () => console.log("Server running on port 5000"));
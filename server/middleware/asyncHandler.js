@@ -0,0 +1,12 @@
+/**
+ * Wrap an async route handler so rejections reach Express' error handler
+ *
+ * WHY?
+ * Express 4 ignores the promise an async handler returns. Without this,
+ * a failed disk write would leave the request hanging forever.
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Only let admins through (use after requireAuth)
+ *
+ * Admins are listed by email in ADMIN_EMAILS (comma-separated) - there
+ * are no roles in the data file. With the list empty nobody is an admin.
+ * Responds 403: the user is logged in, just not allowed.
+ */
+export function requireAdmin(adminEmails = []) {
+  const admins = new Set(adminEmails.map(email => email.trim().toLowerCase()).filter(Boolean));
+
+  return (req, res, next) => {
+    if (!admins.has(req.user?.email?.toLowerCase())) {
+      return res.status(403).json({ error: "Admins only" });
+    }
+    next();
+  };
+}
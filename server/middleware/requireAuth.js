@@ -0,0 +1,28 @@
+import { verifyToken } from "../auth.js";
+
+/**
+ * Require a valid "Authorization: Bearer <token>" header
+ *
+ * Sets req.user so every route below can scope its data to req.user.id.
+ * Responds 401 (not 403) - the client treats 401 as "log in again".
+ */
+export function requireAuth(store, secret) {
+  return (req, res, next) => {
+    const header = req.get("authorization") || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const claims = verifyToken(token, secret);
+    const user = claims && store.read().users.find(u => u.id === claims.sub);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    req.user = user;
+    next();
+  };
+}
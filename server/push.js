@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * WEB PUSH - Reminders that reach the user with the app closed
+ * =============================================================================
+ *
+ * HOW IT FITS TOGETHER:
+ * ---------------------
+ * 1. Server generates a VAPID key pair once and keeps it in the data file
+ * 2. Client subscribes through its service worker with the public key and
+ *    POSTs the subscription (plus its IANA time zone) to /api/push/subscribe
+ * 3. Every minute the scheduler below scans each subscribed user's tasks
+ *    and sends reminder pushes (at each of the task's reminder offsets, or
+ *    15 minutes before when it has none) and "overdue" pushes
+ * 4. The service worker shows them, even if no tab is open
+ *
+ * WHY SEND THE TIME ZONE?
+ * -----------------------
+ * Deadlines are stored as datetime-local strings ("2026-02-20T09:00") with
+ * no offset - they mean 09:00 wherever the user is. The server needs the
+ * user's zone to know when that is in absolute time.
+ *
+ * DEDUPLICATION:
+ * --------------
+ * data.pushLog[userId] remembers "<taskId>:<kind>:<deadline>" for every
+ * push sent. Including the deadline means rescheduling a task re-arms it.
+ */
+
+import webpush from "web-push";
+
+const CHECK_INTERVAL_MS = 60000;
+const DUE_SOON_MS = 15 * 60 * 1000;
+// Don't dig up week-old overdue tasks the moment someone subscribes
+const OVERDUE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Load the VAPID keys, generating them on first run
+ * @returns {Promise<{ publicKey, privateKey }>}
+ */
+export async function ensureVapidKeys(store) {
+  if (!store.read().secrets.vapid) {
+    const keys = webpush.generateVAPIDKeys();
+    await store.update(data => {
+      data.secrets.vapid = keys;
+    });
+    console.log("[Push] Generated VAPID keys");
+  }
+  return store.read().secrets.vapid;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in ms
+ */
+function timeZoneOffset(timeZone, date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock string in a time zone to epoch ms
+ * @param {string} local - "YYYY-MM-DDTHH:mm" (no offset)
+ * @param {string} timeZone - IANA zone, e.g. "Asia/Kolkata"
+ * @returns {number}
+ *
+ * Two passes: the first guess uses the offset at the UTC reading of the
+ * wall time, the second corrects it when a DST change lies in between.
+ */
+export function zonedTimeToEpoch(local, timeZone = "UTC") {
+  const [datePart, timePart = "00:00"] = String(local).split("T");
+  const [y, m, d] = datePart.split("-").map(Number);
+  const [hh, mm, ss = 0] = timePart.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm, ss);
+
+  try {
+    const first = wall - timeZoneOffset(timeZone, new Date(wall));
+    return wall - timeZoneOffset(timeZone, new Date(first));
+  } catch {
+    return wall; // Unknown zone - treat as UTC rather than crash the scheduler
+  }
+}
+
+/**
+ * Which push (if any) a task needs right now
+ * @returns {string|null} - "overdue", "reminder-<minutes>" or null
+ *
+ * Reminder offsets come from task.reminders (minutes before the deadline).
+ * Only the closest offset that has passed is returned - opening the app an
+ * hour late shouldn't replay the "1 day before" reminder too.
+ */
+export function getPushKind(task, timeZone, now = Date.now()) {
+  if (task.deleted || task.completed || !task.deadline) return null;
+  const deadline = zonedTimeToEpoch(task.deadline, timeZone);
+  if (deadline <= now) return now - deadline <= OVERDUE_WINDOW_MS ? "overdue" : null;
+
+  const offsets = task.reminders?.length ? task.reminders : [DUE_SOON_MS / 60000];
+  const due = offsets
+    .filter(minutes => deadline - minutes * 60000 <= now)
+    .filter(minutes => !task.remindersSent?.includes(minutes))
+    .sort((a, b) => a - b)[0];
+
+  return due !== undefined ? `reminder-${due}` : null;
+}
+
+/**
+ * Notification payload for the service worker
+ */
+export function buildPayload(task, kind) {
+  const when = task.deadline.replace("T", " ");
+  return {
+    title: kind === "overdue" ? "⚠️ Task Overdue!" : "⏰ Upcoming Task",
+    body: kind === "overdue"
+      ? `"${task.title}" was due at ${when}`
+      : `"${task.title}" is due at ${when}`,
+    // Same tag as the in-page notification, so the two collapse into one
+    tag: `${kind}-${task.id}`,
+    taskId: task.id,
+    url: `/?task=${encodeURIComponent(task.id)}`,
+  };
+}
+
+/**
+ * Start the once-a-minute push scheduler
+ * @param {object} store - JSON store
+ * @param {object} vapid - { publicKey, privateKey }
+ * @returns {Function} - Stops the scheduler
+ */
+export function startPushScheduler(store, vapid) {
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:admin@localhost",
+    vapid.publicKey,
+    vapid.privateKey
+  );
+
+  const check = async () => {
+    const data = store.read();
+    const now = Date.now();
+    const sent = [];
+    const expired = [];
+
+    for (const [userId, subscriptions] of Object.entries(data.pushSubscriptions)) {
+      if (subscriptions.length === 0) continue;
+      const log = data.pushLog[userId] || {};
+
+      for (const task of data.tasks[userId] || []) {
+        for (const { subscription, timeZone } of subscriptions) {
+          const kind = getPushKind(task, timeZone, now);
+          const logKey = `${task.id}:${kind}:${task.deadline}`;
+          if (!kind || log[logKey]) continue;
+
+          try {
+            await webpush.sendNotification(subscription, JSON.stringify(buildPayload(task, kind)));
+          } catch (error) {
+            // 404/410: the browser dropped the subscription - forget it
+            if (error.statusCode === 404 || error.statusCode === 410) {
+              expired.push(subscription.endpoint);
+            } else {
+              console.error("[Push] Send failed:", error.message);
+              continue;
+            }
+          }
+          sent.push({ userId, logKey });
+        }
+      }
+    }
+
+    if (sent.length === 0 && expired.length === 0) return;
+
+    await store.update(data => {
+      sent.forEach(({ userId, logKey }) => {
+        data.pushLog[userId] = { ...data.pushLog[userId], [logKey]: now };
+      });
+      for (const [userId, log] of Object.entries(data.pushLog)) {
+        data.pushLog[userId] = Object.fromEntries(
+          Object.entries(log).filter(([, sentAt]) => now - sentAt < LOG_RETENTION_MS)
+        );
+      }
+      for (const userId of Object.keys(data.pushSubscriptions)) {
+        data.pushSubscriptions[userId] = data.pushSubscriptions[userId]
+          .filter(s => !expired.includes(s.subscription.endpoint));
+      }
+    });
+  };
+
+  const intervalId = setInterval(() => {
+    check().catch(error => console.error("[Push] Scheduler error:", error));
+  }, CHECK_INTERVAL_MS);
+
+  return () => clearInterval(intervalId);
+}
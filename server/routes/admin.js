@@ -0,0 +1,33 @@
+import { Router } from "express";
+import { summarizeUsage } from "../ai/index.js";
+
+/**
+ * Operator views (mounted behind requireAuth + requireAdmin)
+ *
+ * GET /api/admin/ai-usage -> {
+ *   totals: { requests, cacheHits, limited, fallbacks, promptTokens, completionTokens, cost },
+ *   users: [{ id, email, ...same counts, lastUsedAt }],   // most expensive first
+ *   days: { "2026-03-02": { requests, cacheHits, promptTokens, completionTokens, cost } },  // all users
+ *   cache: { entries },
+ *   limits: { perUser, global, windowSeconds },
+ * }
+ */
+export function createAdminRouter(store, { cache = null, userLimit = null, globalLimit = null } = {}) {
+  const router = Router();
+
+  router.get("/ai-usage", (req, res) => {
+    const data = store.read();
+
+    res.json({
+      ...summarizeUsage(data.aiUsage, data.users),
+      cache: { entries: cache?.size ?? 0 },
+      limits: {
+        perUser: userLimit?.limit ?? null,
+        global: globalLimit?.limit ?? null,
+        windowSeconds: (userLimit || globalLimit) ? (userLimit || globalLimit).windowMs / 1000 : null,
+      },
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createAdminRouter } from "./admin.js";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { signToken } from "../auth.js";
+import { createResponseCache, createRateLimiter } from "../ai/index.js";
+
+const SECRET = "test-secret";
+
+function createApp(data) {
+  const store = { read: () => data, update: async (mutator) => mutator(data) };
+  const app = express();
+  app.use(
+    "/api/admin",
+    requireAuth(store, SECRET),
+    requireAdmin(["Admin@example.com"]),
+    createAdminRouter(store, {
+      cache: createResponseCache(),
+      userLimit: createRateLimiter({ limit: 30, windowMs: 3600000 }),
+      globalLimit: createRateLimiter({ limit: 500, windowMs: 3600000 }),
+    })
+  );
+  return app;
+}
+
+describe("GET /api/admin/ai-usage", () => {
+  let data;
+
+  beforeEach(() => {
+    data = {
+      users: [
+        { id: "admin-1", email: "admin@example.com" },
+        { id: "user-1", email: "a@example.com" },
+      ],
+      aiUsage: {
+        "user-1": {
+          requests: 2, cacheHits: 1, limited: 0, fallbacks: 0,
+          promptTokens: 300, completionTokens: 60, cost: 0.02, lastUsedAt: "2026-03-02T10:00:00.000Z",
+          days: { "2026-03-02": { requests: 2, cacheHits: 1, promptTokens: 300, completionTokens: 60, cost: 0.02 } },
+        },
+        "admin-1": {
+          requests: 1, cacheHits: 0, limited: 1, fallbacks: 1,
+          promptTokens: 100, completionTokens: 20, cost: 0.01, lastUsedAt: "2026-03-01T10:00:00.000Z",
+          days: { "2026-03-02": { requests: 1, cacheHits: 0, promptTokens: 100, completionTokens: 20, cost: 0.01 } },
+        },
+      },
+    };
+  });
+
+  it("sums usage across users, most expensive first", async () => {
+    const res = await request(createApp(data))
+      .get("/api/admin/ai-usage")
+      .set("Authorization", `Bearer ${signToken({ sub: "admin-1" }, SECRET)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toMatchObject({ requests: 3, cacheHits: 1, limited: 1, fallbacks: 1, promptTokens: 400 });
+    expect(res.body.users.map(u => u.email)).toEqual(["a@example.com", "admin@example.com"]);
+    expect(res.body.users[0]).not.toHaveProperty("days");
+    expect(res.body.days["2026-03-02"]).toMatchObject({ requests: 3, completionTokens: 80 });
+    expect(res.body.limits).toEqual({ perUser: 30, global: 500, windowSeconds: 3600 });
+  });
+
+  it("is closed to users who aren't admins", async () => {
+    const res = await request(createApp(data))
+      .get("/api/admin/ai-usage")
+      .set("Authorization", `Bearer ${signToken({ sub: "user-1" }, SECRET)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,299 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import {
+  AiError,
+  sendAiError,
+  parseWarningInput,
+  buildWarningRequest,
+  parseBreakdownInput,
+  buildBreakdownRequest,
+  parseReviewInput,
+  buildReviewRequest,
+  cacheKey,
+  addUsage,
+  estimateCost,
+} from "../ai/index.js";
+
+// Rate limiter key shared by every user
+const GLOBAL_KEY = "*";
+// Weekly reviews kept per user - a year's worth
+const REVIEWS_KEPT = 52;
+
+/**
+ * Does the client want server-sent events instead of one JSON answer?
+ */
+function wantsStream(req) {
+  return (req.get("accept") || "").includes("text/event-stream") || req.query.stream === "1";
+}
+
+/**
+ * What every AI route does around the provider call
+ *
+ * Options (all optional, see createAiControls in ai/index.js):
+ * 1. cache - a repeated question is answered from memory, no provider call
+ * 2. userLimit / globalLimit - 429 + Retry-After once a window is used up
+ * 3. store - every answer, cache hit and refusal is counted in
+ *    data.aiUsage (ai/usage.js), with tokens and estimated cost
+ */
+function createGuards({ store = null, cache = null, userLimit = null, globalLimit = null, prices } = {}) {
+  const record = async (userId, event) => {
+    if (!store) return;
+    await store.update(data => {
+      data.aiUsage = { ...data.aiUsage, [userId]: addUsage(data.aiUsage?.[userId], event) };
+    });
+  };
+
+  return {
+    /**
+     * Cached result for this user, task and request, or null
+     * @returns {Promise<{ key, result }>}
+     */
+    async lookup(userId, taskId, request) {
+      const key = cache && cacheKey(userId, taskId != null ? String(taskId) : null, request);
+      const result = key && cache.get(key);
+      if (result) await record(userId, { type: "cacheHit" });
+      return { key, result: result || null };
+    },
+
+    /**
+     * Count a provider call, or throw rate_limited if either window is used up
+     */
+    async admit(userId) {
+      const userWait = userLimit?.retryAfter(userId) || 0;
+      const globalWait = userWait ? 0 : globalLimit?.retryAfter(GLOBAL_KEY) || 0;
+      if (userWait || globalWait) {
+        await record(userId, { type: "limited" });
+        throw userWait
+          ? new AiError("rate_limited", "Too many AI requests, try again later", { retryAfter: userWait })
+          : new AiError("rate_limited", "The AI assistant is busy, try again later", { retryAfter: globalWait });
+      }
+      userLimit?.hit(userId);
+      globalLimit?.hit(GLOBAL_KEY);
+    },
+
+    /**
+     * Cache and meter a provider's answer
+     */
+    async settle(userId, key, result) {
+      // A fallback answer isn't kept: the model should get the next try
+      if (key && !result.fallbackReason) cache.set(key, result);
+      await record(userId, { type: "request", result, cost: estimateCost(result, prices) });
+    },
+  };
+}
+
+/**
+ * Missed-task warnings from the AI coach (mounted behind requireAuth)
+ *
+ * The provider is passed in (see ai/index.js), so the route doesn't know
+ * or care whether a model, the offline templates or a test mock answers.
+ *
+ * POST /ai-warning {
+ *   taskTitle,                                   // required
+ *   taskId,                                      // part of the cache key
+ *   deadline, priority, overdueMinutes, rescheduleCount,
+ *   recent: [{ date, completed, missed, rescheduled }],
+ *   streak: { current, best },
+ *   persona: "coach" | "mentor" | "friend",
+ *   tone: "supportive" | "neutral" | "strict",
+ * } -> { message, provider, cached }
+ *
+ * STREAMING:
+ * With "Accept: text/event-stream" the answer comes as server-sent events:
+ *   event: delta  data: { text }                       - the next piece
+ *   event: done   data: { message, provider, cached }  - the whole answer
+ *   event: error  data: { error, code, ... }           - failed part-way
+ * The stream only opens with the first piece, so a provider that fails
+ * straight away still gets a normal error status (and Retry-After).
+ *
+ * Cached, rate-limited and metered - see createGuards.
+ *
+ * Errors: { error, code, retryable, provider } with a matching status
+ */
+export function createAiRouter(ai, options = {}) {
+  const router = Router();
+  const guards = createGuards(options);
+
+  router.post("/", asyncHandler(async (req, res) => {
+    req.body = req.body || {};
+    const stream = wantsStream(req);
+    // Stop paying for tokens nobody will read
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    const openStream = () => {
+      if (res.headersSent) return;
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Proxies like nginx buffer responses unless told not to
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+    };
+    const sendEvent = (event, data) => {
+      openStream();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const request = buildWarningRequest(parseWarningInput(req.body));
+
+      const answer = (result, cached) => {
+        const body = { message: result.text, provider: result.provider, cached };
+        if (!stream) return res.json(body);
+        sendEvent("done", body);
+        res.end();
+      };
+
+      const { key, result: cached } = await guards.lookup(req.user.id, req.body.taskId, request);
+      if (cached) {
+        if (stream) sendEvent("delta", { text: cached.text });
+        return answer(cached, true);
+      }
+
+      await guards.admit(req.user.id);
+      const result = stream
+        ? await ai.stream({ ...request, signal: abort.signal }, text => sendEvent("delta", { text }))
+        : await ai.complete({ ...request, signal: abort.signal });
+
+      await guards.settle(req.user.id, key, result);
+      answer(result, false);
+    } catch (error) {
+      if (!(error instanceof AiError)) throw error;
+      console.error(`[AI] ${error.code}: ${error.message}`);
+      if (!res.headersSent) return sendAiError(res, error);
+      sendEvent("error", error.toJSON());
+      res.end();
+    }
+  }));
+
+  return router;
+}
+
+/**
+ * Break a task into scheduled steps (mounted behind requireAuth)
+ *
+ * POST /ai/breakdown {
+ *   title, deadline,                 // required
+ *   startFrom,                       // required - the client's local "now"
+ *   taskId, priority, maxSteps,
+ * } -> { steps: [{ title, deadline }], provider, cached }
+ *
+ * The steps are checked against BREAKDOWN_SCHEMA and the time window (see
+ * ai/breakdown.js) - an unusable answer is a 502 bad_response, never a
+ * half-valid plan. Nothing is saved: the client shows the proposal, and
+ * the user decides which steps become tasks.
+ *
+ * Same guards as /ai-warning.
+ */
+export function createAiBreakdownRouter(ai, options = {}) {
+  const router = Router();
+  const guards = createGuards(options);
+
+  router.post("/", asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    try {
+      const request = buildBreakdownRequest(parseBreakdownInput(body));
+
+      const { key, result: cached } = await guards.lookup(req.user.id, body.taskId, request);
+      if (cached) {
+        return res.json({ steps: request.parse(cached.text), provider: cached.provider, cached: true });
+      }
+
+      await guards.admit(req.user.id);
+      const result = await ai.complete({ ...request, signal: abort.signal });
+      // Throws bad_response before anything is cached or counted as a success
+      const steps = request.parse(result.text);
+
+      await guards.settle(req.user.id, key, result);
+      res.json({ steps, provider: result.provider, cached: false });
+    } catch (error) {
+      if (!(error instanceof AiError)) throw error;
+      console.error(`[AI] ${error.code}: ${error.message}`);
+      sendAiError(res, error);
+    }
+  }));
+
+  return router;
+}
+
+/**
+ * Weekly reviews (mounted behind requireAuth)
+ *
+ * POST /ai/review {
+ *   weekStart, weekEnd,                            // "2026-03-02", required
+ *   days: [{ date, completed, missed, rescheduled }], // required
+ *   tasks: [{ title, outcome, rescheduleCount, priority, project, tags }],
+ *   streak: { current, best },
+ * } -> { review }
+ *
+ * review = { id, weekStart, weekEnd, narrative, suggestions, stats,
+ *            provider, createdAt }
+ *
+ * stats are analyzeWeek()'s numbers (ai/review.js), not the model's. The
+ * review is saved in data.reviews[userId]; generating a week again
+ * replaces that week's review.
+ *
+ * GET /ai/review -> { reviews } - newest week first
+ *
+ * POST has the same guards as /ai-warning.
+ */
+export function createAiReviewRouter(ai, options = {}) {
+  const router = Router();
+  const { store } = options;
+  const guards = createGuards(options);
+
+  router.get("/", (req, res) => {
+    res.json({ reviews: store.read().reviews?.[req.user.id] || [] });
+  });
+
+  router.post("/", asyncHandler(async (req, res) => {
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    try {
+      const request = buildReviewRequest(parseReviewInput(req.body || {}));
+
+      let { key, result } = await guards.lookup(req.user.id, null, request);
+      if (!result) {
+        await guards.admit(req.user.id);
+        result = await ai.complete({ ...request, signal: abort.signal });
+        // Throws bad_response before anything is cached or counted as a success
+        request.parse(result.text);
+        await guards.settle(req.user.id, key, result);
+      }
+
+      const { weekStart, weekEnd, stats } = request.input;
+      const review = {
+        id: `${weekStart}-${Date.now()}`,
+        weekStart,
+        weekEnd,
+        ...request.parse(result.text),
+        stats,
+        provider: result.provider,
+        createdAt: new Date().toISOString(),
+      };
+
+      await store.update(data => {
+        const others = (data.reviews?.[req.user.id] || []).filter(r => r.weekStart !== weekStart);
+        const reviews = [review, ...others]
+          .sort((a, b) => b.weekStart.localeCompare(a.weekStart))
+          .slice(0, REVIEWS_KEPT);
+        data.reviews = { ...data.reviews, [req.user.id]: reviews };
+      });
+
+      res.status(201).json({ review });
+    } catch (error) {
+      if (!(error instanceof AiError)) throw error;
+      console.error(`[AI] ${error.code}: ${error.message}`);
+      sendAiError(res, error);
+    }
+  }));
+
+  return router;
+}
@@ -0,0 +1,485 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createAiRouter, createAiBreakdownRouter, createAiReviewRouter } from "./ai.js";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { signToken } from "../auth.js";
+import {
+  AiError,
+  createMockProvider,
+  createTemplateProvider,
+  createResponseCache,
+  createRateLimiter,
+  withFallback,
+} from "../ai/index.js";
+
+const SECRET = "test-secret";
+
+// Just enough of the JSON store for requireAuth
+const store = {
+  read: () => ({ users: [{ id: "user-1", email: "a@example.com" }] }),
+};
+
+function createApp(ai, options) {
+  const app = express();
+  app.use(express.json());
+  app.use("/ai-warning", requireAuth(store, SECRET), createAiRouter(ai, options));
+  return app;
+}
+
+describe("POST /ai-warning", () => {
+  let token;
+
+  beforeEach(() => {
+    token = signToken({ sub: "user-1" }, SECRET);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("returns the coach's message for the missed task", async () => {
+    const ai = createMockProvider({ reply: "Get back on track." });
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: "Get back on track.", provider: "mock", cached: false });
+    expect(ai.calls[0]).toMatchObject({ kind: "warning", input: { taskTitle: "Write report" } });
+    expect(ai.calls[0].prompt).toContain("Write report");
+  });
+
+  it("answers with a structured error when the provider fails", async () => {
+    const ai = createMockProvider({
+      error: new AiError("rate_limited", "The AI service is busy", { provider: "openai", retryAfter: 20 }),
+    });
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("20");
+    expect(res.body).toEqual({
+      error: "The AI service is busy",
+      code: "rate_limited",
+      retryable: true,
+      provider: "openai",
+    });
+  });
+
+  it("falls back to the offline templates", async () => {
+    const ai = withFallback(
+      createMockProvider({ error: new AiError("unavailable", "down", { provider: "openai" }) }),
+      createTemplateProvider()
+    );
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe("template");
+    expect(res.body.message).toContain("Write report");
+  });
+
+  it("rejects a missing task title", async () => {
+    const ai = createMockProvider();
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_request");
+    expect(ai.calls).toHaveLength(0);
+  });
+
+  it("requires a logged-in user", async () => {
+    const ai = createMockProvider();
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(401);
+    expect(ai.calls).toHaveLength(0);
+  });
+
+  it("sends the task's context and the chosen tone to the provider", async () => {
+    const ai = createMockProvider();
+
+    await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        taskTitle: "Write report",
+        overdueMinutes: 90,
+        rescheduleCount: 2,
+        streak: { current: 3, best: 7 },
+        tone: "neutral",
+      });
+
+    expect(ai.calls[0].input).toMatchObject({ tone: "neutral", rescheduleCount: 2, streak: { current: 3, best: 7 } });
+    expect(ai.calls[0].prompt).toContain("Late by: 1 hour");
+  });
+
+  it("streams the answer as server-sent events", async () => {
+    const ai = createMockProvider({ reply: "Get back on track." });
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Accept", "text/event-stream")
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    const events = res.text.trim().split("\n\n").map(block => {
+      const [event, data] = block.split("\n");
+      return [event.replace("event: ", ""), JSON.parse(data.replace("data: ", ""))];
+    });
+    expect(events).toEqual([
+      ["delta", { text: "Get " }],
+      ["delta", { text: "back " }],
+      ["delta", { text: "on " }],
+      ["delta", { text: "track." }],
+      ["done", { message: "Get back on track.", provider: "mock", cached: false }],
+    ]);
+  });
+
+  it("reports a failure part-way through the stream as an error event", async () => {
+    const ai = {
+      async stream(request, onDelta) {
+        onDelta("Get ");
+        throw new AiError("unavailable", "The AI service could not be reached", { provider: "openai" });
+      },
+    };
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Accept", "text/event-stream")
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("event: delta");
+    expect(res.text).toContain('event: error\ndata: {"error":"The AI service could not be reached","code":"unavailable"');
+  });
+
+  it("answers a stream that fails before starting with an error status", async () => {
+    const ai = createMockProvider({
+      error: new AiError("rate_limited", "The AI service is busy", { provider: "openai", retryAfter: 5 }),
+    });
+
+    const res = await request(createApp(ai))
+      .post("/ai-warning")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Accept", "text/event-stream")
+      .send({ taskTitle: "Write report" });
+
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("5");
+    expect(res.body.code).toBe("rate_limited");
+  });
+});
+
+describe("POST /ai-warning guards", () => {
+  let token;
+  let data;
+  let usageStore;
+
+  beforeEach(() => {
+    token = signToken({ sub: "user-1" }, SECRET);
+    data = { users: [{ id: "user-1", email: "a@example.com" }], aiUsage: {} };
+    usageStore = { read: () => data, update: async (mutator) => mutator(data) };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const ask = (app, body) => request(app)
+    .post("/ai-warning")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ taskTitle: "Write report", ...body });
+
+  it("answers a repeated question from the cache", async () => {
+    const ai = createMockProvider({ reply: "Get back on track." });
+    const app = createApp(ai, { store: usageStore, cache: createResponseCache() });
+
+    const first = await ask(app, { taskId: 7 });
+    const second = await ask(app, { taskId: 7 });
+    const otherTask = await ask(app, { taskId: 8 });
+    const newContext = await ask(app, { taskId: 7, rescheduleCount: 1 });
+
+    expect(first.body.cached).toBe(false);
+    expect(second.body).toEqual({ message: "Get back on track.", provider: "mock", cached: true });
+    expect(otherTask.body.cached).toBe(false);
+    expect(newContext.body.cached).toBe(false);
+    expect(ai.calls).toHaveLength(3);
+    expect(data.aiUsage["user-1"]).toMatchObject({ requests: 3, cacheHits: 1 });
+  });
+
+  it("returns 429 with Retry-After once the user's window is used up", async () => {
+    let now = 0;
+    const ai = createMockProvider();
+    const app = createApp(ai, {
+      store: usageStore,
+      userLimit: createRateLimiter({ limit: 2, windowMs: 60000, now: () => now }),
+    });
+
+    await ask(app, { taskId: 1 });
+    await ask(app, { taskId: 2 });
+    now = 15000;
+    const refused = await ask(app, { taskId: 3 });
+
+    expect(refused.status).toBe(429);
+    expect(refused.headers["retry-after"]).toBe("45");
+    expect(refused.body).toMatchObject({ code: "rate_limited", retryable: true });
+    expect(ai.calls).toHaveLength(2);
+    expect(data.aiUsage["user-1"].limited).toBe(1);
+
+    now = 60000;
+    expect((await ask(app, { taskId: 3 })).status).toBe(200);
+  });
+
+  it("applies the global limit across users", async () => {
+    const ai = createMockProvider();
+    const app = createApp(ai, { globalLimit: createRateLimiter({ limit: 1, windowMs: 60000 }) });
+
+    expect((await ask(app, { taskId: 1 })).status).toBe(200);
+    const refused = await ask(app, { taskId: 2 });
+
+    expect(refused.status).toBe(429);
+    expect(refused.body.error).toMatch(/busy/);
+  });
+
+  it("records tokens and estimated cost per user", async () => {
+    const ai = createMockProvider();
+    ai.complete = async () => ({
+      text: "Go.",
+      provider: "openai",
+      model: "gpt-4o-mini-2024-07-18",
+      usage: { promptTokens: 1000, completionTokens: 500 },
+    });
+    const app = createApp(ai, { store: usageStore });
+
+    await ask(app, { taskId: 1 });
+
+    const usage = data.aiUsage["user-1"];
+    expect(usage).toMatchObject({ requests: 1, promptTokens: 1000, completionTokens: 500 });
+    // gpt-4o-mini: $0.15 / $0.60 per million tokens
+    expect(usage.cost).toBeCloseTo(0.00045, 8);
+    expect(Object.values(usage.days)).toEqual([
+      { requests: 1, cacheHits: 0, promptTokens: 1000, completionTokens: 500, cost: usage.cost },
+    ]);
+  });
+});
+
+describe("POST /ai/breakdown", () => {
+  let token;
+
+  beforeEach(() => {
+    token = signToken({ sub: "user-1" }, SECRET);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function createBreakdownApp(ai) {
+    const app = express();
+    app.use(express.json());
+    app.use("/ai/breakdown", requireAuth(store, SECRET), createAiBreakdownRouter(ai));
+    return app;
+  }
+
+  const TASK = {
+    taskId: 7,
+    title: "Prepare quarterly review",
+    startFrom: "2026-03-02T09:00",
+    deadline: "2026-03-06T17:00",
+  };
+
+  const ask = (ai, body = TASK) => request(createBreakdownApp(ai))
+    .post("/ai/breakdown")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+  it("proposes steps due between now and the task's deadline, offline", async () => {
+    for (const ai of [createTemplateProvider(), createMockProvider()]) {
+      const res = await ask(ai, { ...TASK, maxSteps: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.steps).toHaveLength(3);
+      res.body.steps.forEach(step => {
+        expect(step.title).toContain("Prepare quarterly review");
+        expect(step.deadline > TASK.startFrom && step.deadline < TASK.deadline).toBe(true);
+      });
+      expect(res.body.steps.map(s => s.deadline)).toEqual([
+        "2026-03-03T11:00",
+        "2026-03-04T13:00",
+        "2026-03-05T15:00",
+      ]);
+    }
+  });
+
+  it("returns a model's plan sorted by deadline and asks for the schema", async () => {
+    const ai = createMockProvider({
+      reply: '```json\n{"steps":[{"title":"Draft slides","deadline":"2026-03-05T10:00"},' +
+        '{"title":"Collect numbers","deadline":"2026-03-03T12:00"}]}\n```',
+    });
+
+    const res = await ask(ai);
+
+    expect(res.body).toEqual({
+      steps: [
+        { title: "Collect numbers", deadline: "2026-03-03T12:00" },
+        { title: "Draft slides", deadline: "2026-03-05T10:00" },
+      ],
+      provider: "mock",
+      cached: false,
+    });
+    expect(ai.calls[0].schema.properties.steps.type).toBe("array");
+    expect(ai.calls[0].prompt).toContain("due 2026-03-06T17:00");
+  });
+
+  it("rejects a plan outside the schema or the time window", async () => {
+    const replies = [
+      "Sure! Here are some steps.",
+      '{"steps":[{"title":"Draft slides"}]}',
+      '{"steps":[{"title":"Draft slides","deadline":"2026-03-07T10:00"}]}',
+    ];
+
+    for (const reply of replies) {
+      const res = await ask(createMockProvider({ reply }));
+      expect(res.status).toBe(502);
+      expect(res.body.code).toBe("bad_response");
+    }
+  });
+
+  it("falls back to the templates when the model's plan is unusable", async () => {
+    const ai = withFallback(createMockProvider({ reply: "Not JSON" }), createTemplateProvider());
+
+    const res = await ask(ai);
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe("template");
+    expect(res.body.steps.length).toBeGreaterThan(1);
+  });
+
+  it("rejects a task whose deadline has passed", async () => {
+    const ai = createMockProvider();
+
+    const res = await ask(ai, { ...TASK, deadline: "2026-03-02T08:00" });
+
+    expect(res.status).toBe(400);
+    expect(ai.calls).toHaveLength(0);
+  });
+});
+
+describe("/ai/review", () => {
+  let token;
+  let data;
+
+  beforeEach(() => {
+    token = signToken({ sub: "user-1" }, SECRET);
+    data = { users: [{ id: "user-1", email: "a@example.com" }], reviews: {} };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function createReviewApp(ai) {
+    const reviewStore = { read: () => data, update: async (mutator) => mutator(data) };
+    const app = express();
+    app.use(express.json());
+    app.use("/ai/review", requireAuth(reviewStore, SECRET), createAiReviewRouter(ai, { store: reviewStore }));
+    return app;
+  }
+
+  // Monday 2 to Sunday 8 March 2026: Wednesday is the bad day, #admin slips
+  const WEEK = {
+    weekStart: "2026-03-02",
+    weekEnd: "2026-03-08",
+    days: [
+      { date: "2026-03-02", completed: 4, missed: 0, rescheduled: 0 },
+      { date: "2026-03-03", completed: 2, missed: 1, rescheduled: 1 },
+      { date: "2026-03-04", completed: 1, missed: 3, rescheduled: 2 },
+      { date: "2026-03-05", completed: 3, missed: 0, rescheduled: 0 },
+    ],
+    tasks: [
+      { title: "File expenses", outcome: "missed", rescheduleCount: 3, tags: ["admin"] },
+      { title: "Renew insurance", outcome: "missed", rescheduleCount: 1, tags: ["admin"] },
+      { title: "Write report", outcome: "completed", rescheduleCount: 0, tags: ["work"] },
+      { title: "Plan sprint", outcome: "completed", rescheduleCount: 0, tags: ["work"] },
+    ],
+    streak: { current: 2, best: 5 },
+  };
+
+  const generate = (ai, body = WEEK) => request(createReviewApp(ai))
+    .post("/ai/review")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+  it("reviews the week offline, naming the bad day and what slips", async () => {
+    const res = await generate(createTemplateProvider());
+
+    expect(res.status).toBe(201);
+    const { review } = res.body;
+    expect(review).toMatchObject({ weekStart: "2026-03-02", weekEnd: "2026-03-08", provider: "template" });
+    expect(review.stats).toMatchObject({ completed: 10, missed: 4, rescheduled: 3, completionRate: 71 });
+    expect(review.stats.weakestDay.weekday).toBe("Wednesday");
+    expect(review.narrative).toContain("completed 10");
+    expect(review.suggestions[0]).toMatch(/^Schedule less on Wednesdays/);
+    expect(review.suggestions.some(s => s.startsWith("#admin tasks slip (2 of 2)"))).toBe(true);
+    expect(review.suggestions.some(s => s.includes('"File expenses" was rescheduled 3 times'))).toBe(true);
+  });
+
+  it("keeps one review per week, newest week first", async () => {
+    const ai = createMockProvider({
+      reply: (req) => JSON.stringify({ narrative: `Week ${req.input.weekStart}`, suggestions: ["Rest"] }),
+    });
+
+    await generate(ai);
+    await generate(ai, { ...WEEK, weekStart: "2026-03-09", weekEnd: "2026-03-15", days: [{ date: "2026-03-09" }] });
+    await generate(ai, { ...WEEK, streak: { current: 3, best: 5 } });
+
+    const res = await request(createReviewApp(ai))
+      .get("/ai/review")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.body.reviews.map(r => r.weekStart)).toEqual(["2026-03-09", "2026-03-02"]);
+    expect(res.body.reviews[1].stats.streak.current).toBe(3);
+    expect(ai.calls[0].schema.properties.suggestions.type).toBe("array");
+  });
+
+  it("rejects an unusable answer without saving it", async () => {
+    const res = await generate(createMockProvider({ reply: '{"narrative":"Fine week"}' }));
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe("bad_response");
+    expect(data.reviews).toEqual({});
+  });
+
+  it("requires the week's dates", async () => {
+    const res = await generate(createMockProvider(), { ...WEEK, weekStart: "last week" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_request");
+  });
+});
@@ -0,0 +1,79 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { hashPassword, verifyPassword, signToken, publicUser } from "../auth.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Signup / login routes
+ *
+ * Both return { token, user }. The token is a JWT the client sends back as
+ * "Authorization: Bearer <token>" on every /api request.
+ */
+export function createAuthRouter(store, secret, authenticate) {
+  const router = Router();
+
+  router.post("/signup", asyncHandler(async (req, res) => {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (store.read().users.some(u => u.email === email)) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+
+    // Checked again here: another signup with this email may have finished
+    // while the password was being hashed
+    const created = await store.update(data => {
+      if (data.users.some(u => u.email === email)) return false;
+      data.users.push(user);
+
+      // Data saved before accounts existed belongs to the first account
+      if (data.unclaimed) {
+        data.tasks[user.id] = data.unclaimed.tasks;
+        data.history[user.id] = data.unclaimed.history;
+        delete data.unclaimed;
+      }
+      return true;
+    });
+    if (!created) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+
+    res.status(201).json({ token: signToken({ sub: user.id }, secret), user: publicUser(user) });
+  }));
+
+  router.post("/login", asyncHandler(async (req, res) => {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+    const user = store.read().users.find(u => u.email === email);
+
+    // Same message for "no such user" and "wrong password" - don't reveal
+    // which emails have accounts
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    res.json({ token: signToken({ sub: user.id }, secret), user: publicUser(user) });
+  }));
+
+  router.get("/me", authenticate, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  return router;
+}
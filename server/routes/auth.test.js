@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createAuthRouter } from "./auth.js";
+import { requireAuth } from "../middleware/requireAuth.js";
+
+const SECRET = "test-secret";
+
+describe("POST /api/auth/signup", () => {
+  let data;
+  let app;
+
+  beforeEach(() => {
+    data = { users: [], tasks: {}, history: {} };
+    const store = { read: () => data, update: async (mutator) => mutator(data) };
+    app = express();
+    app.use(express.json());
+    app.use("/api/auth", createAuthRouter(store, SECRET, requireAuth(store, SECRET)));
+  });
+
+  const signup = (email) => request(app)
+    .post("/api/auth/signup")
+    .send({ email, password: "correct horse" });
+
+  it("creates one account when the same email signs up twice at once", async () => {
+    const responses = await Promise.all([signup("a@example.com"), signup("A@example.com ")]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(data.users).toHaveLength(1);
+  });
+});
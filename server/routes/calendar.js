@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { toTask, lastModified } from "../sync.js";
+import { buildCalendar } from "../ical.js";
+
+/**
+ * Calendar subscription feed
+ *
+ * Calendar apps can't send an Authorization header, so the feed URL
+ * itself is the credential: /calendar/<token>.ics, one random token per
+ * user in data.calendarFeeds. Anyone with the URL can read the tasks
+ * (not change them) - regenerating the token is how a leaked URL is shut
+ * off, and it stops every old subscription.
+ */
+
+/**
+ * Feed path for a token (relative to the server's origin)
+ */
+function feedPath(token) {
+  return `/calendar/${token}.ics`;
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Constant-time compare, so response timing doesn't leak the token
+ */
+function tokensMatch(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Public feed (no auth header - the token is in the URL)
+ *
+ * GET /calendar/:token.ics            - VEVENTs, for any calendar app
+ * GET /calendar/:token.ics?todo=1     - VTODOs, for task apps
+ */
+export function createCalendarFeedRouter(store) {
+  const router = Router();
+
+  router.get("/:token.ics", (req, res) => {
+    const data = store.read();
+    const userId = Object.keys(data.calendarFeeds || {})
+      .find(id => tokensMatch(data.calendarFeeds[id].token, req.params.token));
+
+    // 404, not 401: don't confirm that a token ever existed
+    if (!userId) return res.status(404).type("text/plain").send("Calendar not found");
+
+    const user = data.users.find(u => u.id === userId);
+    const tasks = (data.tasks[userId] || [])
+      .filter(record => !record.deleted)
+      .map(record => ({ ...toTask(record), lastModified: lastModified(record) }));
+    const calendar = buildCalendar(tasks, {
+      component: req.query.todo ? "VTODO" : "VEVENT",
+      name: user ? `Tasks (${user.email})` : "Tasks",
+      timeZone: data.settings?.[userId]?.timeZone || null,
+      stamp: data.calendarFeeds[userId].createdAt,
+    });
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="tasks.ics"',
+      // Always rebuilt from live data, but the same data gives the same
+      // bytes (no "now" in it), so the ETag Express adds makes unchanged
+      // polls a cheap 304
+      "Cache-Control": "private, no-cache",
+    });
+    res.send(calendar);
+  });
+
+  return router;
+}
+
+/**
+ * Managing the feed (mounted behind requireAuth)
+ *
+ * GET    /api/calendar        - { path } or { path: null } when off
+ * POST   /api/calendar/token  - new token (the old URL stops working)
+ * DELETE /api/calendar/token  - turn the feed off
+ */
+export function createCalendarRouter(store) {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    const feed = store.read().calendarFeeds?.[req.user.id];
+    res.json({ path: feed ? feedPath(feed.token) : null, createdAt: feed?.createdAt || null });
+  });
+
+  router.post("/token", asyncHandler(async (req, res) => {
+    const feed = { token: createToken(), createdAt: new Date().toISOString() };
+
+    await store.update(data => {
+      data.calendarFeeds = { ...data.calendarFeeds, [req.user.id]: feed };
+    });
+    res.status(201).json({ path: feedPath(feed.token), createdAt: feed.createdAt });
+  }));
+
+  router.delete("/token", asyncHandler(async (req, res) => {
+    await store.update(data => {
+      if (data.calendarFeeds) delete data.calendarFeeds[req.user.id];
+    });
+    res.json({ path: null, createdAt: null });
+  }));
+
+  return router;
+}
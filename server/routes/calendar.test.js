@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createCalendarRouter, createCalendarFeedRouter } from "./calendar.js";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { signToken } from "../auth.js";
+
+const SECRET = "test-secret";
+
+// In-memory stand-in for the JSON store
+function createMemoryStore(data) {
+  return {
+    read: () => data,
+    update: async (mutator) => mutator(data),
+  };
+}
+
+function createApp(store) {
+  const app = express();
+  app.use("/api/calendar", requireAuth(store, SECRET), createCalendarRouter(store));
+  app.use("/calendar", createCalendarFeedRouter(store));
+  return app;
+}
+
+const tasks = [
+  {
+    id: 1, title: "Standup", deadline: "2026-02-19T09:00", completed: true, completedAt: "2026-02-19T08:55:00.000Z",
+    recurrence: { freq: "weekly", interval: 1, byWeekday: [1, 2, 3, 4, 5], count: 10 },
+    seriesId: 1, occurrence: 1, nextOccurrenceId: 2, reminders: [10],
+    _clock: {}, _seq: 1,
+  },
+  {
+    id: 2, title: "Standup", deadline: "2026-02-20T09:00", completed: false,
+    recurrence: { freq: "weekly", interval: 1, byWeekday: [1, 2, 3, 4, 5], count: 10 },
+    seriesId: 1, occurrence: 2, reminders: [10, 60], _seq: 2,
+    _clock: { title: [Date.UTC(2026, 1, 18, 7), "phone"], completed: [Date.UTC(2026, 1, 19, 12, 30), "laptop"] },
+  },
+  { id: 3, title: "Gone", deadline: "2026-02-21T09:00", deleted: true, _clock: {}, _seq: 3 },
+];
+
+describe("calendar feed", () => {
+  let store;
+  let app;
+  let auth;
+
+  beforeEach(() => {
+    store = createMemoryStore({
+      users: [{ id: "user-1", email: "a@example.com" }],
+      tasks: { "user-1": structuredClone(tasks) },
+      settings: { "user-1": { timeZone: "Europe/Berlin" } },
+      calendarFeeds: {},
+    });
+    app = createApp(store);
+    auth = { Authorization: `Bearer ${signToken({ sub: "user-1" }, SECRET)}` };
+  });
+
+  it("is off until a token is created", async () => {
+    const res = await request(app).get("/api/calendar").set(auth);
+    expect(res.body.path).toBeNull();
+    expect((await request(app).get("/api/calendar")).status).toBe(401);
+  });
+
+  it("serves live tasks with the rule on the open occurrence only", async () => {
+    const { body } = await request(app).post("/api/calendar/token").set(auth);
+    const res = await request(app).get(body.path);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(res.text).toContain("X-WR-TIMEZONE:Europe/Berlin");
+    expect(res.text).not.toContain("Gone");
+
+    const events = res.text.split("BEGIN:VEVENT").slice(1);
+    expect(events).toHaveLength(2);
+    expect(events[0]).toContain("SUMMARY:✓ Standup");
+    expect(events[0]).not.toContain("RRULE");
+    expect(events[0]).not.toContain("VALARM");
+    expect(events[0]).not.toContain("LAST-MODIFIED");
+    expect(events[1]).toContain("DTSTART:20260220T090000");
+    expect(events[1]).toContain("LAST-MODIFIED:20260219T123000Z");
+    expect(events[1]).toContain("RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=9");
+    expect(events[1]).toContain("TRIGGER:-PT10M");
+    expect(events[1]).toContain("TRIGGER:-PT1H");
+  });
+
+  it("serves VTODOs on request", async () => {
+    const { body } = await request(app).post("/api/calendar/token").set(auth);
+    const res = await request(app).get(`${body.path}?todo=1`);
+    expect(res.text).toContain("BEGIN:VTODO");
+    expect(res.text).toContain("STATUS:COMPLETED");
+    expect(res.text).toContain("DUE:20260220T090000");
+  });
+
+  it("stops serving the old URL after regenerating or turning it off", async () => {
+    const first = (await request(app).post("/api/calendar/token").set(auth)).body.path;
+    const second = (await request(app).post("/api/calendar/token").set(auth)).body.path;
+
+    expect(second).not.toBe(first);
+    expect((await request(app).get(first)).status).toBe(404);
+    expect((await request(app).get(second)).status).toBe(200);
+
+    await request(app).delete("/api/calendar/token").set(auth);
+    expect((await request(app).get(second)).status).toBe(404);
+  });
+
+  describe("polling", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("answers an unchanged feed with the same ETag and a 304", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2026-02-20T08:00:00Z"));
+      const { body } = await request(app).post("/api/calendar/token").set(auth);
+      const first = await request(app).get(body.path);
+
+      vi.setSystemTime(new Date("2026-02-20T09:30:00Z"));
+      const second = await request(app).get(body.path);
+      expect(second.headers.etag).toBe(first.headers.etag);
+
+      const cached = await request(app).get(body.path).set("If-None-Match", first.headers.etag);
+      expect(cached.status).toBe(304);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Daily history routes (mounted behind requireAuth)
+ *
+ * Same shape as the client's HistoryContext, one object per user:
+ * { "2026-02-20": { completed: 5, missed: 2 }, ... }
+ */
+export function createHistoryRouter(store) {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    res.json(store.read().history[req.user.id] || {});
+  });
+
+  router.put("/", asyncHandler(async (req, res) => {
+    const history = req.body;
+    if (!history || typeof history !== "object" || Array.isArray(history)) {
+      return res.status(400).json({ error: "Expected a history object" });
+    }
+    if (!Object.keys(history).every(key => DATE_KEY.test(key))) {
+      return res.status(400).json({ error: "History keys must be YYYY-MM-DD" });
+    }
+
+    await store.update(data => {
+      data.history[req.user.id] = history;
+    });
+    res.json(history);
+  }));
+
+  router.delete("/", asyncHandler(async (req, res) => {
+    await store.update(data => {
+      data.history[req.user.id] = {};
+    });
+    res.status(204).end();
+  }));
+
+  router.get("/:date", (req, res) => {
+    const entry = store.read().history[req.user.id]?.[req.params.date];
+    res.json(entry || { completed: 0, missed: 0 });
+  });
+
+  router.put("/:date", asyncHandler(async (req, res) => {
+    if (!DATE_KEY.test(req.params.date)) {
+      return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+    }
+
+    const entry = await store.update(data => {
+      const history = data.history[req.user.id] || (data.history[req.user.id] = {});
+      history[req.params.date] = { ...history[req.params.date], ...req.body };
+      return history[req.params.date];
+    });
+    res.json(entry);
+  }));
+
+  return router;
+}
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+
+/**
+ * Project (list) routes (mounted behind requireAuth)
+ *
+ * One array per user, owned by the client's ProjectContext:
+ * [{ id, name, color, archived, createdAt }, ...]
+ *
+ * Tasks point at projects through task.projectId; they travel through
+ * /api/sync like every other task field.
+ */
+export function createProjectRouter(store) {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    res.json(store.read().projects[req.user.id] || []);
+  });
+
+  router.put("/", asyncHandler(async (req, res) => {
+    const projects = req.body;
+    if (!Array.isArray(projects)) {
+      return res.status(400).json({ error: "Expected an array of projects" });
+    }
+    if (!projects.every(p => p && p.id !== undefined && typeof p.name === "string")) {
+      return res.status(400).json({ error: "Every project needs an id and a name" });
+    }
+
+    await store.update(data => {
+      data.projects[req.user.id] = projects;
+    });
+    res.json(projects);
+  }));
+
+  return router;
+}
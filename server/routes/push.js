@@ -0,0 +1,51 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+
+/**
+ * Web Push subscription routes
+ *
+ * GET  /api/push/public-key   - VAPID key for pushManager.subscribe() (public)
+ * POST /api/push/subscribe    - { subscription, timeZone } (auth)
+ * POST /api/push/unsubscribe  - { endpoint } (auth)
+ */
+export function createPushRouter(store, vapidPublicKey, authenticate) {
+  const router = Router();
+
+  router.get("/public-key", (req, res) => {
+    res.json({ publicKey: vapidPublicKey });
+  });
+
+  router.post("/subscribe", authenticate, asyncHandler(async (req, res) => {
+    const { subscription, timeZone = "UTC" } = req.body || {};
+    if (!subscription?.endpoint || !subscription?.keys) {
+      return res.status(400).json({ error: "A PushSubscription is required" });
+    }
+
+    await store.update(data => {
+      // One browser, one account: on a shared browser the endpoint may still
+      // be registered to whoever logged in before, who must stop getting
+      // pushes (with their task titles) on it
+      Object.keys(data.pushSubscriptions).forEach(userId => {
+        data.pushSubscriptions[userId] = data.pushSubscriptions[userId]
+          .filter(s => s.subscription.endpoint !== subscription.endpoint);
+      });
+      data.pushSubscriptions[req.user.id] = [
+        ...(data.pushSubscriptions[req.user.id] || []),
+        { subscription, timeZone, createdAt: new Date().toISOString() },
+      ];
+    });
+    res.status(201).json({ subscribed: true });
+  }));
+
+  router.post("/unsubscribe", authenticate, asyncHandler(async (req, res) => {
+    const { endpoint } = req.body || {};
+
+    await store.update(data => {
+      data.pushSubscriptions[req.user.id] = (data.pushSubscriptions[req.user.id] || [])
+        .filter(s => s.subscription.endpoint !== endpoint);
+    });
+    res.json({ subscribed: false });
+  }));
+
+  return router;
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createPushRouter } from "./push.js";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { signToken } from "../auth.js";
+
+const SECRET = "test-secret";
+
+describe("push subscriptions", () => {
+  let data;
+  let app;
+
+  beforeEach(() => {
+    data = {
+      users: [{ id: "user-a", email: "a@example.com" }, { id: "user-b", email: "b@example.com" }],
+      pushSubscriptions: {},
+    };
+    const store = { read: () => data, update: async (mutator) => mutator(data) };
+    app = express();
+    app.use(express.json());
+    app.use("/api/push", createPushRouter(store, "public-key", requireAuth(store, SECRET)));
+  });
+
+  const subscribe = (userId, endpoint) => request(app)
+    .post("/api/push/subscribe")
+    .set("Authorization", `Bearer ${signToken({ sub: userId }, SECRET)}`)
+    .send({ subscription: { endpoint, keys: { p256dh: "key", auth: "auth" } }, timeZone: "UTC" });
+
+  it("moves an endpoint to the account that subscribed it last", async () => {
+    await subscribe("user-a", "https://push.example/shared");
+    await subscribe("user-a", "https://push.example/phone-a");
+    const res = await subscribe("user-b", "https://push.example/shared");
+
+    expect(res.status).toBe(201);
+    expect(data.pushSubscriptions["user-a"].map(s => s.subscription.endpoint)).toEqual(["https://push.example/phone-a"]);
+    expect(data.pushSubscriptions["user-b"].map(s => s.subscription.endpoint)).toEqual(["https://push.example/shared"]);
+  });
+
+  it("keeps one entry when the same user subscribes again", async () => {
+    await subscribe("user-a", "https://push.example/shared");
+    await subscribe("user-a", "https://push.example/shared");
+
+    expect(data.pushSubscriptions["user-a"]).toHaveLength(1);
+  });
+});
@@ -0,0 +1,30 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+
+/**
+ * Per-user settings (mounted behind requireAuth)
+ *
+ * A plain object owned by the client's SettingsContext - the server only
+ * stores it, so new settings don't need a server change.
+ */
+export function createSettingsRouter(store) {
+  const router = Router();
+
+  router.get("/", (req, res) => {
+    res.json(store.read().settings[req.user.id] || {});
+  });
+
+  router.put("/", asyncHandler(async (req, res) => {
+    const settings = req.body;
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      return res.status(400).json({ error: "Expected a settings object" });
+    }
+
+    await store.update(data => {
+      data.settings[req.user.id] = settings;
+    });
+    res.json(settings);
+  }));
+
+  return router;
+}
@@ -0,0 +1,53 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { applyMutation, changesSince, nextSeq } from "../sync.js";
+
+const MAX_MUTATIONS = 1000;
+
+/**
+ * POST /api/sync (mounted behind requireAuth)
+ *
+ * Request:  { deviceId, since, mutations: [{ id, taskId, fields, ts }] }
+ * Response: { serverTime, cursor, tasks: [changed records, tombstones too] }
+ *
+ * One round trip both pushes the device's queued mutations and pulls
+ * everything other devices changed since the device's last cursor.
+ * Replaying the same batch twice is harmless: LWW writes are idempotent.
+ */
+export function createSyncRouter(store) {
+  const router = Router();
+
+  router.post("/", asyncHandler(async (req, res) => {
+    const { deviceId, since = 0, mutations = [] } = req.body || {};
+
+    if (!deviceId || !Array.isArray(mutations)) {
+      return res.status(400).json({ error: "deviceId and a mutations array are required" });
+    }
+    if (mutations.length > MAX_MUTATIONS) {
+      return res.status(413).json({ error: `At most ${MAX_MUTATIONS} mutations per sync` });
+    }
+    if (mutations.some(m => m.taskId === undefined || m.taskId === null)) {
+      return res.status(400).json({ error: "Every mutation needs a taskId" });
+    }
+
+    const now = Date.now();
+
+    // Pull-only syncs (the periodic poll) don't touch the disk
+    if (mutations.length > 0) {
+      await store.update(data => {
+        const records = data.tasks[req.user.id] || (data.tasks[req.user.id] = []);
+        const seq = nextSeq(data, req.user.id);
+        mutations.forEach(m => applyMutation(records, { ...m, deviceId }, seq, now));
+      });
+    }
+
+    const data = store.read();
+    res.json({
+      serverTime: now,
+      cursor: data.syncSeq[req.user.id] || 0,
+      tasks: changesSince(data.tasks[req.user.id], Number(since) || 0),
+    });
+  }));
+
+  return router;
+}
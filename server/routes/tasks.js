@@ -0,0 +1,110 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { applyMutation, liveTasks, nextSeq, toTask } from "../sync.js";
+
+// Writes through the REST routes are stamped with this device id, so they
+// merge with /api/sync mutations under the same LWW rules
+const API_DEVICE_ID = "rest-api";
+
+/**
+ * Task CRUD routes (mounted behind requireAuth)
+ *
+ * Every handler works on data.tasks[req.user.id] only - one user can never
+ * read or overwrite another user's list, even by guessing task ids.
+ *
+ * Records are stored in sync format (see sync.js): deletes leave a
+ * tombstone and every write goes through applyMutation, so clients using
+ * /api/sync see REST changes too.
+ */
+export function createTaskRouter(store) {
+  const router = Router();
+
+  const recordsOf = (data, userId) => {
+    if (!data.tasks[userId]) data.tasks[userId] = [];
+    return data.tasks[userId];
+  };
+
+  const findLive = (records = [], id) =>
+    records.find(r => String(r.id) === id && !r.deleted);
+
+  /**
+   * Write fields to one task as the REST "device"
+   */
+  const writeTask = (data, userId, taskId, fields) => {
+    applyMutation(
+      recordsOf(data, userId),
+      { taskId, fields, deviceId: API_DEVICE_ID },
+      nextSeq(data, userId)
+    );
+  };
+
+  router.get("/", (req, res) => {
+    res.json(liveTasks(store.read().tasks[req.user.id]));
+  });
+
+  /**
+   * Replace the whole list: upsert what was sent, tombstone what wasn't
+   */
+  router.put("/", asyncHandler(async (req, res) => {
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({ error: "Expected an array of tasks" });
+    }
+
+    await store.update(data => {
+      const keep = new Set(req.body.map(t => String(t.id)));
+      req.body.forEach(task => writeTask(data, req.user.id, task.id, task));
+      liveTasks(recordsOf(data, req.user.id))
+        .filter(t => !keep.has(String(t.id)))
+        .forEach(t => writeTask(data, req.user.id, t.id, { deleted: true }));
+    });
+    res.json(liveTasks(store.read().tasks[req.user.id]));
+  }));
+
+  router.post("/", asyncHandler(async (req, res) => {
+    const { title, deadline } = req.body || {};
+    if (!title || !deadline) {
+      return res.status(400).json({ error: "title and deadline are required" });
+    }
+
+    const task = {
+      completed: false,
+      notified: false,
+      createdAt: new Date().toISOString(),
+      ...req.body,
+      id: req.body.id ?? Date.now(),
+    };
+
+    await store.update(data => {
+      writeTask(data, req.user.id, task.id, task);
+    });
+    res.status(201).json(task);
+  }));
+
+  router.get("/:id", (req, res) => {
+    const record = findLive(store.read().tasks[req.user.id], req.params.id);
+    if (!record) return res.status(404).json({ error: "Task not found" });
+    res.json(toTask(record));
+  });
+
+  router.patch("/:id", asyncHandler(async (req, res) => {
+    const record = findLive(store.read().tasks[req.user.id], req.params.id);
+    if (!record) return res.status(404).json({ error: "Task not found" });
+
+    await store.update(data => {
+      writeTask(data, req.user.id, record.id, req.body || {});
+    });
+    res.json(toTask(record));
+  }));
+
+  router.delete("/:id", asyncHandler(async (req, res) => {
+    const record = findLive(store.read().tasks[req.user.id], req.params.id);
+    if (!record) return res.status(404).json({ error: "Task not found" });
+
+    await store.update(data => {
+      writeTask(data, req.user.id, record.id, { deleted: true });
+    });
+    res.status(204).end();
+  }));
+
+  return router;
+}
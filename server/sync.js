@@ -0,0 +1,118 @@
+/**
+ * =============================================================================
+ * SYNC ENGINE - Per-field last-writer-wins merge for tasks
+ * =============================================================================
+ *
+ * STORED RECORD:
+ * --------------
+ * {
+ *   id, title, deadline, completed, ...   // plain task fields
+ *   deleted: true,                         // tombstone (optional)
+ *   _clock: { title: [ts, deviceId], ... } // who wrote each field, when
+ *   _seq: 42                               // change sequence for pulls
+ * }
+ *
+ * MERGE RULE:
+ * -----------
+ * A mutation writes a field only if its [ts, deviceId] is greater than the
+ * one stored for that field. ts is in SERVER time: clients add the clock
+ * offset they learned from the last sync response, and the server clamps
+ * anything in the future to "now" so a broken clock can't win forever.
+ * deviceId breaks ties, so every replica that sees the same mutations ends
+ * up with the same record regardless of arrival order.
+ *
+ * DELETES ARE TOMBSTONES:
+ * -----------------------
+ * Deleting sets deleted: true (a normal field with its own clock) instead of
+ * removing the record. A laptop that was offline during the delete still
+ * has the task and may replay an older edit - the edit updates other
+ * fields, but `deleted` stays true, so the task does not come back.
+ * Only an explicit newer write of deleted: false (restore) revives it.
+ */
+
+const META_FIELDS = ["_clock", "_seq"];
+
+/**
+ * Compare two [ts, deviceId] stamps
+ * @returns {boolean} - true if a is newer than b
+ */
+function isNewer(a, b) {
+  if (!b) return true;
+  if (a[0] !== b[0]) return a[0] > b[0];
+  return String(a[1]) > String(b[1]);
+}
+
+/**
+ * Next change sequence number for a user
+ */
+export function nextSeq(data, userId) {
+  data.syncSeq[userId] = (data.syncSeq[userId] || 0) + 1;
+  return data.syncSeq[userId];
+}
+
+/**
+ * Apply one mutation to a user's record list (in place)
+ * @param {Array} records - data.tasks[userId]
+ * @param {object} mutation - { taskId, fields, ts, deviceId }
+ * @param {number} seq - Sequence number to stamp changed records with
+ * @param {number} now - Server time used to clamp future timestamps
+ * @returns {boolean} - Whether anything changed
+ */
+export function applyMutation(records, mutation, seq, now = Date.now()) {
+  const { taskId, fields = {} } = mutation;
+  const stamp = [Math.min(Number(mutation.ts) || now, now), mutation.deviceId || ""];
+
+  let record = records.find(r => String(r.id) === String(taskId));
+  if (!record) {
+    record = { id: taskId, _clock: {} };
+    records.push(record);
+  }
+  // Records saved before sync existed have no clock yet - any write wins
+  if (!record._clock) record._clock = {};
+
+  let changed = false;
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === "id" || META_FIELDS.includes(field)) continue;
+    if (!isNewer(stamp, record._clock[field])) continue;
+
+    record[field] = value;
+    record._clock[field] = stamp;
+    changed = true;
+  }
+
+  if (changed) record._seq = seq;
+  return changed;
+}
+
+/**
+ * Record without sync metadata (what clients see)
+ */
+export function toTask(record) {
+  const task = { ...record };
+  META_FIELDS.forEach(field => delete task[field]);
+  return task;
+}
+
+/**
+ * When a record last changed: the newest stamp in its clock
+ * @returns {number|null} - Server time in ms; null for records saved
+ *   before sync existed
+ */
+export function lastModified(record) {
+  const times = Object.values(record._clock || {}).map(([ts]) => ts);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Live (non-deleted) tasks for the REST routes
+ */
+export function liveTasks(records = []) {
+  return records.filter(r => !r.deleted).map(toTask);
+}
+
+/**
+ * Records changed after a given sequence number, tombstones included
+ */
+export function changesSince(records = [], since = 0) {
+  return records.filter(r => (r._seq || 0) > since).map(toTask);
+}
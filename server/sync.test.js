@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import { applyMutation, liveTasks, changesSince, toTask, lastModified } from "./sync.js";
+
+const NOW = 1_000_000;
+
+// Replay mutations into a fresh record list, like one replica would
+function replay(mutations) {
+  const records = [];
+  mutations.forEach((mutation, index) => applyMutation(records, mutation, index + 1, NOW));
+  return records;
+}
+
+describe("applyMutation", () => {
+  const add = { taskId: 1, fields: { title: "Draft", priority: "low", deleted: false }, ts: 100, deviceId: "phone" };
+  const rename = { taskId: 1, fields: { title: "Final" }, ts: 300, deviceId: "laptop" };
+  const complete = { taskId: 1, fields: { completed: true }, ts: 200, deviceId: "phone" };
+  // Same millisecond as the rename, from another device
+  const sameTime = { taskId: 1, fields: { title: "Tie", priority: "high" }, ts: 300, deviceId: "tablet" };
+
+  it("ends with the same record whatever order the mutations arrive in", () => {
+    const orders = [
+      [add, rename, complete, sameTime],
+      [sameTime, complete, rename, add],
+      [complete, sameTime, add, rename],
+    ];
+    const [first, ...rest] = orders.map(order => replay(order).map(toTask));
+
+    expect(first).toEqual([{ id: 1, title: "Tie", priority: "high", completed: true, deleted: false }]);
+    rest.forEach(records => expect(records).toEqual(first));
+  });
+
+  it("keeps each field's newest write, not the newest mutation's whole body", () => {
+    const [record] = replay([add, rename, { ...complete, fields: { title: "Old", completed: true } }]);
+    expect(record).toMatchObject({ title: "Final", completed: true, priority: "low" });
+  });
+
+  it("clamps timestamps from the future to the server's now", () => {
+    const records = replay([add, { taskId: 1, fields: { title: "Fast clock" }, ts: NOW * 10, deviceId: "a" }]);
+    expect(records[0]._clock.title).toEqual([NOW, "a"]);
+
+    const later = { taskId: 1, fields: { title: "Honest" }, ts: NOW + 1, deviceId: "b" };
+    expect(applyMutation(records, later, 3, NOW + 1)).toBe(true);
+    expect(records[0].title).toBe("Honest");
+  });
+
+  it("doesn't bring a deleted task back with an older edit", () => {
+    const remove = { taskId: 1, fields: { deleted: true }, ts: 400, deviceId: "phone" };
+    const staleEdit = { taskId: 1, fields: { title: "Offline edit", deleted: false }, ts: 350, deviceId: "laptop" };
+
+    [[add, remove, staleEdit], [add, staleEdit, remove]].forEach(order => {
+      const records = replay(order);
+      expect(records[0]).toMatchObject({ deleted: true, title: "Offline edit" });
+      expect(liveTasks(records)).toEqual([]);
+    });
+  });
+
+  it("restores a deleted task with a newer deleted: false", () => {
+    const records = replay([
+      add,
+      { taskId: 1, fields: { deleted: true }, ts: 400, deviceId: "phone" },
+      { taskId: 1, fields: { deleted: false }, ts: 500, deviceId: "laptop" },
+    ]);
+    expect(liveTasks(records)).toEqual([{ id: 1, title: "Draft", priority: "low", deleted: false }]);
+  });
+
+  it("ignores writes to id and sync metadata", () => {
+    const records = replay([add]);
+    const changed = applyMutation(records, { taskId: 1, fields: { id: 9, _seq: 99, _clock: {} }, ts: 500, deviceId: "x" }, 2, NOW);
+
+    expect(changed).toBe(false);
+    expect(records[0]).toMatchObject({ id: 1, _seq: 1 });
+  });
+});
+
+describe("changesSince", () => {
+  it("returns records changed after the cursor, tombstones included, without metadata", () => {
+    const records = replay([
+      { taskId: 1, fields: { title: "One" }, ts: 100, deviceId: "a" },
+      { taskId: 2, fields: { title: "Two" }, ts: 100, deviceId: "a" },
+      { taskId: 1, fields: { deleted: true }, ts: 200, deviceId: "a" },
+    ]);
+
+    expect(changesSince(records, 2)).toEqual([{ id: 1, title: "One", deleted: true }]);
+    expect(changesSince(records, 0).map(r => r.id)).toEqual([1, 2]);
+  });
+});
+
+describe("lastModified", () => {
+  it("is the newest stamp in the record's clock", () => {
+    const records = replay([
+      { taskId: 1, fields: { title: "One" }, ts: 300, deviceId: "a" },
+      { taskId: 1, fields: { completed: true }, ts: 500, deviceId: "b" },
+      { taskId: 1, fields: { title: "Stale" }, ts: 100, deviceId: "c" },
+    ]);
+    expect(lastModified(records[0])).toBe(500);
+    expect(lastModified({ id: 2 })).toBeNull();
+  });
+});